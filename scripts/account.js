@@ -4,9 +4,8 @@
  * ----------------------------------------------------------------------------
  * What it does:
  * - Shows user info from CC.auth (username/email) + optional first/last
- * - Finds a “default delivery address” from:
- *    1) localStorage override (cc_saved_address_v1)
- *    2) newest order (GET /api/orders/) since the API stores address on orders
+ * - Address book (CC.addressBook): add/edit/delete labeled delivery addresses
+ *   and pick the default; each entry is geocoded and range-checked
  * - Shows favorites (tries GET /favorites/ — fails gracefully if API differs)
  * - Shows provider-owned farm if detectable from GET /farms/
  * - Password “change” is done via reset email (POST /api/auth/password-reset/)
@@ -23,8 +22,6 @@
 
   const CC = window.CC;
 
-  const ROOT_BASE = String(String(CC.API_URL).replace(/\/api$/i, ""));
-
   // ===========================================================================
   // DOM
   // ===========================================================================
@@ -50,9 +47,15 @@
   const saveEmailBtn = document.getElementById("saveEmailBtn");
 
   // Address
+  const addressListEl = document.getElementById("addressList");
   const addressSummaryEl = document.getElementById("addressSummary");
+  const addAddressBtn = document.getElementById("addAddressBtn");
+  const addressModalEl = document.getElementById("addressModal");
+  const addressModalTitleEl = document.getElementById("addressModalTitle");
   const addressForm = document.getElementById("addressForm");
   const addressModalStatusEl = document.getElementById("addressModalStatus");
+  const addrLabelEl = document.getElementById("addrLabel");
+  const addrDefaultEl = document.getElementById("addrDefault");
   const addrLine1El = document.getElementById("addrLine1");
   const addrCityEl = document.getElementById("addrCity");
   const addrStateEl = document.getElementById("addrState");
@@ -63,6 +66,10 @@
   const deliveryAddressBadgeNoteEl = document.getElementById(
     "deliveryAddressBadgeNote",
   );
+  const accountLocationCheckBtn = document.getElementById(
+    "accountLocationCheckBtn",
+  );
+  const addrUseLocationBtn = document.getElementById("addrUseLocationBtn");
 
   // Favorites
   const refreshFavoritesBtn = document.getElementById("refreshFavoritesBtn");
@@ -88,10 +95,19 @@
   const dangerStatusEl = document.getElementById("dangerStatus");
 
   // ===========================================================================
-  // Local keys
+  // Field maps
   // ===========================================================================
 
-  const LOCAL_ADDRESS_KEY = "cc_saved_address_v1";
+  // API field name -> input id, for CC.showFieldErrors on each form
+  const PROFILE_FIELD_MAP = { first_name: "accFirst", last_name: "accLast" };
+  const EMAIL_FIELD_MAP = { email: "newEmail", password: "confirmPassword" };
+  const ADDRESS_FIELD_MAP = {
+    label: "addrLabel",
+    address_line1: "addrLine1",
+    city: "addrCity",
+    state: "addrState",
+    postal_code: "addrZip",
+  };
 
   // ===========================================================================
   // Helpers
@@ -161,19 +177,13 @@
   /**
    * Attempt to update the user's email.
    *
-   * NOTE: This endpoint is a best-guess because the provided API doc does not
-   * clearly define an email-change route.
-   *
-   * If the backend uses something else, we’ll adjust this function to match.
+   * NOTE: The route is a best-guess (see CC.api.auth.changeEmail) because the
+   * provided API doc does not clearly define an email-change route.
    */
   async function apiChangeEmail(newEmail, currentPassword) {
-    // Best-guess route. If your backend uses a different one, swap it here.
-    return CC.apiRequest("/auth/change-email/", {
-      method: "POST",
-      json: {
-        email: newEmail,
-        password: currentPassword,
-      },
+    return CC.api.auth.changeEmail({
+      email: newEmail,
+      password: currentPassword,
     });
   }
 
@@ -185,65 +195,6 @@
     CC.setStatus(el, msg, kind);
   }
 
-  function getLocalJson(key, fallback = null) {
-    try {
-      const raw = localStorage.getItem(key);
-      if (!raw) return fallback;
-      return JSON.parse(raw);
-    } catch {
-      return fallback;
-    }
-  }
-
-  function setLocalJson(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
-  }
-
-  function buildAddressString(addressObj) {
-    if (!addressObj) return "";
-
-    return [
-      String(addressObj.address_line1 || "").trim(),
-      String(addressObj.city || "").trim(),
-      String(addressObj.state || "").trim(),
-      String(addressObj.postal_code || "").trim(),
-      String(addressObj.country || "US").trim(),
-    ]
-      .filter(Boolean)
-      .join(", ");
-  }
-
-  /**
-   * Geocode a delivery address into lat/lng using Nominatim.
-   *
-   * Returns:
-   * {
-   *   lat: number,
-   *   lng: number,
-   *   display_name: string
-   * }
-   */
-  function normalizeZip(zip) {
-    return String(zip || "")
-      .trim()
-      .replace(/[^\d-]/g, "")
-      .slice(0, 10);
-  }
-
-  function normalizeState(state) {
-    return String(state || "")
-      .trim()
-      .toUpperCase();
-  }
-
-  function normalizeCity(city) {
-    return String(city || "").trim();
-  }
-
-  function normalizeStreet(street) {
-    return String(street || "").trim();
-  }
-
   function buildAddressString(addressObj) {
     if (!addressObj) return "";
 
@@ -260,252 +211,6 @@
       .join(", ");
   }
 
-  function buildLookupCandidates(addressObj) {
-    const street = normalizeStreet(
-      addressObj?.address_line1 || addressObj?.street_address || "",
-    );
-    const city = normalizeCity(addressObj?.city || "");
-    const state = normalizeState(addressObj?.state || "");
-    const zip = normalizeZip(addressObj?.postal_code || addressObj?.zip || "");
-    const country = String(addressObj?.country || "US").trim();
-
-    const whole = [street, city, state, zip, country]
-      .filter(Boolean)
-      .join(", ");
-
-    return [
-      {
-        label: "street + zip",
-        query: [street, zip, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "whole address",
-        query: whole,
-      },
-      {
-        label: "street + zip + state",
-        query: [street, zip, state, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "street + zip + city",
-        query: [street, zip, city, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "city + zip + state",
-        query: [city, zip, state, country].filter(Boolean).join(", "),
-      },
-    ].filter((c) => c.query && c.query.replace(/[, ]/g, "").length >= 5);
-  }
-
-  async function runGeocodeQuery(query) {
-    const url =
-      "https://nominatim.openstreetmap.org/search?" +
-      new URLSearchParams({
-        q: query,
-        format: "jsonv2",
-        limit: "1",
-        addressdetails: "1",
-      }).toString();
-
-    const res = await fetch(url, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-      },
-    });
-
-    if (!res.ok) {
-      throw new Error(`Geocoding failed (HTTP ${res.status})`);
-    }
-
-    const data = await res.json();
-    const hit = Array.isArray(data) ? data[0] : null;
-    if (!hit) return null;
-
-    const lat = Number(hit.lat);
-    const lng = Number(hit.lon);
-
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      return null;
-    }
-
-    return {
-      lat,
-      lng,
-      display_name: String(hit.display_name || query).trim(),
-    };
-  }
-
-  async function geocodeDeliveryAddress(addressObj) {
-    if (
-      Number.isFinite(Number(addressObj?.lat)) &&
-      Number.isFinite(Number(addressObj?.lng))
-    ) {
-      return {
-        lat: Number(addressObj.lat),
-        lng: Number(addressObj.lng),
-        display_name:
-          String(addressObj.preferred_delivery_address || "").trim() ||
-          buildAddressString(addressObj),
-      };
-    }
-
-    const candidates = buildLookupCandidates(addressObj);
-
-    if (!candidates.length) {
-      throw new Error("Address is missing required fields.");
-    }
-
-    let lastHttpError = null;
-
-    for (const candidate of candidates) {
-      try {
-        setInlineStatus(
-          addressModalStatusEl,
-          `Checking address lookup: ${candidate.label}…`,
-          "muted",
-        );
-
-        const result = await runGeocodeQuery(candidate.query);
-        if (result) {
-          return result;
-        }
-      } catch (err) {
-        lastHttpError = err;
-      }
-    }
-
-    if (lastHttpError) {
-      throw lastHttpError;
-    }
-
-    throw new Error(
-      "Could not find coordinates for that address after trying multiple address formats.",
-    );
-  }
-
-  /**
-   * Sends the user's delivery address to the backend using the confirmed
-   * delivery-address profile route, then updates local cache values so
-   * the rest of the site can use the saved address immediately.
-   *
-   * @param {Object} addressPayload - Normalized address object built after geocoding.
-   * @param {string} addressPayload.preferred_delivery_address - Full formatted address string.
-   * @param {string} addressPayload.address_line1 - Street line.
-   * @param {string} addressPayload.city - City value.
-   * @param {string} addressPayload.state - State value.
-   * @param {string} addressPayload.postal_code - Postal / ZIP code.
-   * @param {string} addressPayload.country - Country value.
-   * @param {number|null} addressPayload.lat - Latitude from geocoder.
-   * @param {number|null} addressPayload.lng - Longitude from geocoder.
-   * @returns {Promise<Object>} API response-like object.
-   */
-  async function apiUpdateDeliveryAddress(addressPayload) {
-    const payload = {
-      preferred_delivery_address: addressPayload.preferred_delivery_address || "",
-      address_line1: addressPayload.address_line1 || "",
-      city: addressPayload.city || "",
-      state: addressPayload.state || "",
-      postal_code: addressPayload.postal_code || "",
-      country: addressPayload.country || "US",
-      lat: addressPayload.lat ?? null,
-      lng: addressPayload.lng ?? null,
-    };
-
-    const res = await CC.apiRequest("/auth/profile/delivery-address/", {
-      method: "PUT",
-      body: JSON.stringify(payload),
-    });
-
-    // If backend save worked, also keep the frontend cache in sync right away.
-    if (res?.ok) {
-      try {
-        localStorage.setItem(
-          "cc_saved_address_v1",
-          JSON.stringify({
-            preferred_delivery_address: payload.preferred_delivery_address,
-            address_line1: payload.address_line1,
-            city: payload.city,
-            state: payload.state,
-            postal_code: payload.postal_code,
-            country: payload.country,
-            lat: payload.lat,
-            lng: payload.lng,
-            updated_at: new Date().toISOString(),
-          }),
-        );
-      } catch {
-        // Ignore cache write failures.
-      }
-
-      try {
-        const sessionRaw = sessionStorage.getItem("cc_auth");
-        const localRaw = localStorage.getItem("cc_auth");
-        const existingRaw = sessionRaw || localRaw;
-
-        if (existingRaw) {
-          const authObj = JSON.parse(existingRaw);
-
-          const patchedAuth = {
-            ...authObj,
-            user: {
-              ...(authObj.user || {}),
-              preferred_delivery_address: payload.preferred_delivery_address,
-              address_line1: payload.address_line1,
-              city: payload.city,
-              state: payload.state,
-              postal_code: payload.postal_code,
-              country: payload.country,
-              lat: payload.lat,
-              lng: payload.lng,
-            },
-          };
-
-          const serialized = JSON.stringify(patchedAuth);
-
-          if (sessionRaw) {
-            sessionStorage.setItem("cc_auth", serialized);
-          } else {
-            localStorage.setItem("cc_auth", serialized);
-          }
-        }
-      } catch {
-        // Ignore auth cache patch failures.
-      }
-    }
-
-    return res;
-  }
-
-  function syncAddressIntoAuthCache(addressPayload) {
-    try {
-      const auth = CC.auth?.getAuth?.();
-      if (!auth || typeof auth !== "object") return;
-
-      const nextAuth = { ...auth };
-
-      if (nextAuth.user && typeof nextAuth.user === "object") {
-        nextAuth.user = {
-          ...nextAuth.user,
-          preferred_delivery_address: addressPayload.preferred_delivery_address,
-          lat: addressPayload.lat,
-          lng: addressPayload.lng,
-        };
-      } else {
-        nextAuth.preferred_delivery_address =
-          addressPayload.preferred_delivery_address;
-        nextAuth.lat = addressPayload.lat;
-        nextAuth.lng = addressPayload.lng;
-      }
-
-      if (typeof CC.auth.setAuth === "function") {
-        CC.auth.setAuth(nextAuth);
-      }
-    } catch {
-      // best effort only
-    }
-  }
-
   function pickUserFromAuth(auth) {
     // Your auth payload can vary — this tries common shapes without crashing.
     const u =
@@ -525,63 +230,6 @@
     };
   }
 
-  function getAddressFromAuth(auth) {
-    const u =
-      auth?.user ||
-      auth?.data?.user ||
-      auth?.account ||
-      auth?.profile ||
-      auth ||
-      null;
-
-    if (!u) return null;
-
-    const lat = Number(u.lat);
-    const lng = Number(u.lng);
-
-    const addressObj = {
-      address_line1: String(u.address_line1 || u.street_address || "").trim(),
-      city: String(u.city || "").trim(),
-      state: String(u.state || "").trim(),
-      postal_code: String(u.postal_code || u.zip || "").trim(),
-      country: String(u.country || "US").trim(),
-
-      preferred_delivery_address: String(
-        u.preferred_delivery_address || u.preferredDeliveryAddress || "",
-      ).trim(),
-
-      lat: Number.isFinite(lat) ? lat : null,
-      lng: Number.isFinite(lng) ? lng : null,
-    };
-
-    const hasStructuredAddress =
-      addressObj.address_line1 &&
-      addressObj.city &&
-      addressObj.state &&
-      addressObj.postal_code;
-
-    const hasPreferredAddress = !!addressObj.preferred_delivery_address;
-    const hasCoords =
-      Number.isFinite(addressObj.lat) && Number.isFinite(addressObj.lng);
-
-    if (!hasStructuredAddress && !hasPreferredAddress && !hasCoords) {
-      return null;
-    }
-
-    return addressObj;
-  }
-
-  function hasUsableSavedAddress(addressObj) {
-    if (!addressObj) return false;
-
-    return !!(
-      String(addressObj.address_line1 || "").trim() &&
-      String(addressObj.city || "").trim() &&
-      String(addressObj.state || "").trim() &&
-      String(addressObj.postal_code || "").trim()
-    );
-  }
-
   function formatAddressLine(a) {
     if (!a) return "—";
 
@@ -605,13 +253,63 @@
     return preferred || "—";
   }
 
-  function renderAddressSummary(sourceLabel, addressObj) {
+  function renderAddressSummary(addressObj) {
     if (!addressSummaryEl) return;
 
     const line = formatAddressLine(addressObj);
-    addressSummaryEl.innerHTML = `
-      <div class="fw-semibold">${CC.escapeHtml(line)}</div>
-    `;
+    addressSummaryEl.innerHTML = addressObj
+      ? `
+      <div class="fw-semibold">${CC.escapeHtml(addressObj.label || "")}</div>
+      <div>${CC.escapeHtml(line)}</div>
+    `
+      : `<div class="text-muted">${CC.escapeHtml(line)}</div>`;
+  }
+
+  /**
+   * Render every saved address with Edit / Set default / Delete actions.
+   * @param {object[]} entries - CC.addressBook.list()
+   */
+  function renderAddressList(entries) {
+    if (!addressListEl) return;
+
+    if (!entries.length) {
+      addressListEl.innerHTML = `
+        <div class="list-group-item text-muted">
+          No saved addresses yet. Add one to check delivery and speed up checkout.
+        </div>
+      `;
+      return;
+    }
+
+    addressListEl.innerHTML = entries
+      .map((entry) => {
+        const id = CC.escapeHtml(entry.id);
+        return `
+          <div class="list-group-item d-flex justify-content-between align-items-start flex-wrap gap-2">
+            <div>
+              <div class="fw-semibold">
+                ${CC.escapeHtml(entry.label)}
+                ${entry.is_default ? `<span class="badge text-bg-success ms-1">Default</span>` : ""}
+              </div>
+              <div class="small text-muted">${CC.escapeHtml(formatAddressLine(entry))}</div>
+            </div>
+            <div class="btn-group btn-group-sm">
+              <button class="btn btn-outline-secondary" type="button" data-address-action="edit" data-address-id="${id}">Edit</button>
+              ${entry.is_default ? "" : `<button class="btn btn-outline-secondary" type="button" data-address-action="default" data-address-id="${id}">Set default</button>`}
+              <button class="btn btn-outline-danger" type="button" data-address-action="delete" data-address-id="${id}">Delete</button>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  /** Re-render the list, the default summary and its delivery badge. */
+  function renderAddressBook() {
+    const current = CC.addressBook?.getDefault() || null;
+    renderAddressList(CC.addressBook?.list() || []);
+    renderAddressSummary(current);
+    refreshDeliveryAddressBadge(current);
   }
 
   /**
@@ -620,8 +318,9 @@
    * @param {string} text - Badge label shown to the user
    * @param {"success"|"danger"|"warning"|"muted"} kind - Visual badge state
    * @param {string} [note=""] - Optional helper text under the badge
+   * @param {string[]} [synthetic=[]] - Test-data fields behind the result
    */
-  function setDeliveryBadge(text, kind = "muted", note = "") {
+  function setDeliveryBadge(text, kind = "muted", note = "", synthetic = []) {
     if (deliveryAddressBadgeEl) {
       const cls =
         kind === "success"
@@ -640,12 +339,14 @@
     if (deliveryAddressBadgeNoteEl) {
       deliveryAddressBadgeNoteEl.textContent = note || "";
     }
+
+    CC.delivery?.markTestData(deliveryAddressBadgeNoteEl, synthetic);
   }
 
   /**
    * Build the delivery helper's expected customer object using:
-   * 1) the best-known address from account page logic
-   * 2) auth user lat/lng if available
+   * 1) the address being checked (text + its own lat/lng)
+   * 2) auth user fields for anything the address lacks
    *
    * This keeps the account page aligned with the delivery map behavior.
    *
@@ -673,10 +374,10 @@
           ? formattedAddress
           : String(user?.preferred_delivery_address || "").trim(),
 
-      // Future-ready: when API/auth starts returning coordinates,
-      // the badge will begin using them automatically.
-      lat: Number(user?.lat),
-      lng: Number(user?.lng),
+      // Each saved address carries its own coordinates; the profile's are
+      // only a fallback for older entries.
+      lat: Number(addressObj?.lat ?? user?.lat),
+      lng: Number(addressObj?.lng ?? user?.lng),
     };
   }
 
@@ -684,10 +385,11 @@
    * Refresh the account-page delivery badge using the shared delivery helpers.
    *
    * Behavior:
-   * - Uses HQ config from config.js
+   * - Uses the nearest delivery hub that covers the address (CC.delivery)
    * - Uses the same range math as the map page
    * - Uses delivery test defaults when the API/auth customer coords
-   *   are not available yet and ENABLE_DELIVERY_TEST_DEFAULTS is true
+   *   are not available yet and ENABLE_DELIVERY_TEST_DEFAULTS is true, and
+   *   marks the badge as test data when it does
    *
    * @param {object|null} addressObj
    */
@@ -703,14 +405,13 @@
       return;
     }
 
-    const config = delivery.getDeliveryConfig();
-    const hqCheck = delivery.validateHq(config);
+    const hubCheck = delivery.validateHubs();
 
-    if (!hqCheck.ok) {
+    if (!hubCheck.ok) {
       setDeliveryBadge(
         "Delivery status unavailable",
         "warning",
-        `Missing HQ config: ${hqCheck.missing.join(", ")}`,
+        `Missing delivery hub settings: ${hubCheck.missing.join(", ")}`,
       );
       return;
     }
@@ -726,7 +427,10 @@
     }
 
     const customerRecord = buildDeliveryCustomerRecord(addressObj);
-    const customerCheck = delivery.validateCustomer(customerRecord);
+    // Badge only: placeholders are allowed here and marked as test data
+    const customerCheck = delivery.validateCustomer(customerRecord, {
+      strict: false,
+    });
 
     if (!customerCheck.ok) {
       setDeliveryBadge(
@@ -737,20 +441,36 @@
       return;
     }
 
-    const distanceFromHq = delivery.milesBetween(
-      hqCheck.hq.lat,
-      hqCheck.hq.lng,
+    const coverage = delivery.findServingHub(
       customerCheck.customer.lat,
       customerCheck.customer.lng,
+      hubCheck.hubs,
     );
+    const coverageText = delivery.describeCoverage(coverage);
 
-    const isInRange = distanceFromHq <= hqCheck.hq.deliveryRange;
-
-    if (isInRange) {
+    // Coarse geocoder matches (e.g. ZIP centroid) can land on the wrong side
+    // of a radius, so say how the address was located.
+    const match = {
+      confidence: addressObj.geocode_confidence ?? null,
+      precision: addressObj.geocode_precision ?? null,
+    };
+    const matchText = delivery.describeGeocodeMatch(match);
+    const matchNote = !matchText
+      ? ""
+      : delivery.isLowConfidenceMatch(match)
+        ? ` Location is approximate, ${matchText}; check the street address.`
+        : ` Located by ${matchText}.`;
+    const { synthetic } = customerCheck;
+    const testNote = synthetic.length
+      ? ` ${delivery.describeTestData(synthetic)}`
+      : "";
+
+    if (coverage.inRange) {
       setDeliveryBadge(
         "In delivery range",
         "success",
-        `Your address is ${distanceFromHq.toFixed(2)} miles from HQ.`,
+        `Your address is ${coverageText}.${matchNote}${testNote}`,
+        synthetic,
       );
       return;
     }
@@ -758,7 +478,8 @@
     setDeliveryBadge(
       "Out of delivery range",
       "danger",
-      `Your address is ${distanceFromHq.toFixed(2)} miles from HQ.`,
+      `Your address is ${coverageText}.${matchNote}${testNote}`,
+      synthetic,
     );
   }
 
@@ -766,238 +487,77 @@
   // API calls
   // ===========================================================================
 
-  async function apiGetOrders() {
-    // API docs: GET /api/orders/
-    return CC.apiRequest("/orders/", { method: "GET" });
-  }
-
   /**
    * Update the signed-in user's first/last name via API.
-   *
-   * API: /api/auth/profile/name/  [name='update_name']
-   * We try PATCH first (typical for partial updates), then fall back to POST.
+   * API: PUT /api/auth/profile/name/  [name='update_name']
    */
   async function apiUpdateName(firstNameRaw, lastNameRaw) {
-    const first_name = String(firstNameRaw || "").trim();
-    const last_name = String(lastNameRaw || "").trim();
-
-    // PUT
-    let res = await CC.apiRequest("/auth/profile/name/", {
-      method: "PUT",
-      json: { first_name, last_name },
+    return CC.api.auth.updateName({
+      first_name: String(firstNameRaw || "").trim(),
+      last_name: String(lastNameRaw || "").trim(),
     });
-
-    return res;
   }
 
   async function apiGetFarms() {
-    // Used across the app; typically GET /api/farms/
-    return CC.apiRequest("/farms/", { method: "GET" });
-  }
-
-  /**
-   * Update the signed-in user's profile name fields via API.
-   *
-   * Tries the "new" profile routes first. If your backend only supports one,
-   * the first successful one wins.
-   *
-   * Payload supports both snake_case and camelCase server expectations.
-   */
-  async function apiUpdateProfileNames(firstNameRaw, lastNameRaw) {
-    const firstName = String(firstNameRaw || "").trim();
-    const lastName = String(lastNameRaw || "").trim();
-
-    // Keep both shapes available (different backends expect different keys)
-    const payloadSnake = { first_name: firstName, last_name: lastName };
-    const payloadCamel = { firstName, lastName };
-
-    // Put your confirmed "new" endpoint(s) first in this list
-    const candidates = [
-      { path: "/auth/profile/", method: "PATCH", json: payloadSnake },
-      { path: "/auth/profile/", method: "PATCH", json: payloadCamel },
-
-      { path: "/users/me/", method: "PATCH", json: payloadSnake },
-      { path: "/users/me/", method: "PATCH", json: payloadCamel },
-
-      { path: "/account/profile/", method: "PATCH", json: payloadSnake },
-      { path: "/account/profile/", method: "PATCH", json: payloadCamel },
-    ];
-
-    let lastRes = null;
-
-    for (const c of candidates) {
-      const res = await CC.apiRequest(c.path, {
-        method: c.method,
-        json: c.json,
-      });
-      lastRes = res;
-
-      // 401 needs to immediately bubble up so page can kick to login cleanly
-      if (res.status === 401) return res;
-
-      // If route doesn't exist, keep trying others
-      if (res.status === 404) continue;
-
-      // Some APIs disallow PATCH and want PUT
-      if (res.status === 405) {
-        const putRes = await CC.apiRequest(c.path, {
-          method: "PUT",
-          json: c.json,
-        });
-        lastRes = putRes;
-        if (putRes.status === 401) return putRes;
-        if (putRes.status === 404) continue;
-        if (putRes.ok) return putRes;
-        continue;
-      }
-
-      if (res.ok) return res;
-    }
-
-    // Return the last response we saw so caller can show a useful error
-    return lastRes || { ok: false, status: 0, data: null, raw: "No response" };
+    return CC.api.farms.list();
   }
 
   async function apiGetFavorites() {
-    // Not in the doc you uploaded, but your store.js uses a favorites concept.
-    // We’ll try: GET /api/favorites/
-    return CC.apiRequest("/favorites/", { method: "GET" });
+    return CC.api.favorites.list();
   }
 
   async function apiPasswordReset(email) {
-    // API docs: POST /api/auth/password-reset/
-    return CC.apiRequest("/auth/password-reset/", {
-      method: "POST",
-      json: { email },
-    });
+    return CC.api.auth.passwordReset(email);
   }
 
   async function apiDeleteAccountBestGuess() {
-    // Your API doc doesn’t define account deletion.
-    // Best-guess endpoints (we try one; if 404, we tell you clearly).
-    return CC.apiRequest("/auth/delete/", { method: "DELETE" });
+    // Your API doc doesn’t define account deletion; a 404 means unsupported.
+    return CC.api.auth.deleteAccount();
   }
 
   // ===========================================================================
   // Page logic
   // ===========================================================================
 
-  async function loadDefaultAddress() {
-    // 0) auth/profile address first
-    const auth = CC.auth.getAuth?.() || null;
-    const authAddr = getAddressFromAuth(auth);
-
-    if (authAddr) {
-      renderAddressSummary("Saved on your account", authAddr);
-
-      if (typeof refreshDeliveryAddressBadge === "function") {
-        refreshDeliveryAddressBadge(authAddr);
-      }
-
-      return authAddr;
-    }
-
-    // 1) local override
-    const localAddr = getLocalJson(LOCAL_ADDRESS_KEY, null);
-    if (hasUsableSavedAddress(localAddr)) {
-      renderAddressSummary("Saved on this device", localAddr);
-
-      if (typeof refreshDeliveryAddressBadge === "function") {
-        refreshDeliveryAddressBadge(localAddr);
-      }
-
-      return localAddr;
-    }
-
-    // 2) newest order
-    setPageStatus("Loading your latest delivery address…", "muted");
-    const res = await apiGetOrders();
-
-    if (res.status === 401) {
-      CC.auth.clearAuth();
-      window.location.href = "login.html";
-      return null;
+  async function loadAddressBook() {
+    if (!CC.addressBook) {
+      renderAddressSummary(null);
+      refreshDeliveryAddressBadge(null);
+      return;
     }
 
-    if (!res.ok) {
-      renderAddressSummary("No saved address", null);
-
-      if (typeof refreshDeliveryAddressBadge === "function") {
-        refreshDeliveryAddressBadge(null);
-      }
+    await CC.addressBook.load();
+    renderAddressBook();
 
+    if (CC.addressBook.isLocalOnly()) {
       setPageStatus(
-        "Could not load orders to get a delivery address.",
+        "Addresses are saved on this device only; the API has no address book yet.",
         "warning",
       );
-      return null;
     }
+  }
 
-    const orders = Array.isArray(res.data) ? res.data : [];
-    if (!orders.length) {
-      renderAddressSummary("No orders yet", null);
-
-      if (typeof refreshDeliveryAddressBadge === "function") {
-        refreshDeliveryAddressBadge(null);
-      }
+  /**
+   * Fill the modal for a new address (no entry) or for editing `entry`.
+   * @param {object|null} entry
+   */
+  function prefillAddressModal(entry) {
+    const isFirst = !CC.addressBook?.list().length;
 
-      setPageStatus(
-        "No orders found yet — you can still save an address locally.",
-        "muted",
-      );
-      return null;
+    if (addressModalTitleEl) {
+      addressModalTitleEl.textContent = entry ? "Edit address" : "Add address";
     }
-
-    // Pick the newest by created_at if present, otherwise first
-    const newest = [...orders].sort((a, b) => {
-      const at = Date.parse(a?.created_at || "") || 0;
-      const bt = Date.parse(b?.created_at || "") || 0;
-      return bt - at;
-    })[0];
-
-    const inferred = {
-      address_line1: newest?.street_address || newest?.address_line1 || "",
-      city: newest?.city || "",
-      state: newest?.state || "",
-      postal_code: newest?.postal_code || "",
-      country: newest?.country || "US",
-    };
-
-    if (hasUsableSavedAddress(inferred)) {
-      renderAddressSummary("Newest order", inferred);
-
-      if (typeof refreshDeliveryAddressBadge === "function") {
-        refreshDeliveryAddressBadge(inferred);
-      }
-
-      setPageStatus("", "success");
-      return inferred;
+    if (addrLabelEl) addrLabelEl.value = entry?.label || (isFirst ? "Home" : "");
+    if (addrLine1El) addrLine1El.value = entry?.address_line1 || "";
+    if (addrCityEl) addrCityEl.value = entry?.city || "";
+    if (addrStateEl) addrStateEl.value = entry?.state || "";
+    if (addrZipEl) addrZipEl.value = entry?.postal_code || "";
+
+    if (addrDefaultEl) {
+      addrDefaultEl.checked = Boolean(entry?.is_default || isFirst);
+      // The default can move to another entry, not be switched off here.
+      addrDefaultEl.disabled = Boolean(entry?.is_default || isFirst);
     }
-
-    renderAddressSummary("No usable address found", null);
-
-    if (typeof refreshDeliveryAddressBadge === "function") {
-      refreshDeliveryAddressBadge(null);
-    }
-
-    setPageStatus(
-      "Orders loaded, but no usable address fields were found.",
-      "warning",
-    );
-    return null;
-  }
-
-  function prefillAddressModal(addressObj) {
-    const authAddr = getAddressFromAuth(CC.auth.getAuth?.() || null);
-    const localAddr = getLocalJson(LOCAL_ADDRESS_KEY, null);
-
-    const a = addressObj || authAddr || localAddr || null;
-
-    if (addrLine1El)
-      addrLine1El.value = a?.address_line1 || a?.street_address || "";
-    if (addrCityEl) addrCityEl.value = a?.city || "";
-    if (addrStateEl) addrStateEl.value = a?.state || "";
-    if (addrZipEl) addrZipEl.value = a?.postal_code || a?.zip || "";
   }
 
   async function loadFavorites() {
@@ -1041,9 +601,7 @@
     let farmsLookup = [];
     try {
       const farmsRes = await apiGetFarms();
-      if (farmsRes.ok && Array.isArray(farmsRes.data)) {
-        farmsLookup = farmsRes.data;
-      }
+      if (farmsRes.ok) farmsLookup = farmsRes.data;
     } catch {
       farmsLookup = [];
     }
@@ -1052,10 +610,8 @@
     const farmByName = new Map();
 
     farmsLookup.forEach((farm) => {
-      const id = Number(farm?.id ?? farm?.farm_id);
-      const name = String(farm?.name ?? farm?.farm_name ?? "")
-        .trim()
-        .toLowerCase();
+      const id = Number(farm?.id);
+      const name = String(farm?.name ?? "").trim().toLowerCase();
 
       if (Number.isFinite(id)) farmById.set(id, farm);
       if (name) farmByName.set(name, farm);
@@ -1214,6 +770,7 @@
 
       saveProfileBtn && (saveProfileBtn.disabled = true);
       setPageStatus("Saving profile…", "muted");
+      CC.clearFieldErrors(profileForm);
 
       try {
         const res = await apiUpdateName(firstName, lastName);
@@ -1225,12 +782,12 @@
         }
 
         if (!res.ok) {
-          throw new Error(
-            res.data?.error ||
-              res.data?.detail ||
-              res.raw ||
-              `HTTP ${res.status}`,
+          CC.showFieldErrors(
+            profileForm,
+            res.error.fieldErrors,
+            PROFILE_FIELD_MAP,
           );
+          throw CC.errorFromResponse(res);
         }
 
         // Best-effort: keep auth cache in sync for other pages that read CC.auth
@@ -1296,6 +853,7 @@
 
       saveEmailBtn && (saveEmailBtn.disabled = true);
       setInlineStatus(changeEmailStatusEl, "Updating email…", "muted");
+      CC.clearFieldErrors(changeEmailForm);
 
       try {
         const res = await apiChangeEmail(nextEmail, currentPassword);
@@ -1314,12 +872,12 @@
             );
           }
 
-          throw new Error(
-            res.data?.error ||
-              res.data?.detail ||
-              res.raw ||
-              `HTTP ${res.status}`,
+          CC.showFieldErrors(
+            changeEmailForm,
+            res.error.fieldErrors,
+            EMAIL_FIELD_MAP,
           );
+          throw CC.errorFromResponse(res);
         }
 
         // If backend returns updated email, use it; otherwise use what user entered.
@@ -1368,14 +926,191 @@
       }
     });
 
-    // When modal opens, prefill with best-known address
-    document
-      .getElementById("addressModal")
-      ?.addEventListener("show.bs.modal", () => {
+    // Suggestion picked in the modal (carries lat/lng); cleared on edits.
+    let pickedGeo = null;
+
+    const autocomplete = CC.delivery?.attachAddressAutocomplete?.({
+      input: addrLine1El,
+      fields: { city: addrCityEl, state: addrStateEl, postal_code: addrZipEl },
+      onSelect: (result) => {
+        pickedGeo = result;
+        const { text, kind } = CC.delivery.describeSuggestionCoverage(result);
+        setInlineStatus(addressModalStatusEl, text, kind);
+      },
+      onInvalidate: () => {
+        pickedGeo = null;
         setInlineStatus(addressModalStatusEl, "");
-        const localAddr = getLocalJson(LOCAL_ADDRESS_KEY, null);
-        prefillAddressModal(localAddr);
+      },
+    });
+
+    // Typing over a suggestion or located address drops its coordinates.
+    [addrLine1El, addrCityEl, addrStateEl, addrZipEl].forEach((el) => {
+      el?.addEventListener("input", () => {
+        pickedGeo = null;
       });
+    });
+
+    if (!CC.delivery?.checkCurrentLocation) {
+      accountLocationCheckBtn?.classList.add("d-none");
+      addrUseLocationBtn?.classList.add("d-none");
+    }
+
+    // Badge check from where the browser is, without saving anything.
+    accountLocationCheckBtn?.addEventListener("click", async () => {
+      accountLocationCheckBtn.disabled = true;
+      setDeliveryBadge("Finding your location…", "muted");
+
+      try {
+        const result = await CC.delivery.checkCurrentLocation();
+        const { text } = CC.delivery.describeLocationCheck(result);
+        setDeliveryBadge(
+          result.coverage.inRange
+            ? "In delivery range here"
+            : "Out of delivery range here",
+          result.coverage.inRange ? "success" : "danger",
+          text,
+        );
+      } catch (err) {
+        setDeliveryBadge(
+          "Location unavailable",
+          "warning",
+          err?.message || String(err),
+        );
+      } finally {
+        accountLocationCheckBtn.disabled = false;
+      }
+    });
+
+    // Fill the modal from the browser location (reverse-geocoded).
+    addrUseLocationBtn?.addEventListener("click", async () => {
+      addrUseLocationBtn.disabled = true;
+      setInlineStatus(addressModalStatusEl, "Finding your location…", "muted");
+
+      try {
+        const result = await CC.delivery.checkCurrentLocation({
+          reverse: true,
+        });
+        const { text, kind } = CC.delivery.describeLocationCheck(result);
+        const a = result.address?.address;
+
+        if (!a) {
+          setInlineStatus(
+            addressModalStatusEl,
+            `${text} We couldn't look up a street address here; please type it in.`,
+            "warning",
+          );
+          return;
+        }
+
+        if (addrLine1El) addrLine1El.value = a.address_line1 || "";
+        if (addrCityEl) addrCityEl.value = a.city || "";
+        if (addrStateEl) addrStateEl.value = (a.state || "").toUpperCase();
+        if (addrZipEl) addrZipEl.value = a.postal_code || "";
+
+        // Keep the device's coordinates; the address text may be coarser.
+        pickedGeo = {
+          ...result.address,
+          lat: result.position.lat,
+          lng: result.position.lng,
+        };
+        setInlineStatus(
+          addressModalStatusEl,
+          a.address_line1
+            ? text
+            : `${text} Add your street address before saving.`,
+          a.address_line1 ? kind : "warning",
+        );
+      } catch (err) {
+        setInlineStatus(
+          addressModalStatusEl,
+          err?.message || String(err),
+          "danger",
+        );
+      } finally {
+        addrUseLocationBtn.disabled = false;
+      }
+    });
+
+    // Address being edited in the modal; null means "add a new one".
+    let editingAddressId = null;
+
+    function hideAddressModal() {
+      if (addressModalEl && window.bootstrap?.Modal) {
+        window.bootstrap.Modal.getOrCreateInstance(addressModalEl).hide();
+      }
+    }
+
+    addAddressBtn?.addEventListener("click", () => {
+      editingAddressId = null;
+    });
+
+    addressModalEl?.addEventListener("show.bs.modal", () => {
+      setInlineStatus(addressModalStatusEl, "");
+      pickedGeo = null;
+      autocomplete?.clear();
+      CC.clearFieldErrors(addressForm);
+      prefillAddressModal(
+        editingAddressId ? CC.addressBook.get(editingAddressId) : null,
+      );
+    });
+
+    addressListEl?.addEventListener("click", async (e) => {
+      const btn = e.target.closest("[data-address-action]");
+      if (!btn || !CC.addressBook) return;
+
+      const { addressAction: action, addressId } = btn.dataset;
+      const entry = CC.addressBook.get(addressId);
+      if (!entry) return;
+
+      if (action === "edit") {
+        editingAddressId = addressId;
+        if (addressModalEl && window.bootstrap?.Modal) {
+          window.bootstrap.Modal.getOrCreateInstance(addressModalEl).show();
+        }
+        return;
+      }
+
+      if (
+        action === "delete" &&
+        !window.confirm(`Delete the "${entry.label}" address?`)
+      ) {
+        return;
+      }
+
+      btn.disabled = true;
+      setPageStatus(
+        action === "delete"
+          ? "Deleting address…"
+          : "Updating default address…",
+        "muted",
+      );
+
+      try {
+        const res =
+          action === "delete"
+            ? await CC.addressBook.remove(addressId)
+            : await CC.addressBook.setDefault(addressId);
+
+        if (res.status === 401) {
+          CC.auth.clearAuth();
+          window.location.href = "login.html";
+          return;
+        }
+
+        if (!res.ok) throw CC.errorFromResponse(res);
+
+        renderAddressBook();
+        setPageStatus(
+          action === "delete"
+            ? `Deleted "${entry.label}".`
+            : `"${entry.label}" is now your default address.`,
+          "success",
+        );
+      } catch (err) {
+        setPageStatus(err?.message || String(err), "danger");
+        btn.disabled = false;
+      }
+    });
 
     addressForm?.addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -1402,8 +1137,18 @@
         return;
       }
 
+      if (!CC.addressBook) {
+        setInlineStatus(
+          addressModalStatusEl,
+          "address-book.js is not loaded on this page.",
+          "danger",
+        );
+        return;
+      }
+
       const submitBtn = addressForm.querySelector('button[type="submit"]');
       submitBtn && (submitBtn.disabled = true);
+      CC.clearFieldErrors(addressForm);
 
       try {
         setInlineStatus(
@@ -1412,23 +1157,47 @@
           "muted",
         );
 
-        const geo = await geocodeDeliveryAddress(basePayload);
+        // Unchanged street/city/state/ZIP keeps the entry's coordinates.
+        const existing = editingAddressId
+          ? CC.addressBook.get(editingAddressId)
+          : null;
+        const lookup = pickedGeo
+          ? {
+              ...basePayload,
+              preferred_delivery_address: pickedGeo.display_name,
+              lat: pickedGeo.lat,
+              lng: pickedGeo.lng,
+              geocode_confidence: pickedGeo.confidence ?? null,
+              geocode_precision: pickedGeo.precision ?? null,
+            }
+          : CC.addressBook.sameAddress(existing, basePayload)
+            ? { ...existing, ...basePayload }
+            : basePayload;
+
+        const geo = await CC.delivery.geocodeAddress(lookup, {
+          onProgress: (label) =>
+            setInlineStatus(
+              addressModalStatusEl,
+              `Checking address lookup: ${label}…`,
+              "muted",
+            ),
+        });
 
         const fullPayload = {
           ...basePayload,
+          label: String(addrLabelEl?.value || "").trim(),
+          is_default: Boolean(addrDefaultEl?.checked),
           preferred_delivery_address:
             geo.display_name || buildAddressString(basePayload),
           lat: geo.lat,
           lng: geo.lng,
+          geocode_confidence: geo.confidence,
+          geocode_precision: geo.precision,
         };
 
-        setInlineStatus(
-          addressModalStatusEl,
-          "Saving address to your account…",
-          "muted",
-        );
+        setInlineStatus(addressModalStatusEl, "Saving address…", "muted");
 
-        const res = await apiUpdateDeliveryAddress(fullPayload);
+        const res = await CC.addressBook.save(fullPayload, editingAddressId);
 
         if (res.status === 401) {
           CC.auth.clearAuth();
@@ -1436,38 +1205,22 @@
           return;
         }
 
-        // Keep local device cache regardless so checkout still has the address.
-        setLocalJson(LOCAL_ADDRESS_KEY, fullPayload);
-        renderAddressSummary("Saved on this device", fullPayload);
-        syncAddressIntoAuthCache(fullPayload);
-
-        if (typeof refreshDeliveryAddressBadge === "function") {
-          refreshDeliveryAddressBadge(fullPayload);
-        }
-
         if (!res.ok) {
-          setPageStatus(
-            "Address saved locally and geocoded, but DB sync is not supported by the API route yet.",
-            "warning",
-          );
-          setInlineStatus(
-            addressModalStatusEl,
-            "Saved locally. Geocoding worked, but the API did not accept the profile update.",
-            "warning",
-          );
-          return;
+          // A 400 means the server rejected specific fields; point at them.
+          if (res.error.kind === "validation") {
+            CC.showFieldErrors(
+              addressForm,
+              res.error.fieldErrors,
+              ADDRESS_FIELD_MAP,
+            );
+          }
+          throw CC.errorFromResponse(res);
         }
 
-        setPageStatus("", "success");
+        renderAddressBook();
+        setPageStatus(`Saved "${res.data.label}".`, "success");
         setInlineStatus(addressModalStatusEl, "Address saved.", "success");
-
-        const modalEl = document.getElementById("addressModal");
-        if (modalEl && window.bootstrap?.Modal) {
-          const instance =
-            window.bootstrap.Modal.getInstance(modalEl) ||
-            new window.bootstrap.Modal(modalEl);
-          instance.hide();
-        }
+        hideAddressModal();
       } catch (err) {
         setInlineStatus(
           addressModalStatusEl,
@@ -1502,12 +1255,7 @@
         }
 
         if (!res.ok) {
-          throw new Error(
-            res.data?.error ||
-              res.data?.detail ||
-              res.raw ||
-              `HTTP ${res.status}`,
-          );
+          throw CC.errorFromResponse(res);
         }
 
         setInlineStatus(
@@ -1548,10 +1296,7 @@
           throw new Error(
             res.status === 404
               ? "Account deletion is not supported by the API yet (endpoint not found)."
-              : res.data?.error ||
-                  res.data?.detail ||
-                  res.raw ||
-                  `HTTP ${res.status}`,
+              : res.error.message,
           );
         }
 
@@ -1603,11 +1348,11 @@
     if (accUsernameEl) accUsernameEl.value = username || "—";
     if (accEmailEl) accEmailEl.value = email || "—";
 
-    // Load address (local override OR newest order)
-    const inferred = await loadDefaultAddress();
+    // Delivery hubs for the range badge (server, cached, or config.js)
+    await CC.delivery?.loadDeliverySettings();
 
-    // Prefill modal with best-known
-    prefillAddressModal(inferred);
+    // Saved addresses + the default's delivery badge
+    await loadAddressBook();
 
     // Load favorites + provider info
 
@@ -0,0 +1,356 @@
+/**
+ * ============================================================================
+ * address-autocomplete.js — Type-ahead for delivery address forms
+ * ----------------------------------------------------------------------------
+ * CC.delivery.attachAddressAutocomplete({ input, fields, onSelect, onInvalidate })
+ *
+ * - Suggests matches from the configured geocoder (geocoder.js) as the user
+ *   types the street line, narrowed by whatever city/state/ZIP is filled in.
+ * - Each suggestion shows whether it falls inside the delivery area.
+ * - Picking one fills the street/city/state/ZIP inputs and hands the match
+ *   (with lat/lng) to onSelect; editing any field afterwards calls
+ *   onInvalidate so pages stop trusting the old coordinates.
+ * - Type-ahead only runs for geocoders that allow a lookup per keystroke
+ *   ("backend", "zip"); deployments get it with GEOCODER_PROVIDER: "backend"
+ *   and GET /api/delivery/geocode/ on the API (see config.js).
+ * - Nominatim's usage policy forbids client-side autocomplete, so with it
+ *   the address is looked up once when the user leaves a field with the
+ *   whole address filled in, and onSelect still gets the match for the
+ *   in-range check before submit.
+ *
+ * Load after geocoder.js.
+ * ============================================================================
+ */
+
+(function initAddressAutocomplete() {
+  "use strict";
+
+  const CC = window.CC;
+  const delivery = CC?.delivery;
+
+  if (!delivery?.geocodeSearch) {
+    console.warn(
+      "address-autocomplete.js: CC.delivery.geocodeSearch not found. Make sure geocoder.js is loaded first.",
+    );
+    return;
+  }
+
+  const DEBOUNCE_MS = 350;
+  const MIN_QUERY_LENGTH = 4;
+  const MAX_SUGGESTIONS = 5;
+
+  // Geocoders that may be queried as the user types
+  const TYPE_AHEAD_PROVIDERS = ["backend", "zip"];
+
+  /** True when the configured geocoder allows type-ahead lookups. */
+  function supportsTypeAhead() {
+    return TYPE_AHEAD_PROVIDERS.includes(delivery.getGeocoder().name);
+  }
+
+  /**
+   * In-range check for one geocoder match against the hubs/zones in effect.
+   * @param {{ lat: number, lng: number }} result
+   * @returns {ReturnType<typeof delivery.findServingHub>}
+   */
+  function coverageFor(result) {
+    const hubCheck = delivery.validateHubs();
+    return hubCheck.ok
+      ? delivery.findServingHub(result.lat, result.lng, hubCheck.hubs)
+      : null;
+  }
+
+  /**
+   * Geocoders without type-ahead: one lookup when a field is left (change)
+   * with street, city, state and ZIP filled in. Edits call onInvalidate.
+   * @returns {{ clear: () => void }}
+   */
+  function attachBlurCheck({ input, fields, onSelect, onInvalidate }) {
+    const inputs = [input, ...Object.values(fields)].filter(Boolean);
+    let controller = null;
+    let pendingKey = "";
+    let selected = null;
+
+    function readAddress() {
+      return {
+        address_line1: String(input.value || "").trim(),
+        city: String(fields.city?.value || "").trim(),
+        state: String(fields.state?.value || "").trim(),
+        postal_code: String(fields.postal_code?.value || "").trim(),
+      };
+    }
+
+    async function check() {
+      const address = readAddress();
+      if (Object.values(address).some((v) => !v)) return;
+
+      const key = Object.values(address).join("|").toUpperCase();
+      if (key === pendingKey) return;
+      pendingKey = key;
+
+      controller?.abort();
+      controller = new AbortController();
+
+      try {
+        const result = await delivery.geocodeAddress(address, {
+          signal: controller.signal,
+        });
+        if (key !== pendingKey) return;
+        selected = result;
+        onSelect?.(result);
+      } catch (err) {
+        if (CC.isAbortError(err) || key !== pendingKey) return;
+        // Not found / lookup down: submit tries again and shows the error.
+        pendingKey = "";
+      }
+    }
+
+    function invalidate() {
+      pendingKey = "";
+      if (!selected) return;
+      selected = null;
+      onInvalidate?.();
+    }
+
+    inputs.forEach((el) => {
+      el.addEventListener("input", invalidate);
+      el.addEventListener("change", check);
+    });
+
+    return {
+      clear() {
+        controller?.abort();
+        pendingKey = "";
+        selected = null;
+      },
+    };
+  }
+
+  function suggestionHtml(result, index) {
+    const coverage = coverageFor(result);
+    const badge = !coverage
+      ? ""
+      : coverage.inRange
+        ? `<span class="badge text-bg-success">Delivers</span>`
+        : `<span class="badge text-bg-secondary">Outside area</span>`;
+    const match = delivery.describeGeocodeMatch(result);
+
+    return `
+      <button type="button" class="dropdown-item cc-address-suggestion" role="option" data-index="${index}">
+        <span class="d-flex justify-content-between gap-2">
+          <span class="text-truncate">${CC.escapeHtml(result.display_name)}</span>
+          ${badge}
+        </span>
+        ${match ? `<span class="small text-muted">${CC.escapeHtml(match)}</span>` : ""}
+      </button>
+    `;
+  }
+
+  /**
+   * @param {object} options
+   * @param {HTMLInputElement} options.input - street line input
+   * @param {{ city?: HTMLInputElement, state?: HTMLInputElement, postal_code?: HTMLInputElement }} [options.fields]
+   * @param {(result: object) => void} [options.onSelect]
+   * @param {() => void} [options.onInvalidate]
+   * @returns {{ clear: () => void }|null} null when there is no input
+   */
+  function attachAddressAutocomplete({
+    input,
+    fields = {},
+    onSelect,
+    onInvalidate,
+  } = {}) {
+    if (!input) return null;
+    if (!supportsTypeAhead()) {
+      return attachBlurCheck({ input, fields, onSelect, onInvalidate });
+    }
+
+    const host = input.parentElement;
+    host.classList.add("position-relative");
+    input.setAttribute("autocomplete", "off");
+    input.setAttribute("aria-autocomplete", "list");
+
+    const menu = document.createElement("div");
+    menu.className = "dropdown-menu w-100 cc-address-suggestions";
+    menu.setAttribute("role", "listbox");
+    host.appendChild(menu);
+
+    let suggestions = [];
+    let activeIndex = -1;
+    let timer = null;
+    let controller = null;
+    let requestSeq = 0;
+    let selected = null;
+    let filling = false;
+
+    function close() {
+      menu.classList.remove("show");
+      menu.innerHTML = "";
+      suggestions = [];
+      activeIndex = -1;
+    }
+
+    function highlight(index) {
+      activeIndex = index;
+      menu.querySelectorAll(".cc-address-suggestion").forEach((el, i) => {
+        el.classList.toggle("active", i === index);
+      });
+    }
+
+    function render(results, message = "") {
+      suggestions = results;
+      activeIndex = -1;
+
+      menu.innerHTML = results.length
+        ? results.map(suggestionHtml).join("")
+        : `<span class="dropdown-item-text small text-muted">${CC.escapeHtml(message)}</span>`;
+      menu.classList.toggle("show", Boolean(results.length || message));
+    }
+
+    function buildQuery() {
+      return [
+        input.value,
+        fields.city?.value,
+        fields.state?.value,
+        fields.postal_code?.value,
+      ]
+        .map((part) => String(part || "").trim())
+        .filter(Boolean)
+        .join(", ");
+    }
+
+    async function search() {
+      const street = String(input.value || "").trim();
+      if (street.length < MIN_QUERY_LENGTH) {
+        close();
+        return;
+      }
+
+      controller?.abort();
+      controller = new AbortController();
+      const seq = ++requestSeq;
+
+      try {
+        const results = await delivery.geocodeSearch(buildQuery(), {
+          limit: MAX_SUGGESTIONS,
+          signal: controller.signal,
+        });
+        if (seq !== requestSeq) return;
+        render(
+          results,
+          "No matching addresses. Keep typing or enter it manually.",
+        );
+      } catch (err) {
+        if (CC.isAbortError(err) || seq !== requestSeq) return;
+        render([], "Address suggestions are unavailable right now.");
+      }
+    }
+
+    function invalidate() {
+      if (filling || !selected) return;
+      selected = null;
+      onInvalidate?.();
+    }
+
+    function choose(index) {
+      const result = suggestions[index];
+      if (!result) return;
+
+      const a = result.address || {};
+      filling = true;
+      if (a.address_line1) input.value = a.address_line1;
+      if (fields.city && a.city) fields.city.value = a.city;
+      if (fields.state && a.state) fields.state.value = a.state.toUpperCase();
+      if (fields.postal_code && a.postal_code) {
+        fields.postal_code.value = a.postal_code;
+      }
+      filling = false;
+
+      selected = result;
+      close();
+      onSelect?.(result);
+    }
+
+    input.addEventListener("input", () => {
+      invalidate();
+      clearTimeout(timer);
+      timer = setTimeout(search, DEBOUNCE_MS);
+    });
+
+    input.addEventListener("keydown", (e) => {
+      if (!menu.classList.contains("show") || !suggestions.length) return;
+
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        highlight(
+          (activeIndex + step + suggestions.length) % suggestions.length,
+        );
+      } else if (e.key === "Enter" && activeIndex >= 0) {
+        e.preventDefault();
+        choose(activeIndex);
+      } else if (e.key === "Escape") {
+        close();
+      }
+    });
+
+    input.addEventListener("blur", () => setTimeout(close, 150));
+
+    // Keep focus in the input so blur doesn't close the menu mid-click.
+    menu.addEventListener("mousedown", (e) => e.preventDefault());
+    menu.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-index]");
+      if (item) choose(Number(item.dataset.index));
+    });
+
+    Object.values(fields).forEach((el) => {
+      el?.addEventListener("input", invalidate);
+    });
+
+    return {
+      clear() {
+        selected = null;
+        close();
+      },
+    };
+  }
+
+  /**
+   * Status line for a picked suggestion, e.g. "In delivery range: served by
+   * CropCart HQ, 2.10 miles away."
+   * @param {object} result - geocoder match
+   * @returns {{ text: string, kind: "success"|"danger"|"warning", coverage: object|null }}
+   */
+  function describeSuggestionCoverage(result) {
+    const coverage = coverageFor(result);
+    if (!coverage) {
+      return {
+        text: "Delivery range can't be checked right now.",
+        kind: "warning",
+        coverage,
+      };
+    }
+
+    const text = delivery.describeCoverage(coverage);
+    const approx = delivery.isLowConfidenceMatch(result)
+      ? ` Location is approximate, ${delivery.describeGeocodeMatch(result)}.`
+      : "";
+
+    if (!coverage.inRange) {
+      return {
+        text: `Out of delivery range: ${text}.${approx}`,
+        kind: "danger",
+        coverage,
+      };
+    }
+    return {
+      text: `In delivery range: ${text}.${approx}`,
+      kind: approx ? "warning" : "success",
+      coverage,
+    };
+  }
+
+  Object.assign(delivery, {
+    attachAddressAutocomplete,
+    describeSuggestionCoverage,
+  });
+})();
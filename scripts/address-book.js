@@ -0,0 +1,428 @@
+/**
+ * ============================================================================
+ * address-book.js — Saved delivery addresses (Home, Work, Mom's house, …)
+ * ----------------------------------------------------------------------------
+ * CC.addressBook
+ *
+ * - Entries come from GET /api/auth/addresses/ and are cached per user on this
+ *   device, so cart/checkout can read them without waiting on the network.
+ * - If the API has no address book yet (404), entries live on this device only.
+ * - The first load for a user on this device turns the single profile
+ *   address into a "Home" entry (once; deleting it later doesn't re-import).
+ * - Each entry keeps its own lat/lng and geocode match quality.
+ * - The default entry is mirrored into the auth cache and cc_saved_address_v1,
+ *   which older code paths still read. Both are cleared with the last entry.
+ *
+ * Load after api.js.
+ * ============================================================================
+ */
+
+(function initAddressBook() {
+  "use strict";
+
+  const CC = window.CC;
+
+  if (!CC?.api?.auth?.addresses) {
+    console.warn(
+      "address-book.js: CC.api.auth.addresses not found. Make sure api.js is loaded first.",
+    );
+    return;
+  }
+
+  const CACHE_PREFIX = "cc_address_book_v1:";
+  const MIGRATED_PREFIX = "cc_address_book_migrated_v1:";
+  const LEGACY_ADDRESS_KEY = "cc_saved_address_v1";
+
+  const PROFILE_FIELDS = [
+    "preferred_delivery_address",
+    "address_line1",
+    "city",
+    "state",
+    "postal_code",
+    "country",
+    "lat",
+    "lng",
+  ];
+
+  /** @type {import("./api.js").SavedAddress[]|null} null until first read */
+  let entries = null;
+  let localOnly = false;
+  let loaded = false;
+
+  /* ==========================================================================
+   * CACHE
+   * ========================================================================== */
+
+  function userKey(prefix) {
+    const user = CC.auth.getAuth?.()?.user || null;
+    return prefix + String(user?.id ?? user?.username ?? "anonymous");
+  }
+
+  function cacheKey() {
+    return userKey(CACHE_PREFIX);
+  }
+
+  /** True once this user's profile address has been imported (or skipped). */
+  function isMigrated() {
+    try {
+      return localStorage.getItem(userKey(MIGRATED_PREFIX)) === "1";
+    } catch {
+      return false;
+    }
+  }
+
+  function markMigrated() {
+    try {
+      localStorage.setItem(userKey(MIGRATED_PREFIX), "1");
+    } catch {
+      // Storage disabled; the import may run again next visit.
+    }
+  }
+
+  function readCache() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(cacheKey()) || "null");
+      return {
+        entries: (Array.isArray(parsed?.entries) ? parsed.entries : [])
+          .map(CC.api.normalize.savedAddress)
+          .filter(Boolean),
+        localOnly: Boolean(parsed?.localOnly),
+      };
+    } catch {
+      return { entries: [], localOnly: false };
+    }
+  }
+
+  function writeCache() {
+    try {
+      localStorage.setItem(
+        cacheKey(),
+        JSON.stringify({ entries, localOnly, updated_at: Date.now() }),
+      );
+    } catch {
+      // Storage full or disabled; the in-memory copy still works.
+    }
+  }
+
+  function ensureEntries() {
+    if (entries) return entries;
+    const cached = readCache();
+    entries = cached.entries;
+    localOnly = cached.localOnly;
+    return entries;
+  }
+
+  /* ==========================================================================
+   * HELPERS
+   * ========================================================================== */
+
+  function normalizeValue(v) {
+    return String(v || "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toUpperCase();
+  }
+
+  function sameAddress(a, b) {
+    if (!a || !b) return false;
+    return ["address_line1", "city", "state", "postal_code"].every(
+      (key) => normalizeValue(a[key]) === normalizeValue(b[key]),
+    );
+  }
+
+  function isComplete(a) {
+    return Boolean(a?.address_line1 && a.city && a.state && a.postal_code);
+  }
+
+  /** Fields a page may send; anything else (id, is_default) is ignored. */
+  function pickFields(fields) {
+    const out = {};
+    [
+      "label",
+      ...PROFILE_FIELDS,
+      "geocode_confidence",
+      "geocode_precision",
+    ].forEach((key) => {
+      if (key in fields) out[key] = fields[key];
+    });
+    return out;
+  }
+
+  /** Response shape matching CC.apiRequest for device-only changes. */
+  function localResult(data = null) {
+    return { ok: true, status: 200, data, raw: data, error: null };
+  }
+
+  function upsert(entry) {
+    const index = entries.findIndex((e) => e.id === entry.id);
+    if (index === -1) entries.push(entry);
+    else entries[index] = entry;
+  }
+
+  /**
+   * Copy the default entry into the auth cache and the legacy single-address
+   * key. Device-only books also push it to the profile route so the server
+   * still has a delivery address. An empty book clears both copies.
+   */
+  function syncDefault() {
+    const current = getDefault();
+    if (!current) {
+      clearDefault();
+      return;
+    }
+
+    const profile = {};
+    PROFILE_FIELDS.forEach((key) => {
+      profile[key] = current[key];
+    });
+
+    try {
+      localStorage.setItem(
+        LEGACY_ADDRESS_KEY,
+        JSON.stringify({
+          ...profile,
+          geocode_confidence: current.geocode_confidence,
+          geocode_precision: current.geocode_precision,
+          updated_at: new Date().toISOString(),
+        }),
+      );
+    } catch {
+      // Ignore cache write failures.
+    }
+
+    const auth = CC.auth.getAuth?.();
+    if (auth?.user && typeof auth.user === "object") {
+      CC.auth.setAuth({ ...auth, user: { ...auth.user, ...profile } });
+    }
+
+    if (localOnly) {
+      CC.api.auth.updateDeliveryAddress(profile).catch(() => {});
+    }
+  }
+
+  /** Drop the mirrored address once the last entry is gone. */
+  function clearDefault() {
+    try {
+      localStorage.removeItem(LEGACY_ADDRESS_KEY);
+    } catch {
+      // Ignore storage failures.
+    }
+
+    const auth = CC.auth.getAuth?.();
+    if (auth?.user && typeof auth.user === "object") {
+      const user = { ...auth.user };
+      PROFILE_FIELDS.forEach((key) => {
+        user[key] = key === "lat" || key === "lng" ? null : "";
+      });
+      CC.auth.setAuth({ ...auth, user });
+    }
+  }
+
+  function applyDefault(addressId) {
+    entries.forEach((e) => {
+      e.is_default = e.id === addressId;
+    });
+  }
+
+  /** The address the profile/device knew about before the address book. */
+  function legacyAddress() {
+    const user = CC.auth.getAuth?.()?.user || null;
+    const fromUser = CC.api.normalize.address(user);
+    if (isComplete(fromUser)) return fromUser;
+
+    try {
+      const fromDevice = CC.api.normalize.address(
+        JSON.parse(localStorage.getItem(LEGACY_ADDRESS_KEY) || "null"),
+      );
+      return isComplete(fromDevice) ? fromDevice : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /* ==========================================================================
+   * PUBLIC API
+   * ========================================================================== */
+
+  /**
+   * Saved entries, default first. Reads the device cache if load() hasn't
+   * finished yet.
+   * @returns {import("./api.js").SavedAddress[]}
+   */
+  function list() {
+    return [...ensureEntries()].sort(
+      (a, b) => Number(b.is_default) - Number(a.is_default),
+    );
+  }
+
+  /** @returns {import("./api.js").SavedAddress|null} */
+  function getDefault() {
+    const all = ensureEntries();
+    return all.find((e) => e.is_default) || all[0] || null;
+  }
+
+  /** @returns {import("./api.js").SavedAddress|null} */
+  function get(addressId) {
+    return ensureEntries().find((e) => e.id === String(addressId)) || null;
+  }
+
+  /**
+   * Saved entry with the same street/city/state/ZIP, if any.
+   * @param {object} address
+   * @returns {import("./api.js").SavedAddress|null}
+   */
+  function findMatching(address) {
+    return ensureEntries().find((e) => sameAddress(e, address)) || null;
+  }
+
+  /** True when entries are stored on this device only (API returned 404). */
+  function isLocalOnly() {
+    ensureEntries();
+    return localOnly;
+  }
+
+  /**
+   * Fetch the book from the API once per page (pass force to refetch). Other
+   * failures fall back to the device cache.
+   * @param {{ force?: boolean }} [options]
+   * @returns {Promise<import("./api.js").SavedAddress[]>}
+   */
+  async function load({ force = false } = {}) {
+    if (loaded && !force) return list();
+
+    const cached = readCache();
+    const res = await CC.api.auth.addresses.list();
+
+    if (res.ok) {
+      entries = res.data;
+      localOnly = false;
+    } else {
+      entries = cached.entries;
+      localOnly = res.status === 404 || cached.localOnly;
+      if (res.status !== 404) {
+        console.warn("address-book: using cached addresses.", res.error);
+      }
+    }
+    loaded = true;
+
+    if ((res.ok || localOnly) && !isMigrated()) {
+      markMigrated();
+      const legacy = entries.length ? null : legacyAddress();
+      if (legacy) await save({ ...legacy, label: "Home", is_default: true });
+    }
+
+    writeCache();
+    return list();
+  }
+
+  /**
+   * Create (no id) or update an entry. Pass is_default to make it the default.
+   * @param {object} fields - address fields, label, lat/lng, geocode_*
+   * @param {string|null} [addressId]
+   * @returns {Promise<object>} CC.apiRequest-style result, data = SavedAddress
+   */
+  async function save(fields, addressId = null) {
+    ensureEntries();
+    const makeDefault = Boolean(fields.is_default) || !entries.length;
+    const body = { ...pickFields(fields), is_default: makeDefault };
+
+    let res = null;
+    if (!localOnly) {
+      res = addressId
+        ? await CC.api.auth.addresses.update(addressId, body)
+        : await CC.api.auth.addresses.create(body);
+      if (res.status === 404 && !addressId) localOnly = true;
+      else if (!res.ok) return res;
+    }
+
+    if (localOnly) {
+      const existing = addressId ? get(addressId) : null;
+      const entry = CC.api.normalize.savedAddress({
+        ...existing,
+        ...body,
+        id:
+          existing?.id ||
+          `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        is_default: makeDefault || Boolean(existing?.is_default),
+      });
+      res = localResult(entry);
+    }
+
+    upsert(res.data);
+    if (res.data.is_default || makeDefault) applyDefault(res.data.id);
+    writeCache();
+    syncDefault();
+    return res;
+  }
+
+  /**
+   * Delete an entry. Removing the default promotes the next one, on the
+   * server too, so a reload shows the same default.
+   * @param {string} addressId
+   * @returns {Promise<object>} CC.apiRequest-style result
+   */
+  async function remove(addressId) {
+    ensureEntries();
+    const target = get(addressId);
+    if (!target) return localResult();
+
+    if (!localOnly) {
+      const res = await CC.api.auth.addresses.remove(addressId);
+      if (!res.ok) return res;
+    }
+
+    entries = entries.filter((e) => e !== target);
+    if (target.is_default && entries.length) {
+      const promoted = await setDefault(entries[0].id);
+      // Couldn't promote it: take whatever default the server now has.
+      if (!promoted.ok) await load({ force: true });
+      return localResult();
+    }
+    writeCache();
+    syncDefault();
+    return localResult();
+  }
+
+  /**
+   * @param {string} addressId
+   * @returns {Promise<object>} CC.apiRequest-style result, data = SavedAddress
+   */
+  async function setDefault(addressId) {
+    ensureEntries();
+    if (!get(addressId)) return localResult();
+
+    if (!localOnly) {
+      const res = await CC.api.auth.addresses.setDefault(addressId);
+      if (!res.ok) return res;
+    }
+
+    applyDefault(String(addressId));
+    writeCache();
+    syncDefault();
+    return localResult(get(addressId));
+  }
+
+  /**
+   * Short one-line label for pickers, e.g. "Home — 150 E Main St, Alliance".
+   * @param {import("./api.js").SavedAddress} entry
+   * @returns {string}
+   */
+  function describe(entry) {
+    const line = [entry.address_line1, entry.city].filter(Boolean).join(", ");
+    return `${entry.label} — ${line || entry.preferred_delivery_address}`;
+  }
+
+  CC.addressBook = {
+    load,
+    list,
+    get,
+    getDefault,
+    findMatching,
+    isLocalOnly,
+    save,
+    remove,
+    setDefault,
+    describe,
+    sameAddress,
+  };
+})();
@@ -0,0 +1,921 @@
+/**
+ * ============================================================================
+ * api.js — CropCart endpoint registry (CC.api)
+ * ----------------------------------------------------------------------------
+ * Purpose:
+ * - One place for every backend route the front end calls. Page scripts call
+ *   named methods (CC.api.cart.add, CC.api.orders.history, ...) instead of
+ *   building paths, so a moved route is a one-line change here.
+ * - Response normalizers that fold the backend's field aliases
+ *   (stock/quantity, id/product_id, farm_id/farm.id, ...) into one shape.
+ *
+ * Every method resolves to CC.apiRequest's ApiResult ({ ok, status, data, raw,
+ * error }) and accepts a trailing `options` object that is passed through to
+ * CC.apiRequest (signal, timeout, retries, ...).
+ *
+ * Usage order (in HTML):
+ *   1) config.js
+ *   2) utils.js
+ *   3) api.js
+ *   4) delivery-shared.js / auth.js / page.js / other page scripts
+ * ============================================================================
+ */
+
+(function initCropCartApi() {
+  "use strict";
+
+  const CC = window.CC;
+  if (!CC) {
+    console.warn(
+      "api.js: window.CC not found. Make sure utils.js is loaded before api.js",
+    );
+    return;
+  }
+
+  /* ==========================================================================
+   * TYPES
+   * ========================================================================== */
+
+  /**
+   * @typedef {Object} Product
+   * @property {number|null} id               - `id`, or `product_id` on older payloads
+   * @property {string} name
+   * @property {string} [description]
+   * @property {string} [category]            - category code
+   * @property {string|null} category_display - display label (falls back to `category`)
+   * @property {number|string|null} price     - `price`, or `unit_price`
+   * @property {number|null} stock            - `stock`, or `quantity`
+   * @property {number|null} farm_id          - `farm_id`, or `farm.id`
+   * @property {string} [farm_name]
+   * @property {string} [photo_url]
+   * @property {boolean} [is_organic]         - overrides the farm's flag when sent
+   * @property {boolean} is_active            - `is_active`, or `active` (default true)
+   */
+
+  /**
+   * @typedef {Object} Farm
+   * @property {number|null} id    - `id`, or `farm_id`
+   * @property {string|null} name  - `name`, or `farm_name`
+   * @property {string} [description]
+   * @property {string} [farm_location]
+   * @property {string} [logo_url]
+   * @property {number} [lat]
+   * @property {number} [lng]
+   * @property {number|null} delivery_radius_miles - set when the farm delivers
+   *   its own orders (within this many miles of the farm); null = via hubs
+   * @property {boolean} [is_organic]            - whole farm is certified organic
+   * @property {boolean} [sells_certified_goods] - certificate on file (USDA etc.)
+   * @property {boolean} [is_owner]
+   */
+
+  /**
+   * @typedef {Object} CartItem
+   * @property {number} id           - cart item id (used by update/remove)
+   * @property {number} product_id
+   * @property {string} product_name
+   * @property {number} [farm_id]  - farm the product comes from (not always
+   *   sent; CC.delivery.checkCartCoverage falls back to the product)
+   * @property {string} [farm_name]
+   * @property {number} quantity
+   * @property {number|string} subtotal
+   */
+
+  /**
+   * @typedef {Object} Cart
+   * @property {CartItem[]} items
+   * @property {number|string} total
+   */
+
+  /**
+   * @typedef {Object} Order
+   * @property {number} id
+   * @property {string} status
+   * @property {string|null} status_display - falls back to `status`
+   * @property {number|string} [total]
+   * @property {Array<object>} [items]
+   * @property {"delivery"|"pickup"} fulfillment
+   * @property {DeliveryWindow|null} delivery_window - booked delivery window
+   * @property {PickupLocation|null} pickup_location
+   * @property {DeliveryWindow|null} pickup_window   - booked pickup time
+   */
+
+  /**
+   * @typedef {Object} DeliveryAddress
+   * @property {string} preferred_delivery_address
+   * @property {string} address_line1
+   * @property {string} city
+   * @property {string} state
+   * @property {string} postal_code
+   * @property {string} country
+   * @property {number|null} lat
+   * @property {number|null} lng
+   */
+
+  /**
+   * One entry in the customer's address book.
+   * @typedef {DeliveryAddress & {
+   *   id: string,
+   *   label: string,
+   *   is_default: boolean,
+   *   geocode_confidence: number|null,
+   *   geocode_precision: string|null,
+   * }} SavedAddress
+   */
+
+  /**
+   * One delivery hub as of an effective date range. Several entries may share
+   * an id to schedule changes (e.g. a larger radius from next Monday).
+   * @typedef {Object} DeliveryHub
+   * @property {string} id
+   * @property {string} name
+   * @property {string} address
+   * @property {number|null} lat
+   * @property {number|null} lng
+   * @property {number|null} radius_miles
+   * @property {object|null} [fee] - per-hub DELIVERY_FEES overrides
+   * @property {boolean} active
+   * @property {string|null} effective_from  - ISO date; null = always
+   * @property {string|null} effective_until - ISO date (exclusive); null = open
+   */
+
+  /**
+   * GeoJSON service-area polygon. "include" zones add coverage beyond the hub
+   * circles; "exclude" zones remove coverage even inside a circle.
+   * @typedef {Object} DeliveryZone
+   * @property {string} id
+   * @property {string} name
+   * @property {"include"|"exclude"} mode
+   * @property {string|null} hub_id          - hub serving an include zone
+   * @property {{ type: "Polygon"|"MultiPolygon", coordinates: Array<any> }} geometry
+   * @property {boolean} active
+   * @property {string|null} effective_from
+   * @property {string|null} effective_until
+   */
+
+  /**
+   * @typedef {Object} DeliverySettings
+   * @property {DeliveryHub[]} hubs
+   * @property {DeliveryZone[]} zones
+   * @property {string|null} updated_at
+   */
+
+  /**
+   * A bookable delivery window for one hub on one day. Times are local
+   * "HH:MM" strings; `remaining` counts the orders the window can still take.
+   * @typedef {Object} DeliveryWindow
+   * @property {string} id
+   * @property {string|null} hub_id
+   * @property {string} date      - "YYYY-MM-DD"
+   * @property {string} start     - "HH:MM"
+   * @property {string} end       - "HH:MM"
+   * @property {number|null} capacity
+   * @property {number|null} remaining
+   * @property {boolean} available
+   */
+
+  /**
+   * Somewhere customers can collect an order instead of having it delivered:
+   * a delivery hub (CropCart HQ) or a participating farm.
+   * @typedef {Object} PickupLocation
+   * @property {string} id
+   * @property {"hub"|"farm"} type
+   * @property {string} name
+   * @property {string} address
+   * @property {string|null} hub_id
+   * @property {number|null} farm_id
+   * @property {string} [hours] - free-text opening hours
+   */
+
+  /**
+   * One geocoder match. `confidence` is 0..1 (null when the source gives no
+   * hint); address fields are filled when the source breaks them out.
+   * @typedef {Object} GeocodeResult
+   * @property {number} lat
+   * @property {number} lng
+   * @property {string} display_name
+   * @property {number|null} confidence
+   * @property {string} [precision]  - "address" | "street" | "postcode" | "city"
+   * @property {{ address_line1: string, city: string, state: string, postal_code: string, country: string }} address
+   */
+
+  /**
+   * @typedef {Object} CheckoutResponse
+   * @property {Order} order
+   * @property {string} client_secret      - Stripe PaymentIntent client secret
+   * @property {string} payment_intent_id
+   */
+
+  /* ==========================================================================
+   * NORMALIZERS
+   * ========================================================================== */
+
+  /**
+   * Accept a bare array or a paginated DRF body ({ results: [...] }).
+   * @param {any} data
+   * @returns {Array<any>}
+   */
+  function toList(data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.results)) return data.results;
+    return [];
+  }
+
+  /**
+   * @param {object} p
+   * @returns {Product}
+   */
+  function normalizeProduct(p) {
+    if (!p || typeof p !== "object") return p;
+    return {
+      ...p,
+      id: p.id ?? p.product_id ?? null,
+      category_display: p.category_display ?? p.category ?? null,
+      price: p.price ?? p.unit_price ?? null,
+      stock: p.stock ?? p.quantity ?? null,
+      farm_id: p.farm_id ?? p.farm?.id ?? null,
+      is_active: p.is_active ?? p.active ?? true,
+    };
+  }
+
+  /**
+   * @param {object} f
+   * @returns {Farm}
+   */
+  function normalizeFarm(f) {
+    if (!f || typeof f !== "object") return f;
+    const radius = Number(f.delivery_radius_miles);
+    return {
+      ...f,
+      id: f.id ?? f.farm_id ?? null,
+      name: f.farm_name ?? f.name ?? null,
+      delivery_radius_miles:
+        f.delivery_radius_miles != null && radius > 0 ? radius : null,
+    };
+  }
+
+  /**
+   * Favorites come back as ids, names or objects; objects gain a `farm_id`.
+   * Primitive entries are returned unchanged.
+   * @param {any} x
+   * @returns {any}
+   */
+  function normalizeFavorite(x) {
+    if (!x || typeof x !== "object") return x;
+    return {
+      ...x,
+      farm_id: x.farm_id ?? x.farm?.id ?? x.farm?.farm_id ?? x.id ?? null,
+      farm_name: x.farm_name ?? x.farm?.farm_name ?? x.farm?.name ?? null,
+    };
+  }
+
+  /**
+   * @param {object} o
+   * @returns {Order}
+   */
+  function normalizeOrder(o) {
+    if (!o || typeof o !== "object") return o;
+    const pickupLocation = normalizePickupLocation(o.pickup_location);
+    return {
+      ...o,
+      status_display: o.status_display ?? o.status ?? null,
+      fulfillment:
+        o.fulfillment === "pickup" || (!o.fulfillment && pickupLocation)
+          ? "pickup"
+          : "delivery",
+      delivery_window: normalizeDeliveryWindow(o.delivery_window),
+      pickup_location: pickupLocation,
+      pickup_window: normalizeDeliveryWindow(o.pickup_window),
+    };
+  }
+
+  /**
+   * Read an address from a user/profile/order object using either the
+   * current or the legacy field names.
+   * @param {object} a
+   * @returns {DeliveryAddress|null}
+   */
+  function normalizeAddress(a) {
+    if (!a || typeof a !== "object") return null;
+    const toCoord = (v) =>
+      v === null || v === undefined || v === "" || !Number.isFinite(Number(v))
+        ? null
+        : Number(v);
+    return {
+      preferred_delivery_address: String(
+        a.preferred_delivery_address || a.preferredDeliveryAddress || "",
+      ).trim(),
+      address_line1: String(a.address_line1 || a.street_address || "").trim(),
+      city: String(a.city || "").trim(),
+      state: String(a.state || "").trim(),
+      postal_code: String(a.postal_code || a.zip || "").trim(),
+      country: String(a.country || "US").trim(),
+      lat: toCoord(a.lat),
+      lng: toCoord(a.lng),
+    };
+  }
+
+  /**
+   * @param {object} a
+   * @returns {SavedAddress|null}
+   */
+  function normalizeSavedAddress(a) {
+    const base = normalizeAddress(a);
+    if (!base) return null;
+    const raw = a.geocode_confidence;
+    const confidence =
+      raw === null || raw === undefined || raw === "" ? NaN : Number(raw);
+    return {
+      ...base,
+      id: String(a.id ?? a.address_id ?? ""),
+      label: String(a.label || a.name || "").trim() || "Address",
+      is_default: Boolean(a.is_default ?? a.default ?? false),
+      geocode_confidence: Number.isFinite(confidence) ? confidence : null,
+      geocode_precision: a.geocode_precision || null,
+    };
+  }
+
+  /**
+   * @param {object} h
+   * @returns {DeliveryHub}
+   */
+  function normalizeDeliveryHub(h) {
+    if (!h || typeof h !== "object") return h;
+    const toNumber = (v) =>
+      v === null || v === undefined || v === "" || !Number.isFinite(Number(v))
+        ? null
+        : Number(v);
+    return {
+      ...h,
+      id: String(h.id ?? h.hub_id ?? h.name ?? ""),
+      name: String(h.name || "").trim(),
+      address: String(h.address || "").trim(),
+      lat: toNumber(h.lat),
+      lng: toNumber(h.lng ?? h.long ?? h.lon),
+      radius_miles: toNumber(h.radius_miles ?? h.delivery_range),
+      active: h.active ?? h.is_active ?? true,
+      effective_from: h.effective_from || null,
+      effective_until: h.effective_until || null,
+    };
+  }
+
+  /**
+   * Accept a GeoJSON FeatureCollection / Feature, or a list of Features or
+   * plain zone objects ({ name, mode, geometry }). Zones without a Polygon or
+   * MultiPolygon geometry are dropped.
+   * @param {any} data
+   * @returns {DeliveryZone[]}
+   */
+  function normalizeDeliveryZones(data) {
+    let items = [];
+    if (data?.type === "FeatureCollection") items = toList(data.features);
+    else if (data?.type === "Feature") items = [data];
+    else items = toList(data);
+
+    return items
+      .map((item, index) => {
+        const props = item?.type === "Feature" ? item.properties || {} : item;
+        const geometry = item?.geometry || null;
+        return {
+          ...props,
+          id: String(props?.id ?? item?.id ?? props?.name ?? `zone-${index}`),
+          name: String(props?.name || "").trim() || `Zone ${index + 1}`,
+          mode: props?.mode === "exclude" ? "exclude" : "include",
+          hub_id: props?.hub_id == null ? null : String(props.hub_id),
+          geometry,
+          active: props?.active ?? props?.is_active ?? true,
+          effective_from: props?.effective_from || null,
+          effective_until: props?.effective_until || null,
+        };
+      })
+      .filter((zone) =>
+        ["Polygon", "MultiPolygon"].includes(zone.geometry?.type),
+      );
+  }
+
+  /**
+   * Accept { hubs: [...], zones: ... } or a bare hub list.
+   * @param {any} data
+   * @returns {DeliverySettings}
+   */
+  function normalizeDeliverySettings(data) {
+    const hubs = Array.isArray(data) ? data : toList(data?.hubs);
+    return {
+      ...(Array.isArray(data) ? {} : data),
+      hubs: hubs.map(normalizeDeliveryHub),
+      zones: normalizeDeliveryZones(data?.zones),
+      updated_at: data?.updated_at ?? null,
+    };
+  }
+
+  /**
+   * Local "YYYY-MM-DD" date and "HH:MM" time for an ISO timestamp, so a UTC
+   * (or offset) value shows and sorts on the visitor's clock.
+   * @param {any} iso
+   * @returns {{ date: string, time: string }|null} null when it doesn't parse
+   */
+  function localDateTime(iso) {
+    if (!iso) return null;
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return null;
+
+    const pad = (n) => String(n).padStart(2, "0");
+    return {
+      date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+      time: `${pad(d.getHours())}:${pad(d.getMinutes())}`,
+    };
+  }
+
+  /**
+   * Accept { date, start, end } or { starts_at, ends_at } (ISO) windows, with
+   * `remaining` or `booked` against `capacity`. ISO values are read in local
+   * time. Windows without a date and times become null.
+   * @param {any} w
+   * @returns {DeliveryWindow|null}
+   */
+  function normalizeDeliveryWindow(w) {
+    if (!w || typeof w !== "object") return null;
+    const toNumber = (v) =>
+      v === null || v === undefined || v === "" || !Number.isFinite(Number(v))
+        ? null
+        : Number(v);
+
+    const startsAt = localDateTime(w.starts_at);
+    const endsAt = localDateTime(w.ends_at);
+    const date = String(w.date || "").slice(0, 10) || startsAt?.date || "";
+    const start =
+      String(w.start || w.start_time || "").slice(0, 5) || startsAt?.time || "";
+    const end =
+      String(w.end || w.end_time || "").slice(0, 5) || endsAt?.time || "";
+    if (!date || !start || !end) return null;
+
+    const capacity = toNumber(w.capacity);
+    const booked = toNumber(w.booked);
+    const remaining =
+      toNumber(w.remaining) ??
+      (capacity !== null && booked !== null
+        ? Math.max(0, capacity - booked)
+        : null);
+
+    return {
+      ...w,
+      id: String(w.id ?? w.window_id ?? `${w.hub_id ?? ""}-${date}-${start}`),
+      hub_id: w.hub_id == null ? null : String(w.hub_id),
+      date,
+      start,
+      end,
+      capacity,
+      remaining,
+      available: w.available ?? (remaining === null || remaining > 0),
+    };
+  }
+
+  /**
+   * @param {any} l
+   * @returns {PickupLocation|null}
+   */
+  function normalizePickupLocation(l) {
+    if (!l || typeof l !== "object") return null;
+    const farmId = l.farm_id ?? l.farm?.id ?? null;
+    return {
+      ...l,
+      id: String(l.id ?? l.location_id ?? ""),
+      type: l.type === "farm" || (!l.type && farmId != null) ? "farm" : "hub",
+      name: String(l.name || l.farm?.name || "").trim() || "Pickup point",
+      address: String(l.address || l.farm_location || "").trim(),
+      hub_id: l.hub_id == null ? null : String(l.hub_id),
+      farm_id: farmId == null ? null : Number(farmId),
+    };
+  }
+
+  /**
+   * Accept { lat, lng|lon, display_name|label, confidence, address } from the
+   * geocoding proxy. Matches without usable coordinates become null.
+   * @param {any} r
+   * @returns {GeocodeResult|null}
+   */
+  function normalizeGeocodeResult(r) {
+    if (!r || typeof r !== "object") return null;
+    const lat = Number(r.lat);
+    const lng = Number(r.lng ?? r.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const confidence = Number(r.confidence);
+    const a = r.address && typeof r.address === "object" ? r.address : {};
+    return {
+      ...r,
+      lat,
+      lng,
+      display_name: String(r.display_name || r.label || "").trim(),
+      confidence: Number.isFinite(confidence)
+        ? Math.min(1, Math.max(0, confidence))
+        : null,
+      precision: r.precision || null,
+      address: {
+        address_line1: String(a.address_line1 || a.street_address || "").trim(),
+        city: String(a.city || "").trim(),
+        state: String(a.state || "").trim(),
+        postal_code: String(a.postal_code || a.zip || "").trim(),
+        country: String(a.country || "US").trim(),
+      },
+    };
+  }
+
+  /**
+   * Run a request and, when it succeeds, pass its body through `normalize`.
+   * @param {Promise<ApiResult>} request
+   * @param {(data:any) => any} normalize
+   * @returns {Promise<ApiResult>}
+   */
+  async function withData(request, normalize) {
+    const res = await request;
+    return res.ok ? { ...res, data: normalize(res.data) } : res;
+  }
+
+  const listOf = (normalize) => (data) => toList(data).map(normalize);
+
+  /* ==========================================================================
+   * REQUEST HELPERS
+   * ========================================================================== */
+
+  const get = (path, options = {}) =>
+    CC.apiRequest(path, { ...options, method: "GET" });
+
+  const send = (method, path, body, options = {}) =>
+    CC.apiRequest(path, {
+      ...options,
+      method,
+      ...(body === undefined ? {} : { json: body }),
+    });
+
+  const sendForm = (method, path, form, options = {}) =>
+    CC.apiRequest(path, { ...options, method, form });
+
+  const id = (value) => encodeURIComponent(String(value));
+
+  // Send the session cookie too. Only the /farmer/* calls that farmer.js sent
+  // with credentials use this; the orders list, product create and logo
+  // upload never did and stay token-only.
+  const withCookies = (options = {}) => ({
+    credentials: "include",
+    ...options,
+  });
+
+  /**
+   * Build a "?a=1&b=2" query string, skipping empty values.
+   * @param {Record<string, any>} [params]
+   * @returns {string}
+   */
+  function query(params) {
+    const qs = new URLSearchParams();
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === "") return;
+      qs.set(key, String(value));
+    });
+    const s = qs.toString();
+    return s ? `?${s}` : "";
+  }
+
+  /* ==========================================================================
+   * ENDPOINTS
+   * ========================================================================== */
+
+  const auth = {
+    /** POST /api/auth/login/ -> { access, refresh, user } */
+    login: ({ username, password }, options) =>
+      send("POST", "/auth/login/", { username, password }, options),
+
+    /** POST /api/auth/login-provider/ (provider-only login; not wired to a page yet) */
+    loginProvider: ({ username, password }, options) =>
+      send("POST", "/auth/login-provider/", { username, password }, options),
+
+    /** POST /api/auth/register/ */
+    register: ({ username, email, password }, options) =>
+      send("POST", "/auth/register/", { username, email, password }, options),
+
+    /**
+     * POST /api/auth/register-provider/ (multipart; certificate upload)
+     * -> { registration_id }
+     * @param {object} form - plain object or FormData (see CC.apiRequest `form`)
+     */
+    registerProvider: (form, options) =>
+      sendForm("POST", "/auth/register-provider/", form, options),
+
+    /** GET /api/auth/registration-status/<id>/ -> { status, status_display, message } */
+    registrationStatus: (registrationId, options) =>
+      get(`/auth/registration-status/${id(registrationId)}/`, options),
+
+    /** POST /api/auth/password-reset/ */
+    passwordReset: (email, options) =>
+      send("POST", "/auth/password-reset/", { email }, options),
+
+    /** POST /api/auth/password-reset-confirm/<uid>/<token>/ */
+    passwordResetConfirm: (uid, token, newPassword, options) =>
+      send(
+        "POST",
+        `/auth/password-reset-confirm/${id(uid)}/${id(token)}/`,
+        { new_password: newPassword },
+        options,
+      ),
+
+    /** GET /api/auth/profile/ */
+    profile: (options) => get("/auth/profile/", options),
+
+    /** PUT /api/auth/profile/name/ */
+    updateName: ({ first_name, last_name }, options) =>
+      send("PUT", "/auth/profile/name/", { first_name, last_name }, options),
+
+    /**
+     * PUT /api/auth/profile/delivery-address/
+     * @param {DeliveryAddress} address
+     */
+    updateDeliveryAddress: (address, options) =>
+      send("PUT", "/auth/profile/delivery-address/", address, options),
+
+    addresses: {
+      /** GET /api/auth/addresses/ -> SavedAddress[] */
+      list: (options) =>
+        withData(get("/auth/addresses/", options), listOf(normalizeSavedAddress)),
+
+      /** POST /api/auth/addresses/ -> SavedAddress */
+      create: (address, options) =>
+        withData(
+          send("POST", "/auth/addresses/", address, options),
+          normalizeSavedAddress,
+        ),
+
+      /** PATCH /api/auth/addresses/<id>/ -> SavedAddress */
+      update: (addressId, patch, options) =>
+        withData(
+          send("PATCH", `/auth/addresses/${id(addressId)}/`, patch, options),
+          normalizeSavedAddress,
+        ),
+
+      /** DELETE /api/auth/addresses/<id>/ */
+      remove: (addressId, options) =>
+        send("DELETE", `/auth/addresses/${id(addressId)}/`, undefined, options),
+
+      /** POST /api/auth/addresses/<id>/default/ -> SavedAddress */
+      setDefault: (addressId, options) =>
+        withData(
+          send("POST", `/auth/addresses/${id(addressId)}/default/`, {}, options),
+          normalizeSavedAddress,
+        ),
+    },
+
+    /**
+     * POST /api/auth/change-email/
+     * NOTE: not in the API docs yet (best guess); a 404 means "unsupported".
+     */
+    changeEmail: ({ email, password }, options) =>
+      send("POST", "/auth/change-email/", { email, password }, options),
+
+    /**
+     * DELETE /api/auth/delete/
+     * NOTE: not in the API docs yet (best guess); a 404 means "unsupported".
+     */
+    deleteAccount: (options) =>
+      send("DELETE", "/auth/delete/", undefined, options),
+  };
+
+  const products = {
+    /**
+     * GET /api/products/
+     * @returns {Promise<ApiResult>} data: Product[]
+     */
+    list: (params, options) =>
+      withData(
+        get(`/products/${query(params)}`, options),
+        listOf(normalizeProduct),
+      ),
+  };
+
+  const farms = {
+    /**
+     * GET /farms/ (root-relative)
+     * @returns {Promise<ApiResult>} data: Farm[]
+     */
+    list: (options) => withData(get("/farms/", options), listOf(normalizeFarm)),
+  };
+
+  const cart = {
+    /** GET /api/cart/ -> Cart */
+    get: (options) => get("/cart/", options),
+
+    /** POST /api/cart/add/ */
+    add: (productId, quantity, options) =>
+      send(
+        "POST",
+        "/cart/add/",
+        { product_id: Number(productId), quantity: Number(quantity) },
+        options,
+      ),
+
+    /** PATCH /api/cart/update/<item_id>/ */
+    update: (itemId, quantity, options) =>
+      send(
+        "PATCH",
+        `/cart/update/${id(itemId)}/`,
+        { quantity: Number(quantity) },
+        options,
+      ),
+
+    /** DELETE /api/cart/remove/<item_id>/ */
+    remove: (itemId, options) =>
+      send("DELETE", `/cart/remove/${id(itemId)}/`, undefined, options),
+  };
+
+  const orders = {
+    /** GET /api/orders/ -> Order[] */
+    list: (params, options) =>
+      withData(get(`/orders/${query(params)}`, options), listOf(normalizeOrder)),
+
+    /** GET /api/orders/history/ -> { summary, orders } (or Order[]) */
+    history: (params, options) =>
+      withData(get(`/orders/history/${query(params)}`, options), (data) =>
+        Array.isArray(data)
+          ? data.map(normalizeOrder)
+          : { ...data, orders: toList(data?.orders).map(normalizeOrder) },
+      ),
+
+    /**
+     * POST /api/orders/checkout/
+     * @returns {Promise<ApiResult>} data: CheckoutResponse
+     */
+    checkout: (payload, options) =>
+      send("POST", "/orders/checkout/", payload, options),
+
+    /** POST /api/orders/<id>/confirm/ (after Stripe payment succeeds) */
+    confirm: (orderId, paymentIntentId, options) =>
+      send(
+        "POST",
+        `/orders/${id(orderId)}/confirm/`,
+        { payment_intent_id: paymentIntentId },
+        options,
+      ),
+  };
+
+  const favorites = {
+    /** GET /api/favorites/ -> favorite farms (ids, names or objects) */
+    list: (options) =>
+      withData(get("/favorites/", options), listOf(normalizeFavorite)),
+
+    /** POST /api/favorites/add/ */
+    add: (farmId, options) =>
+      send("POST", "/favorites/add/", { farm_id: Number(farmId) }, options),
+
+    /** DELETE /api/favorites/<farm_id>/ (POST fallback if DELETE is disallowed) */
+    remove: async (farmId, options) => {
+      const path = `/favorites/${id(Number(farmId))}/`;
+      const res = await send("DELETE", path, undefined, options);
+      return res.status === 405 ? send("POST", path, undefined, options) : res;
+    },
+  };
+
+  const delivery = {
+    /** GET /api/delivery/settings/ -> DeliverySettings (hubs, zones, scheduled changes) */
+    settings: (options) =>
+      withData(get("/delivery/settings/", options), normalizeDeliverySettings),
+
+    /**
+     * GET /api/delivery/windows/?hub_id=&from=&days= -> DeliveryWindow[]
+     * (404 when the API doesn't schedule deliveries)
+     */
+    windows: (params, options) =>
+      withData(get(`/delivery/windows/${query(params)}`, options), (data) =>
+        toList(data).map(normalizeDeliveryWindow).filter(Boolean),
+      ),
+
+    /** GET /api/delivery/geocode/?q=&limit= -> GeocodeResult[] (server-side geocoding proxy) */
+    geocode: (params, options) =>
+      withData(get(`/delivery/geocode/${query(params)}`, options), (data) =>
+        toList(data).map(normalizeGeocodeResult).filter(Boolean),
+      ),
+
+    /** GET /api/delivery/geocode/reverse/?lat=&lng= -> GeocodeResult (404 when nothing is near) */
+    reverseGeocode: (params, options) =>
+      withData(
+        get(`/delivery/geocode/reverse/${query(params)}`, options),
+        normalizeGeocodeResult,
+      ),
+  };
+
+  const pickup = {
+    /** GET /api/pickup/locations/ -> PickupLocation[] (404 when pickup isn't offered) */
+    locations: (options) =>
+      withData(get("/pickup/locations/", options), (data) =>
+        toList(data).map(normalizePickupLocation).filter(Boolean),
+      ),
+
+    /** GET /api/pickup/windows/?location_id=&days= -> DeliveryWindow[] (pickup times) */
+    windows: (params, options) =>
+      withData(get(`/pickup/windows/${query(params)}`, options), (data) =>
+        toList(data).map(normalizeDeliveryWindow).filter(Boolean),
+      ),
+  };
+
+  const farmer = {
+    /** GET /farmer/inventory/ -> Product[] */
+    inventory: (options) =>
+      withData(
+        get("/farmer/inventory/", withCookies(options)),
+        listOf(normalizeProduct),
+      ),
+
+    /** GET /farmer/orders/ -> Order[] */
+    orders: (options) =>
+      withData(get("/farmer/orders/", options), listOf(normalizeOrder)),
+
+    /** PUT /farmer/orders/<id>/confirm/ -> { message, all_farms_confirmed } */
+    confirmOrder: (orderId, options) =>
+      send(
+        "PUT",
+        `/farmer/orders/${id(orderId)}/confirm/`,
+        undefined,
+        withCookies(options),
+      ),
+
+    products: {
+      /** POST /farmer/products/ (multipart; optional photo) */
+      create: (form, options) =>
+        sendForm("POST", "/farmer/products/", form, options),
+
+      /** PATCH /farmer/products/<id>/ */
+      update: (productId, patch, options) =>
+        send(
+          "PATCH",
+          `/farmer/products/${id(productId)}/`,
+          patch,
+          withCookies(options),
+        ),
+
+      /** DELETE /farmer/products/<id>/delete/ */
+      remove: (productId, options) =>
+        send(
+          "DELETE",
+          `/farmer/products/${id(productId)}/delete/`,
+          undefined,
+          withCookies(options),
+        ),
+    },
+
+    farm: {
+      /** PUT /farmer/farm/logo/ (multipart) */
+      uploadLogo: (file, options) =>
+        sendForm("PUT", "/farmer/farm/logo/", { logo: file }, options),
+    },
+
+    stripe: {
+      /** GET /farmer/stripe/account/ -> { connected, payouts_enabled, ... } */
+      status: (options) =>
+        get("/farmer/stripe/account/", withCookies(options)),
+
+      /** POST /farmer/stripe/account -> { url, stripe_account_id } */
+      connect: (options) =>
+        send("POST", "/farmer/stripe/account", {}, withCookies(options)),
+
+      /** GET /farmer/stripe/dashboard/ -> { url } */
+      dashboard: (options) =>
+        get("/farmer/stripe/dashboard/", withCookies(options)),
+
+      /** GET /farmer/stripe/return/ (after onboarding) */
+      returnStatus: (options) =>
+        get("/farmer/stripe/return/", withCookies(options)),
+
+      /** GET /farmer/stripe/refresh/ (onboarding link expired) */
+      refreshStatus: (options) =>
+        get("/farmer/stripe/refresh/", withCookies(options)),
+    },
+  };
+
+  /* ==========================================================================
+   * EXPORT
+   * ========================================================================== */
+
+  CC.api = {
+    auth,
+    products,
+    farms,
+    cart,
+    orders,
+    favorites,
+    delivery,
+    pickup,
+    farmer,
+
+    normalize: {
+      list: toList,
+      product: normalizeProduct,
+      farm: normalizeFarm,
+      favorite: normalizeFavorite,
+      order: normalizeOrder,
+      address: normalizeAddress,
+      savedAddress: normalizeSavedAddress,
+      deliveryHub: normalizeDeliveryHub,
+      deliveryZones: normalizeDeliveryZones,
+      deliverySettings: normalizeDeliverySettings,
+      geocodeResult: normalizeGeocodeResult,
+      deliveryWindow: normalizeDeliveryWindow,
+      pickupLocation: normalizePickupLocation,
+    },
+  };
+})();
@@ -9,6 +9,7 @@
  * Requires:
  * - config.js (defines window.__CROPCART_CONFIG__)
  * - utils.js  (defines window.CC)
+ * - api.js    (defines CC.api route registry)
  *
  * What this file does:
  * - Renders auth dropdown/login link into #authNav
@@ -32,19 +33,26 @@
   }
 
   /* ==========================================================================
-   * API ROUTES (from your server API help)
+   * FORM FIELD MAPS (API routes live in api.js -> CC.api.auth)
    * ========================================================================== */
 
-  const LOGIN_PATH = "/auth/login/";
-  const REGISTER_PATH = "/auth/register/";
-  const PASSWORD_RESET_REQUEST_PATH = "/auth/password-reset/";
-  const PASSWORD_RESET_CONFIRM_BASE = "/auth/password-reset-confirm/";
-  const PROVIDER_REGISTER_PATH = "/auth/register-provider/";
-  const PROVIDER_REG_STATUS_BASE = "/auth/registration-status/";
-
-  // Farmer auth endpoints (kept for later; preserved from source)
-  const FARMER_LOGIN_PATH = "/auth/login-provider/";
-  const FARMER_REGISTER_PATH = "/auth/register-provider/";
+  // Provider registration field -> input id (server validation errors)
+  const PROVIDER_FIELD_MAP = {
+    username: "providerUsername",
+    email: "providerEmail",
+    password: "providerPassword",
+    farm_name: "farmName",
+    farm_description: "farmDescription",
+    farm_location: "farmLocation",
+    phone: "providerPhone",
+    certificate: "certificateFile",
+  };
+
+  const RESET_CONFIRM_FIELD_MAP = {
+    uid: "resetUid",
+    token: "resetToken",
+    new_password: "newPassword",
+  };
 
   /* ==========================================================================
    * NAVBAR AUTH UI
@@ -111,23 +119,15 @@
       }
 
       CC.setStatus(statusEl, "Signing you in…", "muted");
+      CC.clearFieldErrors(form);
       if (loginBtn) loginBtn.disabled = true;
 
       try {
-        const parsed = await CC.apiRequest(LOGIN_PATH, {
-          method: "POST",
-          json: { username, password },
-        });
+        const parsed = await CC.api.auth.login({ username, password });
 
         if (!parsed.ok) {
-          const msg =
-            parsed.data?.detail ||
-            parsed.data?.error ||
-            parsed.data?.message ||
-            (parsed.raw
-              ? `Server error: ${parsed.raw}`
-              : `Login failed (HTTP ${parsed.status}).`);
-          CC.setStatus(statusEl, msg, "danger");
+          CC.showFieldErrors(form, parsed.error.fieldErrors);
+          CC.setStatus(statusEl, parsed.error.message, "danger");
           return;
         }
 
@@ -201,25 +201,19 @@
       }
 
       CC.setStatus(statusEl, "Creating account…", "muted");
+      CC.clearFieldErrors(form);
       if (registerBtn) registerBtn.disabled = true;
 
       try {
-        const parsed = await CC.apiRequest(REGISTER_PATH, {
-          method: "POST",
-          json: { username, email, password },
+        const parsed = await CC.api.auth.register({
+          username,
+          email,
+          password,
         });
 
         if (!parsed.ok) {
-          const msg =
-            CC.formatFieldErrors(parsed.data) ||
-            parsed.data?.detail ||
-            parsed.data?.error ||
-            parsed.data?.message ||
-            (parsed.raw
-              ? `Server error: ${parsed.raw}`
-              : `Registration failed (HTTP ${parsed.status}).`);
-
-          CC.setStatus(statusEl, msg, "danger");
+          CC.showFieldErrors(form, parsed.error.fieldErrors);
+          CC.setStatus(statusEl, parsed.error.message, "danger");
           return;
         }
 
@@ -330,52 +324,30 @@
       }
 
       CC.setStatus(statusEl, "Submitting your application…", "muted");
+      CC.clearFieldErrors(form);
       if (btn) btn.disabled = true;
 
       try {
-        const formData = new FormData();
-
-        formData.append("username", username);
-        formData.append("email", email);
-        formData.append("password", password);
-        formData.append("farm_name", farm_name);
-
-        if (farm_description)
-          formData.append("farm_description", farm_description);
-        if (farm_location) formData.append("farm_location", farm_location);
-        if (phone) formData.append("phone", phone);
-
-        formData.append(
-          "sells_certified_goods",
-          sells_certified_goods ? "true" : "false",
-        );
-
-        if (certificateFile) {
-          formData.append("certificate", certificateFile);
-        }
-
-        const res = await fetch(CC.buildApiUrl(PROVIDER_REGISTER_PATH), {
-          method: "POST",
-          headers: {
-            ...CC.auth.authHeader?.(),
-            Accept: "application/json",
-          },
-          body: formData,
+        // Empty optional fields are sent as null so they are left out of the form.
+        const parsed = await CC.api.auth.registerProvider({
+          username,
+          email,
+          password,
+          farm_name,
+          farm_description: farm_description || null,
+          farm_location: farm_location || null,
+          phone: phone || null,
+          sells_certified_goods,
+          certificate: certificateFile,
         });
 
-        const parsed = await CC.readResponse(res);
-
         if (!parsed.ok) {
-          const msg =
-            CC.formatFieldErrors(parsed.data) ||
-            parsed.data?.detail ||
-            parsed.data?.error ||
-            parsed.data?.message ||
-            (parsed.raw
-              ? `Server error: ${parsed.raw}`
-              : `Registration failed (HTTP ${parsed.status}).`);
-
-          CC.setStatus(statusEl, msg, "danger");
+          CC.showFieldErrors(
+            form,
+            parsed.error.fieldErrors,
+            PROVIDER_FIELD_MAP,
+          );
+          CC.setStatus(statusEl, parsed.error.message, "danger");
           return;
         }
 
@@ -436,21 +408,10 @@
       CC.setStatus(resultEl, "Checking…", "muted");
 
       try {
-        const parsed = await CC.apiRequest(
-          `${PROVIDER_REG_STATUS_BASE}${idNum}/`,
-          { method: "GET" },
-        );
+        const parsed = await CC.api.auth.registrationStatus(idNum);
 
         if (!parsed.ok) {
-          const msg =
-            parsed.data?.error ||
-            parsed.data?.detail ||
-            parsed.data?.message ||
-            (parsed.raw
-              ? `Server error: ${parsed.raw}`
-              : `Status lookup failed (HTTP ${parsed.status}).`);
-
-          CC.setStatus(resultEl, msg, "danger");
+          CC.setStatus(resultEl, parsed.error.message, "danger");
           return;
         }
 
@@ -496,23 +457,16 @@
 
       btn && (btn.disabled = true);
       CC.setStatus(statusEl, "Sending reset email…", "muted");
+      CC.clearFieldErrors(form);
 
       try {
-        const res = await CC.apiRequest(PASSWORD_RESET_REQUEST_PATH, {
-          method: "POST",
-          json: { email },
-        });
-
-        const msg =
-          res.data?.message ||
-          "If that email exists, a reset link has been sent.";
+        const res = await CC.api.auth.passwordReset(email);
 
         if (!res.ok) {
-          CC.setStatus(
-            statusEl,
-            res.data?.error || res.data?.detail || msg,
-            "danger",
-          );
+          CC.showFieldErrors(form, res.error.fieldErrors, {
+            email: "resetEmail",
+          });
+          CC.setStatus(statusEl, res.error.message, "danger");
           return;
         }
 
@@ -572,24 +526,22 @@
 
       btn && (btn.disabled = true);
       CC.setStatus(statusEl, "Setting new password…", "muted");
+      CC.clearFieldErrors(form);
 
       try {
-        const endpoint = `${PASSWORD_RESET_CONFIRM_BASE}${encodeURIComponent(uid)}/${encodeURIComponent(token)}/`;
-
-        const res = await CC.apiRequest(endpoint, {
-          method: "POST",
-          json: { new_password: newPassword },
-        });
+        const res = await CC.api.auth.passwordResetConfirm(
+          uid,
+          token,
+          newPassword,
+        );
 
         if (!res.ok) {
-          CC.setStatus(
-            statusEl,
-            res.data?.error ||
-              res.data?.detail ||
-              res.raw ||
-              "Password reset failed.",
-            "danger",
+          CC.showFieldErrors(
+            form,
+            res.error.fieldErrors,
+            RESET_CONFIRM_FIELD_MAP,
           );
+          CC.setStatus(statusEl, res.error.message, "danger");
           return;
         }
 
@@ -7,6 +7,10 @@
  * - PATCH  /api/cart/update/<id>/
  * - DELETE /api/cart/remove/<id>/
  *
+ * Items whose farm can't deliver to the saved address (or checked location)
+ * are listed apart from the rest: hub range, or the farm's own radius when
+ * it delivers its own orders (GET /api/farms/ for coordinates + radius).
+ *
  * Requires:
  * - config.js + utils.js (window.CC)
  * - auth.js (for navbar rendering)
@@ -25,11 +29,13 @@
   const tableBodyEl = document.getElementById("cartTableBody");
   const subtotalEl = document.getElementById("cartSubtotal");
   const totalEl = document.getElementById("cartTotal");
+  const deliveryFeeEl = document.getElementById("cartDeliveryFee");
   const statusEl = document.getElementById("pageStatus");
 
   const clearBtn = document.getElementById("clearCartBtn");
   const goCheckoutBtn = document.getElementById("goCheckoutBtn");
   const cartDeliveryWarningEl = document.getElementById("cartDeliveryWarning");
+  const cartLocationCheckBtn = document.getElementById("cartLocationCheckBtn");
 
   //Global Helper Variables
   const delivery = CC?.delivery || null;
@@ -45,6 +51,17 @@
   // { id, user, items: [{ id, product: { id, name, price }, quantity, subtotal }], total }
   let cart = null;
 
+  // Farm records by id (coordinates + own delivery radius)
+  let farmsById = new Map();
+
+  // Product records by id, only loaded when a cart item lacks farm_id
+  let productsById = new Map();
+
+  // cart item id -> CC.delivery.checkCartCoverage() for the address being
+  // checked
+  let itemCoverageById = new Map();
+  let coverageLabel = "";
+
   // ===========================================================================
   // AUTH / ERROR HANDLING
   // ===========================================================================
@@ -68,19 +85,60 @@
   async function fetchCart() {
     CC.setStatus(statusEl, "Loading your cart…", "muted");
 
-    const res = await CC.apiRequest("/cart/", { method: "GET" });
+    const res = await CC.api.cart.get();
     if (res.status === 401) return handleUnauthorized();
 
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`,
-      );
+      throw CC.errorFromResponse(res);
     }
 
     cart = res.data;
     return cart;
   }
 
+  /**
+   * Load farm records once; without them every item is treated as going
+   * through the hubs.
+   */
+  async function fetchFarms() {
+    const res = await CC.api.farms.list();
+    if (!res.ok) {
+      console.warn("cart: farms unavailable for delivery checks.", res.error);
+      return;
+    }
+
+    farmsById = new Map(
+      res.data
+        .filter((f) => Number.isFinite(Number(f?.id)))
+        .map((f) => [Number(f.id), f])
+    );
+  }
+
+  /**
+   * Carts don't have to include farm_id. When an item lacks it, load the
+   * product list once so the item's farm can be looked up from its product.
+   */
+  async function fetchItemProducts() {
+    const missing = (cart?.items || []).some(
+      (item) =>
+        item.farm_id == null &&
+        !productsById.has(Number(item.product_id ?? item.product?.id))
+    );
+    if (!missing) return;
+
+    const res = await CC.api.products.list();
+    if (!res.ok) {
+      console.warn("cart: products unavailable for farm lookup.", res.error);
+      return;
+    }
+
+    productsById = new Map(
+      res.data
+        .filter((p) => Number.isFinite(Number(p?.id)))
+        .map((p) => [Number(p.id), p])
+    );
+  }
+
   // ===========================================================================
   // LOCAL HELPERS (kept as in source)
   // ===========================================================================
@@ -152,6 +210,15 @@
   }
 
   function getBestCartAddress() {
+    const bookDefault = CC.addressBook?.getDefault() || null;
+    if (
+      bookDefault &&
+      Number.isFinite(Number(bookDefault.lat)) &&
+      Number.isFinite(Number(bookDefault.lng))
+    ) {
+      return { source: "book", address: bookDefault };
+    }
+
     const authAddr = getAddressFromAuth(CC.auth.getAuth?.() || null);
     const localAddr = getJson(localStorage, LOCAL_ADDRESS_KEY, null);
     const tempCheckoutAddr = getJson(sessionStorage, TEMP_CHECKOUT_ADDRESS_KEY, null);
@@ -187,7 +254,12 @@
     return { source: null, address: null };
   }
 
-  function setCartDeliveryWarning(text, kind = "muted") {
+  /**
+   * @param {string} text
+   * @param {"success"|"danger"|"warning"|"muted"} [kind]
+   * @param {string[]} [synthetic] - test-data fields behind the estimate
+   */
+  function setCartDeliveryWarning(text, kind = "muted", synthetic = []) {
     if (!cartDeliveryWarningEl) return;
 
     cartDeliveryWarningEl.textContent = text || "";
@@ -200,11 +272,89 @@
           : kind === "warning"
             ? "text-warning"
             : "text-muted");
+    delivery?.markTestData(cartDeliveryWarningEl, synthetic);
+  }
+
+  /**
+   * Show the estimated delivery fee (or the checkout placeholder when there
+   * is no quote) and keep the total in step with it.
+   */
+  function renderCartDeliveryFee(quote = null) {
+    const subtotal = Number(cart?.total_price) || 0;
+
+    if (deliveryFeeEl) {
+      deliveryFeeEl.textContent = !quote
+        ? "Calculated at checkout"
+        : quote.isFree
+          ? "Free"
+          : formatMoney(quote.amount);
+      deliveryFeeEl.className = quote ? "" : "text-muted";
+    }
+
+    if (totalEl) totalEl.textContent = formatMoney(subtotal + (quote?.amount || 0));
+  }
+
+  /**
+   * Check every farm in the cart against one point. `label` names the point
+   * in the table ("your saved account address", "your location").
+   */
+  function applyFarmCoverage(lat, lng, coverage, label) {
+    itemCoverageById = new Map();
+    coverageLabel = label;
+    if (!delivery?.checkCartCoverage) return;
+
+    itemCoverageById = delivery.checkCartCoverage(
+      cart?.items,
+      lat,
+      lng,
+      coverage,
+      { farmsById, productsById }
+    );
+  }
+
+  function itemFarmCoverage(item) {
+    return itemCoverageById.get(item?.id) || null;
+  }
+
+  function undeliverableItems() {
+    return (cart?.items || []).filter(
+      (item) => itemFarmCoverage(item)?.canServe === false
+    );
+  }
+
+  /** Items whose farm (or its location) couldn't be checked. */
+  function unknownCoverageItems() {
+    return (cart?.items || []).filter(
+      (item) => itemFarmCoverage(item)?.canServe === null
+    );
+  }
+
+  /**
+   * " 2 of 5 items can't be delivered there …" plus a note for items whose
+   * coverage is unknown ("" when every item can be delivered).
+   */
+  function describeUndeliverable() {
+    const blocked = undeliverableItems().length;
+    const unknown = unknownCoverageItems().length;
+    const total = (cart?.items || []).length;
+    const of = `of ${total} item${total === 1 ? "" : "s"}`;
+
+    const blockedNote = blocked
+      ? ` ${blocked} ${of} can't be delivered there (listed separately). Remove ${blocked === 1 ? "it" : "them"} or choose pickup at checkout.`
+      : "";
+    const unknownNote = unknown
+      ? ` Delivery coverage is unknown for ${unknown} ${of}.`
+      : "";
+    return blockedNote + unknownNote;
   }
 
   function refreshCartDeliveryWarning() {
+    itemCoverageById = new Map();
+    coverageLabel = "";
     if (!cartDeliveryWarningEl) return;
 
+    renderCartDeliveryFee(null);
+
     const items = Array.isArray(cart?.items) ? cart.items : [];
     if (!items.length) {
       setCartDeliveryWarning("");
@@ -219,10 +369,10 @@
       return;
     }
 
-    const hqCheck = delivery.validateHq(delivery.getDeliveryConfig());
-    if (!hqCheck?.ok) {
+    const hubCheck = delivery.validateHubs();
+    if (!hubCheck?.ok) {
       setCartDeliveryWarning(
-        "Delivery status preview is unavailable because HQ settings are missing.",
+        "Delivery status preview is unavailable because delivery hub settings are missing.",
         "warning"
       );
       return;
@@ -238,7 +388,8 @@
       return;
     }
 
-    const customerCheck = delivery.validateCustomer(address);
+    // Warning only (checkout decides); placeholders are marked as test data
+    const customerCheck = delivery.validateCustomer(address, { strict: false });
 
     if (!customerCheck?.ok) {
       setCartDeliveryWarning(
@@ -248,38 +399,106 @@
       return;
     }
 
-    const distanceMiles = delivery.milesBetween(
-      hqCheck.hq.lat,
-      hqCheck.hq.lng,
+    const coverage = delivery.findServingHub(
       customerCheck.customer.lat,
-      customerCheck.customer.lng
+      customerCheck.customer.lng,
+      hubCheck.hubs
     );
-
-    const inRange = distanceMiles <= hqCheck.hq.deliveryRange;
+    const coverageText = delivery.describeCoverage(coverage);
 
     const sourceLabel =
-      source === "account"
-        ? "saved account address"
-        : source === "device"
-          ? "saved device address"
-          : source === "checkout"
-            ? "most recent checkout address"
-            : "saved address";
-
-    if (inRange) {
+      source === "book"
+        ? `default "${address.label}" address`
+        : source === "account"
+          ? "saved account address"
+          : source === "device"
+            ? "saved device address"
+            : source === "checkout"
+              ? "most recent checkout address"
+              : "saved address";
+
+    const { synthetic } = customerCheck;
+    const testNote = synthetic.length
+      ? ` ${delivery.describeTestData(synthetic)}`
+      : "";
+
+    applyFarmCoverage(
+      customerCheck.customer.lat,
+      customerCheck.customer.lng,
+      coverage,
+      `your ${sourceLabel}`
+    );
+    const splitNote = describeUndeliverable();
+
+    if (coverage.inRange) {
+      const quote = delivery.quoteDeliveryFee(coverage.distanceMiles, {
+        subtotal: cart?.total_price,
+        hub: coverage.hub,
+      });
+      renderCartDeliveryFee(quote);
+
       setCartDeliveryWarning(
-        `Estimated deliverable based on your ${sourceLabel}. Current distance from HQ: ${distanceMiles.toFixed(2)} miles. You can still change the address during checkout.`,
-        "success"
+        `Estimated deliverable based on your ${sourceLabel}: ${coverageText}. ${delivery.describeDeliveryFee(quote)}${splitNote} You can still change the address during checkout.${testNote}`,
+        synthetic.length || splitNote ? "warning" : "success",
+        synthetic
       );
       return;
     }
 
     setCartDeliveryWarning(
-      `Warning: your ${sourceLabel} is currently outside the delivery radius (${distanceMiles.toFixed(2)} miles from HQ). You can still continue to checkout and change the address there.`,
-      "danger"
+      `Warning: your ${sourceLabel} is currently outside our delivery area (${coverageText}).${splitNote} You can still continue to checkout and change the address there, or pick up your order at HQ or a participating farm.${testNote}`,
+      "danger",
+      synthetic
     );
   }
 
+  /**
+   * Range/fee estimate from the browser location instead of a saved address
+   * (no address needed, so it works before one is geocoded).
+   */
+  function bindCartLocationCheck() {
+    if (!cartLocationCheckBtn) return;
+    if (!delivery?.checkCurrentLocation) {
+      cartLocationCheckBtn.classList.add("d-none");
+      return;
+    }
+
+    cartLocationCheckBtn.addEventListener("click", async () => {
+      cartLocationCheckBtn.disabled = true;
+      setCartDeliveryWarning("Finding your location…", "muted");
+
+      try {
+        const result = await delivery.checkCurrentLocation();
+        const { text, kind } = delivery.describeLocationCheck(result);
+        const { coverage, position } = result;
+
+        applyFarmCoverage(position.lat, position.lng, coverage, "your location");
+        renderCartRows();
+        const splitNote = describeUndeliverable();
+
+        if (!coverage.inRange) {
+          renderCartDeliveryFee(null);
+          setCartDeliveryWarning(text + splitNote, kind);
+          return;
+        }
+
+        const quote = delivery.quoteDeliveryFee(coverage.distanceMiles, {
+          subtotal: cart?.total_price,
+          hub: coverage.hub,
+        });
+        renderCartDeliveryFee(quote);
+        setCartDeliveryWarning(
+          `${text} ${delivery.describeDeliveryFee(quote)}${splitNote}`,
+          kind === "success" && splitNote ? "warning" : kind
+        );
+      } catch (err) {
+        setCartDeliveryWarning(err?.message || String(err), "danger");
+      } finally {
+        cartLocationCheckBtn.disabled = false;
+      }
+    });
+  }
+
   // ===========================================================================
   // GUEST CART RENDER (pre-login cart)
   // ===========================================================================
@@ -411,16 +630,11 @@
   async function updateItemQty(itemId, newQty) {
     const safeQty = Math.max(1, Number(newQty) || 1);
 
-    const res = await CC.apiRequest(`/cart/update/${itemId}/`, {
-      method: "PATCH",
-      json: { quantity: safeQty },
-    });
+    const res = await CC.api.cart.update(itemId, safeQty);
 
     if (res.status === 401) return handleUnauthorized();
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`,
-      );
+      throw CC.errorFromResponse(res);
     }
 
     // After update, re-fetch cart so totals stay authoritative from DB
@@ -432,15 +646,11 @@
    * @param {number} itemId - cart item id
    */
   async function removeItem(itemId) {
-    const res = await CC.apiRequest(`/cart/remove/${itemId}/`, {
-      method: "DELETE",
-    });
+    const res = await CC.api.cart.remove(itemId);
 
     if (res.status === 401) return handleUnauthorized();
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`,
-      );
+      throw CC.errorFromResponse(res);
     }
 
     await refresh();
@@ -452,15 +662,11 @@
    * @param {number} itemId - cart item id
    */
   async function removeItemNoRefresh(itemId) {
-    const res = await CC.apiRequest(`/cart/remove/${itemId}/`, {
-      method: "DELETE",
-    });
+    const res = await CC.api.cart.remove(itemId);
 
     if (res.status === 401) return handleUnauthorized();
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`,
-      );
+      throw CC.errorFromResponse(res);
     }
   }
 
@@ -518,52 +724,100 @@
       return;
     }
 
-    tableBodyEl.innerHTML = items
-      .map((item) => {
-        const name = item.product_name || "Item";
-        const price = Number(item.product_price) || 0;
-        const qty = Number(item.quantity) || 1;
-        const line = Number(item.subtotal) || price * qty;
-
-        return `
-          <tr>
-            <td class="px-3">
-              <div class="fw-semibold">${name}</div>
-            </td>
-
-            <td>${formatMoney(price)}</td>
-
-            <td>
-              <input
-                class="form-control form-control-sm"
-                type="number"
-                min="1"
-                step="1"
-                value="${qty}"
-                data-qty-input="${item.id}"
-              />
-            </td>
-
-            <td>${formatMoney(line)}</td>
-
-            <td class="text-end px-3">
-              <button
-                class="btn btn-sm btn-outline-danger"
-                type="button"
-                data-remove-btn="${item.id}"
-              >
-                Remove
-              </button>
-            </td>
-          </tr>
-        `;
-      })
-      .join("");
-    
     // Totals from API
     subtotalEl.textContent = formatMoney(cart?.total_price || 0);
     totalEl.textContent = formatMoney(cart?.total_price || 0);
 
+    // Checks each farm against the address, so rows can be grouped by it
+    refreshCartDeliveryWarning();
+    renderCartRows();
+    CC.setStatus(statusEl, "", "muted");
+  }
+
+  function groupHeaderRow(text, count, kind) {
+    return `
+      <tr class="table-light">
+        <td colspan="5" class="px-3 small fw-semibold text-${kind}">
+          ${CC.escapeHtml(text)} (${count})
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Item rows. Once farms are checked against an address, items that can't
+   * be delivered there get their own group with the reason.
+   */
+  function renderCartRows() {
+    const items = Array.isArray(cart?.items) ? cart.items : [];
+    if (!tableBodyEl || !items.length) return;
+
+    const rowHtml = (item) => {
+      const name = item.product_name || "Item";
+      const price = Number(item.product_price) || 0;
+      const qty = Number(item.quantity) || 1;
+      const line = Number(item.subtotal) || price * qty;
+      const farmCoverage = itemFarmCoverage(item);
+
+      return `
+        <tr>
+          <td class="px-3">
+            <div class="fw-semibold">${name}</div>
+            ${item.farm_name ? `<div class="small text-muted">${CC.escapeHtml(item.farm_name)}</div>` : ""}
+            ${farmCoverage?.canServe === false ? `<div class="small text-danger">${CC.escapeHtml(delivery.describeFarmCoverage(farmCoverage))}.</div>` : ""}
+            ${farmCoverage?.canServe === null ? `<div class="small text-warning">${CC.escapeHtml(delivery.describeFarmCoverage(farmCoverage))}.</div>` : ""}
+          </td>
+
+          <td>${formatMoney(price)}</td>
+
+          <td>
+            <input
+              class="form-control form-control-sm"
+              type="number"
+              min="1"
+              step="1"
+              value="${qty}"
+              data-qty-input="${item.id}"
+            />
+          </td>
+
+          <td>${formatMoney(line)}</td>
+
+          <td class="text-end px-3">
+            <button
+              class="btn btn-sm btn-outline-danger"
+              type="button"
+              data-remove-btn="${item.id}"
+            >
+              Remove
+            </button>
+          </td>
+        </tr>
+      `;
+    };
+
+    const blocked = undeliverableItems();
+    const deliverable = items.filter((item) => !blocked.includes(item));
+
+    tableBodyEl.innerHTML = !blocked.length
+      ? items.map(rowHtml).join("")
+      : [
+          deliverable.length
+            ? groupHeaderRow(
+                `Can be delivered to ${coverageLabel}`,
+                deliverable.length,
+                "success"
+              )
+            : "",
+          ...deliverable.map(rowHtml),
+          groupHeaderRow(
+            `Can't be delivered to ${coverageLabel}`,
+            blocked.length,
+            "danger"
+          ),
+          ...blocked.map(rowHtml),
+        ].join("");
+
     // Wire qty inputs
     tableBodyEl.querySelectorAll("[data-qty-input]").forEach((inp) => {
       inp.addEventListener("change", async () => {
@@ -587,9 +841,6 @@
         }
       });
     });
-
-    refreshCartDeliveryWarning();
-    CC.setStatus(statusEl, "", "muted");
   }
 
   // ===========================================================================
@@ -598,6 +849,7 @@
 
   async function refresh() {
     await fetchCart();
+    await fetchItemProducts();
     renderCart();
   }
 
@@ -648,6 +900,10 @@
     if (CC.auth.isLoggedIn()) {
       try {
         wireActions();
+        bindCartLocationCheck();
+        await CC.delivery?.loadDeliverySettings();
+        await CC.addressBook?.load();
+        await fetchFarms();
         await refresh();
       } catch (err) {
         CC.setStatus(statusEl, err.message || "Unable to load cart.", "danger");
@@ -4,11 +4,16 @@
  * ----------------------------------------------------------------------------
  * Flow:
  *  1) GET  /api/cart/                      -> render cart summary
- *  2) Prefill shipping form from saved address
+ *  2) Prefill shipping form from the default saved address; the picker
+ *     switches to another saved address (or type one / pick a suggestion)
  *  3) On submit, geocode current address if needed
- *  4) Compare customer address to HQ delivery range
+ *  4) Find the nearest delivery hub that covers the customer address
  *  5) If out of range, block checkout before order creation
- *  6) If in range, POST /api/orders/checkout/
+ *  6) If in range, quote the delivery fee, have the customer pick a
+ *     delivery window (GET /api/delivery/windows/) and
+ *     POST /api/orders/checkout/
+ *     (Pickup at HQ or a participating farm skips 3–5 and the fee: pick a
+ *     location from GET /api/pickup/locations/ and a pickup time instead.)
  *  7) Mount Stripe Payment Element
  *  8) Confirm payment and finalize order
  * ============================================================================
@@ -19,6 +24,8 @@
 
   const CC = window.CC;
   const delivery = CC?.delivery || null;
+  const addressBook = CC?.addressBook || null;
+  const deliveryWindows = CC?.deliveryWindows || null;
 
   /* ==========================================================================
    * DOM
@@ -43,6 +50,35 @@
   const shipCityEl = document.getElementById("shipCity");
   const shipStateEl = document.getElementById("shipState");
   const shipZipEl = document.getElementById("shipZip");
+  const shipUseLocationBtn = document.getElementById("shipUseLocationBtn");
+
+  const savedAddressWrapEl = document.getElementById("savedAddressWrap");
+  const savedAddressSelectEl = document.getElementById("savedAddressSelect");
+  const saveAddressRowEl = document.getElementById("saveAddressRow");
+  const saveAddressCheckEl = document.getElementById("saveAddressCheck");
+  const saveAddressOptionsEl = document.getElementById("saveAddressOptions");
+  const saveAddressLabelEl = document.getElementById("saveAddressLabel");
+  const saveAddressDefaultEl = document.getElementById("saveAddressDefault");
+
+  const deliveryWindowWrapEl = document.getElementById("deliveryWindowWrap");
+  const deliveryWindowSelectEl = document.getElementById("deliveryWindowSelect");
+  const deliveryWindowNoteEl = document.getElementById("deliveryWindowNote");
+  const sumDeliveryWindowEl = document.getElementById("sumDeliveryWindow");
+  const sumWindowLabelEl = document.getElementById("sumWindowLabel");
+
+  const fulfillmentWrapEl = document.getElementById("fulfillmentWrap");
+  const fulfillPickupHubOptionEl = document.getElementById(
+    "fulfillPickupHubOption"
+  );
+  const fulfillPickupFarmOptionEl = document.getElementById(
+    "fulfillPickupFarmOption"
+  );
+  const deliveryFieldsEl = document.getElementById("deliveryFields");
+  const pickupFieldsEl = document.getElementById("pickupFields");
+  const pickupLocationSelectEl = document.getElementById("pickupLocationSelect");
+  const pickupLocationNoteEl = document.getElementById("pickupLocationNote");
+  const pickupWindowSelectEl = document.getElementById("pickupWindowSelect");
+  const pickupWindowNoteEl = document.getElementById("pickupWindowNote");
 
   /* ==========================================================================
    * STATE
@@ -55,10 +91,39 @@
   let activeOrderId = null;
   let activePaymentIntentId = null;
 
+  // Delivery windows for the hub serving the current address
+  let windowsHub = null;
+  let windowsSupported = false;
+  let windowsById = new Map();
+  let windowsRequest = null;
+
+  // Pickup locations (HQ + participating farms) and the chosen one's times
+  /** @type {import("./api.js").PickupLocation[]} */
+  let pickupLocations = [];
+  let pickupWindowsLocation = null;
+  let pickupWindowsSupported = false;
+  let pickupWindowsById = new Map();
+  let pickupWindowsRequest = null;
+
+  // Farm/product records for the per-farm delivery check (loaded once)
+  let farmsById = null;
+  let productsById = new Map();
+
   const PENDING_ORDER_KEY = "cc_pending_order";
   const LOCAL_ADDRESS_KEY = "cc_saved_address_v1";
   const TEMP_CHECKOUT_ADDRESS_KEY = "cc_checkout_address_geo_v1";
 
+  // Checkout payload field -> form input id (for server validation errors)
+  const SHIPPING_FIELD_MAP = {
+    address_line1: "shipAddress",
+    city: "shipCity",
+    state: "shipState",
+    postal_code: "shipZip",
+    delivery_window_id: "deliveryWindowSelect",
+    pickup_location_id: "pickupLocationSelect",
+    pickup_window_id: "pickupWindowSelect",
+  };
+
   /* ==========================================================================
    * STORAGE HELPERS
    * ========================================================================== */
@@ -84,10 +149,6 @@
     return getJson(localStorage, LOCAL_ADDRESS_KEY, null);
   }
 
-  function setLocalAddress(addr) {
-    setJson(localStorage, LOCAL_ADDRESS_KEY, addr);
-  }
-
   function getTempCheckoutAddress() {
     return getJson(sessionStorage, TEMP_CHECKOUT_ADDRESS_KEY, null);
   }
@@ -128,18 +189,45 @@
             : "text-muted");
   }
 
-  function renderDeliveryFee(distanceMiles = null, inRange = false) {
+  function cartSubtotal() {
+    const total = parseFloat(cart?.total_price);
+    return Number.isFinite(total) ? total : 0;
+  }
+
+  /**
+   * Show a CC.delivery.quoteDeliveryFee() result in the summary and fold it
+   * into the total. Without a quote the fee waits for an in-range address.
+   */
+  function renderDeliveryFee(quote = null, hub = null) {
     if (sumDeliveryFeeEl) {
-      sumDeliveryFeeEl.textContent = inRange ? "TBD" : "—";
+      sumDeliveryFeeEl.textContent = !quote
+        ? "—"
+        : quote.isFree
+          ? "Free"
+          : CC.formatMoney(quote.amount);
     }
 
     if (deliveryFeeNoteEl) {
-      if (!inRange || !Number.isFinite(distanceMiles)) {
-        deliveryFeeNoteEl.textContent = "";
-      } else {
-        deliveryFeeNoteEl.textContent =
-          `Placeholder only. Address is ${distanceMiles.toFixed(2)} miles from HQ.`;
-      }
+      deliveryFeeNoteEl.textContent = quote
+        ? `${quote.distanceMiles.toFixed(2)} miles from ${hub?.name || "the nearest hub"}. ${delivery.describeDeliveryFee(quote)}`
+        : "Calculated from your delivery address.";
+    }
+
+    if (sumTotalEl && cart?.items?.length) {
+      sumTotalEl.textContent = CC.formatMoney(
+        cartSubtotal() + (quote?.amount || 0)
+      );
+    }
+  }
+
+  /** Pickup orders carry no delivery fee. */
+  function renderPickupFee() {
+    if (sumDeliveryFeeEl) sumDeliveryFeeEl.textContent = "Free";
+    if (deliveryFeeNoteEl) {
+      deliveryFeeNoteEl.textContent = "No delivery fee when you pick up.";
+    }
+    if (sumTotalEl && cart?.items?.length) {
+      sumTotalEl.textContent = CC.formatMoney(cartSubtotal());
     }
   }
 
@@ -231,7 +319,7 @@
   function prefillShippingForm() {
     const authAddr = getAddressFromAuth(CC.auth.getAuth?.() || null);
     const localAddr = getLocalAddress();
-    const cached = authAddr || localAddr || null;
+    const cached = addressBook?.getDefault() || authAddr || localAddr || null;
 
     if (!cached) return;
 
@@ -249,249 +337,662 @@
     }
   }
 
-  function normalizeZip(zip) {
-    return String(zip || "")
-      .trim()
-      .replace(/[^\d-]/g, "")
-      .slice(0, 10);
+  function hasCoords(addr) {
+    return (
+      Number.isFinite(Number(addr?.lat)) && Number.isFinite(Number(addr?.lng))
+    );
   }
 
-  function normalizeState(state) {
-    return String(state || "").trim().toUpperCase();
+  /**
+   * Range + fee preview for coordinates we already have (a picked suggestion
+   * or a saved address), before the customer submits.
+   */
+  function previewCoverage(result) {
+    const { text, kind, coverage } =
+      delivery.describeSuggestionCoverage(result);
+    setAddressStatus(text, kind);
+    renderDeliveryFee(
+      coverage?.inRange
+        ? delivery.quoteDeliveryFee(coverage.distanceMiles, {
+            subtotal: cartSubtotal(),
+            hub: coverage.hub,
+          })
+        : null,
+      coverage?.hub
+    );
+
+    if (coverage?.inRange) {
+      loadDeliveryWindows(coverage.hub).catch(() => {});
+    } else {
+      clearDeliveryWindows();
+    }
   }
 
-  function normalizeCity(city) {
-    return String(city || "").trim();
+  /** Geocoder-style match for a saved entry's stored coordinates. */
+  function savedEntryMatch(entry) {
+    return {
+      lat: entry.lat,
+      lng: entry.lng,
+      confidence: entry.geocode_confidence,
+      precision: entry.geocode_precision,
+    };
   }
 
-  function normalizeStreet(street) {
-    return String(street || "").trim();
+  /**
+   * Fill the saved-address picker. The last option means "type a different
+   * address"; the form decides which option is selected.
+   */
+  function renderSavedAddressPicker() {
+    const entries = addressBook?.list() || [];
+    if (!savedAddressSelectEl || !entries.length) {
+      savedAddressWrapEl?.classList.add("d-none");
+      return;
+    }
+
+    savedAddressSelectEl.innerHTML = [
+      ...entries.map(
+        (entry) => `
+          <option value="${CC.escapeHtml(entry.id)}">${CC.escapeHtml(addressBook.describe(entry))}${entry.is_default ? " (default)" : ""}</option>
+        `
+      ),
+      `<option value="">Use a different address…</option>`,
+    ].join("");
+    savedAddressWrapEl?.classList.remove("d-none");
   }
 
-  function buildLookupCandidates(addressObj) {
-    const street = normalizeStreet(
-      addressObj?.address_line1 || addressObj?.street_address || ""
+  /**
+   * Keep the picker and the "save this address" row in step with the form:
+   * a saved match selects that entry, anything else offers to save it.
+   */
+  function syncAddressChoiceUi() {
+    const formAddress = readShippingFormAddress();
+    const match = addressBook?.findMatching(formAddress) || null;
+    const complete = Boolean(
+      formAddress.address_line1 &&
+        formAddress.city &&
+        formAddress.state &&
+        formAddress.postal_code
+    );
+
+    if (savedAddressSelectEl) savedAddressSelectEl.value = match?.id || "";
+    saveAddressRowEl?.classList.toggle(
+      "d-none",
+      !addressBook || Boolean(match) || !complete
+    );
+    saveAddressOptionsEl?.classList.toggle(
+      "d-none",
+      !saveAddressCheckEl?.checked
     );
-    const city = normalizeCity(addressObj?.city || "");
-    const state = normalizeState(addressObj?.state || "");
-    const zip = normalizeZip(addressObj?.postal_code || addressObj?.zip || "");
-    const country = String(addressObj?.country || "US").trim();
+  }
 
-    const whole = [street, city, state, zip, country].filter(Boolean).join(", ");
+  function fillShippingForm(addr) {
+    shipAddressEl.value = addr.address_line1 || "";
+    shipCityEl.value = addr.city || "";
+    shipStateEl.value = addr.state || "";
+    shipZipEl.value = addr.postal_code || "";
+  }
 
-    return [
-      {
-        label: "street + zip",
-        query: [street, zip, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "whole address",
-        query: whole,
-      },
-      {
-        label: "street + zip + state",
-        query: [street, zip, state, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "street + zip + city",
-        query: [street, zip, city, country].filter(Boolean).join(", "),
-      },
-      {
-        label: "city + zip + state",
-        query: [city, zip, state, country].filter(Boolean).join(", "),
+  function bindSavedAddressPicker() {
+    renderSavedAddressPicker();
+
+    savedAddressSelectEl?.addEventListener("change", () => {
+      const entry = addressBook.get(savedAddressSelectEl.value);
+
+      if (!entry) {
+        fillShippingForm({});
+        setAddressStatus("");
+        renderDeliveryFee(null);
+        syncAddressChoiceUi();
+        shipAddressEl?.focus();
+        return;
+      }
+
+      fillShippingForm(entry);
+      syncAddressChoiceUi();
+
+      if (hasCoords(entry)) {
+        previewCoverage(savedEntryMatch(entry));
+      } else {
+        setAddressStatus("");
+        renderDeliveryFee(null);
+      }
+    });
+
+    [shipAddressEl, shipCityEl, shipStateEl, shipZipEl].forEach((el) => {
+      el?.addEventListener("input", syncAddressChoiceUi);
+    });
+    saveAddressCheckEl?.addEventListener("change", syncAddressChoiceUi);
+
+    syncAddressChoiceUi();
+  }
+
+  /**
+   * "Use my current location": reverse-geocode the browser position into the
+   * form and keep the device coordinates as the temp checkout address.
+   */
+  function bindUseLocation() {
+    if (!shipUseLocationBtn) return;
+    if (!delivery?.checkCurrentLocation) {
+      shipUseLocationBtn.classList.add("d-none");
+      return;
+    }
+
+    shipUseLocationBtn.addEventListener("click", async () => {
+      shipUseLocationBtn.disabled = true;
+      setAddressStatus("Finding your location…", "muted");
+
+      try {
+        const result = await delivery.checkCurrentLocation({ reverse: true });
+        const a = result.address?.address;
+
+        if (!a) {
+          setAddressStatus(
+            "We found your location but couldn't look up an address there. Please type it in.",
+            "warning"
+          );
+          return;
+        }
+
+        fillShippingForm({ ...a, state: (a.state || "").toUpperCase() });
+        setTempCheckoutAddress({
+          ...readShippingFormAddress(),
+          preferred_delivery_address: result.address.display_name,
+          lat: result.position.lat,
+          lng: result.position.lng,
+          geocode_confidence: result.address.confidence ?? null,
+          geocode_precision: result.address.precision ?? null,
+          updatedAt: new Date().toISOString(),
+        });
+        syncAddressChoiceUi();
+        previewCoverage({
+          ...result.address,
+          lat: result.position.lat,
+          lng: result.position.lng,
+        });
+
+        if (!a.address_line1) {
+          setAddressStatus(
+            "We filled in your town and ZIP. Add your street address to continue.",
+            "warning"
+          );
+        }
+      } catch (err) {
+        setAddressStatus(err?.message || String(err), "danger");
+      } finally {
+        shipUseLocationBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Type-ahead on the street input (with Nominatim, one lookup once the whole
+   * address is filled in). A picked suggestion fills the form; either match
+   * is remembered as the temp checkout address (with lat/lng), so submit
+   * skips the lookup, and the range/fee preview updates right away.
+   */
+  function bindAddressAutocomplete() {
+    delivery?.attachAddressAutocomplete?.({
+      input: shipAddressEl,
+      fields: { city: shipCityEl, state: shipStateEl, postal_code: shipZipEl },
+      onSelect: (result) => {
+        setTempCheckoutAddress({
+          ...readShippingFormAddress(),
+          preferred_delivery_address: result.display_name,
+          lat: result.lat,
+          lng: result.lng,
+          geocode_confidence: result.confidence ?? null,
+          geocode_precision: result.precision ?? null,
+          updatedAt: new Date().toISOString(),
+        });
+
+        syncAddressChoiceUi();
+        previewCoverage(result);
       },
-    ].filter((c) => c.query && c.query.replace(/[, ]/g, "").length >= 5);
-  }
-
-  async function runGeocodeQuery(query) {
-    const url =
-      "https://nominatim.openstreetmap.org/search?" +
-      new URLSearchParams({
-        q: query,
-        format: "jsonv2",
-        limit: "1",
-        addressdetails: "1",
-      }).toString();
-
-    const res = await fetch(url, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
+      onInvalidate: () => {
+        setAddressStatus("");
+        renderDeliveryFee(null);
       },
     });
+  }
 
-    if (!res.ok) {
-      throw new Error(`Address lookup failed (HTTP ${res.status}).`);
+  /* ==========================================================================
+   * DELIVERY WINDOWS
+   * ========================================================================== */
+
+  function selectedDeliveryWindow() {
+    return windowsById.get(deliveryWindowSelectEl?.value || "") || null;
+  }
+
+  /** Summary row: the delivery window, or the pickup time for pickups. */
+  function renderWindowSummary() {
+    const pickup = isPickupMode();
+    if (sumWindowLabelEl) {
+      sumWindowLabelEl.textContent = pickup ? "Pickup time" : "Delivery window";
     }
+    if (!sumDeliveryWindowEl) return;
+    sumDeliveryWindowEl.textContent =
+      deliveryWindows?.describe(
+        pickup ? selectedPickupWindow() : selectedDeliveryWindow()
+      ) || "—";
+  }
 
-    const data = await res.json();
-    const hit = Array.isArray(data) ? data[0] : null;
-    if (!hit) return null;
+  function clearDeliveryWindows() {
+    windowsRequest?.abort();
+    windowsHub = null;
+    windowsSupported = false;
+    windowsById = new Map();
+    if (deliveryWindowSelectEl) deliveryWindowSelectEl.innerHTML = "";
+    deliveryWindowWrapEl?.classList.add("d-none");
+    renderWindowSummary();
+  }
 
-    const lat = Number(hit.lat);
-    const lng = Number(hit.lon);
+  function windowOptionHtml(w) {
+    const times = deliveryWindows.describe(w, { timeOnly: true });
+    const note = !w.available
+      ? " (full)"
+      : w.remaining !== null && w.remaining <= 2
+        ? ` (${w.remaining} left)`
+        : "";
+    return `<option value="${CC.escapeHtml(w.id)}"${w.available ? "" : " disabled"}>${CC.escapeHtml(times + note)}</option>`;
+  }
 
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-      return null;
-    }
+  /**
+   * Fill a window picker grouped by day, keeping the current choice if that
+   * window is still open. Returns the windows by id and the open ones.
+   */
+  function fillWindowSelect(selectEl, windows, { prompt, none }) {
+    const previous = selectEl.value;
+    const open = windows.filter((w) => w.available);
+    const byId = new Map(windows.map((w) => [w.id, w]));
+
+    selectEl.innerHTML = [
+      `<option value="">${open.length ? prompt : none}</option>`,
+      ...deliveryWindows.groupByDay(windows).map(
+        (day) => `
+          <optgroup label="${CC.escapeHtml(day.label)}">
+            ${day.windows.map(windowOptionHtml).join("")}
+          </optgroup>
+        `
+      ),
+    ].join("");
+
+    selectEl.value = byId.get(previous)?.available ? previous : "";
+    return { byId, open };
+  }
 
-    return {
-      lat,
-      lng,
-      display_name: String(hit.display_name || query).trim(),
-    };
+  function renderDeliveryWindows(windows, hub) {
+    const { byId, open } = fillWindowSelect(deliveryWindowSelectEl, windows, {
+      prompt: "Choose a delivery window…",
+      none: "No delivery windows available",
+    });
+    windowsById = byId;
+
+    if (deliveryWindowNoteEl) {
+      deliveryWindowNoteEl.textContent = open.length
+        ? `Delivered by ${hub.name || "your local hub"}.`
+        : "Every delivery window is booked right now. Please check back tomorrow.";
+    }
+    deliveryWindowWrapEl?.classList.remove("d-none");
+    renderWindowSummary();
   }
 
-  async function geocodeDeliveryAddress(addressObj) {
-    if (
-      Number.isFinite(Number(addressObj?.lat)) &&
-      Number.isFinite(Number(addressObj?.lng))
-    ) {
-      return {
-        lat: Number(addressObj.lat),
-        lng: Number(addressObj.lng),
-        display_name:
-          String(addressObj.preferred_delivery_address || "").trim() ||
-          buildAddressString(addressObj),
-      };
+  /**
+   * Load the windows for the hub serving the address (once per hub unless
+   * `force`). Resolves false when the API doesn't schedule deliveries for
+   * that hub, so checkout goes ahead without a window.
+   * @param {object} hub
+   * @param {{ force?: boolean }} [options]
+   * @returns {Promise<boolean>}
+   */
+  async function loadDeliveryWindows(hub, { force = false } = {}) {
+    if (!deliveryWindows || !deliveryWindowSelectEl || !hub?.id) return false;
+    if (!force && windowsHub?.id === hub.id && !windowsRequest) {
+      return windowsSupported;
     }
 
-    const candidates = buildLookupCandidates(addressObj);
+    windowsRequest?.abort();
+    const controller = new AbortController();
+    windowsRequest = controller;
+    windowsHub = hub;
 
-    if (!candidates.length) {
-      throw new Error("Please enter a valid delivery address.");
+    if (deliveryWindowNoteEl) {
+      deliveryWindowNoteEl.textContent = "Loading delivery windows…";
     }
 
-    let lastHttpError = null;
+    try {
+      const { supported, windows } = await deliveryWindows.load(hub.id, {
+        signal: controller.signal,
+      });
+      windowsSupported = supported;
 
-    for (const candidate of candidates) {
-      try {
-        setAddressStatus(
-          `Checking address lookup: ${candidate.label}…`,
-          "muted"
-        );
+      if (!supported) {
+        windowsById = new Map();
+        deliveryWindowWrapEl?.classList.add("d-none");
+        renderWindowSummary();
+        return false;
+      }
 
-        const result = await runGeocodeQuery(candidate.query);
-        if (result) {
-          return result;
+      renderDeliveryWindows(windows, hub);
+      return true;
+    } catch (err) {
+      if (!CC.isAbortError(err)) {
+        windowsHub = null;
+        deliveryWindowWrapEl?.classList.remove("d-none");
+        if (deliveryWindowNoteEl) {
+          deliveryWindowNoteEl.textContent =
+            "Delivery windows couldn't be loaded. Try again in a moment.";
         }
-      } catch (err) {
-        lastHttpError = err;
       }
+      throw err;
+    } finally {
+      if (windowsRequest === controller) windowsRequest = null;
     }
+  }
 
-    if (lastHttpError) {
-      throw lastHttpError;
-    }
+  /**
+   * The picked window for `hub`, or null when the hub has no windows.
+   * Throws (and flags the picker) when a window is needed but not chosen.
+   * @param {object} hub
+   * @returns {Promise<import("./api.js").DeliveryWindow|null>}
+   */
+  async function requireDeliveryWindow(hub) {
+    const supported = await loadDeliveryWindows(hub);
+    if (!supported) return null;
+
+    const picked = selectedDeliveryWindow();
+    if (picked?.available) return picked;
+
+    CC.showFieldErrors(
+      checkoutForm,
+      { delivery_window_id: ["Choose a delivery window."] },
+      SHIPPING_FIELD_MAP
+    );
+    deliveryWindowSelectEl.focus();
+    throw new Error("Please choose a delivery window.");
+  }
+
+  function bindDeliveryWindowPicker() {
+    deliveryWindowSelectEl?.addEventListener(
+      "change",
+      renderWindowSummary
+    );
+  }
+
+  /* ==========================================================================
+   * FULFILLMENT (delivery / pickup)
+   * ========================================================================== */
 
-    throw new Error(
-      "We could not find coordinates for that address after trying multiple address formats."
+  /** @returns {"delivery"|"pickup_hub"|"pickup_farm"} */
+  function fulfillmentMode() {
+    return (
+      checkoutForm?.querySelector('input[name="fulfillment"]:checked')
+        ?.value || "delivery"
     );
   }
 
-  function syncAddressIntoAuthCache(addressPayload) {
+  function isPickupMode() {
+    return fulfillmentMode() !== "delivery";
+  }
+
+  function selectedPickupLocation() {
+    return (
+      pickupLocations.find((l) => l.id === pickupLocationSelectEl?.value) ||
+      null
+    );
+  }
+
+  function selectedPickupWindow() {
+    return pickupWindowsById.get(pickupWindowSelectEl?.value || "") || null;
+  }
+
+  function clearPickupWindows() {
+    pickupWindowsRequest?.abort();
+    pickupWindowsLocation = null;
+    pickupWindowsSupported = false;
+    pickupWindowsById = new Map();
+    if (pickupWindowSelectEl) pickupWindowSelectEl.innerHTML = "";
+    if (pickupWindowNoteEl) pickupWindowNoteEl.textContent = "";
+    renderWindowSummary();
+  }
+
+  /**
+   * Load pickup times for a location (once per location unless `force`).
+   * Resolves false when the API doesn't schedule pickups there.
+   * @param {import("./api.js").PickupLocation} location
+   * @param {{ force?: boolean }} [options]
+   * @returns {Promise<boolean>}
+   */
+  async function loadPickupWindows(location, { force = false } = {}) {
+    if (!deliveryWindows || !pickupWindowSelectEl || !location?.id) {
+      return false;
+    }
+    if (
+      !force &&
+      pickupWindowsLocation?.id === location.id &&
+      !pickupWindowsRequest
+    ) {
+      return pickupWindowsSupported;
+    }
+
+    pickupWindowsRequest?.abort();
+    const controller = new AbortController();
+    pickupWindowsRequest = controller;
+    pickupWindowsLocation = location;
+
+    if (pickupWindowNoteEl) {
+      pickupWindowNoteEl.textContent = "Loading pickup times…";
+    }
+
     try {
-      const auth = CC.auth?.getAuth?.();
-      if (!auth || typeof auth !== "object") return;
-
-      const nextAuth = { ...auth };
-
-      if (nextAuth.user && typeof nextAuth.user === "object") {
-        nextAuth.user = {
-          ...nextAuth.user,
-          preferred_delivery_address: addressPayload.preferred_delivery_address,
-          address_line1: addressPayload.address_line1,
-          city: addressPayload.city,
-          state: addressPayload.state,
-          postal_code: addressPayload.postal_code,
-          country: addressPayload.country,
-          lat: addressPayload.lat,
-          lng: addressPayload.lng,
-        };
-      } else {
-        nextAuth.preferred_delivery_address =
-          addressPayload.preferred_delivery_address;
-        nextAuth.address_line1 = addressPayload.address_line1;
-        nextAuth.city = addressPayload.city;
-        nextAuth.state = addressPayload.state;
-        nextAuth.postal_code = addressPayload.postal_code;
-        nextAuth.country = addressPayload.country;
-        nextAuth.lat = addressPayload.lat;
-        nextAuth.lng = addressPayload.lng;
+      const { supported, windows } = await deliveryWindows.loadPickup(
+        location.id,
+        { signal: controller.signal }
+      );
+      pickupWindowsSupported = supported;
+
+      if (!supported) {
+        pickupWindowsById = new Map();
+        pickupWindowSelectEl.innerHTML =
+          '<option value="">Any time during opening hours</option>';
+        if (pickupWindowNoteEl) {
+          pickupWindowNoteEl.textContent =
+            "We'll email you when your order is ready.";
+        }
+        renderWindowSummary();
+        return false;
       }
 
-      if (typeof CC.auth.setAuth === "function") {
-        CC.auth.setAuth(nextAuth);
+      const { byId, open } = fillWindowSelect(pickupWindowSelectEl, windows, {
+        prompt: "Choose a pickup time…",
+        none: "No pickup times available",
+      });
+      pickupWindowsById = byId;
+      if (pickupWindowNoteEl) {
+        pickupWindowNoteEl.textContent = open.length
+          ? "Bring your order number; we'll have it bagged and ready."
+          : "Every pickup time here is booked right now. Try another location or check back tomorrow.";
       }
-    } catch {
-      // best effort only
+      renderWindowSummary();
+      return true;
+    } catch (err) {
+      if (!CC.isAbortError(err)) {
+        pickupWindowsLocation = null;
+        if (pickupWindowNoteEl) {
+          pickupWindowNoteEl.textContent =
+            "Pickup times couldn't be loaded. Try again in a moment.";
+        }
+      }
+      throw err;
+    } finally {
+      if (pickupWindowsRequest === controller) pickupWindowsRequest = null;
     }
   }
 
-  async function apiUpdateDeliveryAddress(addressPayload) {
-    const payloadSnake = {
-      preferred_delivery_address: addressPayload.preferred_delivery_address,
-      address_line1: addressPayload.address_line1,
-      city: addressPayload.city,
-      state: addressPayload.state,
-      postal_code: addressPayload.postal_code,
-      country: addressPayload.country,
-      lat: addressPayload.lat,
-      lng: addressPayload.lng,
-    };
+  /**
+   * Fill the location picker with HQ or the participating farms, depending
+   * on the chosen option. A single location is picked for the customer.
+   */
+  function renderPickupLocations() {
+    if (!pickupLocationSelectEl) return;
+
+    const type = fulfillmentMode() === "pickup_hub" ? "hub" : "farm";
+    const choices = pickupLocations.filter((l) => l.type === type);
+    const previous = pickupLocationSelectEl.value;
+
+    pickupLocationSelectEl.innerHTML = [
+      ...(choices.length > 1
+        ? [`<option value="">Choose a pickup location…</option>`]
+        : []),
+      ...choices.map(
+        (l) =>
+          `<option value="${CC.escapeHtml(l.id)}">${CC.escapeHtml(l.name)}</option>`
+      ),
+    ].join("");
+
+    if (choices.some((l) => l.id === previous)) {
+      pickupLocationSelectEl.value = previous;
+    }
+    onPickupLocationChange();
+  }
 
-    const payloadCamel = {
-      preferredDeliveryAddress: addressPayload.preferred_delivery_address,
-      addressLine1: addressPayload.address_line1,
-      city: addressPayload.city,
-      state: addressPayload.state,
-      postalCode: addressPayload.postal_code,
-      country: addressPayload.country,
-      lat: addressPayload.lat,
-      lng: addressPayload.lng,
-    };
+  function onPickupLocationChange() {
+    const location = selectedPickupLocation();
 
-    const candidates = [
-      { path: "/auth/profile/", method: "PATCH", json: payloadSnake },
-      { path: "/auth/profile/", method: "PATCH", json: payloadCamel },
-      { path: "/users/me/", method: "PATCH", json: payloadSnake },
-      { path: "/users/me/", method: "PATCH", json: payloadCamel },
-      { path: "/account/profile/", method: "PATCH", json: payloadSnake },
-      { path: "/account/profile/", method: "PATCH", json: payloadCamel },
-    ];
-
-    let lastRes = null;
-
-    for (const candidate of candidates) {
-      const res = await CC.apiRequest(candidate.path, {
-        method: candidate.method,
-        json: candidate.json,
-      });
+    if (pickupLocationNoteEl) {
+      pickupLocationNoteEl.textContent = location
+        ? [location.address, location.hours].filter(Boolean).join(" · ")
+        : "";
+    }
 
-      lastRes = res;
+    if (!location) {
+      clearPickupWindows();
+      return;
+    }
+    loadPickupWindows(location).catch(() => {});
+  }
 
-      if (res.status === 401) return res;
-      if (res.status === 404) continue;
+  /**
+   * Re-run the range/fee preview for the address in the form, when we
+   * already have its coordinates (saved entry or picked suggestion).
+   */
+  function previewFormAddress() {
+    if (!delivery) return;
 
-      if (res.status === 405) {
-        const putRes = await CC.apiRequest(candidate.path, {
-          method: "PUT",
-          json: candidate.json,
-        });
+    const formAddress = readShippingFormAddress();
+    const saved = addressBook?.findMatching(formAddress) || null;
+    const temp = getTempCheckoutAddress();
+
+    if (hasCoords(saved)) {
+      previewCoverage(savedEntryMatch(saved));
+    } else if (temp && sameAddress(formAddress, temp) && hasCoords(temp)) {
+      previewCoverage({
+        lat: temp.lat,
+        lng: temp.lng,
+        confidence: temp.geocode_confidence,
+        precision: temp.geocode_precision,
+      });
+    } else {
+      setAddressStatus("");
+      renderDeliveryFee(null);
+    }
+  }
 
-        lastRes = putRes;
+  /**
+   * Show the fields for the chosen option. The hidden fieldset is disabled
+   * so its required inputs don't block submit.
+   */
+  function applyFulfillmentMode() {
+    const pickup = isPickupMode();
+
+    CC.clearFieldErrors(checkoutForm);
+    deliveryFieldsEl?.classList.toggle("d-none", pickup);
+    if (deliveryFieldsEl) deliveryFieldsEl.disabled = pickup;
+    pickupFieldsEl?.classList.toggle("d-none", !pickup);
+    if (pickupFieldsEl) pickupFieldsEl.disabled = !pickup;
+
+    if (pickup) {
+      renderPickupFee();
+      renderPickupLocations();
+    } else {
+      previewFormAddress();
+    }
+    renderWindowSummary();
+  }
 
-        if (putRes.status === 401) return putRes;
-        if (putRes.status === 404) continue;
-        if (putRes.ok) return putRes;
+  /**
+   * Fetch pickup locations and offer the options that have at least one.
+   * Without the route (404) or any locations, checkout stays delivery-only.
+   */
+  async function loadPickupLocations() {
+    if (!CC.api.pickup || !fulfillmentWrapEl) return;
 
-        continue;
+    const res = await CC.api.pickup.locations();
+    if (!res.ok) {
+      if (res.status !== 404) {
+        console.warn("checkout: pickup locations unavailable.", res.error);
       }
+      return;
+    }
+
+    pickupLocations = res.data;
+    const hasHub = pickupLocations.some((l) => l.type === "hub");
+    const hasFarm = pickupLocations.some((l) => l.type === "farm");
+
+    fulfillPickupHubOptionEl?.classList.toggle("d-none", !hasHub);
+    fulfillPickupFarmOptionEl?.classList.toggle("d-none", !hasFarm);
+    fulfillmentWrapEl.classList.toggle("d-none", !hasHub && !hasFarm);
+  }
 
-      if (res.ok) return res;
+  function bindFulfillmentChoice() {
+    checkoutForm
+      ?.querySelectorAll('input[name="fulfillment"]')
+      .forEach((input) =>
+        input.addEventListener("change", applyFulfillmentMode)
+      );
+    pickupLocationSelectEl?.addEventListener("change", onPickupLocationChange);
+    pickupWindowSelectEl?.addEventListener("change", renderWindowSummary);
+  }
+
+  /**
+   * Pickup skips the address lookup, range check and fee: the order needs a
+   * location and (where the API schedules them) a pickup time.
+   */
+  async function resolvePickupDecision() {
+    const location = selectedPickupLocation();
+    if (!location) {
+      CC.showFieldErrors(
+        checkoutForm,
+        { pickup_location_id: ["Choose a pickup location."] },
+        SHIPPING_FIELD_MAP
+      );
+      pickupLocationSelectEl?.focus();
+      throw new Error("Please choose a pickup location.");
     }
 
-    return lastRes || { ok: false, status: 0, data: null, raw: "No response" };
+    const scheduled = await loadPickupWindows(location);
+    const pickupWindow = scheduled ? selectedPickupWindow() : null;
+    if (scheduled && !pickupWindow?.available) {
+      CC.showFieldErrors(
+        checkoutForm,
+        { pickup_window_id: ["Choose a pickup time."] },
+        SHIPPING_FIELD_MAP
+      );
+      pickupWindowSelectEl.focus();
+      throw new Error("Please choose a pickup time.");
+    }
+
+    renderPickupFee();
+
+    return {
+      checkoutPayload: {
+        fulfillment: "pickup",
+        pickup_location_id: location.id,
+        delivery_fee: "0.00",
+        ...(pickupWindow ? { pickup_window_id: pickupWindow.id } : {}),
+      },
+      location,
+      pickupWindow,
+    };
   }
 
   function buildCheckoutPayload() {
@@ -523,7 +1024,8 @@
     }
 
     const authAddr = getAddressFromAuth(CC.auth.getAuth?.() || null);
-    const savedAddr = authAddr || getLocalAddress();
+    const savedEntry = addressBook?.findMatching(formAddress) || null;
+    const savedAddr = savedEntry || authAddr || getLocalAddress();
     const tempGeo = getTempCheckoutAddress();
 
     let geo = null;
@@ -531,32 +1033,22 @@
     if (
       savedAddr &&
       sameAddress(formAddress, savedAddr) &&
-      Number.isFinite(Number(savedAddr.lat)) &&
-      Number.isFinite(Number(savedAddr.lng))
+      hasCoords(savedAddr)
     ) {
-      geo = {
-        lat: Number(savedAddr.lat),
-        lng: Number(savedAddr.lng),
-        display_name:
-          String(savedAddr.preferred_delivery_address || "").trim() ||
-          buildAddressString(savedAddr),
-      };
+      // Already located; geocodeAddress returns the stored coordinates.
+      geo = await delivery.geocodeAddress(savedAddr);
     } else if (
       tempGeo &&
       sameAddress(formAddress, tempGeo) &&
-      Number.isFinite(Number(tempGeo.lat)) &&
-      Number.isFinite(Number(tempGeo.lng))
+      hasCoords(tempGeo)
     ) {
-      geo = {
-        lat: Number(tempGeo.lat),
-        lng: Number(tempGeo.lng),
-        display_name:
-          String(tempGeo.preferred_delivery_address || "").trim() ||
-          buildAddressString(tempGeo),
-      };
+      geo = await delivery.geocodeAddress(tempGeo);
     } else {
       setAddressStatus("Looking up address coordinates…", "muted");
-      geo = await geocodeDeliveryAddress(formAddress);
+      geo = await delivery.geocodeAddress(formAddress, {
+        onProgress: (label) =>
+          setAddressStatus(`Checking address lookup: ${label}…`, "muted"),
+      });
     }
 
     const enrichedAddress = {
@@ -564,63 +1056,125 @@
       preferred_delivery_address: geo.display_name || buildAddressString(formAddress),
       lat: geo.lat,
       lng: geo.lng,
+      geocode_confidence: geo.confidence ?? null,
+      geocode_precision: geo.precision ?? null,
       updatedAt: new Date().toISOString(),
     };
 
     setTempCheckoutAddress(enrichedAddress);
 
-    const hqCheck = delivery.validateHq(delivery.getDeliveryConfig());
-    if (!hqCheck?.ok) {
-      throw new Error("HQ delivery settings are missing or invalid.");
+    // Range decisions use the latest server-side hubs, not a stale cache.
+    await delivery.loadDeliverySettings();
+    const hubCheck = delivery.validateHubs();
+    if (!hubCheck?.ok) {
+      throw new Error("Delivery hub settings are missing or invalid.");
     }
 
-    const customerCheck = delivery.validateCustomer({
-      preferred_delivery_address: enrichedAddress.preferred_delivery_address,
-      lat: enrichedAddress.lat,
-      lng: enrichedAddress.lng,
-    });
+    // Orders need real coordinates; TEST_* placeholders only where the
+    // server's config.json allows test-data orders.
+    const customerCheck = delivery.validateCustomer(
+      {
+        preferred_delivery_address: enrichedAddress.preferred_delivery_address,
+        lat: enrichedAddress.lat,
+        lng: enrichedAddress.lng,
+      },
+      { strict: !delivery.allowsTestDataOrders() }
+    );
 
     if (!customerCheck?.ok) {
-      throw new Error("Customer delivery coordinates are missing.");
+      throw new Error(
+        "We couldn't locate this address precisely enough to check delivery. Please check the street address and try again."
+      );
     }
 
-    const distanceMiles = delivery.milesBetween(
-      hqCheck.hq.lat,
-      hqCheck.hq.lng,
+    const { synthetic } = customerCheck;
+    if (synthetic.length) {
+      console.warn(
+        "checkout: using test-data coordinates for this order (ALLOW_TEST_DATA_ORDERS).",
+        synthetic
+      );
+    }
+
+    const coverage = delivery.findServingHub(
       customerCheck.customer.lat,
-      customerCheck.customer.lng
+      customerCheck.customer.lng,
+      hubCheck.hubs
     );
+    const { inRange, distanceMiles, hub } = coverage;
 
-    const inRange = distanceMiles <= hqCheck.hq.deliveryRange;
+    // Self-delivering farms only reach their own radius, so each item's
+    // farm has to cover the address as well as the hubs.
+    await loadCartFarms();
+    const itemCoverage = delivery.checkCartCoverage(
+      cart?.items,
+      customerCheck.customer.lat,
+      customerCheck.customer.lng,
+      coverage,
+      { farmsById, productsById }
+    );
+    const blockedItems = (cart?.items || []).filter(
+      (item) => itemCoverage.get(item.id)?.canServe === false
+    );
+    const deliverable = inRange && !blockedItems.length;
 
-    const savedMatchesCurrent = savedAddr ? sameAddress(savedAddr, enrichedAddress) : false;
-    let savedAddressUpdated = false;
-    let saveChoice = "unchanged";
+    // Drivers batch by window, so a deliverable order needs one picked.
+    const deliveryWindow = deliverable
+      ? await requireDeliveryWindow(hub)
+      : null;
 
-    if (!savedAddr || !savedMatchesCurrent) {
-      const wantsSave = window.confirm(
-        "This checkout address is different from your saved address. Click OK to update your saved delivery address, or Cancel to use this address just for this order."
+    // A ZIP- or city-level match can sit miles from the street address, so
+    // it can't approve delivery on its own (the account badge only warns).
+    if (
+      deliverable &&
+      !synthetic.length &&
+      delivery.isLowConfidenceMatch(geo) &&
+      !window.confirm(
+        `We could only locate this address approximately: ${delivery.describeGeocodeMatch(geo)}. It may be outside our delivery area. Place a delivery order to it anyway?`
+      )
+    ) {
+      throw new Error(
+        "Address could only be located approximately. Check the street address, pick a suggestion or use your location, then try again."
       );
+    }
+
+    let savedAddressUpdated = false;
+    let saveChoice = "unchanged";
 
-      if (wantsSave) {
+    // Only an address that passes the range and farm checks goes into the
+    // book; anything else is rejected by the caller.
+    if (deliverable) {
+      if (savedEntry) {
+        setAddressStatus(
+          `Delivering to your saved "${savedEntry.label}" address.`,
+          "success"
+        );
+      } else if (addressBook && saveAddressCheckEl?.checked) {
         saveChoice = "save";
 
-        const saveRes = await apiUpdateDeliveryAddress(enrichedAddress);
+        const saveRes = await addressBook.save({
+          ...enrichedAddress,
+          label: String(saveAddressLabelEl?.value || "").trim(),
+          is_default: Boolean(saveAddressDefaultEl?.checked),
+        });
 
         if (saveRes.status === 401) {
           handleUnauthorized();
           return null;
         }
 
-        setLocalAddress(enrichedAddress);
-        syncAddressIntoAuthCache(enrichedAddress);
         savedAddressUpdated = !!saveRes.ok;
 
         if (saveRes.ok) {
-          setAddressStatus("Saved this address to your account.", "success");
+          setAddressStatus(
+            `Saved "${saveRes.data.label}" to your address book.`,
+            "success"
+          );
+          saveAddressCheckEl.checked = false;
+          renderSavedAddressPicker();
+          syncAddressChoiceUi();
         } else {
           setAddressStatus(
-            "Address will be used now and cached locally, but the API did not accept the profile update yet.",
+            "Address will be used for this order, but it could not be saved to your address book.",
             "warning"
           );
         }
@@ -628,26 +1182,44 @@
         saveChoice = "one_off";
         setAddressStatus("Using this as a one-time delivery address.", "muted");
       }
-    } else {
-      setAddressStatus("Using your saved delivery address.", "success");
     }
 
-    renderDeliveryFee(distanceMiles, inRange);
+    const feeQuote = inRange
+      ? delivery.quoteDeliveryFee(distanceMiles, {
+          subtotal: cartSubtotal(),
+          hub,
+        })
+      : null;
+
+    renderDeliveryFee(feeQuote, hub);
 
     return {
       checkoutPayload: {
+        fulfillment: "delivery",
         country: enrichedAddress.country,
         state: enrichedAddress.state,
         postal_code: enrichedAddress.postal_code,
         city: enrichedAddress.city,
         address_line1: enrichedAddress.address_line1,
+        delivery_hub_id: hub.id,
+        delivery_fee: (feeQuote?.amount ?? 0).toFixed(2),
+        delivery_distance_miles: Number(distanceMiles.toFixed(2)),
+        ...(deliveryWindow ? { delivery_window_id: deliveryWindow.id } : {}),
       },
       enrichedAddress,
       inRange,
+      blockedItems,
+      itemCoverage,
       distanceMiles,
-      deliveryFee: 0,
+      hub,
+      coverage,
+      geo,
+      deliveryFee: feeQuote?.amount ?? 0,
+      feeQuote,
       saveChoice,
       savedAddressUpdated,
+      synthetic,
+      deliveryWindow,
     };
   }
 
@@ -658,19 +1230,60 @@
   async function fetchCart() {
     CC.setStatus(statusEl, "Loading cart…", "muted");
 
-    const res = await CC.apiRequest("/cart/", { method: "GET" });
+    const res = await CC.api.cart.get();
     if (res.status === 401) return handleUnauthorized();
 
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`
-      );
+      throw CC.errorFromResponse(res);
     }
 
     cart = res.data;
     return cart;
   }
 
+  /**
+   * Load the farm records (and, for items without farm_id, the products)
+   * that CC.delivery.checkCartCoverage needs. Failures leave the maps
+   * empty, so items fall back to the hubs or "coverage unknown".
+   */
+  async function loadCartFarms() {
+    if (!farmsById) {
+      const res = await CC.api.farms.list();
+      farmsById = new Map(
+        (res.ok ? res.data : [])
+          .filter((f) => Number.isFinite(Number(f?.id)))
+          .map((f) => [Number(f.id), f])
+      );
+      if (!res.ok) {
+        console.warn(
+          "checkout: farms unavailable for delivery checks.",
+          res.error
+        );
+      }
+    }
+
+    const missing = (cart?.items || []).some(
+      (item) =>
+        item.farm_id == null &&
+        !productsById.has(Number(item.product_id ?? item.product?.id))
+    );
+    if (!missing) return;
+
+    const res = await CC.api.products.list();
+    if (!res.ok) {
+      console.warn(
+        "checkout: products unavailable for farm lookup.",
+        res.error
+      );
+      return;
+    }
+    productsById = new Map(
+      res.data
+        .filter((p) => Number.isFinite(Number(p?.id)))
+        .map((p) => [Number(p.id), p])
+    );
+  }
+
   function renderCartSummary() {
     if (!summaryItemsEl || !sumSubtotalEl || !sumTaxEl || !sumTotalEl) return;
 
@@ -693,7 +1306,7 @@
       return;
     }
 
-    const cartTotal = parseFloat(cart.total_price);
+    const cartTotal = cartSubtotal();
 
     for (const item of items) {
       const name = CC.escapeHtml(item.product_name || "Item");
@@ -714,7 +1327,6 @@
 
     sumSubtotalEl.textContent = CC.formatMoney(cartTotal);
     sumTaxEl.textContent = "—";
-    if (sumDeliveryFeeEl) sumDeliveryFeeEl.textContent = "TBD";
     sumTotalEl.textContent = CC.formatMoney(cartTotal);
 
     if (cartTotal <= 0.50) {
@@ -737,18 +1349,27 @@
     CC.setStatus(statusEl, "Creating order…", "muted");
     setPayMsg("");
 
-    const res = await CC.apiRequest("/orders/checkout/", {
-      method: "POST",
-      json: payload,
-    });
+    const res = await CC.api.orders.checkout(payload);
 
     console.log("checkout status/raw:", res.status, res.raw);
 
     if (res.status === 401) return handleUnauthorized();
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`
+      // The window filled up meanwhile; show what's still open.
+      if (res.error.fieldErrors?.delivery_window_id && windowsHub) {
+        await loadDeliveryWindows(windowsHub, { force: true }).catch(() => {});
+      }
+      if (res.error.fieldErrors?.pickup_window_id && pickupWindowsLocation) {
+        await loadPickupWindows(pickupWindowsLocation, { force: true }).catch(
+          () => {}
+        );
+      }
+      CC.showFieldErrors(
+        checkoutForm,
+        res.error.fieldErrors,
+        SHIPPING_FIELD_MAP
       );
+      throw CC.errorFromResponse(res);
     }
 
     const order = res.data?.order;
@@ -775,8 +1396,17 @@
     sumSubtotalEl.textContent = CC.formatMoney(order.subtotal_amount ?? 0);
     sumTaxEl.textContent = CC.formatMoney(order.tax_amount ?? 0);
 
+    // The server's fee is what gets charged; flag it if it differs from ours.
+    const chargedFee = order.delivery_fee_amount ?? payload.delivery_fee;
     if (sumDeliveryFeeEl) {
-      sumDeliveryFeeEl.textContent = "TBD";
+      sumDeliveryFeeEl.textContent = CC.formatMoney(chargedFee ?? 0);
+    }
+    if (
+      deliveryFeeNoteEl &&
+      Number(chargedFee ?? 0) !== Number(payload.delivery_fee ?? 0)
+    ) {
+      deliveryFeeNoteEl.textContent =
+        "The delivery fee was updated when your order was created.";
     }
 
     sumTotalEl.textContent = CC.formatMoney(order.total_amount ?? 0);
@@ -789,10 +1419,8 @@
    * ========================================================================== */
 
   async function mountStripe(clientSecret) {
-    const pk =
-      window.STRIPE_PUBLISHABLE_KEY ||
-      CC.getConfigValue("STRIPE_PUBLISHABLE_KEY", "");
-    if (!pk) throw new Error("Stripe publishable key is missing in config.js");
+    const pk = CC.getConfigValue("STRIPE_PUBLISHABLE_KEY", "");
+    if (!pk) throw new Error("Stripe publishable key is missing from config.");
 
     stripe = stripe || window.Stripe(pk);
     elements = stripe.elements({ clientSecret });
@@ -810,16 +1438,11 @@
   async function confirmOrderOnServer(orderId, paymentIntentId) {
     CC.setStatus(statusEl, "Finalizing order…", "muted");
 
-    const res = await CC.apiRequest(`/orders/${orderId}/confirm/`, {
-      method: "POST",
-      json: { payment_intent_id: paymentIntentId },
-    });
+    const res = await CC.api.orders.confirm(orderId, paymentIntentId);
 
     if (res.status === 401) return handleUnauthorized();
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`
-      );
+      throw CC.errorFromResponse(res);
     }
 
     sessionStorage.removeItem(PENDING_ORDER_KEY);
@@ -937,8 +1560,27 @@
       return;
     }
 
+    // Saved addresses feed the prefill and the picker.
+    await addressBook?.load();
+
     prefillShippingForm();
-    renderDeliveryFee(null, false);
+    renderDeliveryFee(null);
+
+    // Suggestions show in/out of range, so have the hubs ready.
+    await delivery?.loadDeliverySettings();
+    bindSavedAddressPicker();
+    bindAddressAutocomplete();
+    bindUseLocation();
+    bindDeliveryWindowPicker();
+    bindFulfillmentChoice();
+
+    // A saved address with coordinates can show range, fee and windows now.
+    previewFormAddress();
+
+    // HQ / farm pickup options only show when the API has locations.
+    await loadPickupLocations().catch((err) =>
+      console.warn("checkout: pickup locations unavailable.", err)
+    );
 
     checkoutForm?.addEventListener("submit", async (e) => {
       e.preventDefault();
@@ -951,15 +1593,33 @@
       placeOrderBtn.disabled = true;
       payBtn.disabled = true;
       setPayMsg("");
+      CC.clearFieldErrors(checkoutForm);
 
       try {
+        if (isPickupMode()) {
+          const pickupDecision = await resolvePickupDecision();
+          const when = deliveryWindows?.describe(pickupDecision.pickupWindow);
+          CC.setStatus(
+            statusEl,
+            `Pickup at ${pickupDecision.location.name}${when ? `, ${when}` : ""}. Creating order…`,
+            "success"
+          );
+
+          const { clientSecret } = await createOrder(
+            pickupDecision.checkoutPayload
+          );
+          await mountStripe(clientSecret);
+          return;
+        }
+
         const deliveryDecision = await resolveCheckoutDeliveryDecision();
         if (!deliveryDecision) return;
 
         if (!deliveryDecision.inRange) {
+          const canPickUp = !fulfillmentWrapEl?.classList.contains("d-none");
           CC.setStatus(
             statusEl,
-            `This address is out of delivery range. It is ${deliveryDecision.distanceMiles.toFixed(2)} miles from HQ.`,
+            `This address is out of delivery range: ${delivery.describeCoverage(deliveryDecision.coverage)}.${canPickUp ? " You can still pick up your order at HQ or a participating farm." : ""}`,
             "danger"
           );
           setPayMsg(
@@ -969,11 +1629,51 @@
           return;
         }
 
+        const { blockedItems, itemCoverage } = deliveryDecision;
+        if (blockedItems.length) {
+          const reasons = [
+            ...new Set(
+              blockedItems.map((item) =>
+                delivery.describeFarmCoverage(itemCoverage.get(item.id))
+              )
+            ),
+          ];
+          const n = blockedItems.length;
+          const count = `${n} item${n === 1 ? "" : "s"}`;
+          CC.setStatus(
+            statusEl,
+            `${count} in your cart can't be delivered to this address: ${reasons.join("; ")}. Remove ${n === 1 ? "it" : "them"} from your cart or choose pickup.`,
+            "danger"
+          );
+          setPayMsg(
+            "Checkout blocked because some items can't be delivered to this address.",
+            "danger"
+          );
+          return;
+        }
+
+        const { geo } = deliveryDecision;
+        const matchText = delivery.describeGeocodeMatch(geo);
         CC.setStatus(
           statusEl,
-          `Address is in range (${deliveryDecision.distanceMiles.toFixed(2)} miles from HQ). Creating order…`,
+          `Address is in range (${delivery.describeCoverage(deliveryDecision.coverage)}${matchText ? `; ${matchText}` : ""}). Creating order…`,
           "success"
         );
+        if (deliveryDecision.synthetic.length) {
+          setAddressStatus(
+            delivery.describeTestData(deliveryDecision.synthetic),
+            "warning"
+          );
+          delivery.markTestData(
+            checkoutAddressStatusEl,
+            deliveryDecision.synthetic
+          );
+        } else if (delivery.isLowConfidenceMatch(geo)) {
+          setAddressStatus(
+            `We could only locate this address approximately, ${matchText}. Double-check the street address before paying.`,
+            "warning"
+          );
+        }
 
         const { clientSecret } = await createOrder(deliveryDecision.checkoutPayload);
         await mountStripe(clientSecret);
@@ -4,57 +4,352 @@
  * ----------------------------------------------------------------------------
  * Purpose:
  * - Defines window.__CROPCART_CONFIG__ used by utils.js + page scripts
- * - Exposes backwards-compatible globals (API_URL / API_BASE_URL)
- * - Exposes STRIPE_PUBLISHABLE_KEY for checkout.js
+ * - Picks a named environment profile (local / staging / production)
+ * - Optionally merges a deploy-time config.json over the profile at boot
  *
- * NOTE: Values/logic preserved from the project source.
+ * Profile selection (first match wins):
+ *   1) ?env=local|staging|production   (developer hosts only, see DEV_HOSTS;
+ *                                       remembered for the browser tab,
+ *                                       ?env=auto clears it)
+ *   2) hostname (see HOST_PROFILES)
+ *   3) "production"
+ *
+ * Developer hosts (Live Server, file://) use the deployed API like any other
+ * host; add ?env=local to point them at a Django dev server instead.
+ *
+ * Runtime overrides:
+ * - CONFIG_URL (default "./config.json"; see config.example.json) is fetched
+ *   once at boot. Any keys it contains replace the profile values, so
+ *   deploying to a new town means shipping a config.json instead of editing
+ *   this file. A missing file is fine.
+ * - window.__CROPCART_CONFIG_READY__ resolves once overrides are applied;
+ *   utils.js waits on it (CC.configReady) before API calls and CC.onReady.
+ *
+ * Mock backend:
+ * - mock-backend.js is not listed in any page. When the final config has
+ *   MOCK_API on, it is injected from here and CONFIG_READY waits for it, so
+ *   production pages never download the fake API or its Stripe stand-in.
  * ============================================================================
  */
 
-window.__CROPCART_CONFIG__ = {
-  // --------------------------------------------------------------------------
-  // API / Server URL
-  // --------------------------------------------------------------------------
-  API_URL: "https://d1nnhq1iqs57tb.cloudfront.net/api",
+(function initCropCartConfig() {
+  "use strict";
+
+  const ENV_PARAM = "env";
+  const ENV_STORAGE_KEY = "cc_env";
+  const CONFIG_FETCH_TIMEOUT_MS = 3000;
+
+  // Sibling scripts are resolved against this file's own URL.
+  const SCRIPT_BASE = document.currentScript?.src || "./scripts/";
+
+  /* ==========================================================================
+   * DEFAULTS (shared by every profile)
+   * ========================================================================== */
+
+  const DEFAULTS = {
+    // --------------------------------------------------------------------------
+    // API / Server URL
+    // --------------------------------------------------------------------------
+    API_URL: "",
+
+    // Route families served from the server root (not under /api)
+    ROOT_ROUTE_PREFIXES: ["/farms/", "/farmer/"],
+
+    // Serve API requests from the in-browser mock backend (mock-backend.js)
+    // for offline development and demos. Data persists in localStorage.
+    MOCK_API: false,
+    MOCK_LATENCY_MS: 150,
+
+    // Optional deploy-time overrides (set to "" to skip the request)
+    CONFIG_URL: "./config.json",
+
+    // Show a banner on the page when required keys are missing
+    SHOW_DEV_BANNER: true,
+
+    // --------------------------------------------------------------------------
+    // Stripe Client Variables
+    // --------------------------------------------------------------------------
+    STRIPE_PUBLISHABLE_KEY: "",
+
+    ENABLE_FARMER_PORTAL: true,
+
+    // --------------------------------------------------------------------------
+    // Delivery area
+    // Hubs come from GET /api/delivery/settings/ (cached in localStorage for
+    // DELIVERY_SETTINGS_TTL_MS). The HQ_* keys below are the fallback hub
+    // when the server has none and nothing is cached.
+    // --------------------------------------------------------------------------
+    DELIVERY_SETTINGS_TTL_MS: 5 * 60 * 1000,
+
+    DELIVERY_RANGE: 15,
+    HQ_ADDRESS: "1972 Clark Ave., Alliance, OH 44601",
+    HQ_LAT: 40.902174,
+    HQ_LONG: -81.108759,
+
+    // Fallback delivery zones: a GeoJSON FeatureCollection (or feature list)
+    // of Polygon/MultiPolygon features. properties.mode "include" adds area
+    // beyond the hub circles (served by properties.hub_id, else the nearest
+    // hub); "exclude" carves area out and always wins.
+    DELIVERY_ZONES: [],
+
+    // Delivery fee: base + per-mile tiers on the distance to the serving hub.
+    // Each tier bills only the miles inside it (up_to_miles null = no limit).
+    // Orders at or over free_over_subtotal deliver free (null = never).
+    // hub_overrides replaces any of these keys for one hub id; hubs from
+    // /delivery/settings/ may also carry their own `fee` object.
+    DELIVERY_FEES: {
+      base: 2.99,
+      tiers: [
+        { up_to_miles: 5, per_mile: 0 },
+        { up_to_miles: 10, per_mile: 0.35 },
+        { up_to_miles: null, per_mile: 0.5 },
+      ],
+      free_over_subtotal: 75,
+      hub_overrides: {},
+    },
+
+    // Delivery windows offered at checkout: how many days ahead to list
+    // (GET /api/delivery/windows/?days=).
+    DELIVERY_WINDOW_DAYS: 7,
+
+    // --------------------------------------------------------------------------
+    // Geocoding (geocoder.js)
+    // GEOCODER_PROVIDER: "nominatim" | "backend" (GET /api/delivery/geocode/)
+    // | "zip" (offline ZIP-centroid table) | "auto" (zip under MOCK_API,
+    // else nominatim). Matches below GEOCODER_MIN_CONFIDENCE are flagged as
+    // approximate in the UI.
+    // Address type-ahead needs "backend" (or "zip"): set GEOCODER_PROVIDER
+    // to "backend" in config.json once the API serves /delivery/geocode/.
+    // Nominatim forbids it, so address forms look up the address once when
+    // a field is left instead.
+    // --------------------------------------------------------------------------
+    GEOCODER_PROVIDER: "auto",
+    GEOCODER_NOMINATIM_URL: "https://nominatim.openstreetmap.org/search",
+    GEOCODER_NOMINATIM_REVERSE_URL: "https://nominatim.openstreetmap.org/reverse",
+    GEOCODER_CACHE_TTL_MS: 30 * 24 * 60 * 60 * 1000,
+    GEOCODER_MIN_CONFIDENCE: 0.6,
+
+    // --------------------------------------------------------------------------
+    // Browser location (current-location.js)
+    // "Check with my location" waits up to GEOLOCATION_TIMEOUT_MS for a fix
+    // and accepts one up to GEOLOCATION_MAX_AGE_MS old.
+    // --------------------------------------------------------------------------
+    GEOLOCATION_TIMEOUT_MS: 10000,
+    GEOLOCATION_MAX_AGE_MS: 5 * 60 * 1000,
+
+    // --------------------------------------------------------------------------
+    // Store page (store.js)
+    // Cards render STORE_PAGE_SIZE at a time (more load while scrolling), and
+    // the search box waits STORE_SEARCH_DEBOUNCE_MS after the last keystroke.
+    // --------------------------------------------------------------------------
+    STORE_PAGE_SIZE: 24,
+    STORE_SEARCH_DEBOUNCE_MS: 200,
+
+    // --------------------------------------------------------------------------
+    // Delivery test defaults
+    // Placeholder coordinates for farms/customers that have none yet. Off
+    // unless a profile turns them on; anything built on them is marked as test
+    // data. Checkout only accepts them when ALLOW_TEST_DATA_ORDERS comes from
+    // the server's config.json (profiles and ?env= can't turn it on).
+    // --------------------------------------------------------------------------
+    ENABLE_DELIVERY_TEST_DEFAULTS: false,
+    ALLOW_TEST_DATA_ORDERS: false,
+
+    TEST_DELIVERY_ADDRESS: "1151 Melschiemer St. SW, East Sparta, Ohio, USA",
+
+    TEST_FARM_LAT: 40.9,
+    TEST_FARM_LONG: -81.1,
+
+    TEST_CUSTOMER_LAT: 40.7989,
+    TEST_CUSTOMER_LONG: -81.3784,
+  };
+
+  /* ==========================================================================
+   * PROFILES
+   * ========================================================================== */
+
+  const STRIPE_TEST_KEY =
+    "pk_test_51Sk6SlCV7Fz3POGDgrPnonTC2bjA0qby5WUYR5LdzBwqGhKq9ugdxbl4uxwqNVixB9vJQTDj1Eb2A2V4K9PSDHUx00LHvclWTn";
+
+  const PROFILES = {
+    // Django dev server on this machine (developer hosts, ?env=local)
+    local: {
+      API_URL: "http://localhost:8000/api",
+      STRIPE_PUBLISHABLE_KEY: STRIPE_TEST_KEY,
+      ENABLE_DELIVERY_TEST_DEFAULTS: true,
+    },
+
+    // Staging hosts supply API_URL (and keys) through config.json
+    staging: {
+      STRIPE_PUBLISHABLE_KEY: STRIPE_TEST_KEY,
+    },
+
+    production: {
+      API_URL: "https://d1nnhq1iqs57tb.cloudfront.net/api",
+      STRIPE_PUBLISHABLE_KEY: STRIPE_TEST_KEY,
+      SHOW_DEV_BANNER: false,
+    },
+  };
+
+  // Hostname -> profile. Strings match exactly; RegExps are tested.
+  const HOST_PROFILES = [[/(^|[.-])staging([.-]|$)/i, "staging"]];
+
+  // Hosts where ?env= may pick a profile; everywhere else it is ignored.
+  const DEV_HOSTS = ["localhost", "127.0.0.1", ""]; // "" = file://
+
+  /* ==========================================================================
+   * PROFILE SELECTION
+   * ========================================================================== */
+
+  function readStoredEnv() {
+    try {
+      return sessionStorage.getItem(ENV_STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  function storeEnv(name) {
+    try {
+      if (name) sessionStorage.setItem(ENV_STORAGE_KEY, name);
+      else sessionStorage.removeItem(ENV_STORAGE_KEY);
+    } catch {
+      // Storage unavailable (private mode); the query param still applies.
+    }
+  }
+
+  /**
+   * @returns {{ name: string, source: "query" | "hostname" | "default" }}
+   */
+  function resolveProfile() {
+    const host = String(window.location.hostname || "").toLowerCase();
+    const requested = new URLSearchParams(window.location.search)
+      .get(ENV_PARAM)
+      ?.trim()
+      .toLowerCase();
+
+    if (DEV_HOSTS.includes(host)) {
+      if (requested === "auto") {
+        storeEnv(null);
+      } else if (requested && PROFILES[requested]) {
+        storeEnv(requested);
+      } else if (requested) {
+        console.warn(`config.js: unknown ?${ENV_PARAM}=${requested}; ignored.`);
+      }
+
+      const stored = readStoredEnv();
+      if (stored && PROFILES[stored]) return { name: stored, source: "query" };
+    } else {
+      // Deployed hosts: visitors don't get to pick the profile.
+      if (requested) {
+        console.warn(`config.js: ?${ENV_PARAM}= is ignored on ${host}.`);
+      }
+      storeEnv(null);
+    }
+
+    const match = HOST_PROFILES.find(([pattern]) =>
+      pattern instanceof RegExp ? pattern.test(host) : pattern === host,
+    );
+    if (match) return { name: match[1], source: "hostname" };
+
+    return { name: "production", source: "default" };
+  }
+
+  const profile = resolveProfile();
+
+  window.__CROPCART_CONFIG__ = {
+    ...DEFAULTS,
+    ...PROFILES[profile.name],
+    ENV: profile.name,
+    ENV_SOURCE: profile.source,
+  };
 
-  // --------------------------------------------------------------------------
-  // Stripe Client Variables
-  // --------------------------------------------------------------------------
+  /* ==========================================================================
+   * RUNTIME OVERRIDES (config.json)
+   * ========================================================================== */
 
-  STRIPE_PUBLISHABLE_KEY:
-    "pk_test_51Sk6SlCV7Fz3POGDgrPnonTC2bjA0qby5WUYR5LdzBwqGhKq9ugdxbl4uxwqNVixB9vJQTDj1Eb2A2V4K9PSDHUx00LHvclWTn",
+  /**
+   * Fetch CONFIG_URL and merge its keys into window.__CROPCART_CONFIG__.
+   * A missing or unreadable file leaves the profile untouched.
+   * @returns {Promise<void>}
+   */
+  async function loadRuntimeConfig() {
+    const url = window.__CROPCART_CONFIG__.CONFIG_URL;
+    if (!url || typeof fetch !== "function") return;
 
-  ENABLE_FARMER_PORTAL: true,
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG_FETCH_TIMEOUT_MS);
 
-  //using UMU address rn change to be real once i have the real address info
-  DELIVERY_RANGE: 15,
-  HQ_ADDRESS: "1972 Clark Ave., Alliance, OH 44601",
-  HQ_LAT: 40.902174,
-  HQ_LONG: -81.108759,
+    try {
+      const res = await fetch(url, {
+        cache: "no-store",
+        signal: controller.signal,
+      });
+      if (!res.ok) return;
 
-  // --------------------------------------------------------------------------
-  // Delivery test defaults
-  // Temporary testing helpers for missing farm/customer coordinates
-  // --------------------------------------------------------------------------
-  ENABLE_DELIVERY_TEST_DEFAULTS: true,
+      const overrides = await res.json();
+      if (!overrides || typeof overrides !== "object") {
+        console.warn(`config.js: ${url} is not a JSON object; ignored.`);
+        return;
+      }
 
-  TEST_DELIVERY_ADDRESS: "1151 Melschiemer St. SW, East Sparta, Ohio, USA",
+      // ENV / ENV_SOURCE describe how the profile was picked; keep them.
+      const { ENV, ENV_SOURCE, ...rest } = overrides;
+      Object.assign(window.__CROPCART_CONFIG__, rest, {
+        CONFIG_LOADED_FROM: url,
+      });
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        console.warn(`config.js: ${url} is not valid JSON; ignored.`, err);
+      }
+      // Otherwise: not deployed / offline / file:// — keep profile values.
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
-  TEST_FARM_LAT: 40.9,
-  TEST_FARM_LONG: -81.1,
+  /* ==========================================================================
+   * MOCK BACKEND (dev / demo only)
+   * ========================================================================== */
 
-  TEST_CUSTOMER_LAT: 40.7989,
-  TEST_CUSTOMER_LONG: -81.3784,
-};
+  /**
+   * Resolve once utils.js has defined window.CC (mock-backend.js needs it).
+   * Only waits when config finished before the page's scripts ran.
+   * @returns {Promise<void>}
+   */
+  function whenUtilsLoaded() {
+    if (window.CC || document.readyState !== "loading") {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      document.addEventListener("DOMContentLoaded", () => resolve(), {
+        once: true,
+      });
+    });
+  }
 
-// ---------------------------------------------------------------------------
-// Backwards-compatible globals (legacy scripts depend on these) (TODO: Remove Later)
-// ---------------------------------------------------------------------------
+  /**
+   * Inject mock-backend.js when MOCK_API is on. Never rejects: a failed load
+   * is logged and requests go to API_URL as usual.
+   * @returns {Promise<void>}
+   */
+  async function loadMockBackend() {
+    if (window.__CROPCART_CONFIG__.MOCK_API !== true) return;
+    await whenUtilsLoaded();
 
-// Example: "http://3.142.227.162/api"
-window.API_URL = window.__CROPCART_CONFIG__.API_URL;
-window.API_BASE_URL = window.__CROPCART_CONFIG__.API_URL;
+    const src = new URL("mock-backend.js", new URL(SCRIPT_BASE, location.href))
+      .href;
+    await new Promise((resolve) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        console.error(`config.js: MOCK_API is on but ${src} did not load.`);
+        resolve();
+      };
+      document.head.appendChild(script);
+    });
+  }
 
-// Stripe key used by checkout pages
-window.STRIPE_PUBLISHABLE_KEY =
-  window.__CROPCART_CONFIG__.STRIPE_PUBLISHABLE_KEY;
+  window.__CROPCART_CONFIG_READY__ = loadRuntimeConfig().then(loadMockBackend);
+})();
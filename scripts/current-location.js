@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * current-location.js — "Check with my location" (browser geolocation)
+ * ----------------------------------------------------------------------------
+ * CC.delivery.getCurrentLocation({ signal })      -> { lat, lng, accuracy_m }
+ * CC.delivery.checkCurrentLocation({ reverse })   -> position + coverage
+ * CC.delivery.describeLocationCheck(result)       -> { text, kind }
+ *
+ * Lets visitors (signed in or not) see whether we deliver to where they are
+ * without typing an address. With `reverse: true` the position is also turned
+ * into an address (geocoder.js) so pages can prefill an address form.
+ *
+ * Load after delivery-shared.js (and geocoder.js for reverse lookups).
+ * ============================================================================
+ */
+
+(function initCurrentLocation() {
+  "use strict";
+
+  const CC = window.CC;
+  const delivery = CC?.delivery;
+
+  if (!delivery) {
+    console.warn(
+      "current-location.js: CC.delivery not found. Make sure delivery-shared.js is loaded first.",
+    );
+    return;
+  }
+
+  // Fixes less precise than this get an "approximate" note.
+  const COARSE_ACCURACY_M = 1000;
+  const METERS_PER_MILE = 1609.344;
+
+  const ERROR_MESSAGES = {
+    unsupported: "This browser can't share your location.",
+    insecure: "Location is only available on a secure (https) page.",
+    denied:
+      "Location permission was denied. Allow location for this site, or enter an address instead.",
+    unavailable:
+      "Your location isn't available right now. Try again or enter an address.",
+    timeout:
+      "Finding your location took too long. Try again or enter an address.",
+  };
+
+  function locationError(code) {
+    const err = new Error(ERROR_MESSAGES[code]);
+    err.code = code;
+    return err;
+  }
+
+  /**
+   * Ask the browser for the device position.
+   *
+   * Rejects with an Error whose `code` is "unsupported", "insecure", "denied",
+   * "unavailable" or "timeout" (message is user-facing), or an AbortError.
+   *
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<{ lat: number, lng: number, accuracy_m: number|null }>}
+   */
+  function getCurrentLocation({ signal } = {}) {
+    const geolocation = window.navigator?.geolocation;
+    if (!geolocation) return Promise.reject(locationError("unsupported"));
+    if (window.isSecureContext === false) {
+      return Promise.reject(locationError("insecure"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const err = new Error("Request was cancelled.");
+        err.name = "AbortError";
+        reject(err);
+      };
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      geolocation.getCurrentPosition(
+        (pos) => {
+          signal?.removeEventListener("abort", onAbort);
+          const accuracy = Number(pos.coords.accuracy);
+          resolve({
+            lat: pos.coords.latitude,
+            lng: pos.coords.longitude,
+            accuracy_m: Number.isFinite(accuracy) ? accuracy : null,
+          });
+        },
+        (err) => {
+          signal?.removeEventListener("abort", onAbort);
+          // GeolocationPositionError: 1 denied, 2 unavailable, 3 timeout
+          reject(
+            locationError(
+              err?.code === 1
+                ? "denied"
+                : err?.code === 3
+                  ? "timeout"
+                  : "unavailable",
+            ),
+          );
+        },
+        {
+          enableHighAccuracy: false,
+          timeout: Number(CC.getConfigValue("GEOLOCATION_TIMEOUT_MS", 10000)),
+          maximumAge: Number(
+            CC.getConfigValue("GEOLOCATION_MAX_AGE_MS", 5 * 60 * 1000),
+          ),
+        },
+      );
+    });
+  }
+
+  /**
+   * Locate the device and run the usual range check on it.
+   *
+   * With `reverse`, `address` is the nearest address from the geocoder (null
+   * if the lookup finds nothing or fails; the range check still stands).
+   *
+   * @param {{ reverse?: boolean, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ position: { lat: number, lng: number, accuracy_m: number|null }, customer: object, coverage: object, address: object|null }>}
+   */
+  async function checkCurrentLocation({ reverse = false, signal } = {}) {
+    const position = await getCurrentLocation({ signal });
+
+    await delivery.loadDeliverySettings();
+    const hubCheck = delivery.validateHubs();
+    if (!hubCheck.ok) {
+      throw new Error(
+        `Delivery range can't be checked right now (missing hub settings: ${hubCheck.missing.join(", ")}).`,
+      );
+    }
+
+    const customerCheck = delivery.validateCustomer(
+      {
+        preferred_delivery_address: "Your current location",
+        lat: position.lat,
+        lng: position.lng,
+      },
+      { strict: true },
+    );
+    const { customer } = customerCheck;
+    const coverage = delivery.findServingHub(
+      customer.lat,
+      customer.lng,
+      hubCheck.hubs,
+    );
+
+    let address = null;
+    if (reverse && delivery.reverseGeocode) {
+      try {
+        address = await delivery.reverseGeocode(position.lat, position.lng, {
+          signal,
+        });
+      } catch (err) {
+        if (CC.isAbortError(err)) throw err;
+        console.warn("current-location: reverse geocoding failed.", err);
+      }
+    }
+
+    return { position, customer, coverage, address };
+  }
+
+  /**
+   * Status line for a checkCurrentLocation() result, e.g. "We deliver to your
+   * location: served by CropCart HQ, 3.20 miles away."
+   * @param {{ position: object, coverage: object }} result
+   * @returns {{ text: string, kind: "success"|"danger"|"warning" }}
+   */
+  function describeLocationCheck({ position, coverage }) {
+    const text = delivery.describeCoverage(coverage);
+    const coarse =
+      Number.isFinite(position.accuracy_m) &&
+      position.accuracy_m > COARSE_ACCURACY_M;
+    const approx = coarse
+      ? ` Your location is approximate (within about ${(position.accuracy_m / METERS_PER_MILE).toFixed(1)} miles).`
+      : "";
+
+    if (!coverage.inRange) {
+      return {
+        text: `We don't deliver to your location yet: ${text}.${approx}`,
+        kind: "danger",
+      };
+    }
+    return {
+      text: `We deliver to your location: ${text}.${approx}`,
+      kind: coarse ? "warning" : "success",
+    };
+  }
+
+  Object.assign(delivery, {
+    getCurrentLocation,
+    checkCurrentLocation,
+    describeLocationCheck,
+  });
+})();
@@ -20,16 +20,34 @@
 
   const toggleHqMarkerEl = document.getElementById("toggleHqMarker");
   const toggleHqRadiusEl = document.getElementById("toggleHqRadius");
+  const toggleZonesEl = document.getElementById("toggleZones");
   const toggleCustomerMarkerEl = document.getElementById("toggleCustomerMarker");
   const toggleFarmMarkersEl = document.getElementById("toggleFarmMarkers");
+  const toggleFarmRadiiEl = document.getElementById("toggleFarmRadii");
+
+  const checkLocationBtn = document.getElementById("checkLocationBtn");
+  const locationCheckTextEl = document.getElementById("locationCheckText");
+
+  const addressCheckForm = document.getElementById("addressCheckForm");
+  const addressCheckInputEl = document.getElementById("addressCheckInput");
+  const addressCheckStatusEl = document.getElementById("addressCheckStatus");
+  const addressCheckCtaEl = document.getElementById("addressCheckCta");
 
   let map = null;
 
+  // Hubs/zones the map was drawn with; address checks use the same ones.
+  let activeHubs = [];
+  let activeZones = [];
+  let activeFarms = [];
+
   const layers = {
-    hqMarker: null,
-    hqRadius: null,
+    hubMarkers: L.layerGroup(),
+    hubRadii: L.layerGroup(),
+    zones: L.layerGroup(),
     customerMarker: null,
     farmMarkers: L.layerGroup(),
+    farmRadii: L.layerGroup(),
+    checkedLocation: L.layerGroup(),
   };
 
   function setPageStatus(message, kind = "muted") {
@@ -37,14 +55,16 @@
   }
 
   async function apiGetFarms() {
-    return CC.apiRequest(CC.delivery.getDeliveryConfig().FARMS_PATH, {
-      method: "GET",
-    });
+    return CC.api.farms.list();
   }
 
-  function initMap(hq, customer, farms) {
-    const centerLat = customer?.lat ?? hq.lat;
-    const centerLng = customer?.lng ?? hq.lng;
+  function initMap(hubs, zones, customer, farms) {
+    activeHubs = hubs;
+    activeZones = zones;
+    activeFarms = farms;
+
+    const centerLat = customer?.lat ?? hubs[0].lat;
+    const centerLng = customer?.lng ?? hubs[0].lng;
 
     map = L.map(mapEl, {
       zoomControl: true,
@@ -56,49 +76,85 @@
       attribution: "&copy; OpenStreetMap contributors",
     }).addTo(map);
 
-    renderHq(hq);
-    renderCustomer(customer, hq);
+    renderHubs(hubs);
+    renderZones(zones);
+    renderCustomer(customer, hubs, zones);
     renderFarms(farms);
 
-    fitBoundsToData(hq, customer, farms);
+    fitBoundsToData(hubs, customer, farms);
     bindLayerToggles();
+    bindLocationCheck();
+    bindAddressCheck();
   }
 
-  function renderHq(hq) {
-    const hqIcon = delivery.buildImageIcon("./Images/CClogo1.png", 46, "cc-map-pin--hq");
+  function renderHubs(hubs) {
+    layers.hubMarkers.clearLayers();
+    layers.hubRadii.clearLayers();
+
+    const hubIcon = delivery.buildImageIcon("./Images/CClogo1.png", 46, "cc-map-pin--hq");
+
+    hubs.forEach((hub) => {
+      const marker = L.marker([hub.lat, hub.lng], { icon: hubIcon }).bindPopup(`
+        <div class="cc-map-popup">
+          <div class="fw-semibold mb-1">${CC.escapeHtml(hub.name)}</div>
+          <div><strong>Delivery Radius:</strong> ${CC.escapeHtml(String(hub.deliveryRange))} miles</div>
+          <div>${CC.escapeHtml(hub.address)}</div>
+        </div>
+      `);
+
+      const radius = L.circle([hub.lat, hub.lng], {
+        radius: delivery.milesToMeters(hub.deliveryRange),
+        color: "#1e5b38",
+        weight: 2,
+        opacity: 0.9,
+        fillColor: "#2f7a4d",
+        fillOpacity: 0.12,
+      });
+
+      layers.hubMarkers.addLayer(marker);
+      layers.hubRadii.addLayer(radius);
+    });
 
-    layers.hqMarker = L.marker([hq.lat, hq.lng], { icon: hqIcon }).bindPopup(`
-      <div class="cc-map-popup">
-        <div class="fw-semibold mb-1">CropCart HQ</div>
-        <div><strong>Delivery Radius:</strong> ${CC.escapeHtml(String(hq.deliveryRange))} miles</div>
-        <div>${CC.escapeHtml(hq.address)}</div>
-      </div>
-    `);
+    if (toggleHqMarkerEl?.checked) layers.hubMarkers.addTo(map);
+    if (toggleHqRadiusEl?.checked) layers.hubRadii.addTo(map);
+  }
 
-    layers.hqRadius = L.circle([hq.lat, hq.lng], {
-      radius: delivery.milesToMeters(hq.deliveryRange),
-      color: "#1e5b38",
-      weight: 2,
-      opacity: 0.9,
-      fillColor: "#2f7a4d",
-      fillOpacity: 0.12,
+  function renderZones(zones) {
+    layers.zones.clearLayers();
+
+    zones.forEach((zone) => {
+      const isExclude = zone.mode === "exclude";
+      const layer = L.geoJSON(zone.geometry, {
+        style: {
+          color: isExclude ? "#b42318" : "#1e5b38",
+          weight: 2,
+          dashArray: "6 4",
+          fillColor: isExclude ? "#d92d20" : "#2f7a4d",
+          fillOpacity: isExclude ? 0.18 : 0.1,
+        },
+      }).bindPopup(`
+        <div class="cc-map-popup">
+          <div class="fw-semibold mb-1">${CC.escapeHtml(zone.name)}</div>
+          <div>${isExclude ? "No delivery in this area" : "Delivery zone"}</div>
+        </div>
+      `);
+
+      layers.zones.addLayer(layer);
     });
 
-    if (toggleHqMarkerEl?.checked) layers.hqMarker.addTo(map);
-    if (toggleHqRadiusEl?.checked) layers.hqRadius.addTo(map);
+    if (toggleZonesEl?.checked) layers.zones.addTo(map);
   }
 
-  function renderCustomer(customer, hq) {
+  function renderCustomer(customer, hubs, zones) {
     if (!customer) return;
 
-    const distanceFromHq = delivery.milesBetween(
-      hq.lat,
-      hq.lng,
+    const coverage = delivery.findServingHub(
       customer.lat,
       customer.lng,
+      hubs,
+      zones,
     );
-
-    const isInRange = distanceFromHq <= hq.deliveryRange;
+    const { inRange } = coverage;
 
     layers.customerMarker = L.marker([customer.lat, customer.lng], {
       icon: L.divIcon({
@@ -114,10 +170,10 @@
       }),
     }).bindPopup(`
       <div class="cc-map-popup">
-        <div class="fw-semibold mb-1">${CC.escapeHtml(customer.username || "Customer")}</div>
+        <div class="fw-semibold mb-1">${CC.escapeHtml(customer.username || "Customer")} ${delivery.testDataBadgeHtml(customer.synthetic)}</div>
         <div>${CC.escapeHtml(customer.preferred_delivery_address)}</div>
-        <div><strong>In Range:</strong> ${isInRange ? "Yes" : "No"}</div>
-        <div><strong>Distance From HQ:</strong> ${distanceFromHq.toFixed(2)} miles</div>
+        <div><strong>In Range:</strong> ${inRange ? "Yes" : "No"}</div>
+        <div>${CC.escapeHtml(delivery.describeCoverage(coverage))}</div>
       </div>
     `);
 
@@ -128,6 +184,7 @@
 
   function renderFarms(farms) {
     layers.farmMarkers.clearLayers();
+    layers.farmRadii.clearLayers();
 
     farms.forEach((farm) => {
       const icon = delivery.buildImageIcon(farm.logo_url, 42, "cc-map-pin--farm");
@@ -137,15 +194,231 @@
       );
 
       layers.farmMarkers.addLayer(marker);
+
+      // Farms that deliver their own orders get their own circle.
+      if (farm.delivery_radius_miles) {
+        layers.farmRadii.addLayer(
+          L.circle([farm.lat, farm.lng], {
+            radius: delivery.milesToMeters(farm.delivery_radius_miles),
+            color: "#b54708",
+            weight: 2,
+            dashArray: "4 4",
+            opacity: 0.9,
+            fillColor: "#f79009",
+            fillOpacity: 0.08,
+          }).bindPopup(delivery.farmPopupHtml(farm)),
+        );
+      }
     });
 
     if (toggleFarmMarkersEl?.checked) {
       layers.farmMarkers.addTo(map);
     }
+    if (toggleFarmRadiiEl?.checked) {
+      layers.farmRadii.addTo(map);
+    }
+  }
+
+  /**
+   * Plot a point someone asked about (their browser location or an address
+   * they typed) with its coverage; replaces the previous one.
+   *
+   * @param {{ lat: number, lng: number, accuracy_m?: number|null }} point
+   * @param {{ title: string, text: string, inRange: boolean }} info
+   */
+  function renderCheckedLocation(point, { title, text, inRange }) {
+    layers.checkedLocation.clearLayers();
+
+    if (Number.isFinite(point.accuracy_m)) {
+      layers.checkedLocation.addLayer(
+        L.circle([point.lat, point.lng], {
+          radius: point.accuracy_m,
+          color: "#1d4ed8",
+          weight: 1,
+          fillColor: "#3b82f6",
+          fillOpacity: 0.12,
+        }),
+      );
+    }
+
+    const marker = L.marker([point.lat, point.lng], {
+      icon: L.divIcon({
+        className: "cc-customer-pin-wrap",
+        html: `
+          <div class="cc-customer-pin cc-customer-pin--here">
+            <i class="bi bi-crosshair"></i>
+          </div>
+        `,
+        iconSize: [34, 34],
+        iconAnchor: [17, 17],
+        popupAnchor: [0, -10],
+      }),
+    }).bindPopup(`
+      <div class="cc-map-popup">
+        <div class="fw-semibold mb-1">${CC.escapeHtml(title)}</div>
+        <div><strong>In Range:</strong> ${inRange ? "Yes" : "No"}</div>
+        <div>${CC.escapeHtml(text)}</div>
+      </div>
+    `);
+
+    layers.checkedLocation.addLayer(marker);
+    layers.checkedLocation.addTo(map);
+    map.setView([point.lat, point.lng], Math.max(map.getZoom(), 11));
+    marker.openPopup();
+  }
+
+  /**
+   * " Sunny Ridge Dairy delivers there directly." for self-delivering farms
+   * whose own radius covers the point ("" when none do).
+   */
+  function selfDeliveryNote(lat, lng, coverage) {
+    const names = activeFarms
+      .filter((farm) => farm.delivery_radius_miles)
+      .map((farm) => delivery.checkFarmCoverage(farm, lat, lng, coverage))
+      .filter((result) => result.canServe)
+      .map((result) => result.farm.name);
+
+    if (!names.length) return "";
+    return ` ${names.join(", ")} ${names.length === 1 ? "delivers" : "deliver"} there directly.`;
+  }
+
+  /**
+   * Guests get a nudge to sign up under the result; signed-in customers
+   * already have an account.
+   */
+  function renderSignupCta(inRange) {
+    if (!addressCheckCtaEl) return;
+    if (CC.auth.isLoggedIn()) {
+      addressCheckCtaEl.classList.add("d-none");
+      return;
+    }
+
+    addressCheckCtaEl.innerHTML = inRange
+      ? `Good news! <a class="fw-semibold" href="register.html">Create a free account</a> to start ordering from local farms.`
+      : `We're growing. <a class="fw-semibold" href="register.html">Create an account</a> and your address will be ready when we reach you.`;
+    addressCheckCtaEl.classList.remove("d-none");
   }
 
-  function fitBoundsToData(hq, customer, farms) {
-    const points = [[hq.lat, hq.lng]];
+  /**
+   * "Do we deliver to you?": geocode a typed address or ZIP and check it
+   * against the same hubs/zones the map shows. Works without an account.
+   */
+  function bindAddressCheck() {
+    if (!addressCheckForm) return;
+    if (!delivery.geocodeSearch) {
+      addressCheckForm.closest(".cc-mini")?.classList.add("d-none");
+      return;
+    }
+
+    addressCheckForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+
+      const query = String(addressCheckInputEl?.value || "").trim();
+      if (!query) {
+        CC.setStatus(
+          addressCheckStatusEl,
+          "Enter a street address, town, or ZIP code.",
+          "danger",
+        );
+        return;
+      }
+
+      const submitBtn = addressCheckForm.querySelector('button[type="submit"]');
+      submitBtn && (submitBtn.disabled = true);
+      addressCheckCtaEl?.classList.add("d-none");
+      CC.setStatus(addressCheckStatusEl, "Looking up that address…", "muted");
+
+      try {
+        const [match] = await delivery.geocodeSearch(query, { limit: 1 });
+        if (!match) {
+          CC.setStatus(
+            addressCheckStatusEl,
+            "We couldn't find that address. Try adding the town and ZIP code.",
+            "warning",
+          );
+          return;
+        }
+
+        const coverage = delivery.findServingHub(
+          match.lat,
+          match.lng,
+          activeHubs,
+          activeZones,
+        );
+        const coverageText = delivery.describeCoverage(coverage);
+        const matchText = delivery.describeGeocodeMatch(match);
+        const approx = delivery.isLowConfidenceMatch(match)
+          ? ` Location is approximate, ${matchText}; add a street address for a firmer answer.`
+          : "";
+
+        const farmNote = selfDeliveryNote(match.lat, match.lng, coverage);
+        const text = coverage.inRange
+          ? `Yes, we deliver there: ${coverageText}.${farmNote}${approx}`
+          : `Not yet: ${coverageText}.${farmNote}${approx}`;
+        CC.setStatus(
+          addressCheckStatusEl,
+          text,
+          !coverage.inRange ? "danger" : approx ? "warning" : "success",
+        );
+
+        renderCheckedLocation(match, {
+          title: match.display_name || query,
+          text: coverageText,
+          inRange: coverage.inRange,
+        });
+        renderSignupCta(coverage.inRange);
+
+        // Guests have no saved address, so the checked one fills the summary.
+        if (!CC.auth.isLoggedIn()) {
+          customerAddressTextEl.textContent = match.display_name || query;
+          deliveryRangeTextEl.textContent =
+            coverageText.charAt(0).toUpperCase() + coverageText.slice(1);
+        }
+      } catch (err) {
+        CC.setStatus(addressCheckStatusEl, err?.message || String(err), "danger");
+      } finally {
+        submitBtn && (submitBtn.disabled = false);
+      }
+    });
+  }
+
+  function bindLocationCheck() {
+    if (!delivery.checkCurrentLocation) {
+      checkLocationBtn?.classList.add("d-none");
+      return;
+    }
+
+    checkLocationBtn?.addEventListener("click", async () => {
+      checkLocationBtn.disabled = true;
+      CC.setStatus(locationCheckTextEl, "Finding your location…", "muted");
+
+      try {
+        const result = await delivery.checkCurrentLocation();
+        const check = delivery.describeLocationCheck(result);
+        const text =
+          check.text +
+          selfDeliveryNote(
+            result.position.lat,
+            result.position.lng,
+            result.coverage,
+          );
+        CC.setStatus(locationCheckTextEl, text, check.kind);
+        renderCheckedLocation(result.position, {
+          title: "You are here",
+          text,
+          inRange: result.coverage.inRange,
+        });
+        renderSignupCta(result.coverage.inRange);
+      } catch (err) {
+        CC.setStatus(locationCheckTextEl, err?.message || String(err), "danger");
+      } finally {
+        checkLocationBtn.disabled = false;
+      }
+    });
+  }
+
+  function fitBoundsToData(hubs, customer, farms) {
+    const points = hubs.map((hub) => [hub.lat, hub.lng]);
 
     if (customer) points.push([customer.lat, customer.lng]);
 
@@ -163,15 +436,18 @@
 
   function bindLayerToggles() {
     toggleHqMarkerEl?.addEventListener("change", () => {
-      if (!layers.hqMarker) return;
-      if (toggleHqMarkerEl.checked) layers.hqMarker.addTo(map);
-      else map.removeLayer(layers.hqMarker);
+      if (toggleHqMarkerEl.checked) layers.hubMarkers.addTo(map);
+      else map.removeLayer(layers.hubMarkers);
     });
 
     toggleHqRadiusEl?.addEventListener("change", () => {
-      if (!layers.hqRadius) return;
-      if (toggleHqRadiusEl.checked) layers.hqRadius.addTo(map);
-      else map.removeLayer(layers.hqRadius);
+      if (toggleHqRadiusEl.checked) layers.hubRadii.addTo(map);
+      else map.removeLayer(layers.hubRadii);
+    });
+
+    toggleZonesEl?.addEventListener("change", () => {
+      if (toggleZonesEl.checked) layers.zones.addTo(map);
+      else map.removeLayer(layers.zones);
     });
 
     toggleCustomerMarkerEl?.addEventListener("change", () => {
@@ -184,28 +460,43 @@
       if (toggleFarmMarkersEl.checked) layers.farmMarkers.addTo(map);
       else map.removeLayer(layers.farmMarkers);
     });
+
+    toggleFarmRadiiEl?.addEventListener("change", () => {
+      if (toggleFarmRadiiEl.checked) layers.farmRadii.addTo(map);
+      else map.removeLayer(layers.farmRadii);
+    });
   }
 
   async function init() {
-    const config = delivery.getDeliveryConfig();
-    const hqCheck = delivery.validateHq(config);
+    await delivery.loadDeliverySettings();
 
-    hqAddressTextEl.textContent = config.HQ_ADDRESS || "—";
-    deliveryRangeTextEl.textContent = Number.isFinite(config.DELIVERY_RANGE)
-      ? `${config.DELIVERY_RANGE} miles`
+    const config = delivery.getDeliveryConfig();
+    const { zones } = delivery.getDeliverySettings();
+    const hubCheck = delivery.validateHubs();
+
+    hqAddressTextEl.innerHTML = hubCheck.hubs.length
+      ? hubCheck.hubs
+          .map(
+            (hub) => `
+              <div>${CC.escapeHtml(hub.name)}</div>
+              <div class="small text-muted fw-normal">${CC.escapeHtml(hub.address)} · ${CC.escapeHtml(String(hub.deliveryRange))} mi</div>
+            `,
+          )
+          .join("")
       : "—";
+    deliveryRangeTextEl.textContent = "—";
 
-    if (!hqCheck.ok) {
-      const message = `Missing HQ config: ${hqCheck.missing.join(", ")}`;
+    if (!hubCheck.ok) {
+      const message = `Missing delivery hub settings: ${hubCheck.missing.join(", ")}`;
       console.error(
-        "delivery-radius: HQ configuration invalid. Expected HQ_ADDRESS, HQ_LAT, HQ_LONG, and DELIVERY_RANGE in config.js.",
+        `delivery-radius: no usable delivery hubs (source: ${config.SETTINGS_SOURCE}). Expected hubs with address, lat, lng and radius_miles from /delivery/settings/, or HQ_ADDRESS, HQ_LAT, HQ_LONG and DELIVERY_RANGE in config.js.`,
       );
       setPageStatus(message, "danger");
-      customerAddressTextEl.textContent = "Unable to load until HQ config is fixed.";
+      customerAddressTextEl.textContent = "Unable to load until hub settings are fixed.";
       return;
     }
 
-        setPageStatus("Loading farms and customer location…", "muted");
+    setPageStatus("Loading farms and customer location…", "muted");
 
     const farmsRes = await apiGetFarms();
 
@@ -218,31 +509,69 @@
 
     const rawFarms = Array.isArray(farmsRes.data) ? farmsRes.data : [];
     const validatedFarms = rawFarms
-      .map((farm, index) => delivery.validateFarm(farm, index))
+      .map((farm, index) =>
+        delivery.validateFarm(farm, index, { strict: false }),
+      )
       .filter(Boolean);
 
+    const testFarms = validatedFarms.filter((farm) => farm.synthetic.length);
+    const farmCount = `${validatedFarms.length} farm marker${validatedFarms.length === 1 ? "" : "s"}${testFarms.length ? ` (${testFarms.length} at test-data coordinates)` : ""}`;
+    const farmKind = testFarms.length ? "warning" : "success";
+
+    // Guests get the map plus the address checker instead of an error.
+    if (!CC.auth.isLoggedIn()) {
+      customerAddressTextEl.textContent =
+        "Enter an address above to see if we deliver to you.";
+      initMap(hubCheck.hubs, zones, null, validatedFarms);
+      setPageStatus(
+        `Loaded ${farmCount}. Check any address or ZIP; no account needed.`,
+        farmKind,
+      );
+      return;
+    }
+
     const customerRecord = delivery.getCustomerFromAuth();
-    const customerCheck = delivery.validateCustomer(customerRecord);
+    const customerCheck = delivery.validateCustomer(customerRecord, {
+      strict: false,
+    });
 
     if (!customerCheck.ok) {
-      const message = `Missing customer data: ${customerCheck.missing.join(", ")}`;
       console.error(
         "delivery-radius: customer data invalid. Expected preferred_delivery_address, lat, and long on the customer record.",
         customerRecord,
       );
-      setPageStatus(message, "danger");
-      customerAddressTextEl.textContent = "Customer delivery data is missing.";
+      customerAddressTextEl.textContent =
+        "No saved delivery address yet. Check one above, or add it on your account page.";
+      initMap(hubCheck.hubs, zones, null, validatedFarms);
+      setPageStatus(
+        `Missing customer data: ${customerCheck.missing.join(", ")}`,
+        "warning",
+      );
       return;
     }
 
     customerAddressTextEl.textContent =
       customerCheck.customer.preferred_delivery_address;
+    delivery.markTestData(customerAddressTextEl, customerCheck.synthetic);
+
+    const serving = delivery.findServingHub(
+      customerCheck.customer.lat,
+      customerCheck.customer.lng,
+      hubCheck.hubs,
+      zones,
+    );
+    const coverageText = delivery.describeCoverage(serving);
+    deliveryRangeTextEl.textContent =
+      coverageText.charAt(0).toUpperCase() + coverageText.slice(1);
 
-    initMap(hqCheck.hq, customerCheck.customer, validatedFarms);
+    initMap(hubCheck.hubs, zones, customerCheck.customer, validatedFarms);
 
+    const customerNote = customerCheck.synthetic.length
+      ? ` ${delivery.describeTestData(customerCheck.synthetic)}`
+      : "";
     setPageStatus(
-      `Loaded ${validatedFarms.length} farm marker${validatedFarms.length === 1 ? "" : "s"}.`,
-      "success",
+      `Loaded ${farmCount}.${customerNote}`,
+      customerNote ? "warning" : farmKind,
     );
   }
 
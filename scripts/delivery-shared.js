@@ -9,17 +9,199 @@
     return;
   }
 
+  /* ==========================================================================
+   * DELIVERY SETTINGS (server-driven hubs with cached + config.js fallback)
+   * ========================================================================== */
+
+  const SETTINGS_CACHE_KEY = "cc_delivery_settings_v2";
+  const DEFAULT_SETTINGS_TTL_MS = 5 * 60 * 1000;
+
+  /** @type {{ entries: Array<object>|null, zones: Array<object>, source: string, fetchedAt: number|null }|null} */
+  let loadedSettings = null;
+  let settingsRequest = null;
+
+  /**
+   * Single hub built from the static HQ_* / DELIVERY_RANGE config keys.
+   * Used when the server has no delivery settings and nothing is cached.
+   * @returns {object}
+   */
+  function configHub() {
+    const cfg = CC.getConfig();
+    return {
+      id: "config",
+      name: "CropCart HQ",
+      address: String(cfg.HQ_ADDRESS || "").trim(),
+      lat: Number(cfg.HQ_LAT),
+      lng: Number(cfg.HQ_LONG),
+      radius_miles: Number(cfg.DELIVERY_RANGE),
+      active: true,
+      effective_from: null,
+      effective_until: null,
+    };
+  }
+
+  /**
+   * Zones from the DELIVERY_ZONES config key (GeoJSON FeatureCollection or a
+   * list of zones), used alongside configHub().
+   * @returns {Array<object>}
+   */
+  function configZones() {
+    const raw = CC.getConfigValue("DELIVERY_ZONES", []);
+    return CC.api?.normalize?.deliveryZones
+      ? CC.api.normalize.deliveryZones(raw)
+      : [];
+  }
+
+  function parseTime(value, fallback) {
+    const t = value ? Date.parse(value) : NaN;
+    return Number.isFinite(t) ? t : fallback;
+  }
+
+  /**
+   * Pick the hub (or zone) entries in effect at `at`. For each id the entry
+   * with the latest effective_from inside its window wins, so a scheduled
+   * change takes over on its date without a redeploy. Inactive winners are
+   * dropped.
+   *
+   * @param {Array<object>} entries - normalized DeliveryHub / DeliveryZone entries
+   * @param {number} [at=Date.now()]
+   * @returns {Array<object>}
+   */
+  function resolveEffective(entries, at = Date.now()) {
+    const winners = new Map();
+
+    (entries || []).forEach((entry) => {
+      const from = parseTime(entry.effective_from, -Infinity);
+      const until = parseTime(entry.effective_until, Infinity);
+      if (at < from || at >= until) return;
+
+      const current = winners.get(entry.id);
+      if (!current || from >= current.from) {
+        winners.set(entry.id, { from, entry });
+      }
+    });
+
+    return [...winners.values()]
+      .map(({ entry }) => entry)
+      .filter((hub) => hub.active !== false);
+  }
+
+  function readCachedSettings() {
+    try {
+      const raw = localStorage.getItem(SETTINGS_CACHE_KEY);
+      const cached = JSON.parse(raw || "null");
+      return cached && typeof cached === "object" ? cached : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeCachedSettings(entries, zones, fetchedAt) {
+    try {
+      localStorage.setItem(
+        SETTINGS_CACHE_KEY,
+        JSON.stringify({ entries, zones, fetchedAt }),
+      );
+    } catch {
+      // Storage full/unavailable: settings still apply for this page view.
+    }
+  }
+
+  /**
+   * Current delivery settings without touching the network: last load on this
+   * page, then the localStorage cache, then config.js.
+   *
+   * @returns {{ hubs: Array<object>, zones: Array<object>, source: "server"|"cache"|"config", fetchedAt: number|null }}
+   */
+  function getDeliverySettings() {
+    if (!loadedSettings) {
+      const cached = readCachedSettings();
+      loadedSettings = {
+        entries: cached?.entries ?? null,
+        zones: cached?.zones ?? [],
+        source: cached ? "cache" : "config",
+        fetchedAt: cached?.fetchedAt ?? null,
+      };
+    }
+
+    // null entries = no server settings; [] (or none in effect) = no hubs.
+    if (!Array.isArray(loadedSettings.entries)) {
+      return {
+        hubs: [configHub()],
+        zones: resolveEffective(configZones()),
+        source: "config",
+        fetchedAt: null,
+      };
+    }
+
+    const hubs = resolveEffective(loadedSettings.entries);
+    const zones = resolveEffective(loadedSettings.zones);
+    const { source, fetchedAt } = loadedSettings;
+    return { hubs, zones, source, fetchedAt };
+  }
+
+  /**
+   * Refresh delivery settings from GET /delivery/settings/ when the cached
+   * copy is older than DELIVERY_SETTINGS_TTL_MS (or `force` is set). Never
+   * throws: on failure the cached copy (any age) or config.js is used.
+   *
+   * @param {{ force?: boolean }} [options]
+   * @returns {Promise<ReturnType<typeof getDeliverySettings>>}
+   */
+  async function loadDeliverySettings({ force = false } = {}) {
+    const ttl = Number(
+      CC.getConfigValue("DELIVERY_SETTINGS_TTL_MS", DEFAULT_SETTINGS_TTL_MS),
+    );
+    const cached = readCachedSettings();
+    const isFresh = cached?.fetchedAt && Date.now() - cached.fetchedAt < ttl;
+
+    if (isFresh && !force) return getDeliverySettings();
+    if (!CC.api?.delivery) return getDeliverySettings();
+
+    settingsRequest =
+      settingsRequest ||
+      CC.api.delivery
+        .settings()
+        .then((res) => {
+          const fetchedAt = Date.now();
+
+          if (res.ok) {
+            const { hubs: entries, zones } = res.data;
+            loadedSettings = { entries, zones, source: "server", fetchedAt };
+            writeCachedSettings(entries, zones, fetchedAt);
+          } else if (res.status === 404) {
+            // Backend has no delivery settings yet: use config.js until TTL.
+            loadedSettings = { entries: null, zones: [], source: "config", fetchedAt };
+            writeCachedSettings(null, [], fetchedAt);
+          } else {
+            console.warn(
+              "delivery-shared: could not refresh delivery settings; using cached values.",
+              res.error,
+            );
+          }
+        })
+        .catch((err) => {
+          console.warn("delivery-shared: delivery settings request failed.", err);
+        })
+        .finally(() => {
+          settingsRequest = null;
+        });
+
+    await settingsRequest;
+    return getDeliverySettings();
+  }
+
+  /**
+   * Static delivery options from config.js (hubs come from
+   * getDeliverySettings / validateHubs).
+   * @returns {object}
+   */
   function getDeliveryConfig() {
-    const cfg = window.__CROPCART_CONFIG__ || {};
+    const cfg = CC.getConfig();
 
     return {
-      DELIVERY_RANGE: Number(cfg.DELIVERY_RANGE),
-      HQ_ADDRESS: String(cfg.HQ_ADDRESS || "").trim(),
-      HQ_LAT: Number(cfg.HQ_LAT),
-      HQ_LONG: Number(cfg.HQ_LONG),
       HQ_ICON_URL: "./Images/CClogo1.png",
-      FARMS_PATH: "/farms/",
-      CUSTOMER_PATH: "auth/profile/", // update this once the finalized API route is ready
+      SETTINGS_SOURCE: getDeliverySettings().source,
 
       ENABLE_DELIVERY_TEST_DEFAULTS: Boolean(cfg.ENABLE_DELIVERY_TEST_DEFAULTS),
       TEST_FARM_LAT: Number(cfg.TEST_FARM_LAT),
@@ -74,35 +256,529 @@
     });
   }
 
-  function validateHq(config) {
+  /**
+   * Keep the hubs that can be used for range checks.
+   *
+   * @param {Array<object>} [hubs] - defaults to the hubs in effect now
+   * @returns {{ ok: boolean, missing: string[], hubs: Array<{ id: string, name: string, address: string, lat: number, lng: number, deliveryRange: number, fee: object|null }> }}
+   */
+  function validateHubs(hubs = getDeliverySettings().hubs) {
+    // Missing values must fail the check, not become 0.
+    const num = (v) =>
+      v === null || v === undefined || v === "" ? NaN : Number(v);
     const missing = [];
+    const valid = [];
+
+    (hubs || []).forEach((raw, index) => {
+      const hub = {
+        id: String(raw.id ?? index),
+        name: String(raw.name || "").trim() || "CropCart HQ",
+        address: String(raw.address || "").trim(),
+        lat: num(raw.lat),
+        lng: num(raw.lng),
+        deliveryRange: num(raw.radius_miles),
+        fee: raw.fee && typeof raw.fee === "object" ? raw.fee : null,
+      };
+
+      const hubMissing = [];
+      if (!hub.address) hubMissing.push("address");
+      if (!Number.isFinite(hub.lat)) hubMissing.push("lat");
+      if (!Number.isFinite(hub.lng)) hubMissing.push("lng");
+      if (!Number.isFinite(hub.deliveryRange)) hubMissing.push("radius_miles");
+
+      if (hubMissing.length) {
+        console.error(
+          `delivery-shared: hub "${hub.name}" missing ${hubMissing.join(", ")}; skipped.`,
+          raw,
+        );
+        missing.push(...hubMissing.map((field) => `${hub.name}.${field}`));
+        return;
+      }
+
+      valid.push(hub);
+    });
+
+    if (!hubs?.length) missing.push("hubs");
+
+    return { ok: valid.length > 0, missing, hubs: valid };
+  }
 
-    if (!config.HQ_ADDRESS) missing.push("HQ_ADDRESS");
-    if (!isFiniteCoord(config.HQ_LAT)) missing.push("HQ_LAT");
-    if (!isFiniteCoord(config.HQ_LONG)) missing.push("HQ_LONG");
-    if (!Number.isFinite(config.DELIVERY_RANGE)) missing.push("DELIVERY_RANGE");
+  /**
+   * Ray-casting test against one GeoJSON ring ([lng, lat] pairs).
+   * @param {Array<[number, number]>} ring
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {boolean}
+   */
+  function pointInRing(ring, lat, lng) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const crosses =
+        yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+      if (crosses) inside = !inside;
+    }
+
+    return inside;
+  }
+
+  /**
+   * True when the point is inside a GeoJSON Polygon / MultiPolygon (holes
+   * excluded).
+   * @param {{ type: string, coordinates: Array<any> }} geometry
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {boolean}
+   */
+  function pointInGeometry(geometry, lat, lng) {
+    const polygons =
+      geometry?.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiPolygon"
+          ? geometry.coordinates
+          : [];
+
+    return polygons.some(
+      ([outer, ...holes]) =>
+        Array.isArray(outer) &&
+        pointInRing(outer, lat, lng) &&
+        !holes.some((hole) => pointInRing(hole, lat, lng)),
+    );
+  }
+
+  /**
+   * Decide whether a point is deliverable and which hub serves it.
+   *
+   * - Covered = inside any hub radius OR any "include" zone.
+   * - Any "exclude" zone containing the point wins over both.
+   * - Serving hub: the nearest hub whose radius covers the point, else the
+   *   include zone's hub (or the nearest hub), else the nearest hub overall.
+   *
+   * @param {number} lat
+   * @param {number} lng
+   * @param {Array<object>} [hubs] - output of validateHubs().hubs
+   * @param {Array<object>} [zones] - DeliveryZone list (defaults to zones in effect)
+   * @returns {{ inRange: boolean, hub: object, distanceMiles: number, zone: object|null, excludedBy: object|null, candidates: Array<{ hub: object, distanceMiles: number, covers: boolean }> }|null}
+   *   null when there are no usable hubs
+   */
+  function findServingHub(
+    lat,
+    lng,
+    hubs = validateHubs().hubs,
+    zones = getDeliverySettings().zones,
+  ) {
+    if (!hubs?.length) return null;
+
+    const candidates = hubs
+      .map((hub) => {
+        const distanceMiles = milesBetween(hub.lat, hub.lng, lat, lng);
+        return { hub, distanceMiles, covers: distanceMiles <= hub.deliveryRange };
+      })
+      .sort((a, b) => a.distanceMiles - b.distanceMiles);
+
+    const containing = (zones || []).filter((zone) =>
+      pointInGeometry(zone.geometry, lat, lng),
+    );
+    const excludedBy = containing.find((zone) => zone.mode === "exclude") || null;
+    const includeZone = containing.find((zone) => zone.mode === "include") || null;
+
+    let best = candidates.find((c) => c.covers);
+    let zone = null;
+
+    if (!best && includeZone) {
+      zone = includeZone;
+      best =
+        candidates.find((c) => c.hub.id === includeZone.hub_id) || candidates[0];
+    }
+    best = best || candidates[0];
 
     return {
-      ok: missing.length === 0,
-      missing,
-      hq: {
-        address: config.HQ_ADDRESS,
-        lat: config.HQ_LAT,
-        lng: config.HQ_LONG,
-        deliveryRange: config.DELIVERY_RANGE,
-      },
+      inRange: !excludedBy && (best.covers || Boolean(zone)),
+      hub: best.hub,
+      distanceMiles: best.distanceMiles,
+      zone,
+      excludedBy,
+      candidates,
     };
   }
 
-  function validateCustomer(rawCustomer) {
+  /**
+   * Short human-readable reason for a findServingHub() result, e.g.
+   * "served by Alliance HQ, 3.20 miles away".
+   * @param {ReturnType<typeof findServingHub>} result
+   * @returns {string}
+   */
+  function describeCoverage(result) {
+    if (!result) return "no delivery hubs are configured";
+
+    const miles = `${result.distanceMiles.toFixed(2)} miles`;
+
+    if (result.excludedBy) {
+      return `inside "${result.excludedBy.name}", an area we don't deliver to`;
+    }
+    if (result.inRange && result.zone) {
+      return `served by ${result.hub.name} (delivery zone "${result.zone.name}")`;
+    }
+    if (result.inRange) return `served by ${result.hub.name}, ${miles} away`;
+    return `${miles} from the nearest hub (${result.hub.name})`;
+  }
+
+  /* ==========================================================================
+   * DELIVERY FEES
+   * ========================================================================== */
+
+  /**
+   * Fee schedule for a hub: DELIVERY_FEES from config, then
+   * DELIVERY_FEES.hub_overrides[hub.id], then the hub's own `fee` object from
+   * /delivery/settings/. Later sources replace individual keys.
+   *
+   * @param {object|null} [hub] - a validateHubs() hub
+   * @returns {{ base: number, tiers: Array<{ up_to_miles: number|null, per_mile: number }>, free_over_subtotal: number|null }}
+   */
+  function getFeeSchedule(hub = null) {
+    const cfg = CC.getConfigValue("DELIVERY_FEES", null) || {};
+    const merged = {
+      ...cfg,
+      ...(hub ? cfg.hub_overrides?.[hub.id] : null),
+      ...hub?.fee,
+    };
+
+    const base = Number(merged.base);
+    const freeOver = Number(merged.free_over_subtotal);
+
+    return {
+      base: Number.isFinite(base) && base > 0 ? base : 0,
+      tiers: (Array.isArray(merged.tiers) ? merged.tiers : [])
+        .map((tier) => ({
+          up_to_miles:
+            tier?.up_to_miles === null || tier?.up_to_miles === undefined
+              ? null
+              : Number(tier.up_to_miles),
+          per_mile: Number(tier?.per_mile) || 0,
+        }))
+        .filter((tier) => tier.up_to_miles === null || Number.isFinite(tier.up_to_miles))
+        .sort((a, b) => (a.up_to_miles ?? Infinity) - (b.up_to_miles ?? Infinity)),
+      free_over_subtotal: Number.isFinite(freeOver) && freeOver > 0 ? freeOver : null,
+    };
+  }
+
+  function roundCents(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Delivery fee for an address `distanceMiles` from its serving hub.
+   *
+   * fee = base + per-mile charge, where each tier bills only the miles that
+   * fall inside it (0–5 mi at one rate, 5–10 mi at the next, …). Orders whose
+   * subtotal reaches free_over_subtotal deliver free.
+   *
+   * @param {number} distanceMiles - findServingHub().distanceMiles
+   * @param {{ subtotal?: number|string, hub?: object|null }} [options]
+   * @returns {{ amount: number, base: number, distanceCharge: number, isFree: boolean, freeOverSubtotal: number|null, amountToFree: number|null, distanceMiles: number, hubId: string|null }|null}
+   *   null when the distance is unknown
+   */
+  function quoteDeliveryFee(distanceMiles, { subtotal = 0, hub = null } = {}) {
+    if (!Number.isFinite(distanceMiles) || distanceMiles < 0) return null;
+
+    const schedule = getFeeSchedule(hub);
+    let distanceCharge = 0;
+    let lower = 0;
+
+    for (const tier of schedule.tiers) {
+      const upper = tier.up_to_miles ?? Infinity;
+      if (distanceMiles > lower) {
+        distanceCharge += (Math.min(distanceMiles, upper) - lower) * tier.per_mile;
+      }
+      lower = Math.max(lower, upper);
+    }
+
+    const base = roundCents(schedule.base);
+    distanceCharge = roundCents(distanceCharge);
+
+    const orderSubtotal = Number(subtotal) || 0;
+    const freeOver = schedule.free_over_subtotal;
+    const isFree = freeOver !== null && orderSubtotal >= freeOver;
+
+    return {
+      amount: isFree ? 0 : roundCents(base + distanceCharge),
+      base,
+      distanceCharge,
+      isFree,
+      freeOverSubtotal: freeOver,
+      amountToFree:
+        freeOver !== null && !isFree ? roundCents(freeOver - orderSubtotal) : null,
+      distanceMiles,
+      hubId: hub?.id ?? null,
+    };
+  }
+
+  /**
+   * One-line breakdown for a quoteDeliveryFee() result, e.g.
+   * "$2.99 base + $1.25 for distance. Add $12.40 more for free delivery."
+   * @param {ReturnType<typeof quoteDeliveryFee>} quote
+   * @returns {string}
+   */
+  function describeDeliveryFee(quote) {
+    if (!quote) return "";
+
+    if (quote.isFree) {
+      return `Free delivery on orders of ${CC.formatMoney(quote.freeOverSubtotal)} or more.`;
+    }
+
+    const parts = [`${CC.formatMoney(quote.base)} base`];
+    if (quote.distanceCharge > 0) {
+      parts.push(`${CC.formatMoney(quote.distanceCharge)} for distance`);
+    }
+
+    let text = `${parts.join(" + ")}.`;
+    if (quote.amountToFree !== null) {
+      text += ` Add ${CC.formatMoney(quote.amountToFree)} more for free delivery.`;
+    }
+    return text;
+  }
+
+  /* ==========================================================================
+   * FARM COVERAGE (farms that deliver their own orders)
+   * ========================================================================== */
+
+  /**
+   * A farm's own delivery radius in miles, or null when its orders go out
+   * through the hubs.
+   * @param {object} farm - Farm record (delivery_radius_miles)
+   * @returns {number|null}
+   */
+  function farmDeliveryRadius(farm) {
+    if (farm?.delivery_radius_miles == null) return null;
+    const miles = Number(farm.delivery_radius_miles);
+    return Number.isFinite(miles) && miles > 0 ? miles : null;
+  }
+
+  /**
+   * Can `farm` get an order to (lat, lng)?
+   *
+   * - Self-delivering farms: only within their own radius of the farm.
+   * - Everyone else: when the hubs cover the point (`coverage.inRange`).
+   *
+   * `canServe` is null when it can't be told (self-delivering farm without
+   * coordinates, or no hub coverage result).
+   *
+   * @param {object} farm - Farm record (lat, lng, delivery_radius_miles)
+   * @param {number} lat
+   * @param {number} lng
+   * @param {ReturnType<typeof findServingHub>} coverage - for the same point
+   * @returns {{ farm: object, canServe: boolean|null, selfDelivery: boolean, radiusMiles: number|null, distanceMiles: number|null }}
+   */
+  function checkFarmCoverage(farm, lat, lng, coverage) {
+    const radiusMiles = farmDeliveryRadius(farm);
+    const farmLat = Number(farm?.lat);
+    const farmLng = Number(farm?.lng);
+    const distanceMiles =
+      isFiniteCoord(farmLat) && isFiniteCoord(farmLng)
+        ? milesBetween(farmLat, farmLng, lat, lng)
+        : null;
+
+    if (radiusMiles === null) {
+      return {
+        farm,
+        canServe: coverage ? Boolean(coverage.inRange) : null,
+        selfDelivery: false,
+        radiusMiles,
+        distanceMiles,
+      };
+    }
+
+    return {
+      farm,
+      canServe: distanceMiles === null ? null : distanceMiles <= radiusMiles,
+      selfDelivery: true,
+      radiusMiles,
+      distanceMiles,
+    };
+  }
+
+  /**
+   * Farm id for a cart item. Carts don't have to carry farm_id, so fall back
+   * to a nested product, then to the product record in `productsById`.
+   * @param {object} item - CartItem
+   * @param {Map<number, object>|null} [productsById]
+   * @returns {number|null}
+   */
+  function cartItemFarmId(item, productsById = null) {
+    const productId = Number(item?.product_id ?? item?.product?.id);
+    const raw =
+      item?.farm_id ??
+      item?.product?.farm_id ??
+      item?.product?.farm?.id ??
+      productsById?.get(productId)?.farm_id ??
+      null;
+    const farmId = Number(raw);
+    return raw !== null && raw !== "" && Number.isFinite(farmId)
+      ? farmId
+      : null;
+  }
+
+  /**
+   * checkFarmCoverage() for every cart item, keyed by cart item id. An item
+   * whose farm can't be found gets `canServe: null` and `farmUnknown: true`
+   * (coverage unknown) instead of counting as deliverable.
+   * @param {object[]} items - CartItem[]
+   * @param {number} lat
+   * @param {number} lng
+   * @param {ReturnType<typeof findServingHub>} coverage - for the same point
+   * @param {{ farmsById?: Map<number, object>, productsById?: Map<number, object> }} [lookups]
+   * @returns {Map<any, ReturnType<typeof checkFarmCoverage> & { farmUnknown?: boolean }>}
+   */
+  function checkCartCoverage(items, lat, lng, coverage, lookups = {}) {
+    const { farmsById = null, productsById = null } = lookups;
+    const byFarm = new Map();
+    const byItem = new Map();
+
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const farmId = cartItemFarmId(item, productsById);
+      if (farmId === null) {
+        byItem.set(item.id, {
+          farm: { id: null, name: item.farm_name || null },
+          canServe: null,
+          selfDelivery: false,
+          radiusMiles: null,
+          distanceMiles: null,
+          farmUnknown: true,
+        });
+        return;
+      }
+
+      if (!byFarm.has(farmId)) {
+        const product = productsById?.get(
+          Number(item.product_id ?? item.product?.id),
+        );
+        const farm = farmsById?.get(farmId) || {
+          id: farmId,
+          name: item.farm_name || product?.farm_name || null,
+        };
+        byFarm.set(farmId, checkFarmCoverage(farm, lat, lng, coverage));
+      }
+      byItem.set(item.id, byFarm.get(farmId));
+    });
+
+    return byItem;
+  }
+
+  /**
+   * Short reason for a checkFarmCoverage() result, e.g. "Sunny Ridge Dairy
+   * delivers its own orders within 8 miles; this address is 9.70 miles away".
+   * @param {ReturnType<typeof checkFarmCoverage>} result
+   * @returns {string}
+   */
+  function describeFarmCoverage(result) {
+    if (result?.farmUnknown) {
+      return "We couldn't tell which farm this comes from, so delivery coverage is unknown";
+    }
+
+    const name = String(result?.farm?.name || "This farm");
+
+    if (!result?.selfDelivery) {
+      return result?.canServe === false
+        ? `${name} delivers through our hubs, which don't reach this address`
+        : `${name} delivers through our hubs`;
+    }
+
+    const reach = `${name} delivers its own orders within ${result.radiusMiles} miles`;
+    if (result.distanceMiles === null) {
+      return `${reach}; its location is unknown, so coverage is unknown`;
+    }
+    return `${reach}; this address is ${result.distanceMiles.toFixed(2)} miles away`;
+  }
+
+  /* ==========================================================================
+   * TEST DATA (TEST_* placeholder coordinates)
+   * ========================================================================== */
+
+  /**
+   * True when orders may be placed from placeholder coordinates. Only the
+   * server's config.json can allow it (ALLOW_TEST_DATA_ORDERS); the profile
+   * a visitor picks with ?env= has no say.
+   */
+  function allowsTestDataOrders() {
+    return (
+      CC.getConfigValue("ALLOW_TEST_DATA_ORDERS", false) === true &&
+      Boolean(CC.getConfigValue("CONFIG_LOADED_FROM", ""))
+    );
+  }
+
+  /**
+   * Explain which fields of a validated record are placeholders, e.g.
+   * "Test data: lat, lng and address are placeholders from config.js, not a
+   * real location."
+   * @param {string[]} synthetic - the record's `synthetic` list
+   * @returns {string} empty when nothing is synthetic
+   */
+  function describeTestData(synthetic = []) {
+    if (!synthetic.length) return "";
+    const labels = synthetic.map((field) =>
+      field === "lat" || field === "lng" ? field : "address",
+    );
+    const list =
+      labels.length > 1
+        ? `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]}`
+        : labels[0];
+    return `Test data: ${list} ${labels.length > 1 ? "are placeholders" : "is a placeholder"} from config.js, not a real location.`;
+  }
+
+  /** Inline "Test data" badge for map popups and lists. */
+  function testDataBadgeHtml(synthetic = []) {
+    if (!synthetic.length) return "";
+    return `<span class="badge text-bg-warning cc-test-data-badge" title="${escape(describeTestData(synthetic))}">Test data</span>`;
+  }
+
+  /**
+   * Show (or remove) a "Test data" badge at the start of `el`. Call it after
+   * setting el.textContent, which drops the badge.
+   * @param {HTMLElement|null} el
+   * @param {string[]} [synthetic]
+   */
+  function markTestData(el, synthetic = []) {
+    if (!el) return;
+    el.querySelector(":scope > .cc-test-data-badge")?.remove();
+    if (!synthetic.length) return;
+
+    const badge = document.createElement("span");
+    badge.className = "badge text-bg-warning cc-test-data-badge me-1";
+    badge.textContent = "Test data";
+    badge.title = describeTestData(synthetic);
+    el.prepend(badge);
+  }
+
+  /**
+   * Check a customer record before a range decision.
+   *
+   * Missing coordinates are replaced with TEST_CUSTOMER_LAT/LONG (and the
+   * address with TEST_DELIVERY_ADDRESS) only when ENABLE_DELIVERY_TEST_DEFAULTS
+   * is on and `strict` is turned off; the replaced fields are listed in
+   * `synthetic`. By default (strict) they are reported as `missing` instead,
+   * so only callers that label test data opt out.
+   *
+   * @param {object|null} rawCustomer
+   * @param {{ strict?: boolean }} [options]
+   * @returns {{ ok: boolean, missing: string[], synthetic: string[], customer: object|null }}
+   */
+  function validateCustomer(rawCustomer, { strict = true } = {}) {
     const config = getDeliveryConfig();
     const missing = [];
+    const synthetic = [];
 
     if (!rawCustomer || typeof rawCustomer !== "object") {
       console.error(
         "delivery-radius: customer object missing. Expected CC.auth.getAuth().user"
       );
-      return { ok: false, missing: ["user object"], customer: null };
+      return {
+        ok: false,
+        missing: ["user object"],
+        synthetic,
+        customer: null,
+      };
     }
 
     let preferredDeliveryAddress = String(rawCustomer.preferred_delivery_address || "").trim();
@@ -112,13 +788,14 @@
     const hasLat = isFiniteCoord(lat);
     const hasLng = isFiniteCoord(lng);
 
-    if ((!hasLat || !hasLng) && config.ENABLE_DELIVERY_TEST_DEFAULTS) {
+    if ((!hasLat || !hasLng) && !strict && config.ENABLE_DELIVERY_TEST_DEFAULTS) {
       lat = config.TEST_CUSTOMER_LAT;
       lng = config.TEST_CUSTOMER_LONG;
       preferredDeliveryAddress = config.TEST_DELIVERY_ADDRESS;
+      synthetic.push("lat", "lng", "preferred_delivery_address");
 
       console.warn(
-        "delivery-radius: customer lat/lng missing. Using TEST_CUSTOMER coordinates from config.",
+        "delivery-radius: customer lat/lng missing. Using TEST_CUSTOMER coordinates from config (test data).",
         rawCustomer
       );
     } else {
@@ -126,25 +803,35 @@
       if (!hasLng) missing.push("lng");
       if (!preferredDeliveryAddress) missing.push("preferred_delivery_address");
     }
-    
-    console.log("Lat: " + lat + "long: " + lng + "Address" + preferredDeliveryAddress);
-    
+
     return {
       ok: missing.length === 0,
       missing,
+      synthetic,
       customer: {
         id: rawCustomer.id,
         username: rawCustomer.username,
         preferred_delivery_address: preferredDeliveryAddress,
         lat,
-        lng
+        lng,
+        synthetic
       }
     };
   }
 
-  function validateFarm(rawFarm, index = 0) {
+  /**
+   * Check a farm record for the map. Same TEST_FARM_LAT/LONG rules as
+   * validateCustomer(); the returned farm lists replaced fields in `synthetic`.
+   *
+   * @param {object} rawFarm
+   * @param {number} [index]
+   * @param {{ strict?: boolean }} [options]
+   * @returns {object|null} null when required fields are missing
+   */
+  function validateFarm(rawFarm, index = 0, { strict = true } = {}) {
     const config = getDeliveryConfig();
     const missing = [];
+    const synthetic = [];
 
     if (!rawFarm || typeof rawFarm !== "object") {
       console.error(
@@ -168,13 +855,14 @@
     const hasLat = isFiniteCoord(lat);
     const hasLng = isFiniteCoord(lng);
 
-    if ((!hasLat || !hasLng) && config.ENABLE_DELIVERY_TEST_DEFAULTS) {
+    if ((!hasLat || !hasLng) && !strict && config.ENABLE_DELIVERY_TEST_DEFAULTS) {
       lat = config.TEST_FARM_LAT;
       lng = config.TEST_FARM_LONG;
       location = config.TEST_DELIVERY_ADDRESS;
+      synthetic.push("lat", "lng", "farm_location");
 
       console.warn(
-        `delivery-radius: farm "${name}" missing lat/lng. Using TEST_FARM coordinates.`,
+        `delivery-radius: farm "${name}" missing lat/lng. Using TEST_FARM coordinates (test data).`,
         rawFarm
       );
     } else {
@@ -199,7 +887,9 @@
       farm_location: location,
       lat,
       lng,
-      logo_url: logo
+      logo_url: logo,
+      delivery_radius_miles: farmDeliveryRadius(rawFarm),
+      synthetic
     };
   }
 
@@ -251,8 +941,9 @@
   function farmPopupHtml(farm) {
     return `
       <div class="cc-map-popup">
-        <div class="fw-semibold mb-1">${escape(farm.name)}</div>
+        <div class="fw-semibold mb-1">${escape(farm.name)} ${testDataBadgeHtml(farm.synthetic)}</div>
         <div>${escape(farm.farm_location)}</div>
+        ${farm.delivery_radius_miles ? `<div><strong>Delivers its own orders:</strong> within ${escape(String(farm.delivery_radius_miles))} miles</div>` : ""}
       </div>
     `;
   }
@@ -260,9 +951,26 @@
   window.CC = window.CC || {};
   window.CC.delivery = {
     getDeliveryConfig,
-    validateHq,
+    getDeliverySettings,
+    loadDeliverySettings,
+    resolveEffective,
+    validateHubs,
+    findServingHub,
+    describeCoverage,
+    getFeeSchedule,
+    quoteDeliveryFee,
+    describeDeliveryFee,
+    pointInGeometry,
+    farmDeliveryRadius,
+    checkFarmCoverage,
+    checkCartCoverage,
+    describeFarmCoverage,
     validateCustomer,
     validateFarm,
+    allowsTestDataOrders,
+    describeTestData,
+    testDataBadgeHtml,
+    markTestData,
     milesBetween,
     milesToMeters,
     buildImageIcon,
@@ -0,0 +1,188 @@
+/**
+ * ============================================================================
+ * delivery-windows.js — Delivery time slots (checkout picker + orders page)
+ * ----------------------------------------------------------------------------
+ * CC.deliveryWindows
+ *
+ * - load(hubId)          -> windows the hub offers over the next few days,
+ *                           from GET /api/delivery/windows/
+ * - loadPickup(id)       -> pickup times at a pickup location (same shape),
+ *                           from GET /api/pickup/windows/
+ * - groupByDay(windows)  -> [{ date, label, windows }] for <optgroup>s
+ * - describe(window)     -> "Tue, Oct 20, 9:00 AM – 12:00 PM"
+ * - isUpcoming(window)   -> true until the window ends
+ *
+ * Drivers batch deliveries by window, so checkout sends the picked window's
+ * id with the order (delivery_window_id) and the server holds the slot.
+ *
+ * Load after api.js.
+ * ============================================================================
+ */
+
+(function initDeliveryWindows() {
+  "use strict";
+
+  const CC = window.CC;
+
+  if (!CC?.api?.delivery?.windows) {
+    console.warn(
+      "delivery-windows.js: CC.api.delivery.windows not found. Make sure api.js is loaded first.",
+    );
+    return;
+  }
+
+  const DEFAULT_DAYS = 7;
+
+  /* ==========================================================================
+   * DATES
+   * ========================================================================== */
+
+  /**
+   * Local Date for a window's "YYYY-MM-DD" + "HH:MM".
+   * @param {string} date
+   * @param {string} time
+   * @returns {Date}
+   */
+  function toDate(date, time) {
+    return new Date(`${date}T${time}:00`);
+  }
+
+  function formatWith(date, options, fallback) {
+    if (Number.isNaN(date.getTime())) return fallback;
+    try {
+      return new Intl.DateTimeFormat(undefined, options).format(date);
+    } catch {
+      return fallback;
+    }
+  }
+
+  /** "Tue, Oct 20" */
+  function dayLabel(date) {
+    return formatWith(
+      toDate(date, "12:00"),
+      { weekday: "short", month: "short", day: "numeric" },
+      date,
+    );
+  }
+
+  /** "9:00 AM" */
+  function timeLabel(date, time) {
+    return formatWith(
+      toDate(date, time),
+      { hour: "numeric", minute: "2-digit" },
+      time,
+    );
+  }
+
+  /* ==========================================================================
+   * PUBLIC API
+   * ========================================================================== */
+
+  /**
+   * Upcoming windows from a windows endpoint, soonest first. `supported` is
+   * false when the API has no such route (404); other failures throw.
+   */
+  async function fetchWindows(request, params, { days, signal } = {}) {
+    const res = await request(
+      {
+        ...params,
+        days: days ?? CC.getConfigValue("DELIVERY_WINDOW_DAYS", DEFAULT_DAYS),
+      },
+      { signal },
+    );
+
+    if (res.status === 404) return { supported: false, windows: [] };
+    if (!res.ok) throw CC.errorFromResponse(res);
+
+    const windows = res.data
+      .filter((w) => isUpcoming(w))
+      .sort((a, b) => startsAt(a) - startsAt(b));
+    return { supported: true, windows };
+  }
+
+  /**
+   * Delivery windows for one hub. `supported` is false when the API doesn't
+   * schedule that hub, so pages can skip the picker.
+   *
+   * @param {string} hubId
+   * @param {{ days?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ supported: boolean, windows: import("./api.js").DeliveryWindow[] }>}
+   */
+  async function load(hubId, options) {
+    const result = await fetchWindows(
+      CC.api.delivery.windows,
+      { hub_id: hubId },
+      options,
+    );
+    result.windows = result.windows.filter(
+      (w) => !w.hub_id || w.hub_id === String(hubId),
+    );
+    return result;
+  }
+
+  /**
+   * Pickup times at one pickup location (see CC.api.pickup.locations).
+   * @param {string} locationId
+   * @param {{ days?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ supported: boolean, windows: import("./api.js").DeliveryWindow[] }>}
+   */
+  function loadPickup(locationId, options) {
+    return fetchWindows(
+      CC.api.pickup.windows,
+      { location_id: locationId },
+      options,
+    );
+  }
+
+  /**
+   * @param {import("./api.js").DeliveryWindow[]} windows - sorted
+   * @returns {Array<{ date: string, label: string, windows: import("./api.js").DeliveryWindow[] }>}
+   */
+  function groupByDay(windows) {
+    const days = [];
+    windows.forEach((w) => {
+      let day = days[days.length - 1];
+      if (!day || day.date !== w.date) {
+        day = { date: w.date, label: dayLabel(w.date), windows: [] };
+        days.push(day);
+      }
+      day.windows.push(w);
+    });
+    return days;
+  }
+
+  /**
+   * "9:00 AM – 12:00 PM" (timeOnly) or "Tue, Oct 20, 9:00 AM – 12:00 PM".
+   * @param {import("./api.js").DeliveryWindow|null} w
+   * @param {{ timeOnly?: boolean }} [options]
+   * @returns {string}
+   */
+  function describe(w, { timeOnly = false } = {}) {
+    if (!w) return "";
+    const times = `${timeLabel(w.date, w.start)} – ${timeLabel(w.date, w.end)}`;
+    return timeOnly ? times : `${dayLabel(w.date)}, ${times}`;
+  }
+
+  /**
+   * @param {import("./api.js").DeliveryWindow|null} w
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  function isUpcoming(w, now = Date.now()) {
+    return Boolean(w) && toDate(w.date, w.end).getTime() > now;
+  }
+
+  /** Start time in ms, for sorting. */
+  function startsAt(w) {
+    return toDate(w.date, w.start).getTime();
+  }
+
+  CC.deliveryWindows = {
+    load,
+    loadPickup,
+    groupByDay,
+    describe,
+    isUpcoming,
+    startsAt,
+  };
+})();
@@ -15,39 +15,31 @@
  * - GET  /farmer/stripe/refresh/        -> link expired message
  *
  * Notes:
- * - Farmer routes are rooted at /farmer/* (NOT /api/farmer/*)
- * - This file assumes config.js provides window.__CROPCART_CONFIG__.API_URL ending in /api
+ * - Farmer routes are rooted at /farmer/* (NOT /api/farmer/*); CC.buildApiUrl
+ *   resolves them (and /farms/) against the server root automatically.
+ * - All requests go through CC.api (api.js -> CC.apiRequest), so they share
+ *   auth refresh, retries, timeouts and normalized errors with the rest of the app.
  * ============================================================================
  */
 
 (function FarmerPortal() {
   "use strict";
 
+  const CC = window.CC;
+
   // ============================================================================
   // CONFIG / BASE URLS
   // ============================================================================
 
-  const CFG = window.__CROPCART_CONFIG__ || {};
-
-  /**
-   * API_BASE: usually ".../api"
-   * Example: https://d1nnhq1iqs57tb.cloudfront.net/api
-   */
-  const API_BASE = String(CFG.API_URL || "").replace(/\/+$/, "");
-
-  /**
-   * ROOT_BASE: strip trailing "/api"
-   * Example: https://d1nnhq1iqs57tb.cloudfront.net
-   */
-  const ROOT_BASE = API_BASE.replace(/\/api\/?$/i, "");
-
-  if (!ROOT_BASE) {
-    // If config isn’t loaded correctly, fail loudly so it’s obvious what’s wrong.
-    console.error(
-      "Farmer Portal config error: ROOT_BASE is empty. Check config.js API_URL.",
-      { API_BASE, CFG },
-    );
-  }
+  // API_URL may come from config.json, so check once the config is final.
+  CC?.onReady?.(() => {
+    if (!CC.rootBaseUrl?.()) {
+      // If config isn’t loaded correctly, fail loudly so it’s obvious what’s wrong.
+      console.error(
+        "Farmer Portal config error: API root is empty. Check config.js API_URL.",
+      );
+    }
+  });
 
   // ============================================================================
   // DOM (IDs must match farmer.html)
@@ -138,14 +130,7 @@
     epStatus.className = `small text-${kind}`;
   }
 
-  function escapeHtml(str) {
-    return String(str)
-      .replaceAll("&", "&amp;")
-      .replaceAll("<", "&lt;")
-      .replaceAll(">", "&gt;")
-      .replaceAll('"', "&quot;")
-      .replaceAll("'", "&#039;");
-  }
+  const escapeHtml = CC.escapeHtml;
 
   function toMoney(value) {
     const n = Number(value);
@@ -186,34 +171,12 @@
   // AUTH HELPERS (USE cc_auth ONLY)
   // ============================================================================
 
-  function safeJsonParse(raw) {
-    try {
-      return JSON.parse(raw || "null");
-    } catch {
-      return null;
-    }
-  }
-
-  /**
-   * Reads cc_auth from sessionStorage/localStorage OR via utils.js getAuth()
-   * (utils.js defines getAuth() + authHeader()).
-   */
-  function getAuthObj() {
-    if (typeof getAuth === "function") return getAuth();
-    return (
-      safeJsonParse(sessionStorage.getItem("cc_auth")) ||
-      safeJsonParse(localStorage.getItem("cc_auth"))
-    );
-  }
-
   function getAccessToken() {
-    const auth = getAuthObj();
-    return String(auth?.access || "");
+    return String(CC.auth.getAuth()?.access || "");
   }
 
   function getUserRole() {
-    const auth = getAuthObj();
-    return String(auth?.user?.role || "");
+    return String(CC.auth.getAuth()?.user?.role || "");
   }
 
   function requireProviderRole(actionLabel = "This action") {
@@ -234,26 +197,16 @@
     return true;
   }
 
-  function authHeaders(extra = {}) {
-    const token = getAccessToken();
-    return token
-      ? { ...extra, Authorization: `Bearer ${token}` }
-      : { ...extra };
-  }
-
-  async function readJsonOrText(res) {
-    const raw = await res.text();
-    try {
-      return {
-        ok: res.ok,
-        status: res.status,
-        data: raw ? JSON.parse(raw) : null,
-        raw,
-      };
-    } catch {
-      return { ok: res.ok, status: res.status, data: null, raw };
-    }
-  }
+  // API field name -> edit modal input id (server validation errors)
+  const EDIT_FIELD_MAP = {
+    name: "epName",
+    description: "epDescription",
+    category: "epCategory",
+    price: "epPrice",
+    stock: "epStock",
+    is_active: "epIsActive",
+    photo: "epPhoto",
+  };
 
   // ============================================================================
   // RENDER — INVENTORY
@@ -280,9 +233,9 @@
     for (const p of list) {
       const id = p?.id ?? p?.product_id ?? "";
       const name = escapeHtml(p?.name ?? "Unnamed");
-      const category = escapeHtml(p?.category_display ?? p?.category ?? "—");
-      const price = toMoney(p?.price ?? p?.unit_price);
-      const stock = escapeHtml(p?.stock ?? p?.quantity ?? "—");
+      const category = escapeHtml(p?.category_display ?? "—");
+      const price = toMoney(p?.price);
+      const stock = escapeHtml(p?.stock ?? "—");
 
       inventoryBody.insertAdjacentHTML(
         "beforeend",
@@ -305,7 +258,7 @@
   function findProductById(productId) {
     return (
       inventory.find(
-        (p) => String(p?.id ?? p?.product_id) === String(productId),
+        (p) => String(p?.id) === String(productId),
       ) || null
     );
   }
@@ -314,20 +267,42 @@
   // RENDER — ORDERS
   // ============================================================================
 
+  /** Delivery (with its window) or pickup (where and when) for one order. */
+  function fulfillmentCell(o) {
+    const windows = CC.deliveryWindows;
+
+    if (o?.fulfillment === "pickup") {
+      const location = o.pickup_location;
+      const atOwnFarm =
+        location?.farm_id != null &&
+        String(location.farm_id) === String(ownedFarm?.id);
+      return `
+        <span class="badge text-bg-info">Pickup</span>
+        <div>${escapeHtml(atOwnFarm ? "At your farm" : location?.name || "—")}</div>
+        ${o.pickup_window && windows ? `<div class="text-muted">${escapeHtml(windows.describe(o.pickup_window))}</div>` : ""}
+      `;
+    }
+
+    return `
+      <span class="badge text-bg-light border">Delivery</span>
+      ${o?.delivery_window && windows ? `<div class="text-muted">${escapeHtml(windows.describe(o.delivery_window))}</div>` : ""}
+    `;
+  }
+
   function renderOrders() {
     if (!farmerOrdersBody) return;
 
     farmerOrdersBody.innerHTML = "";
 
     if (!orders.length) {
-      farmerOrdersBody.innerHTML = `<tr><td colspan="4" class="text-muted small py-4">No orders found.</td></tr>`;
+      farmerOrdersBody.innerHTML = `<tr><td colspan="5" class="text-muted small py-4">No orders found.</td></tr>`;
       return;
     }
 
     for (const o of orders) {
       const id = o?.id ?? o?.order_id ?? "";
       const customer = o?.user ?? "—";
-      const status = escapeHtml(o?.status_display ?? o?.status ?? "—");
+      const status = escapeHtml(o?.status_display ?? "—");
 
       const myFarmConfirmation = Array.isArray(o?.farm_confirmations)
         ? o.farm_confirmations.find((fc) => fc && fc.is_confirmed === true)
@@ -341,6 +316,7 @@
           <tr>
             <td class="small">#${escapeHtml(id)}</td>
             <td class="small">${escapeHtml(customer)}</td>
+            <td class="small">${fulfillmentCell(o)}</td>
             <td class="small">
               ${status}
               ${isConfirmed ? '<div class="text-success small">Confirmed by your farm</div>' : ""}
@@ -367,14 +343,8 @@
 
   async function loadFarmProfileTitle() {
     try {
-      const res = await fetch(`${ROOT_BASE}/farms/`, {
-        method: "GET",
-        headers: authHeaders({ Accept: "application/json" }),
-        credentials: "include",
-      });
-
-      const parsed = await readJsonOrText(res);
-      if (!parsed.ok || !Array.isArray(parsed.data)) return;
+      const parsed = await CC.api.farms.list();
+      if (!parsed.ok) return;
 
       ownedFarm = parsed.data.find((f) => f?.is_owner === true) || null;
       if (!ownedFarm) return;
@@ -404,29 +374,12 @@
     renderFarmLogo(localUrl);
 
     try {
-      const fd = new FormData();
-      fd.append("logo", file);
-
-      const res = await fetch(`${ROOT_BASE}/farmer/farm/logo/`, {
-        method: "PUT",
-        headers: authHeaders({
-          Accept: "application/json",
-        }),
-        body: fd,
-      });
-
-      const parsed = await readJsonOrText(res);
+      const parsed = await CC.api.farmer.farm.uploadLogo(file);
 
       if (!parsed.ok) {
         console.log("Farm logo upload error:", parsed.status, parsed.data ?? parsed.raw);
 
-        setFarmLogoStatus(
-          parsed.data?.error ||
-            parsed.data?.detail ||
-            parsed.raw ||
-            `Logo upload failed (HTTP ${parsed.status})`,
-          "danger",
-        );
+        setFarmLogoStatus(parsed.error.message, "danger");
 
         renderFarmLogo(ownedFarm?.logo_url || "");
         return;
@@ -456,13 +409,7 @@
 
     setStatus("Loading inventory…", "muted");
 
-    const res = await fetch(`${ROOT_BASE}/farmer/inventory/`, {
-      method: "GET",
-      headers: authHeaders({ Accept: "application/json" }),
-      credentials: "include",
-    });
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.inventory();
 
     if (!parsed.ok) {
       console.log("Inventory error:", parsed.status, parsed.data ?? parsed.raw);
@@ -472,9 +419,7 @@
       return;
     }
 
-    inventory = Array.isArray(parsed.data)
-      ? parsed.data
-      : parsed.data?.results || [];
+    inventory = parsed.data;
     renderInventory();
     setStatus("", "success");
   }
@@ -488,12 +433,7 @@
 
     setStatus("Loading orders…", "muted");
 
-    const res = await fetch(`${ROOT_BASE}/farmer/orders/`, {
-      method: "GET",
-      headers: authHeaders({ Accept: "application/json" }),
-    });
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.orders();
 
     if (!parsed.ok) {
       console.log("Orders error:", parsed.status, parsed.data ?? parsed.raw);
@@ -503,9 +443,7 @@
       return;
     }
 
-    orders = Array.isArray(parsed.data)
-      ? parsed.data
-      : parsed.data?.results || [];
+    orders = parsed.data;
     renderOrders();
     setStatus("", "success");
   }
@@ -514,42 +452,24 @@
     if (!requireProviderRole("Creating a product")) return;
 
     setStatus("Creating product…", "muted");
+    CC.clearFieldErrors(addProductForm);
     if (addProductBtn) addProductBtn.disabled = true;
 
     try {
-      const fd = new FormData();
-
-      fd.append("name", String(payload.name || "").trim());
-      fd.append("description", String(payload.description || "").trim());
-      fd.append("category", String(payload.category || "").trim());
-      fd.append("price", String(payload.price || "").trim());
-      fd.append("stock", String(payload.stock || "").trim());
-
-      if (payload.photo instanceof File) {
-        fd.append("photo", payload.photo);
-      }
-
-      const res = await fetch(`${ROOT_BASE}/farmer/products/`, {
-        method: "POST",
-        headers: authHeaders({
-          Accept: "application/json",
-        }),
-        // REMOVE credentials: "include"
-        body: fd,
+      const parsed = await CC.api.farmer.products.create({
+        name: String(payload.name || "").trim(),
+        description: String(payload.description || "").trim(),
+        category: String(payload.category || "").trim(),
+        price: String(payload.price || "").trim(),
+        stock: String(payload.stock || "").trim(),
+        photo: payload.photo instanceof File ? payload.photo : null,
       });
 
-      const parsed = await readJsonOrText(res);
-
       if (!parsed.ok) {
         console.log("Create product error:", parsed.status, parsed.data ?? parsed.raw);
 
-        const msg =
-          parsed.data?.error ||
-          parsed.data?.detail ||
-          parsed.raw ||
-          `Create product failed (HTTP ${parsed.status})`;
-
-        setStatus(msg, "danger");
+        CC.showFieldErrors(addProductForm, parsed.error.fieldErrors);
+        setStatus(parsed.error.message, "danger");
         return;
       }
 
@@ -571,21 +491,9 @@
     if (!requireProviderRole("Updating a product")) return;
 
     setEditStatus("Saving changes…", "muted");
+    CC.clearFieldErrors(editProductForm);
 
-    const res = await fetch(
-      `${ROOT_BASE}/farmer/products/${encodeURIComponent(productId)}/`,
-      {
-        method: "PATCH",
-        headers: authHeaders({
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        }),
-        credentials: "include",
-        body: JSON.stringify(payload),
-      },
-    );
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.products.update(productId, payload);
 
     if (!parsed.ok) {
       console.log(
@@ -593,7 +501,12 @@
         parsed.status,
         parsed.data ?? parsed.raw,
       );
-      setEditStatus(`Save failed (HTTP ${parsed.status})`, "danger");
+      CC.showFieldErrors(
+        editProductForm,
+        parsed.error.fieldErrors,
+        EDIT_FIELD_MAP,
+      );
+      setEditStatus(parsed.error.message, "danger");
       return;
     }
 
@@ -610,16 +523,7 @@
 
     setStatus("Deleting product…", "muted");
 
-    const res = await fetch(
-      `${ROOT_BASE}/farmer/products/${encodeURIComponent(productId)}/delete/`,
-      {
-        method: "DELETE",
-        headers: authHeaders({ Accept: "application/json" }),
-        credentials: "include",
-      },
-    );
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.products.remove(productId);
 
     if (!parsed.ok) {
       console.log(
@@ -627,7 +531,7 @@
         parsed.status,
         parsed.data ?? parsed.raw,
       );
-      setStatus(`Delete failed (HTTP ${parsed.status})`, "danger");
+      setStatus(parsed.error.message, "danger");
       return;
     }
 
@@ -640,16 +544,7 @@
 
     setStatus("Confirming order…", "muted");
 
-    const res = await fetch(
-      `${ROOT_BASE}/farmer/orders/${encodeURIComponent(orderId)}/confirm/`,
-      {
-        method: "PUT",
-        headers: authHeaders({ Accept: "application/json" }),
-        credentials: "include",
-      },
-    );
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.confirmOrder(orderId);
 
     if (!parsed.ok) {
       console.log(
@@ -658,13 +553,7 @@
         parsed.data ?? parsed.raw,
       );
 
-      const msg =
-        parsed.data?.error ||
-        parsed.data?.detail ||
-        parsed.raw ||
-        `Confirm failed (HTTP ${parsed.status})`;
-
-      setStatus(msg, "danger");
+      setStatus(parsed.error.message, "danger");
       return;
     }
 
@@ -683,13 +572,7 @@
   // ============================================================================
 
   async function fetchStripeAccountStatus() {
-    const res = await fetch(`${ROOT_BASE}/farmer/stripe/account/`, {
-      method: "GET",
-      headers: authHeaders({ Accept: "application/json" }),
-      credentials: "include",
-    });
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.stripe.status();
     if (!parsed.ok)
       throw new Error(`Stripe status failed (HTTP ${parsed.status})`);
 
@@ -698,13 +581,7 @@
 
   async function fetchStripeDashboardLink() {
     // Expected: { url: "https://..." }
-    const res = await fetch(`${ROOT_BASE}/farmer/stripe/dashboard/`, {
-      method: "GET",
-      headers: authHeaders({ Accept: "application/json" }),
-      credentials: "include",
-    });
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.stripe.dashboard();
     if (!parsed.ok)
       throw new Error(`Stripe dashboard link failed (HTTP ${parsed.status})`);
 
@@ -716,17 +593,7 @@
 
   async function fetchStripeConnectionLink() {
     // POST /farmer/stripe/account  -> { url, stripe_account_id }
-    const res = await fetch(`${ROOT_BASE}/farmer/stripe/account`, {
-      method: "POST",
-      headers: authHeaders({
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      }),
-      credentials: "include",
-      body: JSON.stringify({}), // backend can ignore; safe default
-    });
-
-    const parsed = await readJsonOrText(res);
+    const parsed = await CC.api.farmer.stripe.connect();
     if (!parsed.ok)
       throw new Error(`Stripe connection link failed (HTTP ${parsed.status})`);
 
@@ -813,17 +680,11 @@
     const mode = String(params.get("stripe") || "").toLowerCase();
     if (!mode || (mode !== "return" && mode !== "refresh")) return;
 
-    const endpoint =
-      mode === "return" ? "/farmer/stripe/return/" : "/farmer/stripe/refresh/";
-
     try {
-      const res = await fetch(`${ROOT_BASE}${endpoint}`, {
-        method: "GET",
-        headers: authHeaders({ Accept: "application/json" }),
-        credentials: "include",
-      });
-
-      const parsed = await readJsonOrText(res);
+      const parsed =
+        mode === "return"
+          ? await CC.api.farmer.stripe.returnStatus()
+          : await CC.api.farmer.stripe.refreshStatus();
       if (!parsed.ok) return;
 
       const status = String(parsed.data?.status || "");
@@ -891,7 +752,7 @@
         if (epPrice) epPrice.value = String(p?.price ?? "");
         if (epStock) epStock.value = String(p?.stock ?? p?.quantity ?? "");
         if (epIsActive)
-          epIsActive.checked = Boolean(p?.is_active ?? p?.active ?? true);
+          epIsActive.checked = Boolean(p?.is_active);
 
         if (epCurrentPhoto) {
           const url = String(p?.photo_url ?? "");
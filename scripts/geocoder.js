@@ -0,0 +1,647 @@
+/**
+ * ============================================================================
+ * geocoder.js — Address lookup for delivery checks (CC.delivery.geocode*)
+ * ----------------------------------------------------------------------------
+ * Providers (GEOCODER_PROVIDER in config.js):
+ *  - "nominatim" : OpenStreetMap Nominatim, at most 1 request per second
+ *  - "backend"   : GET /api/delivery/geocode/ (server-side proxy)
+ *  - "zip"       : offline stand-in matching ZIP codes / town names against
+ *                  ZIP_CENTROIDS below (development and demos)
+ *  - "auto"      : "zip" when MOCK_API is on, otherwise "nominatim"
+ *
+ * Results are cached in localStorage by provider + normalized query and carry
+ * a 0..1 confidence so pages can flag approximate matches. More providers can
+ * be added with CC.delivery.registerGeocoder(name, { search, reverse?,
+ * minIntervalMs }). reverseGeocode() turns coordinates (e.g. the browser's
+ * location) back into an address for providers that implement `reverse`.
+ *
+ * Load after delivery-shared.js.
+ * ============================================================================
+ */
+
+(function initGeocoder() {
+  "use strict";
+
+  const CC = window.CC;
+  const delivery = CC?.delivery;
+
+  if (!CC || !delivery) {
+    console.warn(
+      "geocoder.js: CC.delivery not found. Make sure delivery-shared.js is loaded first.",
+    );
+    return;
+  }
+
+  /* ==========================================================================
+   * CACHE
+   * ========================================================================== */
+
+  const CACHE_KEY = "cc_geocode_cache_v1";
+  const CACHE_MAX_ENTRIES = 200;
+  const DEFAULT_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Case, punctuation and spacing don't change an address.
+   * @param {string} query
+   * @returns {string}
+   */
+  function normalizeQuery(query) {
+    return String(query || "")
+      .toUpperCase()
+      .replace(/[.,#]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function readCache() {
+    try {
+      const cache = JSON.parse(localStorage.getItem(CACHE_KEY) || "null");
+      return cache && typeof cache === "object" ? cache : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function writeCache(cache) {
+    // Oldest entries go first once the cache is full.
+    const keys = Object.keys(cache).sort((a, b) => cache[a].at - cache[b].at);
+    keys
+      .slice(0, Math.max(0, keys.length - CACHE_MAX_ENTRIES))
+      .forEach((key) => delete cache[key]);
+
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch {
+      // Storage full/unavailable: lookups still work, just uncached.
+    }
+  }
+
+  function getCached(key) {
+    const ttl = Number(
+      CC.getConfigValue("GEOCODER_CACHE_TTL_MS", DEFAULT_CACHE_TTL_MS),
+    );
+    const entry = readCache()[key];
+    return entry && Date.now() - entry.at < ttl ? entry.results : null;
+  }
+
+  function putCached(key, results) {
+    const cache = readCache();
+    cache[key] = { at: Date.now(), results };
+    writeCache(cache);
+  }
+
+  function clearGeocodeCache() {
+    try {
+      localStorage.removeItem(CACHE_KEY);
+    } catch {
+      // ignore storage failures
+    }
+  }
+
+  /* ==========================================================================
+   * THROTTLE
+   * ========================================================================== */
+
+  /** provider name -> earliest time the next request may start */
+  const nextSlots = new Map();
+
+  /**
+   * Reserve the next request slot for a provider and wait for it, so bursts
+   * (lookup candidates, autocomplete) queue up instead of tripping limits.
+   * @param {string} name
+   * @param {number} intervalMs
+   * @returns {Promise<void>}
+   */
+  function waitForSlot(name, intervalMs) {
+    if (!intervalMs) return Promise.resolve();
+
+    const now = Date.now();
+    const slot = Math.max(now, nextSlots.get(name) || 0);
+    nextSlots.set(name, slot + intervalMs);
+
+    return slot > now
+      ? new Promise((resolve) => setTimeout(resolve, slot - now))
+      : Promise.resolve();
+  }
+
+  /* ==========================================================================
+   * PROVIDERS
+   * ========================================================================== */
+
+  /** Default confidence when a source reports precision but no score. */
+  const PRECISION_CONFIDENCE = {
+    address: 0.95,
+    street: 0.75,
+    postcode: 0.5,
+    city: 0.35,
+    region: 0.15,
+  };
+
+  const PRECISION_LABELS = {
+    address: "exact address",
+    street: "street-level",
+    postcode: "ZIP code area",
+    city: "town centre",
+    region: "approximate area",
+  };
+
+  function precisionFromPlaceRank(rank) {
+    if (rank >= 30) return "address";
+    if (rank >= 26) return "street";
+    if (rank >= 21) return "postcode";
+    if (rank >= 13) return "city";
+    return "region";
+  }
+
+  /**
+   * Map one Nominatim jsonv2 hit to a GeocodeResult.
+   * @param {any} hit
+   * @returns {object|null}
+   */
+  function fromNominatim(hit) {
+    const lat = Number(hit?.lat);
+    const lng = Number(hit?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const a = hit.address || {};
+    const precision = precisionFromPlaceRank(Number(hit.place_rank) || 0);
+    const stateCode = String(a["ISO3166-2-lvl4"] || "").split("-")[1];
+
+    return {
+      lat,
+      lng,
+      display_name: String(hit.display_name || "").trim(),
+      confidence: PRECISION_CONFIDENCE[precision],
+      precision,
+      address: {
+        address_line1: [a.house_number, a.road].filter(Boolean).join(" "),
+        city: a.city || a.town || a.village || a.hamlet || "",
+        state: stateCode || a.state || "",
+        postal_code: a.postcode || "",
+        country: String(a.country_code || "us").toUpperCase(),
+      },
+    };
+  }
+
+  const nominatimProvider = {
+    // https://operations.osmfoundation.org/policies/nominatim/
+    minIntervalMs: 1000,
+
+    async search(query, { limit = 1, signal } = {}) {
+      const base = CC.getConfigValue(
+        "GEOCODER_NOMINATIM_URL",
+        "https://nominatim.openstreetmap.org/search",
+      );
+      const url =
+        `${base}?` +
+        new URLSearchParams({
+          q: query,
+          format: "jsonv2",
+          limit: String(limit),
+          addressdetails: "1",
+        }).toString();
+
+      const res = await fetch(url, {
+        method: "GET",
+        headers: { Accept: "application/json" },
+        signal,
+      });
+
+      if (!res.ok) {
+        throw new Error(`Address lookup failed (HTTP ${res.status}).`);
+      }
+
+      const data = await res.json();
+      return (Array.isArray(data) ? data : []).map(fromNominatim).filter(Boolean);
+    },
+
+    async reverse(lat, lng, { signal } = {}) {
+      const base = CC.getConfigValue(
+        "GEOCODER_NOMINATIM_REVERSE_URL",
+        "https://nominatim.openstreetmap.org/reverse",
+      );
+      const url =
+        `${base}?` +
+        new URLSearchParams({
+          lat: String(lat),
+          lon: String(lng),
+          format: "jsonv2",
+          addressdetails: "1",
+        }).toString();
+
+      const res = await fetch(url, {
+        method: "GET",
+        headers: { Accept: "application/json" },
+        signal,
+      });
+
+      if (!res.ok) {
+        throw new Error(`Address lookup failed (HTTP ${res.status}).`);
+      }
+
+      // Nominatim answers 200 with { error } when nothing is nearby.
+      return fromNominatim(await res.json());
+    },
+  };
+
+  const backendProvider = {
+    minIntervalMs: 0,
+
+    async search(query, { limit = 1, signal } = {}) {
+      const res = await CC.api.delivery.geocode({ q: query, limit }, { signal });
+      if (!res.ok) throw CC.errorFromResponse(res);
+
+      return res.data.map((r) => ({
+        ...r,
+        confidence: r.confidence ?? PRECISION_CONFIDENCE[r.precision] ?? null,
+      }));
+    },
+
+    async reverse(lat, lng, { signal } = {}) {
+      const res = await CC.api.delivery.reverseGeocode(
+        { lat, lng },
+        { signal },
+      );
+      if (res.status === 404) return null;
+      if (!res.ok) throw CC.errorFromResponse(res);
+
+      const { confidence, precision } = res.data;
+      return {
+        ...res.data,
+        confidence: confidence ?? PRECISION_CONFIDENCE[precision] ?? null,
+      };
+    },
+  };
+
+  /**
+   * Approximate ZIP centroids around the delivery area:
+   * [zip, town, state, lat, lng]. Good enough to place a customer inside or
+   * outside a hub radius while offline; not for turn-by-turn delivery.
+   */
+  const ZIP_CENTROIDS = [
+    ["44601", "Alliance", "OH", 40.9153, -81.106],
+    ["44609", "Beloit", "OH", 40.9214, -80.9946],
+    ["44614", "Canal Fulton", "OH", 40.8892, -81.5974],
+    ["44615", "Carrollton", "OH", 40.5728, -81.0857],
+    ["44620", "Dellroy", "OH", 40.5572, -81.1982],
+    ["44625", "East Rochester", "OH", 40.7556, -81.0184],
+    ["44626", "East Sparta", "OH", 40.6673, -81.354],
+    ["44632", "Hartville", "OH", 40.9628, -81.3313],
+    ["44640", "Limaville", "OH", 40.9834, -81.149],
+    ["44641", "Louisville", "OH", 40.837, -81.2596],
+    ["44643", "Magnolia", "OH", 40.6523, -81.2952],
+    ["44644", "Malvern", "OH", 40.6917, -81.1813],
+    ["44646", "Massillon", "OH", 40.8117, -81.4973],
+    ["44651", "Mechanicstown", "OH", 40.6245, -80.9554],
+    ["44657", "Minerva", "OH", 40.7298, -81.1054],
+    ["44662", "Navarre", "OH", 40.7245, -81.5227],
+    ["44670", "Robertsville", "OH", 40.7645, -81.1874],
+    ["44672", "Sebring", "OH", 40.9228, -81.021],
+    ["44685", "Uniontown", "OH", 40.9645, -81.4079],
+    ["44688", "Waynesburg", "OH", 40.6673, -81.2571],
+    ["44705", "Canton", "OH", 40.8267, -81.3346],
+    ["44720", "North Canton", "OH", 40.8759, -81.4023],
+    ["44730", "East Canton", "OH", 40.7881, -81.2826],
+    ["44201", "Atwater", "OH", 41.0237, -81.1626],
+    ["44240", "Kent", "OH", 41.1537, -81.3579],
+    ["44260", "Mogadore", "OH", 41.0461, -81.3981],
+    ["44266", "Ravenna", "OH", 41.1573, -81.242],
+    ["44272", "Rootstown", "OH", 41.0973, -81.2432],
+    ["44411", "Deerfield", "OH", 41.0359, -81.0526],
+    ["44412", "Diamond", "OH", 41.0931, -81.0356],
+    ["44423", "Hanoverton", "OH", 40.7528, -80.9379],
+    ["44427", "Kensington", "OH", 40.7314, -80.939],
+    ["44429", "Lake Milton", "OH", 41.0998, -80.9759],
+    ["44432", "Lisbon", "OH", 40.772, -80.7679],
+    ["44449", "North Benton", "OH", 40.9914, -81.0146],
+    ["44460", "Salem", "OH", 40.9009, -80.8568],
+  ];
+
+  const ZIP_REVERSE_MAX_MILES = 8;
+
+  function fromZipRow([zip, city, state, lat, lng], precision) {
+    return {
+      lat,
+      lng,
+      display_name: `${city}, ${state} ${zip}`,
+      confidence: PRECISION_CONFIDENCE[precision],
+      precision,
+      address: {
+        address_line1: "",
+        city,
+        state,
+        postal_code: zip,
+        country: "US",
+      },
+    };
+  }
+
+  const zipProvider = {
+    minIntervalMs: 0,
+
+    async search(query, { limit = 1 } = {}) {
+      const text = normalizeQuery(query);
+
+      // The last 5-digit group is the ZIP; earlier ones may be house numbers.
+      const zips = (text.match(/\b\d{5}\b/g) || []).reverse();
+      const byZip = zips
+        .map((zip) => ZIP_CENTROIDS.find((row) => row[0] === zip))
+        .filter(Boolean)
+        .map((row) => fromZipRow(row, "postcode"));
+      if (byZip.length) return byZip.slice(0, limit);
+
+      return ZIP_CENTROIDS.filter(([, city]) =>
+        new RegExp(`(^| )${city.toUpperCase()}( |$)`).test(text),
+      )
+        .map((row) => fromZipRow(row, "city"))
+        .slice(0, limit);
+    },
+
+    // Nearest centroid, if it's close enough to plausibly be that ZIP.
+    async reverse(lat, lng) {
+      let best = null;
+      let bestMiles = ZIP_REVERSE_MAX_MILES;
+      ZIP_CENTROIDS.forEach((row) => {
+        const miles = delivery.milesBetween(lat, lng, row[3], row[4]);
+        if (miles <= bestMiles) {
+          best = row;
+          bestMiles = miles;
+        }
+      });
+      return best && { ...fromZipRow(best, "postcode"), lat, lng };
+    },
+  };
+
+  const providers = {
+    nominatim: nominatimProvider,
+    backend: backendProvider,
+    zip: zipProvider,
+  };
+
+  /**
+   * Add or replace a provider. `search(query, { limit, signal })` resolves to
+   * GeocodeResult[]; the optional `reverse(lat, lng, { signal })` resolves to
+   * one GeocodeResult or null; `minIntervalMs` spaces out its requests.
+   * @param {string} name
+   * @param {{ search: Function, reverse?: Function, minIntervalMs?: number }} provider
+   */
+  function registerGeocoder(name, provider) {
+    if (!name || typeof provider?.search !== "function") {
+      throw new Error("registerGeocoder: expected a name and { search }.");
+    }
+    providers[name] = provider;
+  }
+
+  /**
+   * Provider selected by GEOCODER_PROVIDER ("auto" picks "zip" under MOCK_API).
+   * @returns {{ name: string, provider: object }}
+   */
+  function getGeocoder() {
+    let name = String(CC.getConfigValue("GEOCODER_PROVIDER", "auto"));
+    if (name === "auto") {
+      name = CC.getConfigValue("MOCK_API", false) ? "zip" : "nominatim";
+    }
+
+    if (!providers[name]) {
+      console.warn(
+        `geocoder.js: unknown GEOCODER_PROVIDER "${name}"; using nominatim.`,
+      );
+      name = "nominatim";
+    }
+    return { name, provider: providers[name] };
+  }
+
+  /* ==========================================================================
+   * LOOKUPS
+   * ========================================================================== */
+
+  /**
+   * Free-text lookup through the configured (or named) provider.
+   *
+   * @param {string} query
+   * @param {{ limit?: number, signal?: AbortSignal, provider?: string }} [options]
+   * @returns {Promise<Array<object>>} GeocodeResult[] tagged with `provider`
+   */
+  async function geocodeSearch(query, { limit = 5, signal, provider } = {}) {
+    const selected = provider
+      ? { name: provider, provider: providers[provider] }
+      : getGeocoder();
+    if (!selected.provider) throw new Error(`Unknown geocoder "${provider}".`);
+
+    const normalized = normalizeQuery(query);
+    if (!normalized) return [];
+
+    const key = `${selected.name}|${limit}|${normalized}`;
+    const cached = getCached(key);
+    if (cached) return cached;
+
+    await waitForSlot(selected.name, selected.provider.minIntervalMs || 0);
+
+    // A newer keystroke may have superseded this lookup while it queued.
+    if (signal?.aborted) {
+      const err = new Error("Request was cancelled.");
+      err.name = "AbortError";
+      throw err;
+    }
+
+    const results = (
+      await selected.provider.search(query, { limit, signal })
+    ).map((r) => ({ ...r, provider: selected.name }));
+
+    if (results.length) putCached(key, results);
+    return results;
+  }
+
+  /**
+   * Address nearest to a point, through the configured (or named) provider.
+   * The result keeps the given lat/lng; its `address` fields fill a form.
+   *
+   * @param {number} lat
+   * @param {number} lng
+   * @param {{ signal?: AbortSignal, provider?: string }} [options]
+   * @returns {Promise<object|null>} GeocodeResult tagged with `provider`, or
+   *   null when the provider finds nothing (or can't reverse-geocode)
+   */
+  async function reverseGeocode(lat, lng, { signal, provider } = {}) {
+    const selected = provider
+      ? { name: provider, provider: providers[provider] }
+      : getGeocoder();
+    if (!selected.provider) throw new Error(`Unknown geocoder "${provider}".`);
+    if (typeof selected.provider.reverse !== "function") return null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    // ~11 m grid: the same spot re-checked moments later hits the cache.
+    const key = `${selected.name}|reverse|${lat.toFixed(4)},${lng.toFixed(4)}`;
+    const cached = getCached(key);
+    if (cached) return cached[0];
+
+    await waitForSlot(selected.name, selected.provider.minIntervalMs || 0);
+
+    if (signal?.aborted) {
+      const err = new Error("Request was cancelled.");
+      err.name = "AbortError";
+      throw err;
+    }
+
+    const result = await selected.provider.reverse(lat, lng, { signal });
+    if (!result) return null;
+
+    const tagged = { ...result, provider: selected.name };
+    putCached(key, [tagged]);
+    return tagged;
+  }
+
+  function normalizeZip(zip) {
+    return String(zip || "")
+      .trim()
+      .replace(/[^\d-]/g, "")
+      .slice(0, 10);
+  }
+
+  /**
+   * Query strings to try for an address, most specific first. Some sources
+   * miss "street, city" but find "street, zip" (or the other way round).
+   * @param {object} addressObj
+   * @returns {Array<{ label: string, query: string }>}
+   */
+  function buildLookupCandidates(addressObj) {
+    const street = String(
+      addressObj?.address_line1 || addressObj?.street_address || "",
+    ).trim();
+    const city = String(addressObj?.city || "").trim();
+    const state = String(addressObj?.state || "").trim().toUpperCase();
+    const zip = normalizeZip(addressObj?.postal_code || addressObj?.zip || "");
+    const country = String(addressObj?.country || "US").trim();
+
+    const join = (...parts) => parts.filter(Boolean).join(", ");
+
+    return [
+      { label: "street + zip", query: join(street, zip, country) },
+      { label: "whole address", query: join(street, city, state, zip, country) },
+      { label: "street + zip + state", query: join(street, zip, state, country) },
+      { label: "street + zip + city", query: join(street, zip, city, country) },
+      { label: "city + zip + state", query: join(city, zip, state, country) },
+    ].filter((c) => c.query && c.query.replace(/[, ]/g, "").length >= 5);
+  }
+
+  function addressLabel(addressObj) {
+    return [
+      addressObj.address_line1 || addressObj.street_address,
+      addressObj.city,
+      addressObj.state,
+      addressObj.postal_code || addressObj.zip,
+      addressObj.country || "US",
+    ]
+      .map((part) => String(part || "").trim())
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /**
+   * Coordinates for a delivery address. Addresses that already carry lat/lng
+   * are returned as-is (with any stored geocode_confidence); otherwise each
+   * lookup candidate is tried in turn until one matches.
+   *
+   * @param {object} addressObj - address_line1, city, state, postal_code, ...
+   * @param {{ onProgress?: (label: string) => void, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ lat: number, lng: number, display_name: string, confidence: number|null, precision: string|null, provider: string, matched_by?: string }>}
+   */
+  async function geocodeAddress(addressObj, { onProgress, signal } = {}) {
+    const hasCoord = (v) =>
+      v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v));
+
+    if (hasCoord(addressObj?.lat) && hasCoord(addressObj?.lng)) {
+      return {
+        lat: Number(addressObj.lat),
+        lng: Number(addressObj.lng),
+        display_name:
+          String(addressObj.preferred_delivery_address || "").trim() ||
+          addressLabel(addressObj),
+        confidence: addressObj.geocode_confidence ?? null,
+        precision: addressObj.geocode_precision ?? null,
+        provider: "saved",
+      };
+    }
+
+    const candidates = buildLookupCandidates(addressObj);
+    if (!candidates.length) {
+      throw new Error("Please enter a valid delivery address.");
+    }
+
+    let lastError = null;
+
+    for (const candidate of candidates) {
+      try {
+        onProgress?.(candidate.label);
+
+        const [hit] = await geocodeSearch(candidate.query, { limit: 1, signal });
+        if (hit) {
+          return {
+            ...hit,
+            display_name: hit.display_name || candidate.query,
+            matched_by: candidate.label,
+          };
+        }
+      } catch (err) {
+        if (CC.isAbortError(err)) throw err;
+        lastError = err;
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    throw new Error(
+      "We could not find coordinates for that address after trying multiple address formats.",
+    );
+  }
+
+  /* ==========================================================================
+   * CONFIDENCE
+   * ========================================================================== */
+
+  /**
+   * True when a match is too coarse to trust for a range decision
+   * (below GEOCODER_MIN_CONFIDENCE). Unknown confidence is not flagged.
+   * @param {{ confidence?: number|null }} result
+   * @returns {boolean}
+   */
+  function isLowConfidenceMatch(result) {
+    const min = Number(CC.getConfigValue("GEOCODER_MIN_CONFIDENCE", 0.6));
+    return Number.isFinite(result?.confidence) && result.confidence < min;
+  }
+
+  /**
+   * e.g. "exact address match (95% confidence)", "ZIP code area match (50%
+   * confidence)". Empty when nothing is known about the match.
+   * @param {{ confidence?: number|null, precision?: string|null }} result
+   * @returns {string}
+   */
+  function describeGeocodeMatch(result) {
+    if (!result) return "";
+
+    const label = PRECISION_LABELS[result.precision] || "";
+    const pct = Number.isFinite(result.confidence)
+      ? `${Math.round(result.confidence * 100)}% confidence`
+      : "";
+
+    if (label && pct) return `${label} match (${pct})`;
+    if (label) return `${label} match`;
+    return pct ? `location match (${pct})` : "";
+  }
+
+  /* ==========================================================================
+   * EXPORT
+   * ========================================================================== */
+
+  Object.assign(delivery, {
+    geocodeAddress,
+    geocodeSearch,
+    reverseGeocode,
+    buildLookupCandidates,
+    registerGeocoder,
+    getGeocoder,
+    isLowConfidenceMatch,
+    describeGeocodeMatch,
+    clearGeocodeCache,
+  });
+})();
@@ -0,0 +1,2180 @@
+/**
+ * ============================================================================
+ * mock-backend.js — In-browser mock API for offline development and demos
+ * ----------------------------------------------------------------------------
+ * Purpose:
+ * - When config.js sets MOCK_API: true, every CC.apiFetch request (and the
+ *   token refresh) is answered here instead of going over the network.
+ * - Implements every route in api.js (CC.api) with seeded farms, products,
+ *   users, cart, orders, favorites, farmer inventory, provider registrations
+ *   and a Stripe stand-in, persisted in localStorage (cc_mock_db_v1).
+ * - Never listed in a page: config.js injects it only when the final config
+ *   (profile + config.json) has MOCK_API on, and holds CC.configReady until
+ *   it has installed.
+ *
+ * Seeded logins (mock only):
+ * - customer: demo / demo1234
+ * - provider: farmer / farmer1234  (owns "Green Acres Farm")
+ *
+ * Helpers (mock mode only):
+ * - CC.mock.reset()                      -> reseed the database
+ * - CC.mock.getDb()                      -> current database snapshot
+ * - CC.mock.approveRegistration(id)      -> approve a provider application
+ *
+ * Load order:
+ *   1) config.js, utils.js, api.js / page scripts (in HTML)
+ *   2) mock-backend.js (injected by config.js before CC.configReady resolves)
+ * ============================================================================
+ */
+
+(function initCropCartMockBackend() {
+  "use strict";
+
+  const CC = window.CC;
+  if (!CC) {
+    console.warn(
+      "mock-backend.js: window.CC not found. Load utils.js first.",
+    );
+    return;
+  }
+
+  /* ==========================================================================
+   * CONSTANTS
+   * ========================================================================== */
+
+  const DB_KEY = "cc_mock_db_v1";
+  const DB_VERSION = 9;
+  const ACCESS_TTL_MS = 30 * 60 * 1000;
+  const DEFAULT_LATENCY_MS = 150;
+  const MAX_INLINE_FILE_BYTES = 256 * 1024;
+  const LOGO_URL = "./Images/CClogo1.png";
+
+  const CATEGORY_LABELS = {
+    fruits_vegetables: "Fruits & Vegetables",
+    meat_poultry: "Meat & Poultry",
+    dairy_eggs: "Dairy & Eggs",
+    grains_bakery: "Grains & Bakery",
+    herbs_spices: "Herbs & Spices",
+    honey_preserves: "Honey & Preserves",
+    beverages: "Beverages",
+    other: "Other",
+  };
+
+  // Delivery windows each hub runs Monday–Saturday, bookable from tomorrow.
+  const DELIVERY_WINDOW_SLOTS = [
+    ["09:00", "12:00"],
+    ["13:00", "16:00"],
+    ["17:00", "20:00"],
+  ];
+  const DELIVERY_WINDOW_CAPACITY = 6;
+  const DELIVERY_WINDOW_MAX_DAYS = 14;
+  // Pickup counters at the hub and participating farms, Monday–Saturday.
+  const PICKUP_WINDOW_SLOTS = [
+    ["10:00", "12:00"],
+    ["15:00", "18:00"],
+  ];
+  const PICKUP_WINDOW_CAPACITY = 10;
+  // Unpaid orders hold their window this long.
+  const PAYMENT_HOLD_MS = 30 * 60 * 1000;
+
+  const ORDER_STATUS_LABELS = {
+    payment_pending: "Payment pending",
+    received: "Received",
+    packed: "Packed",
+    out_for_delivery: "Out for delivery",
+    delivered: "Delivered",
+    cancelled: "Cancelled",
+  };
+
+  /* ==========================================================================
+   * SEED DATA
+   * ========================================================================== */
+
+  function seedDb() {
+    const now = new Date().toISOString();
+
+    // [id, farm_id, name, category, price, stock, description]
+    const product = ([id, farm_id, name, category, price, stock, desc]) => ({
+      id,
+      farm_id,
+      name,
+      description: desc,
+      category,
+      price: money(price),
+      stock,
+      photo_url: "",
+      is_active: true,
+      created_at: now,
+    });
+
+    return {
+      version: DB_VERSION,
+      seq: {
+        users: 2,
+        farms: 4,
+        products: 12,
+        cartItems: 0,
+        orders: 0,
+        orderItems: 0,
+        registrations: 0,
+        paymentIntents: 0,
+        addresses: 2,
+      },
+      users: [
+        {
+          id: 1,
+          username: "demo",
+          email: "demo@cropcart.test",
+          password: "demo1234",
+          role: "customer",
+          first_name: "Demo",
+          last_name: "Customer",
+          preferred_delivery_address: "150 E Main St, Alliance, OH 44601",
+          address_line1: "150 E Main St",
+          city: "Alliance",
+          state: "OH",
+          postal_code: "44601",
+          country: "US",
+          lat: 40.9153,
+          lng: -81.1057,
+        },
+        {
+          id: 2,
+          username: "farmer",
+          email: "farmer@cropcart.test",
+          password: "farmer1234",
+          role: "provider",
+          first_name: "Fern",
+          last_name: "Grower",
+          preferred_delivery_address: "",
+          address_line1: "",
+          city: "",
+          state: "",
+          postal_code: "",
+          country: "US",
+          lat: null,
+          lng: null,
+        },
+      ],
+      farms: [
+        {
+          id: 1,
+          owner_id: 2,
+          name: "Green Acres Farm",
+          description: "Family vegetable farm: greens, roots and tomatoes.",
+          location: "Alliance, OH",
+          farm_location: "2400 Union Ave, Alliance, OH 44601",
+          lat: 40.9265,
+          lng: -81.084,
+          logo_url: LOGO_URL,
+          offers_pickup: true,
+          is_organic: true,
+        },
+        {
+          id: 2,
+          owner_id: null,
+          name: "Maple Hollow Orchard",
+          description: "Apples, cider and preserves from a family orchard.",
+          location: "Sebring, OH",
+          farm_location: "880 W Ohio Ave, Sebring, OH 44672",
+          lat: 40.9223,
+          lng: -81.019,
+          logo_url: LOGO_URL,
+          offers_pickup: true,
+          // Self-delivers instead of going through a hub.
+          delivery_radius_miles: 12,
+        },
+        {
+          id: 3,
+          owner_id: null,
+          name: "Sunny Ridge Dairy",
+          description: "Pasture-raised dairy and free-range eggs.",
+          location: "Louisville, OH",
+          farm_location: "5100 Edison St NE, Louisville, OH 44641",
+          lat: 40.8373,
+          lng: -81.2595,
+          logo_url: LOGO_URL,
+          delivery_radius_miles: 8,
+          sells_certified_goods: true,
+        },
+        {
+          id: 4,
+          owner_id: null,
+          name: "Creekside Honey Co.",
+          description: "Raw wildflower honey and beeswax goods.",
+          location: "Minerva, OH",
+          farm_location: "300 N Market St, Minerva, OH 44657",
+          lat: 40.7298,
+          lng: -81.1054,
+          logo_url: LOGO_URL,
+        },
+      ],
+      products: [
+        [
+          1,
+          1,
+          "Heirloom Tomatoes",
+          "fruits_vegetables",
+          4.5,
+          40,
+          "Mixed heirloom tomatoes, per pound.",
+        ],
+        [
+          2,
+          1,
+          "Salad Greens Mix",
+          "fruits_vegetables",
+          5,
+          25,
+          "Washed spring mix, 8 oz bag.",
+        ],
+        [
+          3,
+          1,
+          "Rainbow Carrots",
+          "fruits_vegetables",
+          3.25,
+          60,
+          "One bunch of rainbow carrots.",
+        ],
+        [
+          4,
+          1,
+          "Fresh Basil",
+          "herbs_spices",
+          2.5,
+          15,
+          "Genovese basil bunch.",
+        ],
+        [
+          5,
+          2,
+          "Honeycrisp Apples",
+          "fruits_vegetables",
+          6,
+          80,
+          "Half-peck bag of Honeycrisp apples.",
+        ],
+        [
+          6,
+          2,
+          "Apple Cider",
+          "beverages",
+          7.5,
+          30,
+          "Half-gallon of fresh pressed cider.",
+        ],
+        [
+          7,
+          2,
+          "Apple Butter",
+          "honey_preserves",
+          8,
+          20,
+          "Slow-cooked apple butter, 16 oz jar.",
+        ],
+        [
+          8,
+          3,
+          "Whole Milk",
+          "dairy_eggs",
+          4.25,
+          35,
+          "Non-homogenized whole milk, half-gallon.",
+        ],
+        [
+          9,
+          3,
+          "Free-Range Eggs",
+          "dairy_eggs",
+          5.5,
+          50,
+          "One dozen brown eggs.",
+        ],
+        [
+          10,
+          3,
+          "Farmhouse Cheddar",
+          "dairy_eggs",
+          9,
+          12,
+          "Aged cheddar, 8 oz block.",
+        ],
+        [
+          11,
+          4,
+          "Wildflower Honey",
+          "honey_preserves",
+          12,
+          24,
+          "Raw wildflower honey, 16 oz.",
+        ],
+        [
+          12,
+          4,
+          "Beeswax Candle",
+          "other",
+          10,
+          0,
+          "Hand-poured beeswax pillar candle.",
+        ],
+      ].map(product),
+      deliveryHubs: [
+        {
+          id: "hq",
+          name: "CropCart HQ",
+          address: "1972 Clark Ave., Alliance, OH 44601",
+          lat: 40.902174,
+          lng: -81.108759,
+          radius_miles: 15,
+          pickup: true,
+          active: true,
+          effective_from: null,
+          effective_until: null,
+        },
+        {
+          id: "minerva",
+          name: "Minerva Dispatch",
+          address: "300 N Market St, Minerva, OH 44657",
+          lat: 40.7298,
+          lng: -81.1054,
+          radius_miles: 10,
+          fee: { base: 3.99 },
+          active: true,
+          effective_from: null,
+          effective_until: null,
+        },
+      ],
+      // GeoJSON features; properties.mode is "include" or "exclude"
+      deliveryZones: [
+        {
+          type: "Feature",
+          id: "malvern",
+          properties: { name: "Malvern", mode: "include", hub_id: "minerva" },
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [-81.22, 40.66],
+                [-81.12, 40.66],
+                [-81.12, 40.72],
+                [-81.22, 40.72],
+                [-81.22, 40.66],
+              ],
+            ],
+          },
+        },
+        {
+          type: "Feature",
+          id: "berlin-lake",
+          properties: { name: "Berlin Lake", mode: "exclude" },
+          geometry: {
+            type: "Polygon",
+            coordinates: [
+              [
+                [-81.04, 40.95],
+                [-80.98, 40.95],
+                [-80.98, 41.0],
+                [-81.04, 41.0],
+                [-81.04, 40.95],
+              ],
+            ],
+          },
+        },
+      ],
+      cartItems: [],
+      orders: [],
+      favorites: [{ user_id: 1, farm_id: 2 }],
+      registrations: [],
+      addresses: [
+        {
+          id: 1,
+          user_id: 1,
+          label: "Home",
+          is_default: true,
+          preferred_delivery_address: "150 E Main St, Alliance, OH 44601",
+          address_line1: "150 E Main St",
+          city: "Alliance",
+          state: "OH",
+          postal_code: "44601",
+          country: "US",
+          lat: 40.9153,
+          lng: -81.1057,
+          geocode_confidence: 0.95,
+          geocode_precision: "address",
+        },
+        {
+          id: 2,
+          user_id: 1,
+          label: "Work",
+          is_default: false,
+          preferred_delivery_address: "200 W Tuscarawas St, Canton, OH 44702",
+          address_line1: "200 W Tuscarawas St",
+          city: "Canton",
+          state: "OH",
+          postal_code: "44702",
+          country: "US",
+          lat: 40.7979,
+          lng: -81.3762,
+          geocode_confidence: 0.95,
+          geocode_precision: "address",
+        },
+      ],
+      paymentIntents: [],
+      stripeAccounts: [],
+      refreshTokens: {},
+      resetTokens: {},
+    };
+  }
+
+  /* ==========================================================================
+   * STORAGE
+   * ========================================================================== */
+
+  let dbCache = null;
+
+  function loadDb() {
+    if (dbCache) return dbCache;
+    try {
+      const parsed = JSON.parse(localStorage.getItem(DB_KEY) || "null");
+      dbCache = parsed?.version === DB_VERSION ? parsed : seedDb();
+    } catch {
+      dbCache = seedDb();
+    }
+    return dbCache;
+  }
+
+  function saveDb() {
+    try {
+      localStorage.setItem(DB_KEY, JSON.stringify(loadDb()));
+    } catch (err) {
+      console.warn("mock-backend: could not persist database.", err);
+    }
+  }
+
+  function nextId(db, table) {
+    db.seq[table] = (db.seq[table] || 0) + 1;
+    return db.seq[table];
+  }
+
+  /* ==========================================================================
+   * SMALL HELPERS
+   * ========================================================================== */
+
+  function money(value) {
+    return (Math.round(Number(value || 0) * 100) / 100).toFixed(2);
+  }
+
+  function randomToken() {
+    return Math.random().toString(36).slice(2) + Date.now().toString(36);
+  }
+
+  function isBlank(value) {
+    return String(value ?? "").trim() === "";
+  }
+
+  function findUser(db, id) {
+    return db.users.find((u) => u.id === Number(id)) || null;
+  }
+
+  function findFarm(db, id) {
+    return db.farms.find((f) => f.id === Number(id)) || null;
+  }
+
+  function findProduct(db, id) {
+    return db.products.find((p) => p.id === Number(id)) || null;
+  }
+
+  function ownedFarm(db, user) {
+    return db.farms.find((f) => f.owner_id === user?.id) || null;
+  }
+
+  /* ==========================================================================
+   * SERIALIZERS (shapes match the real API)
+   * ========================================================================== */
+
+  function publicUser(user) {
+    const { password, ...rest } = user;
+    return { ...rest };
+  }
+
+  function serializeFarm(db, farm, user) {
+    const { owner_id, ...rest } = farm;
+    return { ...rest, is_owner: Boolean(user && owner_id === user.id) };
+  }
+
+  function serializeProduct(db, p) {
+    const farm = findFarm(db, p.farm_id);
+    return {
+      ...p,
+      category_display: CATEGORY_LABELS[p.category] || "Other",
+      farm_name: farm?.name || "",
+    };
+  }
+
+  function serializeCart(db, user) {
+    const items = db.cartItems
+      .filter((it) => it.user_id === user.id)
+      .map((it) => {
+        const p = findProduct(db, it.product_id);
+        const price = Number(p?.price || 0);
+        return {
+          id: it.id,
+          product_id: it.product_id,
+          product_name: p?.name || "Removed product",
+          farm_id: p?.farm_id ?? null,
+          farm_name: findFarm(db, p?.farm_id)?.name || "",
+          product_price: money(price),
+          quantity: it.quantity,
+          subtotal: money(price * it.quantity),
+        };
+      });
+
+    const total = items.reduce((sum, it) => sum + Number(it.subtotal), 0);
+    return { id: user.id, items, total_price: money(total) };
+  }
+
+  function serializeOrder(db, order, farmId = null) {
+    const items = farmId
+      ? order.items.filter((it) => it.farm_id === farmId)
+      : order.items;
+    const confirmations = farmId
+      ? order.farm_confirmations.filter((fc) => fc.farm_id === farmId)
+      : order.farm_confirmations;
+
+    return {
+      ...order,
+      user: findUser(db, order.user_id)?.username || "customer",
+      status_display: ORDER_STATUS_LABELS[order.status] || order.status,
+      items,
+      farm_confirmations: confirmations,
+      all_farms_confirmed:
+        order.farm_confirmations.length > 0 &&
+        order.farm_confirmations.every((fc) => fc.is_confirmed),
+    };
+  }
+
+  /* ==========================================================================
+   * RESPONSES
+   * ========================================================================== */
+
+  function json(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  function noContent() {
+    return new Response(null, { status: 204 });
+  }
+
+  const notFound = () => json(404, { detail: "Not found." });
+
+  const noFarm = () =>
+    json(403, { detail: "No farm is linked to this account." });
+
+  /* ==========================================================================
+   * AUTH (mock JWTs: "mock.<userId>.<expiresAt>.<nonce>")
+   * ========================================================================== */
+
+  function issueTokens(db, user) {
+    const expiresAt = Date.now() + ACCESS_TTL_MS;
+    const access = `mock.${user.id}.${expiresAt}.${randomToken()}`;
+    const refresh = `mock-refresh.${randomToken()}`;
+    db.refreshTokens[refresh] = user.id;
+    return { access, refresh };
+  }
+
+  function userFromAuthHeader(db, headers) {
+    const header = String(headers?.Authorization || "");
+    const match = header.match(/^Bearer mock\.(\d+)\.(\d+)\./);
+    if (!match || Number(match[2]) < Date.now()) return null;
+    return findUser(db, match[1]);
+  }
+
+  /* ==========================================================================
+   * REQUEST BODY
+   * ========================================================================== */
+
+  function readFileAsUrl(file) {
+    if (file.size > MAX_INLINE_FILE_BYTES) {
+      return Promise.resolve(URL.createObjectURL(file));
+    }
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ""));
+      reader.onerror = () => resolve(URL.createObjectURL(file));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Parse JSON or multipart bodies into a plain object. Uploaded files become
+   * { name, url } so they survive a page reload (small files are inlined).
+   */
+  async function readBody(init) {
+    const body = init?.body;
+    if (!body) return {};
+
+    if (typeof FormData !== "undefined" && body instanceof FormData) {
+      const out = {};
+      for (const [key, value] of body.entries()) {
+        out[key] =
+          typeof Blob !== "undefined" && value instanceof Blob
+            ? { name: value.name || key, url: await readFileAsUrl(value) }
+            : value;
+      }
+      return out;
+    }
+
+    try {
+      return JSON.parse(String(body));
+    } catch {
+      return {};
+    }
+  }
+
+  /* ==========================================================================
+   * VALIDATION
+   * ========================================================================== */
+
+  function validateAddress(body) {
+    const errors = {};
+    ["address_line1", "city", "state", "postal_code"].forEach((key) => {
+      if (isBlank(body[key])) errors[key] = ["This field is required."];
+    });
+    return errors;
+  }
+
+  function validateProductFields(body, partial) {
+    const errors = {};
+    const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+
+    if ((!partial || has("name")) && isBlank(body.name)) {
+      errors.name = ["This field may not be blank."];
+    }
+    if (!partial || has("price")) {
+      const price = Number(body.price);
+      if (!Number.isFinite(price) || price <= 0) {
+        errors.price = ["Enter a price greater than 0."];
+      }
+    }
+    if (!partial || has("stock")) {
+      const stock = Number(body.stock);
+      if (!Number.isInteger(stock) || stock < 0) {
+        errors.stock = ["Enter a whole number of 0 or more."];
+      }
+    }
+    if ((!partial || has("category")) && !CATEGORY_LABELS[body.category]) {
+      errors.category = [`"${body.category || ""}" is not a valid choice.`];
+    }
+    return errors;
+  }
+
+  const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+  const outOfStockMessage = (product) =>
+    `Only ${product.stock} ${product.name} left in stock.`;
+
+  /* ==========================================================================
+   * ROUTE HANDLERS
+   * ========================================================================== */
+
+  function login(ctx, providerOnly) {
+    const { db, body } = ctx;
+    const key = String(body.username || "").trim().toLowerCase();
+    const user = db.users.find(
+      (u) =>
+        (u.username.toLowerCase() === key || u.email.toLowerCase() === key) &&
+        u.password === String(body.password || ""),
+    );
+
+    if (!user) {
+      return json(401, {
+        detail: "No active account found with the given credentials",
+      });
+    }
+    if (providerOnly && user.role !== "provider") {
+      return json(403, { detail: "This account is not a provider account." });
+    }
+
+    return json(200, { ...issueTokens(db, user), user: publicUser(user) });
+  }
+
+  function register(ctx) {
+    const { db, body } = ctx;
+    const taken = (key, value) =>
+      db.users.some((u) => u[key].toLowerCase() === value.toLowerCase());
+    const errors = {};
+    const username = String(body.username || "").trim();
+    const email = String(body.email || "").trim();
+    const password = String(body.password || "");
+
+    if (!username) errors.username = ["This field is required."];
+    else if (taken("username", username))
+      errors.username = ["A user with that username already exists."];
+
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email))
+      errors.email = ["Enter a valid email address."];
+    else if (taken("email", email))
+      errors.email = ["A user with that email already exists."];
+
+    if (password.trim().length < 8)
+      errors.password = ["Ensure this field has at least 8 characters."];
+
+    return { errors, username, email, password };
+  }
+
+  function createUser(db, { username, email, password, role }) {
+    const user = {
+      id: nextId(db, "users"),
+      username,
+      email,
+      password,
+      role,
+      first_name: "",
+      last_name: "",
+      preferred_delivery_address: "",
+      address_line1: "",
+      city: "",
+      state: "",
+      postal_code: "",
+      country: "US",
+      lat: null,
+      lng: null,
+    };
+    db.users.push(user);
+    return user;
+  }
+
+  function approveRegistration(db, reg) {
+    if (reg.status === "approved") return;
+    const user = createUser(db, { ...reg, role: "provider" });
+    db.farms.push({
+      id: nextId(db, "farms"),
+      owner_id: user.id,
+      name: reg.farm_name,
+      description: reg.farm_description || "",
+      location: reg.farm_location || "",
+      farm_location: reg.farm_location || "",
+      lat: null,
+      lng: null,
+      logo_url: LOGO_URL,
+      sells_certified_goods: Boolean(reg.sells_certified_goods),
+    });
+    reg.status = "approved";
+  }
+
+  const ADDRESS_FIELDS = [
+    "label",
+    "preferred_delivery_address",
+    "address_line1",
+    "city",
+    "state",
+    "postal_code",
+    "country",
+    "lat",
+    "lng",
+    "geocode_confidence",
+    "geocode_precision",
+  ];
+
+  function userAddresses(db, user) {
+    return db.addresses.filter((a) => a.user_id === user.id);
+  }
+
+  function serializeAddress(address) {
+    const { user_id, ...rest } = address;
+    return { ...rest, id: String(rest.id) };
+  }
+
+  function findUserAddress(ctx) {
+    return userAddresses(ctx.db, ctx.user).find(
+      (a) => a.id === Number(ctx.params[0]),
+    );
+  }
+
+  /** Make `address` the default and mirror it onto the profile fields. */
+  function makeDefaultAddress(db, user, address) {
+    userAddresses(db, user).forEach((a) => {
+      a.is_default = a === address;
+    });
+    [
+      "preferred_delivery_address",
+      "address_line1",
+      "city",
+      "state",
+      "postal_code",
+      "country",
+      "lat",
+      "lng",
+    ].forEach((key) => {
+      user[key] = address[key];
+    });
+  }
+
+  function orderSummary(orders) {
+    const paid = orders.filter((o) => o.status !== "payment_pending");
+    const totalSpent = paid.reduce((sum, o) => sum + Number(o.total_amount), 0);
+    return {
+      total_orders: paid.length,
+      total_spent: money(totalSpent),
+      average_order_value: money(paid.length ? totalSpent / paid.length : 0),
+    };
+  }
+
+  function userOrders(ctx) {
+    const status = ctx.query.get("status");
+    return ctx.db.orders
+      .filter((o) => o.user_id === ctx.user.id)
+      .filter((o) => !status || o.status === status)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .map((o) => serializeOrder(ctx.db, o));
+  }
+
+  function localDate(d) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  function holdsWindow(order, windowId) {
+    const held = order.delivery_window?.id ?? order.pickup_window?.id;
+    if (held !== windowId) return false;
+    if (order.status === "cancelled") return false;
+    return (
+      order.status !== "payment_pending" ||
+      Date.now() - Date.parse(order.created_at) < PAYMENT_HOLD_MS
+    );
+  }
+
+  /**
+   * Monday–Saturday slots over the next `days` days (from tomorrow), with
+   * live capacity. `prefix` keeps ids unique per hub/location.
+   */
+  function scheduleWindows(db, { prefix, slots, capacity, days, extra }) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const windows = [];
+    for (let i = 1; i <= days; i += 1) {
+      const day = new Date(today);
+      day.setDate(today.getDate() + i);
+      if (day.getDay() === 0) continue; // closed Sundays
+
+      const date = localDate(day);
+      slots.forEach(([start, end]) => {
+        const id = `${prefix}-${date}-${start.replace(":", "")}`;
+        const booked = db.orders.filter((o) => holdsWindow(o, id)).length;
+        windows.push({
+          id,
+          ...extra,
+          date,
+          start,
+          end,
+          capacity,
+          booked,
+          remaining: Math.max(0, capacity - booked),
+        });
+      });
+    }
+    return windows;
+  }
+
+  /** Windows a hub runs over the next `days` days, with live capacity. */
+  function hubDeliveryWindows(db, hub, days) {
+    return scheduleWindows(db, {
+      prefix: hub.id,
+      slots: DELIVERY_WINDOW_SLOTS,
+      capacity: DELIVERY_WINDOW_CAPACITY,
+      days,
+      extra: { hub_id: hub.id },
+    });
+  }
+
+  function findDeliveryHub(db, hubId) {
+    return db.deliveryHubs.find((h) => h.id === String(hubId ?? "")) || null;
+  }
+
+  /** Hubs with a pickup counter and farms that hand orders over on site. */
+  function pickupLocations(db) {
+    const hubs = db.deliveryHubs
+      .filter((h) => h.pickup && h.active)
+      .map((h) => ({
+        id: `hub:${h.id}`,
+        type: "hub",
+        name: h.name,
+        address: h.address,
+        hub_id: h.id,
+        farm_id: null,
+      }));
+    const farms = db.farms
+      .filter((f) => f.offers_pickup)
+      .map((f) => ({
+        id: `farm:${f.id}`,
+        type: "farm",
+        name: f.name,
+        address: f.farm_location,
+        hub_id: null,
+        farm_id: f.id,
+      }));
+    return [...hubs, ...farms];
+  }
+
+  function findPickupLocation(db, locationId) {
+    return (
+      pickupLocations(db).find((l) => l.id === String(locationId ?? "")) ||
+      null
+    );
+  }
+
+  function pickupWindows(db, location, days) {
+    return scheduleWindows(db, {
+      prefix: `pickup-${location.id.replace(":", "-")}`,
+      slots: PICKUP_WINDOW_SLOTS,
+      capacity: PICKUP_WINDOW_CAPACITY,
+      days,
+      extra: { location_id: location.id },
+    });
+  }
+
+  function stripeAccount(ctx) {
+    return ctx.db.stripeAccounts.find((a) => a.user_id === ctx.user.id);
+  }
+
+  function farmerProduct(ctx) {
+    const farm = ownedFarm(ctx.db, ctx.user);
+    const product = findProduct(ctx.db, ctx.params[0]);
+    return product && farm && product.farm_id === farm.id ? product : null;
+  }
+
+  /**
+   * Route table: [method, pattern, handler, access]
+   * access: "public" | "user" | "provider"
+   * Paths are relative to the API base (/api) or the server root (/farms/,
+   * /farmer/*) exactly as api.js requests them.
+   */
+  const ROUTES = [
+    /* ----------------------------- auth ----------------------------- */
+    ["POST", /^\/auth\/login\/$/, (ctx) => login(ctx, false), "public"],
+    ["POST", /^\/auth\/login-provider\/$/, (ctx) => login(ctx, true), "public"],
+
+    [
+      "POST",
+      /^\/auth\/register\/$/,
+      (ctx) => {
+        const { errors, ...fields } = register(ctx);
+        if (hasErrors(errors)) return json(400, errors);
+        const user = createUser(ctx.db, { ...fields, role: "customer" });
+        return json(201, {
+          id: user.id,
+          username: user.username,
+          email: user.email,
+        });
+      },
+      "public",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/register-provider\/$/,
+      (ctx) => {
+        const { errors, ...fields } = register(ctx);
+        if (isBlank(ctx.body.farm_name)) {
+          errors.farm_name = ["This field is required."];
+        }
+        if (
+          String(ctx.body.sells_certified_goods) === "true" &&
+          !ctx.body.certificate
+        ) {
+          errors.certificate = ["Upload a certificate for certified goods."];
+        }
+        if (hasErrors(errors)) return json(400, errors);
+
+        const reg = {
+          id: nextId(ctx.db, "registrations"),
+          ...fields,
+          farm_name: String(ctx.body.farm_name).trim(),
+          farm_description: String(ctx.body.farm_description || ""),
+          farm_location: String(ctx.body.farm_location || ""),
+          phone: String(ctx.body.phone || ""),
+          sells_certified_goods:
+            String(ctx.body.sells_certified_goods) === "true",
+          certificate: ctx.body.certificate || null,
+          status: "pending",
+          created_at: new Date().toISOString(),
+        };
+        ctx.db.registrations.push(reg);
+        return json(201, {
+          registration_id: reg.id,
+          message: "Application received. We'll review it shortly.",
+        });
+      },
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/auth\/registration-status\/(\d+)\/$/,
+      (ctx) => {
+        const reg = ctx.db.registrations.find(
+          (r) => r.id === Number(ctx.params[0]),
+        );
+        if (!reg) return json(404, { error: "Registration not found." });
+        return json(200, {
+          registration_id: reg.id,
+          status: reg.status,
+          status_display:
+            reg.status === "approved" ? "Approved" : "Pending review",
+          message:
+            reg.status === "approved"
+              ? "Approved! You can now log in to the Farmer Portal."
+              : "Your application is waiting for review.",
+        });
+      },
+      "public",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/token\/refresh\/$/,
+      (ctx) => {
+        const userId = ctx.db.refreshTokens[String(ctx.body.refresh || "")];
+        const user = userId ? findUser(ctx.db, userId) : null;
+        if (!user) {
+          return json(401, {
+            detail: "Token is invalid or expired",
+            code: "token_not_valid",
+          });
+        }
+        delete ctx.db.refreshTokens[ctx.body.refresh];
+        return json(200, issueTokens(ctx.db, user));
+      },
+      "public",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/password-reset\/$/,
+      (ctx) => {
+        const email = String(ctx.body.email || "").trim().toLowerCase();
+        const user = ctx.db.users.find((u) => u.email.toLowerCase() === email);
+        if (user) {
+          const uid = btoa(String(user.id));
+          const token = randomToken();
+          ctx.db.resetTokens[`${uid}/${token}`] = user.id;
+          // Stand-in for the reset email
+          console.info(
+            "mock-backend: password reset link ->",
+            `password-reset-confirm.html?uid=${uid}&token=${token}`,
+          );
+        }
+        return json(200, {
+          message: "If that email exists, a reset link has been sent.",
+        });
+      },
+      "public",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/password-reset-confirm\/([^/]+)\/([^/]+)\/$/,
+      (ctx) => {
+        const [uid, token] = ctx.params.map(decodeURIComponent);
+        const key = `${uid}/${token}`;
+        const user = findUser(ctx.db, ctx.db.resetTokens[key]);
+        if (!user) {
+          return json(400, { detail: "Invalid or expired reset link." });
+        }
+
+        const password = String(ctx.body.new_password || "");
+        if (password.trim().length < 8) {
+          return json(400, {
+            new_password: ["Ensure this field has at least 8 characters."],
+          });
+        }
+        user.password = password;
+        delete ctx.db.resetTokens[key];
+        return json(200, { message: "Password has been reset." });
+      },
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/auth\/profile\/$/,
+      (ctx) => json(200, publicUser(ctx.user)),
+      "user",
+    ],
+
+    [
+      "PUT",
+      /^\/auth\/profile\/name\/$/,
+      (ctx) => {
+        ctx.user.first_name = String(ctx.body.first_name || "").trim();
+        ctx.user.last_name = String(ctx.body.last_name || "").trim();
+        return json(200, publicUser(ctx.user));
+      },
+      "user",
+    ],
+
+    [
+      "PUT",
+      /^\/auth\/profile\/delivery-address\/$/,
+      (ctx) => {
+        const errors = validateAddress(ctx.body);
+        if (hasErrors(errors)) return json(400, errors);
+
+        [
+          "preferred_delivery_address",
+          "address_line1",
+          "city",
+          "state",
+          "postal_code",
+          "country",
+        ].forEach((key) => {
+          ctx.user[key] = String(ctx.body[key] ?? ctx.user[key] ?? "").trim();
+        });
+        ctx.user.lat = ctx.body.lat ?? null;
+        ctx.user.lng = ctx.body.lng ?? null;
+
+        // Keep the address book's default entry in step with the profile.
+        const current = userAddresses(ctx.db, ctx.user).find(
+          (a) => a.is_default,
+        );
+        if (current) {
+          Object.assign(current, {
+            preferred_delivery_address: ctx.user.preferred_delivery_address,
+            address_line1: ctx.user.address_line1,
+            city: ctx.user.city,
+            state: ctx.user.state,
+            postal_code: ctx.user.postal_code,
+            country: ctx.user.country,
+            lat: ctx.user.lat,
+            lng: ctx.user.lng,
+          });
+        }
+        return json(200, {
+          message: "Delivery address updated.",
+          user: publicUser(ctx.user),
+        });
+      },
+      "user",
+    ],
+
+    [
+      "GET",
+      /^\/auth\/addresses\/$/,
+      (ctx) =>
+        json(200, userAddresses(ctx.db, ctx.user).map(serializeAddress)),
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/addresses\/$/,
+      (ctx) => {
+        const errors = validateAddress(ctx.body);
+        if (hasErrors(errors)) return json(400, errors);
+
+        const address = {
+          id: nextId(ctx.db, "addresses"),
+          user_id: ctx.user.id,
+        };
+        ADDRESS_FIELDS.forEach((key) => {
+          address[key] = ctx.body[key] ?? null;
+        });
+        address.label = String(ctx.body.label || "").trim() || "Address";
+        address.country = address.country || "US";
+        address.is_default = false;
+        ctx.db.addresses.push(address);
+
+        const isOnly = userAddresses(ctx.db, ctx.user).length === 1;
+        if (ctx.body.is_default || isOnly) {
+          makeDefaultAddress(ctx.db, ctx.user, address);
+        }
+        return json(201, serializeAddress(address));
+      },
+      "user",
+    ],
+
+    [
+      "PATCH",
+      /^\/auth\/addresses\/(\d+)\/$/,
+      (ctx) => {
+        const address = findUserAddress(ctx);
+        if (!address) return json(404, { error: "Address not found." });
+
+        const next = { ...address, ...ctx.body };
+        const errors = validateAddress(next);
+        if (hasErrors(errors)) return json(400, errors);
+
+        ADDRESS_FIELDS.forEach((key) => {
+          if (key in ctx.body) address[key] = ctx.body[key];
+        });
+        if (ctx.body.is_default || address.is_default) {
+          makeDefaultAddress(ctx.db, ctx.user, address);
+        }
+        return json(200, serializeAddress(address));
+      },
+      "user",
+    ],
+
+    [
+      "DELETE",
+      /^\/auth\/addresses\/(\d+)\/$/,
+      (ctx) => {
+        const address = findUserAddress(ctx);
+        if (!address) return json(404, { error: "Address not found." });
+
+        ctx.db.addresses = ctx.db.addresses.filter((a) => a !== address);
+        const [next] = userAddresses(ctx.db, ctx.user);
+        if (address.is_default && next) {
+          makeDefaultAddress(ctx.db, ctx.user, next);
+        }
+        return noContent();
+      },
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/addresses\/(\d+)\/default\/$/,
+      (ctx) => {
+        const address = findUserAddress(ctx);
+        if (!address) return json(404, { error: "Address not found." });
+        makeDefaultAddress(ctx.db, ctx.user, address);
+        return json(200, serializeAddress(address));
+      },
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/auth\/change-email\/$/,
+      (ctx) => {
+        const email = String(ctx.body.email || "").trim();
+        if (ctx.body.password !== ctx.user.password) {
+          return json(400, { password: ["Incorrect password."] });
+        }
+        if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+          return json(400, { email: ["Enter a valid email address."] });
+        }
+        const taken = ctx.db.users.some(
+          (u) =>
+            u.id !== ctx.user.id &&
+            u.email.toLowerCase() === email.toLowerCase(),
+        );
+        if (taken) {
+          return json(400, {
+            email: ["A user with that email already exists."],
+          });
+        }
+        ctx.user.email = email;
+        return json(200, { email, message: "Email updated." });
+      },
+      "user",
+    ],
+
+    [
+      "DELETE",
+      /^\/auth\/delete\/$/,
+      (ctx) => {
+        const id = ctx.user.id;
+        ctx.db.users = ctx.db.users.filter((u) => u.id !== id);
+        ctx.db.cartItems = ctx.db.cartItems.filter((it) => it.user_id !== id);
+        ctx.db.favorites = ctx.db.favorites.filter((f) => f.user_id !== id);
+        return noContent();
+      },
+      "user",
+    ],
+
+    /* ------------------------ products / farms ----------------------- */
+    [
+      "GET",
+      /^\/products\/$/,
+      (ctx) =>
+        json(
+          200,
+          ctx.db.products
+            .filter((p) => p.is_active)
+            .map((p) => serializeProduct(ctx.db, p)),
+        ),
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/farms\/$/,
+      (ctx) =>
+        json(
+          200,
+          ctx.db.farms.map((f) => serializeFarm(ctx.db, f, ctx.user)),
+        ),
+      "public",
+    ],
+
+    /* ---------------------------- delivery --------------------------- */
+    [
+      "GET",
+      /^\/delivery\/settings\/$/,
+      (ctx) =>
+        json(200, {
+          hubs: ctx.db.deliveryHubs,
+          zones: {
+            type: "FeatureCollection",
+            features: ctx.db.deliveryZones,
+          },
+          updated_at: new Date().toISOString(),
+        }),
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/delivery\/windows\/$/,
+      (ctx) => {
+        const hubId = ctx.query.get("hub_id");
+        if (isBlank(hubId)) {
+          return json(400, { hub_id: ["This field is required."] });
+        }
+
+        const hub = findDeliveryHub(ctx.db, hubId);
+        if (!hub) return json(404, { error: "Delivery hub not found." });
+
+        const days = Math.min(
+          DELIVERY_WINDOW_MAX_DAYS,
+          Math.max(1, Number(ctx.query.get("days")) || 7),
+        );
+        return json(200, hubDeliveryWindows(ctx.db, hub, days));
+      },
+      "public",
+    ],
+
+    /* ----------------------------- pickup ---------------------------- */
+    [
+      "GET",
+      /^\/pickup\/locations\/$/,
+      (ctx) => json(200, pickupLocations(ctx.db)),
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/pickup\/windows\/$/,
+      (ctx) => {
+        const locationId = ctx.query.get("location_id");
+        if (isBlank(locationId)) {
+          return json(400, { location_id: ["This field is required."] });
+        }
+
+        const location = findPickupLocation(ctx.db, locationId);
+        if (!location) {
+          return json(404, { error: "Pickup location not found." });
+        }
+
+        const days = Math.min(
+          DELIVERY_WINDOW_MAX_DAYS,
+          Math.max(1, Number(ctx.query.get("days")) || 7),
+        );
+        return json(200, pickupWindows(ctx.db, location, days));
+      },
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/delivery\/geocode\/$/,
+      async (ctx) => {
+        const q = String(ctx.query.get("q") || "").trim();
+        if (!q) return json(400, { q: ["This field is required."] });
+
+        // Stand-in for the server proxy: the offline ZIP table from
+        // geocoder.js (when the page loads it).
+        const search = CC.delivery?.geocodeSearch;
+        const results = search
+          ? await search(q, {
+              limit: Number(ctx.query.get("limit")) || 5,
+              provider: "zip",
+            })
+          : [];
+        return json(200, results.map(({ provider, ...rest }) => rest));
+      },
+      "public",
+    ],
+
+    [
+      "GET",
+      /^\/delivery\/geocode\/reverse\/$/,
+      async (ctx) => {
+        const lat = Number(ctx.query.get("lat"));
+        const lng = Number(ctx.query.get("lng"));
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+          return json(400, { lat: ["Enter valid lat and lng values."] });
+        }
+
+        const reverse = CC.delivery?.reverseGeocode;
+        const result = reverse
+          ? await reverse(lat, lng, { provider: "zip" })
+          : null;
+        if (!result) return json(404, { error: "No address found nearby." });
+
+        const { provider, ...rest } = result;
+        return json(200, rest);
+      },
+      "public",
+    ],
+
+    /* ------------------------------ cart ----------------------------- */
+    [
+      "GET",
+      /^\/cart\/$/,
+      (ctx) => json(200, serializeCart(ctx.db, ctx.user)),
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/cart\/add\/$/,
+      (ctx) => {
+        const product = findProduct(ctx.db, ctx.body.product_id);
+        const qty = Number(ctx.body.quantity);
+        if (!product || !product.is_active) {
+          return json(404, { error: "Product not found." });
+        }
+        if (!Number.isInteger(qty) || qty < 1) {
+          return json(400, { quantity: ["Quantity must be at least 1."] });
+        }
+
+        const existing = ctx.db.cartItems.find(
+          (it) => it.user_id === ctx.user.id && it.product_id === product.id,
+        );
+        const nextQty = (existing?.quantity || 0) + qty;
+        if (nextQty > product.stock) {
+          return json(400, { error: outOfStockMessage(product) });
+        }
+
+        if (existing) {
+          existing.quantity = nextQty;
+        } else {
+          ctx.db.cartItems.push({
+            id: nextId(ctx.db, "cartItems"),
+            user_id: ctx.user.id,
+            product_id: product.id,
+            quantity: qty,
+          });
+        }
+        return json(201, {
+          message: "Added to cart.",
+          cart: serializeCart(ctx.db, ctx.user),
+        });
+      },
+      "user",
+    ],
+
+    [
+      "PATCH",
+      /^\/cart\/update\/(\d+)\/$/,
+      (ctx) => {
+        const item = ctx.db.cartItems.find(
+          (it) => it.id === Number(ctx.params[0]) && it.user_id === ctx.user.id,
+        );
+        if (!item) return json(404, { error: "Cart item not found." });
+
+        const qty = Number(ctx.body.quantity);
+        const product = findProduct(ctx.db, item.product_id);
+        if (!Number.isInteger(qty) || qty < 1) {
+          return json(400, { quantity: ["Quantity must be at least 1."] });
+        }
+        if (product && qty > product.stock) {
+          return json(400, { error: outOfStockMessage(product) });
+        }
+        item.quantity = qty;
+        return json(200, serializeCart(ctx.db, ctx.user));
+      },
+      "user",
+    ],
+
+    [
+      "DELETE",
+      /^\/cart\/remove\/(\d+)\/$/,
+      (ctx) => {
+        const before = ctx.db.cartItems.length;
+        const itemId = Number(ctx.params[0]);
+        ctx.db.cartItems = ctx.db.cartItems.filter(
+          (it) => !(it.id === itemId && it.user_id === ctx.user.id),
+        );
+        if (ctx.db.cartItems.length === before) {
+          return json(404, { error: "Cart item not found." });
+        }
+        return json(200, { message: "Removed from cart." });
+      },
+      "user",
+    ],
+
+    /* ----------------------------- orders ---------------------------- */
+    ["GET", /^\/orders\/$/, (ctx) => json(200, userOrders(ctx)), "user"],
+
+    [
+      "GET",
+      /^\/orders\/history\/$/,
+      (ctx) => {
+        const all = ctx.db.orders.filter((o) => o.user_id === ctx.user.id);
+        return json(200, {
+          summary: orderSummary(all),
+          orders: userOrders(ctx),
+        });
+      },
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/orders\/checkout\/$/,
+      (ctx) => {
+        const { db, user, body } = ctx;
+        const cartItems = db.cartItems.filter((it) => it.user_id === user.id);
+        if (!cartItems.length) {
+          return json(400, { error: "Your cart is empty." });
+        }
+
+        if (
+          !isBlank(body.fulfillment) &&
+          !["delivery", "pickup"].includes(body.fulfillment)
+        ) {
+          return json(400, { fulfillment: ['Choose "delivery" or "pickup".'] });
+        }
+        const isPickup = body.fulfillment === "pickup";
+
+        const errors = isPickup ? {} : validateAddress(body);
+        const deliveryFee = isPickup ? 0 : Number(body.delivery_fee ?? 0);
+        if (!Number.isFinite(deliveryFee) || deliveryFee < 0) {
+          errors.delivery_fee = ["Enter a valid delivery fee."];
+        }
+
+        // Hubs we schedule need a window with room left.
+        const hub = isPickup ? null : findDeliveryHub(db, body.delivery_hub_id);
+        const deliveryWindow = hub
+          ? hubDeliveryWindows(db, hub, DELIVERY_WINDOW_MAX_DAYS).find(
+              (w) => w.id === String(body.delivery_window_id ?? ""),
+            ) || null
+          : null;
+        if (hub && isBlank(body.delivery_window_id)) {
+          errors.delivery_window_id = ["Choose a delivery window."];
+        } else if (hub && !deliveryWindow) {
+          errors.delivery_window_id = [
+            "That delivery window is no longer available. Choose another.",
+          ];
+        } else if (deliveryWindow && deliveryWindow.remaining < 1) {
+          errors.delivery_window_id = [
+            "That delivery window is full. Choose another.",
+          ];
+        }
+
+        // Pickup orders skip the address and range checks but need a
+        // location and a pickup time with room left.
+        const pickupLocation = isPickup
+          ? findPickupLocation(db, body.pickup_location_id)
+          : null;
+        const pickupWindow = pickupLocation
+          ? pickupWindows(db, pickupLocation, DELIVERY_WINDOW_MAX_DAYS).find(
+              (w) => w.id === String(body.pickup_window_id ?? ""),
+            ) || null
+          : null;
+        if (isPickup && isBlank(body.pickup_location_id)) {
+          errors.pickup_location_id = ["Choose a pickup location."];
+        } else if (isPickup && !pickupLocation) {
+          errors.pickup_location_id = [
+            "That pickup location isn't available. Choose another.",
+          ];
+        } else if (isPickup && isBlank(body.pickup_window_id)) {
+          errors.pickup_window_id = ["Choose a pickup time."];
+        } else if (isPickup && !pickupWindow) {
+          errors.pickup_window_id = [
+            "That pickup time is no longer available. Choose another.",
+          ];
+        } else if (pickupWindow && pickupWindow.remaining < 1) {
+          errors.pickup_window_id = [
+            "That pickup time is full. Choose another.",
+          ];
+        }
+        if (hasErrors(errors)) return json(400, errors);
+
+        const items = cartItems.map((it) => {
+          const p = findProduct(db, it.product_id);
+          return {
+            id: nextId(db, "orderItems"),
+            product_id: it.product_id,
+            product_name: p?.name || "Product",
+            farm_id: p?.farm_id ?? null,
+            farm_name: findFarm(db, p?.farm_id)?.name || "",
+            quantity: it.quantity,
+            unit_price: money(p?.price),
+            line_total: money(Number(p?.price || 0) * it.quantity),
+          };
+        });
+
+        const subtotal = items.reduce(
+          (sum, it) => sum + Number(it.line_total),
+          0,
+        );
+        const farmIds = [...new Set(items.map((it) => it.farm_id))];
+        const order = {
+          id: nextId(db, "orders"),
+          user_id: user.id,
+          status: "payment_pending",
+          created_at: new Date().toISOString(),
+          fulfillment: isPickup ? "pickup" : "delivery",
+          ...(isPickup
+            ? {
+                address_line1: "",
+                city: "",
+                state: "",
+                postal_code: "",
+                country: "",
+                delivery_hub_id: null,
+                shipping_address: null,
+              }
+            : {
+                address_line1: String(body.address_line1).trim(),
+                city: String(body.city).trim(),
+                state: String(body.state).trim(),
+                postal_code: String(body.postal_code).trim(),
+                country: String(body.country || "US").trim(),
+                delivery_hub_id: body.delivery_hub_id ?? null,
+                shipping_address: [
+                  body.address_line1,
+                  body.city,
+                  `${body.state} ${body.postal_code}`,
+                ].join(", "),
+              }),
+          subtotal_amount: money(subtotal),
+          tax_amount: money(0),
+          delivery_fee_amount: money(deliveryFee),
+          delivery_distance_miles: isPickup
+            ? null
+            : (body.delivery_distance_miles ?? null),
+          delivery_window: deliveryWindow && {
+            id: deliveryWindow.id,
+            hub_id: deliveryWindow.hub_id,
+            date: deliveryWindow.date,
+            start: deliveryWindow.start,
+            end: deliveryWindow.end,
+          },
+          pickup_location: pickupLocation,
+          pickup_window: pickupWindow && {
+            id: pickupWindow.id,
+            location_id: pickupWindow.location_id,
+            date: pickupWindow.date,
+            start: pickupWindow.start,
+            end: pickupWindow.end,
+          },
+          total_amount: money(subtotal + deliveryFee),
+          items,
+          farm_confirmations: farmIds.map((farmId) => ({
+            farm_id: farmId,
+            farm_name: findFarm(db, farmId)?.name || "",
+            is_confirmed: false,
+            confirmed_at: null,
+          })),
+        };
+        db.orders.push(order);
+
+        const n = nextId(db, "paymentIntents");
+        const intent = {
+          id: `pi_mock_${n}`,
+          client_secret: `pi_mock_${n}_secret_${randomToken()}`,
+          order_id: order.id,
+          amount: order.total_amount,
+          status: "requires_payment_method",
+        };
+        db.paymentIntents.push(intent);
+
+        return json(201, {
+          order: serializeOrder(db, order),
+          client_secret: intent.client_secret,
+          payment_intent_id: intent.id,
+        });
+      },
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/orders\/(\d+)\/confirm\/$/,
+      (ctx) => {
+        const { db, user } = ctx;
+        const order = db.orders.find(
+          (o) => o.id === Number(ctx.params[0]) && o.user_id === user.id,
+        );
+        if (!order) return json(404, { error: "Order not found." });
+        if (order.status !== "payment_pending") {
+          return json(200, {
+            order: serializeOrder(db, order),
+            message: "Order already confirmed.",
+          });
+        }
+
+        const intent = db.paymentIntents.find(
+          (pi) =>
+            pi.id === ctx.body.payment_intent_id && pi.order_id === order.id,
+        );
+        if (!intent || intent.status !== "succeeded") {
+          return json(400, {
+            error: "Payment has not succeeded for this order.",
+          });
+        }
+
+        order.status = "received";
+        order.items.forEach((it) => {
+          const p = findProduct(db, it.product_id);
+          if (p) p.stock = Math.max(0, p.stock - it.quantity);
+        });
+        db.cartItems = db.cartItems.filter((it) => it.user_id !== user.id);
+
+        return json(200, {
+          order: serializeOrder(db, order),
+          message: "Order confirmed.",
+        });
+      },
+      "user",
+    ],
+
+    /* ---------------------------- favorites -------------------------- */
+    [
+      "GET",
+      /^\/favorites\/$/,
+      (ctx) =>
+        json(
+          200,
+          ctx.db.favorites
+            .filter((f) => f.user_id === ctx.user.id)
+            .map((f) => ({
+              id: f.farm_id,
+              farm_id: f.farm_id,
+              farm_name: findFarm(ctx.db, f.farm_id)?.name || "",
+            })),
+        ),
+      "user",
+    ],
+
+    [
+      "POST",
+      /^\/favorites\/add\/$/,
+      (ctx) => {
+        const farm = findFarm(ctx.db, ctx.body.farm_id);
+        if (!farm) return json(404, { error: "Farm not found." });
+        const exists = ctx.db.favorites.some(
+          (f) => f.user_id === ctx.user.id && f.farm_id === farm.id,
+        );
+        if (!exists) {
+          ctx.db.favorites.push({ user_id: ctx.user.id, farm_id: farm.id });
+        }
+        return json(201, { message: "Farm added to favorites." });
+      },
+      "user",
+    ],
+
+    [
+      "DELETE",
+      /^\/favorites\/(\d+)\/$/,
+      (ctx) => {
+        const farmId = Number(ctx.params[0]);
+        ctx.db.favorites = ctx.db.favorites.filter(
+          (f) => !(f.user_id === ctx.user.id && f.farm_id === farmId),
+        );
+        return json(200, { message: "Farm removed from favorites." });
+      },
+      "user",
+    ],
+
+    /* ------------------------- farmer portal ------------------------- */
+    [
+      "GET",
+      /^\/farmer\/inventory\/$/,
+      (ctx) => {
+        const farm = ownedFarm(ctx.db, ctx.user);
+        return json(
+          200,
+          ctx.db.products
+            .filter((p) => farm && p.farm_id === farm.id)
+            .map((p) => serializeProduct(ctx.db, p)),
+        );
+      },
+      "provider",
+    ],
+
+    [
+      "GET",
+      /^\/farmer\/orders\/$/,
+      (ctx) => {
+        const farm = ownedFarm(ctx.db, ctx.user);
+        return json(
+          200,
+          ctx.db.orders
+            .filter((o) => o.status !== "payment_pending")
+            .filter((o) => farm && o.items.some((it) => it.farm_id === farm.id))
+            .map((o) => serializeOrder(ctx.db, o, farm.id)),
+        );
+      },
+      "provider",
+    ],
+
+    [
+      "PUT",
+      /^\/farmer\/orders\/(\d+)\/confirm\/$/,
+      (ctx) => {
+        const farm = ownedFarm(ctx.db, ctx.user);
+        const order = ctx.db.orders.find((o) => o.id === Number(ctx.params[0]));
+        const confirmation = order?.farm_confirmations.find(
+          (fc) => fc.farm_id === farm?.id,
+        );
+        if (!order || !confirmation) {
+          return json(404, { error: "Order not found." });
+        }
+
+        confirmation.is_confirmed = true;
+        confirmation.confirmed_at = new Date().toISOString();
+
+        const allConfirmed = order.farm_confirmations.every(
+          (fc) => fc.is_confirmed,
+        );
+        if (allConfirmed && order.status === "received") {
+          order.status = "packed";
+        }
+
+        return json(200, {
+          message: allConfirmed
+            ? "Order confirmed. All farms have confirmed."
+            : "Order confirmed for your farm.",
+          all_farms_confirmed: allConfirmed,
+        });
+      },
+      "provider",
+    ],
+
+    [
+      "POST",
+      /^\/farmer\/products\/$/,
+      (ctx) => {
+        const farm = ownedFarm(ctx.db, ctx.user);
+        if (!farm) return noFarm();
+
+        const errors = validateProductFields(ctx.body, false);
+        if (hasErrors(errors)) return json(400, errors);
+
+        const product = {
+          id: nextId(ctx.db, "products"),
+          farm_id: farm.id,
+          name: String(ctx.body.name).trim(),
+          description: String(ctx.body.description || "").trim(),
+          category: ctx.body.category,
+          price: money(ctx.body.price),
+          stock: Number(ctx.body.stock),
+          photo_url: ctx.body.photo?.url || "",
+          is_active: true,
+          created_at: new Date().toISOString(),
+        };
+        ctx.db.products.push(product);
+        return json(201, serializeProduct(ctx.db, product));
+      },
+      "provider",
+    ],
+
+    [
+      "PATCH",
+      /^\/farmer\/products\/(\d+)\/$/,
+      (ctx) => {
+        const product = farmerProduct(ctx);
+        if (!product) return json(404, { error: "Product not found." });
+
+        const errors = validateProductFields(ctx.body, true);
+        if (hasErrors(errors)) return json(400, errors);
+
+        ["name", "description", "category"].forEach((key) => {
+          if (key in ctx.body) product[key] = String(ctx.body[key]).trim();
+        });
+        if ("price" in ctx.body) product.price = money(ctx.body.price);
+        if ("stock" in ctx.body) product.stock = Number(ctx.body.stock);
+        if ("is_active" in ctx.body) {
+          product.is_active = Boolean(ctx.body.is_active);
+        }
+        return json(200, serializeProduct(ctx.db, product));
+      },
+      "provider",
+    ],
+
+    [
+      "DELETE",
+      /^\/farmer\/products\/(\d+)\/delete\/$/,
+      (ctx) => {
+        const product = farmerProduct(ctx);
+        if (!product) return json(404, { error: "Product not found." });
+        ctx.db.products = ctx.db.products.filter((p) => p.id !== product.id);
+        ctx.db.cartItems = ctx.db.cartItems.filter(
+          (it) => it.product_id !== product.id,
+        );
+        return json(200, { message: "Product deleted." });
+      },
+      "provider",
+    ],
+
+    [
+      "PUT",
+      /^\/farmer\/farm\/logo\/$/,
+      (ctx) => {
+        const farm = ownedFarm(ctx.db, ctx.user);
+        if (!farm) return noFarm();
+        if (!ctx.body.logo?.url) {
+          return json(400, { logo: ["No file was submitted."] });
+        }
+        farm.logo_url = ctx.body.logo.url;
+        return json(200, serializeFarm(ctx.db, farm, ctx.user));
+      },
+      "provider",
+    ],
+
+    /* ----------------------------- stripe ---------------------------- */
+    [
+      "GET",
+      /^\/farmer\/stripe\/account\/$/,
+      (ctx) => {
+        const account = stripeAccount(ctx);
+        if (!account) return json(200, { connected: false });
+        const { user_id, ...status } = account;
+        return json(200, status);
+      },
+      "provider",
+    ],
+
+    [
+      "POST",
+      /^\/farmer\/stripe\/account\/?$/,
+      (ctx) => {
+        let account = stripeAccount(ctx);
+        if (!account) {
+          // Onboarding is instant in mock mode.
+          account = {
+            user_id: ctx.user.id,
+            stripe_account_id: `acct_mock_${ctx.user.id}`,
+            connected: true,
+            charges_enabled: true,
+            payouts_enabled: true,
+            details_submitted: true,
+          };
+          ctx.db.stripeAccounts.push(account);
+        }
+        return json(200, {
+          url: "farmer.html?stripe=return",
+          stripe_account_id: account.stripe_account_id,
+        });
+      },
+      "provider",
+    ],
+
+    [
+      "GET",
+      /^\/farmer\/stripe\/dashboard\/$/,
+      (ctx) => {
+        const account = stripeAccount(ctx);
+        if (!account) {
+          return json(400, { error: "Stripe account is not connected." });
+        }
+        return json(200, { url: "farmer.html?stripe=dashboard" });
+      },
+      "provider",
+    ],
+
+    [
+      "GET",
+      /^\/farmer\/stripe\/return\/$/,
+      () =>
+        json(200, {
+          status: "complete",
+          message: "Stripe onboarding complete.",
+        }),
+      "provider",
+    ],
+
+    [
+      "GET",
+      /^\/farmer\/stripe\/refresh\/$/,
+      () =>
+        json(200, {
+          status: "expired",
+          message: "Stripe link expired. Request a new link.",
+        }),
+      "provider",
+    ],
+  ];
+
+  /* ==========================================================================
+   * TRANSPORT (replaces fetch for API requests)
+   * ========================================================================== */
+
+  /**
+   * Strip the API base path ("/api") so routes match what api.js requests.
+   * @param {string} url
+   * @returns {{ path: string, query: URLSearchParams }}
+   */
+  function resolvePath(url) {
+    const parsed = new URL(url, window.location.href);
+    const apiPath = new URL(CC.apiBaseUrl() || "/", window.location.href)
+      .pathname.replace(/\/+$/, "");
+
+    let path = parsed.pathname;
+    if (apiPath && path.startsWith(`${apiPath}/`)) {
+      path = path.slice(apiPath.length);
+    }
+    return { path, query: parsed.searchParams };
+  }
+
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          const err = new Error("Request was cancelled.");
+          err.name = "AbortError";
+          reject(err);
+        },
+        { once: true },
+      );
+    });
+  }
+
+  /**
+   * fetch()-compatible handler for CC.setApiTransport.
+   * @param {string} url
+   * @param {RequestInit} init
+   * @returns {Promise<Response>}
+   */
+  async function mockFetch(url, init = {}) {
+    const latency = Number(
+      CC.getConfigValue("MOCK_LATENCY_MS", DEFAULT_LATENCY_MS),
+    );
+    await delay(Math.max(0, latency || 0), init.signal);
+
+    const method = String(init.method || "GET").toUpperCase();
+    const { path, query } = resolvePath(url);
+    const matches = ROUTES.filter(([, pattern]) => pattern.test(path));
+    if (!matches.length) return notFound();
+
+    const route = matches.find(([m]) => m === method);
+    if (!route) return json(405, { detail: `Method "${method}" not allowed.` });
+
+    const [, pattern, handler, access] = route;
+    const db = loadDb();
+    const user = userFromAuthHeader(db, init.headers);
+
+    if (access !== "public" && !user) {
+      return json(401, {
+        detail: "Given token not valid for any token type",
+        code: "token_not_valid",
+      });
+    }
+    if (access === "provider" && user.role !== "provider") {
+      return json(403, {
+        detail: "You do not have permission to perform this action.",
+      });
+    }
+
+    const ctx = {
+      db,
+      user,
+      query,
+      params: path.match(pattern).slice(1),
+      body: await readBody(init),
+    };
+
+    const res = handler(ctx);
+    saveDb();
+    return res;
+  }
+
+  /* ==========================================================================
+   * STRIPE STAND-IN
+   * ========================================================================== */
+
+  /**
+   * Minimal window.Stripe replacement for checkout.js: mounts a placeholder
+   * payment form and "succeeds" the mock PaymentIntent on confirmPayment().
+   */
+  function MockStripe() {
+    return {
+      elements({ clientSecret } = {}) {
+        return {
+          clientSecret,
+          create() {
+            return {
+              mount(selector) {
+                const el =
+                  typeof selector === "string"
+                    ? document.querySelector(selector)
+                    : selector;
+                if (!el) return;
+                el.innerHTML = `
+                  <div class="alert alert-info small mb-0">
+                    Mock payment mode — no card needed.
+                    Click <strong>Pay now</strong> to simulate a payment.
+                  </div>
+                `;
+              },
+            };
+          },
+        };
+      },
+
+      async confirmPayment({ elements } = {}) {
+        const db = loadDb();
+        const intent = db.paymentIntents.find(
+          (pi) => pi.client_secret === elements?.clientSecret,
+        );
+        if (!intent) {
+          return { error: { message: "Mock payment intent not found." } };
+        }
+        intent.status = "succeeded";
+        saveDb();
+        return { paymentIntent: { id: intent.id, status: intent.status } };
+      },
+    };
+  }
+
+  /* ==========================================================================
+   * INSTALL
+   * ========================================================================== */
+
+  function install() {
+    window.Stripe = MockStripe;
+    CC.setApiTransport(mockFetch);
+
+    CC.mock = {
+      reset() {
+        dbCache = seedDb();
+        saveDb();
+      },
+      getDb() {
+        return JSON.parse(JSON.stringify(loadDb()));
+      },
+      approveRegistration(registrationId) {
+        const db = loadDb();
+        const reg = db.registrations.find(
+          (r) => r.id === Number(registrationId),
+        );
+        if (!reg) return false;
+        approveRegistration(db, reg);
+        saveDb();
+        return true;
+      },
+    };
+
+    console.info("mock-backend: MOCK_API is on; requests are served locally.");
+  }
+
+  // config.js only injects this file once MOCK_API is final, and API
+  // requests and CC.onReady callbacks wait on CC.configReady, which resolves
+  // after this script has run; install straight away.
+  if (CC.getConfigValue("MOCK_API", false)) install();
+})();
@@ -14,6 +14,7 @@
  * Requires (must be loaded before this file)
  * - config.js
  * - utils.js (window.CC helpers)
+ * - api.js + delivery-windows.js (delivery window labels)
  * - auth.js / page.js (auth + navbar)
  *
  * Notes
@@ -53,6 +54,9 @@
 
   const tbodyEl = document.getElementById("ordersTableBody");
 
+  const upcomingWrapEl = document.getElementById("upcomingDeliveries");
+  const upcomingListEl = document.getElementById("upcomingDeliveriesList");
+
   // ============================================================
   // State (single source of truth for this page)
   // ============================================================
@@ -65,6 +69,12 @@
   /** In-memory set of favorited order IDs (strings). */
   let favoriteIds = new Set();
 
+  /** AbortController for the in-flight orders fetch (a newer refresh cancels it). */
+  let ordersRequest = null;
+
+  /** Paid orders whose delivery is still ahead. */
+  const UPCOMING_STATUSES = new Set(["received", "packed", "out_for_delivery"]);
+
   // ============================================================
   // Helpers (small pure-ish utilities used throughout)
   // ============================================================
@@ -245,9 +255,17 @@
     `;
   }
 
+  /** Delivery window or pickup time an order is booked into, if any. */
+  function bookedWindow(order) {
+    return order?.fulfillment === "pickup"
+      ? order.pickup_window
+      : order?.delivery_window;
+  }
+
   /** Builds the details row HTML (expanded view) */
   function renderDetailsRow(order) {
-    const ship = order?.shipping_address;
+    const isPickup = order?.fulfillment === "pickup";
+    const ship = isPickup ? null : order?.shipping_address;
     const shippingBlock = ship
       ? `
         <div class="small text-muted">
@@ -258,6 +276,28 @@
       `
       : "";
 
+    const pickup = isPickup ? order.pickup_location : null;
+    const pickupBlock = pickup
+      ? `
+        <div class="small text-muted">
+          <div class="fw-semibold text-dark mb-1">Pickup</div>
+          <div>${CC.escapeHtml(pickup.name)}</div>
+          <div>${CC.escapeHtml(pickup.address)}</div>
+        </div>
+      `
+      : "";
+
+    const booked = bookedWindow(order);
+    const windowBlock =
+      booked && CC.deliveryWindows
+        ? `
+        <div class="small text-muted${shippingBlock || pickupBlock ? " mt-2" : ""}">
+          <div class="fw-semibold text-dark mb-1">${isPickup ? "Pickup time" : "Delivery window"}</div>
+          <div>${CC.escapeHtml(CC.deliveryWindows.describe(booked))}</div>
+        </div>
+      `
+        : "";
+
     const farmBlock = renderFarmConfirmations(
       order?.farm_confirmations,
       order?.all_farms_confirmed,
@@ -285,13 +325,19 @@
                     <span class="text-muted">Tax</span>
                     <span>${CC.formatMoney(order?.tax_amount ?? 0)}</span>
                   </div>
+                  <div class="d-flex justify-content-between">
+                    <span class="text-muted">${isPickup ? "Pickup" : "Delivery"}</span>
+                    <span>${CC.formatMoney(order?.delivery_fee_amount ?? 0)}</span>
+                  </div>
                   <hr class="my-2">
                   <div class="d-flex justify-content-between fw-bold">
                     <span>Total</span>
                     <span>${CC.formatMoney(order?.total_amount ?? 0)}</span>
                   </div>
-                  ${shippingBlock ? `<hr class="my-2">` : ""}
+                  ${shippingBlock || pickupBlock || windowBlock ? `<hr class="my-2">` : ""}
                   ${shippingBlock}
+                  ${pickupBlock}
+                  ${windowBlock}
                 </div>
               </div>
             </div>
@@ -491,6 +537,51 @@
       summaryAvgOrderEl.textContent = CC.formatMoney(avg ?? "—");
   }
 
+  /**
+   * List paid orders with a delivery window or pickup time that hasn't
+   * ended, soonest first. Hidden when there are none.
+   */
+  function renderUpcomingDeliveries(orders) {
+    if (!upcomingWrapEl || !upcomingListEl) return;
+
+    const windows = CC.deliveryWindows;
+    const upcoming = !windows
+      ? []
+      : orders
+          .filter(
+            (o) =>
+              UPCOMING_STATUSES.has(String(o.status || "").toLowerCase()) &&
+              windows.isUpcoming(bookedWindow(o)),
+          )
+          .sort(
+            (a, b) =>
+              windows.startsAt(bookedWindow(a)) -
+              windows.startsAt(bookedWindow(b)),
+          );
+
+    upcomingWrapEl.classList.toggle("d-none", !upcoming.length);
+    upcomingListEl.innerHTML = upcoming
+      .map((o) => {
+        const count = Array.isArray(o.items) ? o.items.length : 0;
+        const where =
+          o.fulfillment === "pickup"
+            ? ` • Pickup at ${o.pickup_location?.name || "pickup point"}`
+            : "";
+        return `
+          <li class="list-group-item px-0 d-flex justify-content-between align-items-center gap-2">
+            <div>
+              <div class="fw-semibold">${CC.escapeHtml(windows.describe(bookedWindow(o)))}</div>
+              <div class="small text-muted">
+                Order #${CC.escapeHtml(String(o.id ?? ""))} • ${count} item${count === 1 ? "" : "s"}${CC.escapeHtml(where)}
+              </div>
+            </div>
+            ${statusBadge(o.status, o.status_display)}
+          </li>
+        `;
+      })
+      .join("");
+  }
+
   /** Rerender using current UI controls (no refetch) */
   function renderFromState() {
     collapseAllDetails();
@@ -511,26 +602,23 @@
    * Fetch orders.
    * Primary: /orders/history/ (includes summary)
    * Fallback: /orders/ (older list endpoint)
+   *
+   * @param {AbortSignal} [signal] - cancels the request (rejects with AbortError)
    */
-  async function fetchOrders() {
+  async function fetchOrders(signal) {
     const status = String(statusFilterEl?.value || "all").trim();
-    const query =
-      status && status !== "all" ? `?status=${encodeURIComponent(status)}` : "";
+    const params = status && status !== "all" ? { status } : {};
 
-    let res = await CC.apiRequest(`/orders/history/${query}`, {
-      method: "GET",
-    });
+    let res = await CC.api.orders.history(params, { signal });
     if (res.status === 401) return handleUnauthorized();
 
     if (!res.ok && (res.status === 404 || res.status === 405)) {
-      res = await CC.apiRequest(`/orders/${query}`, { method: "GET" });
+      res = await CC.api.orders.list(params, { signal });
       if (res.status === 401) return handleUnauthorized();
     }
 
     if (!res.ok) {
-      throw new Error(
-        res.data?.error || res.data?.detail || res.raw || `HTTP ${res.status}`,
-      );
+      throw CC.errorFromResponse(res);
     }
 
     if (Array.isArray(res.data)) {
@@ -585,25 +673,14 @@
         continue;
       }
 
-      const res = await CC.apiRequest("/cart/add/", {
-        method: "POST",
-        json: {
-          product_id: productId,
-          quantity: qty,
-        },
-      });
+      const res = await CC.api.cart.add(productId, qty);
 
       if (res.status === 401) return handleUnauthorized();
 
       if (!res.ok) {
         failures.push({
           name: String(it.product_name ?? `Product ${productId}`),
-          reason: String(
-            res.data?.error ||
-              res.data?.detail ||
-              res.raw ||
-              `HTTP ${res.status}`,
-          ),
+          reason: res.error.message,
         });
       }
     }
@@ -637,14 +714,32 @@
   // ============================================================
 
   async function refresh() {
+    // Status filter changes refetch; drop the response we no longer want.
+    ordersRequest?.abort();
+    const controller = new AbortController();
+    ordersRequest = controller;
+
     CC.setStatus(pageStatusEl, "Loading orders…", "muted");
     collapseAllDetails();
 
-    const { summary, orders } = await fetchOrders();
+    let result;
+    try {
+      result = await fetchOrders(controller.signal);
+    } catch (err) {
+      if (CC.isAbortError(err)) return;
+      throw err;
+    }
+
+    const { summary, orders } = result;
 
     allOrders = Array.isArray(orders) ? orders : [];
     renderSummary(summary);
 
+    // A status filter narrows the fetch; keep the last full upcoming list.
+    if (String(statusFilterEl?.value || "all") === "all") {
+      renderUpcomingDeliveries(allOrders);
+    }
+
     const view = getViewOrders();
     renderOrdersTable(view);
 
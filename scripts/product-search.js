@@ -0,0 +1,407 @@
+/**
+ * ============================================================================
+ * product-search.js — Ranked, typo-tolerant product search (store page)
+ * ----------------------------------------------------------------------------
+ * CC.productSearch
+ *
+ * - buildIndex(products, { synonyms }) -> index; index.search(query) ranks
+ *   products by relevance: { results: [{ product, score, words }], partial }
+ * - highlight(text, words)  -> escaped HTML with matched words in <mark>
+ * - tokenize(text) / stem(word) for callers that need the same word rules
+ *
+ * Matching, per query word:
+ * - words are lowercased, accents dropped and lightly stemmed, so "tomatos",
+ *   "tomatoes" and "tomato" are the same word
+ * - exact > prefix (while typing) > one or two typos, by word length
+ * - synonyms (scallion / green onion) match each other, multi-word included
+ * - fields weigh name > category > farm > description
+ *
+ * Every query word has to match; if no product matches them all, the
+ * products matching the most words come back with `partial: true`.
+ *
+ * Load after utils.js.
+ * ============================================================================
+ */
+
+(function initProductSearch() {
+  "use strict";
+
+  const CC = window.CC;
+
+  if (!CC?.escapeHtml) {
+    console.warn(
+      "product-search.js: window.CC not found. Make sure utils.js is loaded first.",
+    );
+    return;
+  }
+
+  /* ==========================================================================
+   * CONSTANTS
+   * ========================================================================== */
+
+  // Product field -> [weight, read]
+  const FIELDS = {
+    name: [4, (p) => p?.name],
+    category: [3, (p) => p?.category_display],
+    farm: [2, (p) => p?.farm_name],
+    description: [1, (p) => p?.description],
+  };
+
+  // How good a match is, times the field weight
+  const QUALITY = {
+    exact: 1,
+    prefix: 0.75,
+    typo1: 0.6,
+    typo2: 0.45,
+  };
+
+  // Words that say nothing about the product
+  const STOPWORDS = new Set([
+    "a",
+    "an",
+    "and",
+    "for",
+    "in",
+    "of",
+    "on",
+    "or",
+    "s",
+    "the",
+    "to",
+    "with",
+  ]);
+
+  // Each group's phrases find each other. Override per index via options.
+  const DEFAULT_SYNONYMS = [
+    ["scallion", "green onion", "spring onion"],
+    ["cilantro", "coriander"],
+    ["zucchini", "courgette"],
+    ["eggplant", "aubergine"],
+    ["arugula", "rocket"],
+    ["bell pepper", "capsicum"],
+    ["chickpea", "garbanzo"],
+    ["ground beef", "hamburger"],
+    ["cheddar", "cheese"],
+  ];
+
+  const WORD_RE = /[\p{L}\p{N}]+/gu;
+
+  /* ==========================================================================
+   * WORDS
+   * ========================================================================== */
+
+  /** Lowercase with accents dropped ("Jalapeño" -> "jalapeno"). */
+  function normalizeWord(word) {
+    return String(word || "")
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLowerCase();
+  }
+
+  /**
+   * Light English stemmer: plurals and -ing/-ed. Both sides of a search go
+   * through it, so it only has to be consistent, not linguistically right.
+   * @param {string} word - normalized
+   * @returns {string}
+   */
+  function stem(word) {
+    const w = String(word || "");
+    if (w.length <= 3) return w;
+    if (w.endsWith("ies") && w.length > 4) return `${w.slice(0, -3)}y`;
+    if (w.endsWith("oes")) return w.slice(0, -2);
+    if (/(ch|sh|ss|x|z)es$/.test(w)) return w.slice(0, -2);
+    if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+    if (w.endsWith("ing") && w.length > 5) return w.slice(0, -3);
+    if (w.endsWith("ed") && w.length > 4) return w.slice(0, -2);
+    return w;
+  }
+
+  /**
+   * Words of a text as { term, word }: `term` is stemmed for matching,
+   * `word` is the normalized original (used for highlighting).
+   * @param {string} text
+   * @returns {Array<{ term: string, word: string }>}
+   */
+  function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text ?? "").matchAll(WORD_RE)) {
+      const word = normalizeWord(match[0]);
+      if (STOPWORDS.has(word)) continue;
+      tokens.push({ term: stem(word), word });
+    }
+    return tokens;
+  }
+
+  /**
+   * Typos allowed for a query word: none for short words, then one, then two.
+   * @param {string} term
+   * @returns {number}
+   */
+  function allowedTypos(term) {
+    if (term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance with transpositions ("tomtao"), or max + 1 once it is
+   * clearly over `max`.
+   * @param {string} a
+   * @param {string} b
+   * @param {number} max
+   * @returns {number}
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (
+          prevPrev &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          d = Math.min(d, prevPrev[j - 2] + 1);
+        }
+        row.push(d);
+        rowMin = Math.min(rowMin, d);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+
+    return prev[b.length];
+  }
+
+  /* ==========================================================================
+   * SYNONYMS
+   * ========================================================================== */
+
+  /**
+   * Synonym phrases as stemmed term lists, longest first, each pointing at
+   * its group's shared term ("~0", "~1", …).
+   */
+  function compileSynonyms(groups) {
+    const phrases = [];
+    groups.forEach((group, i) => {
+      group.forEach((phrase) => {
+        const terms = tokenize(phrase).map((t) => t.term);
+        if (terms.length) phrases.push({ terms, term: `~${i}` });
+      });
+    });
+    return phrases.sort((a, b) => b.terms.length - a.terms.length);
+  }
+
+  function phraseAt(tokens, index, terms) {
+    return terms.every((term, k) => tokens[index + k]?.term === term);
+  }
+
+  /**
+   * Replace synonym phrases in `tokens` with their group term. The group
+   * token keeps the original words so they can be highlighted.
+   */
+  function applySynonyms(tokens, phrases) {
+    const out = [];
+    for (let i = 0; i < tokens.length; ) {
+      const hit = phrases.find((p) => phraseAt(tokens, i, p.terms));
+      if (!hit) {
+        out.push(tokens[i]);
+        i += 1;
+        continue;
+      }
+
+      const words = tokens.slice(i, i + hit.terms.length).map((t) => t.word);
+      out.push({ term: hit.term, word: words.join(" "), words });
+      i += hit.terms.length;
+    }
+    return out;
+  }
+
+  /* ==========================================================================
+   * INDEX
+   * ========================================================================== */
+
+  /**
+   * Build a search index over products (rebuild when the list changes).
+   *
+   * @param {import("./api.js").Product[]} products
+   * @param {{ synonyms?: string[][] }} [options]
+   * @returns {{ size: number, search: (query: string) => ({ results: Array<{ product: object, score: number, words: Set<string> }>, partial: boolean }|null) }}
+   */
+  function buildIndex(products, { synonyms = DEFAULT_SYNONYMS } = {}) {
+    const phrases = compileSynonyms(synonyms);
+    const docs = Array.isArray(products) ? products : [];
+
+    // term -> [{ doc, field, words }]
+    const postings = new Map();
+    docs.forEach((product, doc) => {
+      Object.entries(FIELDS).forEach(([field, [, read]]) => {
+        const raw = tokenize(read(product));
+        // Plain words plus one group term per synonym phrase found
+        const tokens = [
+          ...raw,
+          ...applySynonyms(raw, phrases).filter((t) => t.words),
+        ];
+        tokens.forEach((token) => {
+          if (!postings.has(token.term)) postings.set(token.term, []);
+          postings.get(token.term).push({
+            doc,
+            field,
+            words: token.words || [token.word],
+          });
+        });
+      });
+    });
+
+    /**
+     * Index terms matching one query term, with their match quality.
+     * @returns {Array<[string, number]>}
+     */
+    function matchTerm(term, isLast) {
+      // Synonym groups only match each other
+      if (term.startsWith("~")) {
+        return postings.has(term) ? [[term, QUALITY.exact]] : [];
+      }
+
+      const maxTypos = allowedTypos(term);
+      const canPrefix = term.length >= 3 || (isLast && term.length >= 2);
+      const hits = [];
+
+      postings.forEach((_, candidate) => {
+        if (candidate.startsWith("~")) return;
+        if (candidate === term) {
+          hits.push([candidate, QUALITY.exact]);
+        } else if (canPrefix && candidate.startsWith(term)) {
+          hits.push([candidate, QUALITY.prefix]);
+        } else if (maxTypos) {
+          const d = editDistance(term, candidate, maxTypos);
+          if (d === 1) hits.push([candidate, QUALITY.typo1]);
+          else if (d === 2 && maxTypos >= 2) {
+            hits.push([candidate, QUALITY.typo2]);
+          }
+        }
+      });
+      return hits;
+    }
+
+    let lastQuery = null;
+    let lastResult = null;
+
+    /**
+     * Rank products for a query; null when the query has no searchable words.
+     * @param {string} query
+     */
+    function search(query) {
+      const q = String(query ?? "").trim();
+      if (q === lastQuery) return lastResult;
+
+      const terms = applySynonyms(tokenize(q), phrases).map((t) => t.term);
+      lastQuery = q;
+      if (!terms.length) {
+        lastResult = null;
+        return lastResult;
+      }
+
+      // doc -> { score, matched (count of query terms), words }
+      const scores = new Map();
+      terms.forEach((term, i) => {
+        // Best field/match per product for this query term
+        const best = new Map();
+        matchTerm(term, i === terms.length - 1).forEach(([hit, quality]) => {
+          postings.get(hit).forEach(({ doc, field, words }) => {
+            const current = best.get(doc) || { score: 0, words: [] };
+            current.score = Math.max(current.score, FIELDS[field][0] * quality);
+            current.words.push(...words);
+            best.set(doc, current);
+          });
+        });
+
+        best.forEach(({ score, words }, doc) => {
+          const entry = scores.get(doc) || {
+            score: 0,
+            matched: 0,
+            words: new Set(),
+          };
+          entry.score += score;
+          entry.matched += 1;
+          words.forEach((w) => entry.words.add(w));
+          scores.set(doc, entry);
+        });
+      });
+
+      let matched = [...scores.entries()];
+      const all = matched.filter(([, e]) => e.matched === terms.length);
+      const partial = !all.length;
+      if (partial) {
+        const most = Math.max(0, ...matched.map(([, e]) => e.matched));
+        matched = matched.filter(([, e]) => e.matched === most);
+      } else {
+        matched = all;
+      }
+
+      lastResult = {
+        partial: partial && matched.length > 0,
+        results: matched
+          .map(([doc, e]) => ({
+            product: docs[doc],
+            score: e.score,
+            words: e.words,
+          }))
+          .sort(
+            (a, b) =>
+              b.score - a.score ||
+              String(a.product?.name ?? "").localeCompare(
+                String(b.product?.name ?? ""),
+              ),
+          ),
+      };
+      return lastResult;
+    }
+
+    return { size: docs.length, search };
+  }
+
+  /* ==========================================================================
+   * HIGHLIGHT
+   * ========================================================================== */
+
+  /**
+   * Escape `text` for HTML and wrap the words in `words` (normalized, as
+   * returned by search) in <mark class="cc-search-hit">.
+   * @param {string} text
+   * @param {Set<string>|null} words
+   * @returns {string}
+   */
+  function highlight(text, words) {
+    const str = String(text ?? "");
+    if (!words?.size) return CC.escapeHtml(str);
+
+    let html = "";
+    let last = 0;
+    for (const match of str.matchAll(WORD_RE)) {
+      html += CC.escapeHtml(str.slice(last, match.index));
+      const word = CC.escapeHtml(match[0]);
+      html += words.has(normalizeWord(match[0]))
+        ? `<mark class="cc-search-hit">${word}</mark>`
+        : word;
+      last = match.index + match[0].length;
+    }
+    return html + CC.escapeHtml(str.slice(last));
+  }
+
+  CC.productSearch = {
+    buildIndex,
+    highlight,
+    tokenize,
+    stem,
+  };
+})();
@@ -6,13 +6,24 @@
  * - config.js
  * - utils.js (window.CC)
  * - auth.js (optional; navbar rendering is handled elsewhere)
+ * - product-search.js (optional; plain substring search without it)
  *
  * What this file does:
  * - Loads product list from the API
- * - Supports search, category filter, sorting
- * - Supports farm filter + location filter
- * - Renders product cards into #products
+ * - Ranked, typo-tolerant search with highlighted matches (product-search.js)
+ * - Supports sorting, price range and an in-stock toggle
+ * - "Nearest to me" sort and a "within N miles" filter, measured from the
+ *   shopper's saved address or checked location to each farm
+ * - Multi-select facets with live counts (category, farm, location,
+ *   certified/organic when the farm data has it) + removable filter chips
+ * - Keeps search/filters/sort in the query string (shareable links,
+ *   back/forward navigation)
+ * - Renders product cards into #products a page at a time (more load as the
+ *   shopper scrolls) and restores the scroll position on back navigation
  * - Loads and caches favorite farms (API-backed)
+ * - "Do we deliver to you?" check from the browser location (current-location.js)
+ * - Flags products whose farm can't deliver to the shopper's saved address or
+ *   checked location (hub range, or the farm's own radius if it self-delivers)
  * - Uses event delegation:
  *    - Open modal from image / add button
  *    - Add-to-cart from modal
@@ -51,14 +62,28 @@
 
   // Filters / controls
   const searchEl = document.getElementById("productSearch");
-  const categoryEl = document.getElementById("productCategory");
   const sortEl = document.getElementById("productSort");
-  const farmEl = document.getElementById("productFarm");
-  const locationEl = document.getElementById("productLocation");
+  const priceMinEl = document.getElementById("priceMin");
+  const priceMaxEl = document.getElementById("priceMax");
+  const inStockEl = document.getElementById("inStockOnly");
+  const withinMilesEl = document.getElementById("withinMiles");
+
+  // Facet checkbox hosts (store.js renders the options)
+  const categoryFacetEl = document.getElementById("categoryFacet");
+  const farmFacetEl = document.getElementById("farmFacet");
+  const locationFacetEl = document.getElementById("locationFacet");
+  const certFacetEl = document.getElementById("certFacet");
+  const certFacetWrapEl = document.getElementById("certFacetWrap");
 
   // Favorites sidebar host (Today's picks)
   const favoriteFarmsHostEl = document.getElementById("favoriteFarmsHost");
 
+  // Header delivery check
+  const locationCheckBtn = document.getElementById("storeLocationCheckBtn");
+  const locationCheckStatusEl = document.getElementById(
+    "storeLocationCheckStatus",
+  );
+
   /* ==========================================================================
    * STATE
    * ========================================================================== */
@@ -84,6 +109,42 @@
   let farmByIdMap = new Map(); // id -> farmRow
   let farmIdByNameMap = new Map(); // normalized farm name -> id
 
+  // CC.productSearch index over allProducts (rebuilt on each load)
+  let searchIndex = null;
+
+  // product id -> { score, words } for the current search (empty = no search)
+  let searchMatchById = new Map();
+
+  // Filtered + sorted products from the last render, and how many of them
+  // have cards so far (the rest load page by page)
+  let visibleProducts = [];
+  let shownCount = 0;
+
+  // Loads the next page when the "Show more" footer scrolls into view
+  let moreObserver = null;
+
+  // AbortController for the in-flight product load (a newer load cancels it)
+  let productsRequest = null;
+
+  // Where the shopper wants delivery: { lat, lng, label, coverage } from the
+  // saved address or the header location check (null = unknown)
+  let deliveryPoint = null;
+
+  // farm id -> CC.delivery.checkFarmCoverage() result for deliveryPoint
+  let farmCoverageById = new Map();
+
+  // farm id -> miles from deliveryPoint (farms with coordinates only)
+  let farmDistanceById = new Map();
+
+  // Checked facet values (display values, e.g. "Dairy & Eggs"); an empty set
+  // means the facet doesn't filter
+  let facetSelections = {
+    category: new Set(),
+    farm: new Set(),
+    location: new Set(),
+    cert: new Set(),
+  };
+
   /* ==========================================================================
    * FILTER + SORT HELPERS
    * ========================================================================== */
@@ -96,12 +157,14 @@
     if (searchEl) searchEl.value = "";
 
     // Keep defaults aligned with index.html option values
-    if (categoryEl) categoryEl.value = "All";
     if (sortEl) sortEl.value = "Recommended";
-    if (farmEl) farmEl.value = "all";
-    if (locationEl) locationEl.value = "All";
+    if (priceMinEl) priceMinEl.value = "";
+    if (priceMaxEl) priceMaxEl.value = "";
+    if (inStockEl) inStockEl.checked = false;
+    if (withinMilesEl) withinMilesEl.value = "";
+    FACET_KEYS.forEach((key) => facetSelections[key].clear());
 
-    render();
+    applyFilters();
   }
 
   /**
@@ -113,54 +176,14 @@
     return raw.replace(/^Sorted by:\s*/i, "");
   }
 
-  /**
-   * Apply an initial farm filter using:
-   * 1) URL param: ?farm=...
-   * 2) sessionStorage fallback: cc_store_prefarm
-   *
-   * This solves cases where hosting/routing strips query params on redirect.
-   */
-  function applyInitialFarmFilterFromUrl() {
-    if (!farmEl) return;
-
-    const params = new URLSearchParams(window.location.search);
-
-    // 1) Prefer querystring
-    let farmParamRaw = String(params.get("farm") || "").trim();
-
-    // 2) Fallback to sessionStorage
-    if (!farmParamRaw) {
-      farmParamRaw = String(
-        sessionStorage.getItem("cc_store_prefarm") || "",
-      ).trim();
-    }
-
-    if (!farmParamRaw) return;
-
-    // Clear the fallback so it doesn't "stick" forever
-    sessionStorage.removeItem("cc_store_prefarm");
-
-    const wantKey = normalizeFarmKey(farmParamRaw);
-
-    const match = Array.from(farmEl.options || []).find(
-      (opt) => normalizeFarmKey(opt.value) === wantKey,
-    );
-
-    if (match) {
-      farmEl.value = match.value;
-
-      // Trigger render in the same way a user changing the dropdown would
-      farmEl.dispatchEvent(new Event("change", { bubbles: true }));
-    }
-  }
   /**
    * Sort comparator for product lists
    */
   function compareProducts(a, b, sortValue) {
     const priceA = Number(a.price ?? 0);
     const priceB = Number(b.price ?? 0);
-    const stockA = Number(a.stock ?? a.quantity ?? 0);
-    const stockB = Number(b.stock ?? b.quantity ?? 0);
+    const stockA = Number(a.stock ?? 0);
+    const stockB = Number(b.stock ?? 0);
 
     switch (sortValue) {
       case "Price: Low → High":
@@ -178,11 +201,25 @@
           String(a.farm_name ?? ""),
         );
       case "Farm Location: A-Z": {
-        //This can be easily changed to Location sort close to far if need/wanted
         const locA = String(a.farm_location ?? "").trim();
         const locB = String(b.farm_location ?? "").trim();
         return locA.localeCompare(locB);
       }
+      case "Nearest to me": {
+        // Farms without coordinates (or no delivery point) go last, A-Z
+        const distA = productDistance(a) ?? Infinity;
+        const distB = productDistance(b) ?? Infinity;
+        if (distA !== distB) return distA < distB ? -1 : 1;
+        return String(a.name ?? "").localeCompare(String(b.name ?? ""));
+      }
+      case "Best match": {
+        // Search relevance (product-search.js); A-Z when not searching
+        const rank =
+          (searchMatchById.get(b.id)?.score || 0) -
+          (searchMatchById.get(a.id)?.score || 0);
+        if (rank) return rank;
+        return String(a.name ?? "").localeCompare(String(b.name ?? ""));
+      }
       case "Recommended":
       default:
         // simple stable-ish default: alphabetical by name
@@ -190,6 +227,453 @@
     }
   }
 
+  /* ==========================================================================
+   * URL STATE (shareable filter links)
+   * ==========================================================================
+   *
+   * index.html?q=cheese&category=dairy_eggs&sort=price_asc&farm=…&location=…
+   *   &cert=organic&min_price=2&max_price=10&in_stock=1&within=10
+   *
+   * Facets repeat for several values (?category=dairy_eggs&category=beverages).
+   * Defaults are left out of the URL (see defaultSort), and params that
+   * aren't ours (utm_*, …) are kept. Picking a filter pushes a history entry;
+   * typing in the search box replaces the current one.
+   */
+
+  // ?category= uses the API category codes (display labels work too)
+  const CATEGORY_PARAMS = {
+    fruits_vegetables: "Fruits & Vegetables",
+    meat_poultry: "Meat & Poultry",
+    dairy_eggs: "Dairy & Eggs",
+    grains_bakery: "Grains & Bakery",
+    herbs_spices: "Herbs & Spices",
+    honey_preserves: "Honey & Preserves",
+    beverages: "Beverages",
+    other: "Other",
+  };
+
+  // ?sort= slugs for the "Sort by" options (option labels work too)
+  const SORT_PARAMS = {
+    recommended: "Recommended",
+    relevance: "Best match",
+    price_asc: "Price: Low → High",
+    price_desc: "Price: High → Low",
+    stock_desc: "Stock: High → Low",
+    farm_asc: "Farm: A→Z",
+    farm_desc: "Farm: Z→A",
+    location_asc: "Farm Location: A-Z",
+    nearest: "Nearest to me",
+    favorites: "favorites",
+  };
+
+  // ?cert= values for the certified/organic facet
+  const CERT_PARAMS = {
+    organic: "Organic",
+    certified: "Certified goods",
+  };
+
+  // Multi-select facets, in URL order
+  const FACET_KEYS = ["category", "farm", "location", "cert"];
+
+  // Facets whose URL values are codes rather than display values
+  const FACET_PARAMS = { category: CATEGORY_PARAMS, cert: CERT_PARAMS };
+
+  /** URL param for a control value (the value itself if unmapped). */
+  function paramFor(map, value) {
+    return Object.keys(map).find((key) => map[key] === value) || value;
+  }
+
+  /** Control value for a URL param or label ("" if unknown). */
+  function valueFor(map, param) {
+    const want = String(param || "").trim().toLowerCase();
+    if (!want) return "";
+    const key = Object.keys(map).find(
+      (k) => k === want || map[k].toLowerCase() === want,
+    );
+    return key ? map[key] : "";
+  }
+
+  /**
+   * Sort a filter state starts with: "Best match" while searching (the search
+   * box switches to it as you type), otherwise "Recommended". It is left out
+   * of the URL, so a shared ?q= link opens in the same order.
+   */
+  function defaultSort(q) {
+    return q && searchIndex ? "Best match" : "Recommended";
+  }
+
+  /** "" unless the value is a price (number >= 0). */
+  function priceParam(value) {
+    const raw = String(value ?? "").trim();
+    const n = Number(raw);
+    return raw && Number.isFinite(n) && n >= 0 ? raw : "";
+  }
+
+  /** "" unless the value is a distance in miles (number > 0). */
+  function milesParam(value) {
+    const raw = String(value ?? "").trim();
+    const n = Number(raw);
+    return raw && Number.isFinite(n) && n > 0 ? raw : "";
+  }
+
+  /**
+   * Current filter controls as { q, sort, min_price, max_price, in_stock,
+   * within } plus one array per facet (display values, not URL params).
+   */
+  function getFilterState() {
+    const state = {
+      q: String(searchEl?.value || "").trim(),
+      sort: String(sortEl?.value || "Recommended"),
+      min_price: priceParam(priceMinEl?.value),
+      max_price: priceParam(priceMaxEl?.value),
+      in_stock: Boolean(inStockEl?.checked),
+      within: milesParam(withinMilesEl?.value),
+    };
+    FACET_KEYS.forEach((key) => {
+      state[key] = [...facetSelections[key]];
+    });
+    return state;
+  }
+
+  /**
+   * Query string ("?…" or "") for a filter state.
+   * @param {ReturnType<typeof getFilterState>} state
+   * @returns {string}
+   */
+  function buildFilterSearch(state) {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+      q: state.q,
+      sort:
+        state.sort === defaultSort(state.q)
+          ? ""
+          : paramFor(SORT_PARAMS, state.sort),
+      min_price: state.min_price,
+      max_price: state.max_price,
+      in_stock: state.in_stock ? "1" : "",
+      within: state.within,
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+
+    FACET_KEYS.forEach((key) => {
+      const map = FACET_PARAMS[key];
+      const wanted = state[key].map((v) => (map ? paramFor(map, v) : v));
+      // Leave the params where they are when nothing changed
+      if (params.getAll(key).join("\n") === wanted.join("\n")) return;
+
+      params.delete(key);
+      wanted.forEach((value) => params.append(key, value));
+    });
+
+    const search = params.toString();
+    return search ? `?${search}` : "";
+  }
+
+  /** Filter state from the URL (unknown values fall back to defaults). */
+  function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const get = (key) => String(params.get(key) || "").trim();
+
+    const state = {
+      q: get("q"),
+      sort: valueFor(SORT_PARAMS, get("sort")) || defaultSort(get("q")),
+      min_price: priceParam(get("min_price")),
+      max_price: priceParam(get("max_price")),
+      in_stock: ["1", "true", "yes"].includes(get("in_stock").toLowerCase()),
+      within: milesParam(get("within")),
+    };
+    FACET_KEYS.forEach((key) => {
+      const map = FACET_PARAMS[key];
+      state[key] = params
+        .getAll(key)
+        .map((v) => (map ? valueFor(map, v) : v.trim()))
+        .filter(Boolean);
+    });
+    return state;
+  }
+
+  /** Select the option matching `wanted` (case-insensitive), else fallback. */
+  function selectOption(selectEl, wanted, fallback) {
+    if (!selectEl) return;
+    const want = normalizeFarmKey(wanted);
+    const match = Array.from(selectEl.options || []).find(
+      (opt) => normalizeFarmKey(opt.value) === want,
+    );
+    selectEl.value = match ? match.value : fallback;
+  }
+
+  /**
+   * Put a filter state into the controls. Facet values are matched against
+   * the loaded products, so load those first.
+   */
+  function applyFilterState(state) {
+    if (searchEl) searchEl.value = state.q;
+    selectOption(sortEl, state.sort, "Recommended");
+    if (priceMinEl) priceMinEl.value = state.min_price;
+    if (priceMaxEl) priceMaxEl.value = state.max_price;
+    if (inStockEl) inStockEl.checked = state.in_stock;
+    applyWithinMiles(state.within);
+    FACET_KEYS.forEach((key) => {
+      facetSelections[key] = new Set(matchFacetValues(key, state[key]));
+    });
+  }
+
+  /**
+   * Select a "within N miles" distance; one that isn't listed (a link with
+   * ?within=15) gets its own option.
+   */
+  function applyWithinMiles(miles) {
+    if (!withinMilesEl) return;
+    const match = Array.from(withinMilesEl.options || []).find(
+      (opt) => opt.value && Number(opt.value) === Number(miles),
+    );
+    if (miles && !match) {
+      withinMilesEl.insertAdjacentHTML(
+        "beforeend",
+        `<option value="${CC.escapeHtml(miles)}">Within ${CC.escapeHtml(miles)} miles</option>`,
+      );
+    }
+    withinMilesEl.value = match ? match.value : miles;
+  }
+
+  /**
+   * First load: apply the URL, falling back to the farm handed over by the
+   * account page (cc_store_prefarm) in case hosting strips the query string.
+   * The URL is then rewritten to what was actually applied.
+   */
+  function applyInitialFiltersFromUrl() {
+    const state = readFiltersFromUrl();
+
+    const handoffFarm = String(
+      sessionStorage.getItem("cc_store_prefarm") || "",
+    ).trim();
+    // Clear the fallback so it doesn't "stick" forever
+    sessionStorage.removeItem("cc_store_prefarm");
+    if (!state.farm.length && handoffFarm) state.farm = [handoffFarm];
+
+    applyFilterState(state);
+    syncFiltersToUrl("replace");
+  }
+
+  /**
+   * Write the current filters to the URL.
+   * @param {"push"|"replace"} [mode]
+   */
+  function syncFiltersToUrl(mode = "push") {
+    const state = getFilterState();
+    const search = buildFilterSearch(state);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const method = mode === "replace" ? "replaceState" : "pushState";
+    window.history[method]({ ccStoreFilters: state }, "", url);
+  }
+
+  /**
+   * Re-render after the shopper changed a filter, and record it in the URL.
+   * @param {{ history?: "push"|"replace" }} [options]
+   */
+  function applyFilters({ history = "push" } = {}) {
+    render({ firstPage: true });
+    syncFiltersToUrl(history);
+  }
+
+  /* ==========================================================================
+   * FACETS (multi-select filters with live counts)
+   * ========================================================================== */
+
+  /**
+   * Per facet: host element, the product's values for it, and values that
+   * are always listed (in this order) even with no products yet.
+   */
+  const FACETS = {
+    category: {
+      el: categoryFacetEl,
+      valuesOf: (p) => [String(p?.category_display ?? "").trim() || "Other"],
+      fixed: Object.values(CATEGORY_PARAMS),
+    },
+    farm: {
+      el: farmFacetEl,
+      valuesOf: (p) => [String(p?.farm_name ?? "").trim()],
+    },
+    location: {
+      el: locationFacetEl,
+      valuesOf: (p) => [getProductLocationLabel(p)],
+    },
+    cert: {
+      el: certFacetEl,
+      valuesOf: productCertifications,
+    },
+  };
+
+  /**
+   * Certified/organic labels for a product. Product flags win over the
+   * farm's; farms without either flag simply don't appear in the facet.
+   */
+  function productCertifications(p) {
+    const farm = farmByIdMap.get(Number(p?.farm_id)) || null;
+    const certs = [];
+    if (p?.is_organic ?? farm?.is_organic) certs.push(CERT_PARAMS.organic);
+    if (farm?.sells_certified_goods) certs.push(CERT_PARAMS.certified);
+    return certs;
+  }
+
+  /** Every value a facet can offer (fixed ones first, the rest A-Z). */
+  function facetValues(key) {
+    const facet = FACETS[key];
+    const seen = new Set();
+    allProducts.forEach((p) =>
+      facet.valuesOf(p).forEach((v) => {
+        if (v) seen.add(v);
+      }),
+    );
+
+    const fixed = facet.fixed || [];
+    const extra = [...seen]
+      .filter((v) => !fixed.includes(v))
+      .sort((a, b) => a.localeCompare(b));
+    return [...fixed, ...extra];
+  }
+
+  /** Known facet values for `wanted` (case-insensitive); unknown ones drop. */
+  function matchFacetValues(key, wanted) {
+    const known = facetValues(key);
+    return wanted
+      .map((w) => normalizeFarmKey(w))
+      .map((want) => known.find((v) => normalizeFarmKey(v) === want))
+      .filter(Boolean);
+  }
+
+  /**
+   * True when the product passes every facet (OR within a facet, AND across
+   * facets). `skipKey` leaves one facet out, for that facet's own counts.
+   */
+  function matchesFacets(p, skipKey = null) {
+    return FACET_KEYS.every((key) => {
+      const selected = facetSelections[key];
+      if (key === skipKey || !selected.size) return true;
+      return FACETS[key].valuesOf(p).some((v) => selected.has(v));
+    });
+  }
+
+  /**
+   * Render one facet's checkboxes with counts from `pool` (products passing
+   * every other filter). The list is only rebuilt when its values change,
+   * so focus stays on the checkbox that was just clicked.
+   */
+  function renderFacet(key, pool) {
+    const facet = FACETS[key];
+    if (!facet.el) return;
+
+    const counts = new Map();
+    pool.forEach((p) => {
+      if (!matchesFacets(p, key)) return;
+      new Set(facet.valuesOf(p)).forEach((v) => {
+        counts.set(v, (counts.get(v) || 0) + 1);
+      });
+    });
+
+    const values = facetValues(key);
+    const signature = JSON.stringify(values);
+    if (facet.el.dataset.values !== signature) {
+      facet.el.dataset.values = signature;
+      facet.el.innerHTML = values.length
+        ? values
+            .map(
+              (value, i) => `
+                <div class="form-check">
+                  <input
+                    class="form-check-input"
+                    type="checkbox"
+                    id="facet-${key}-${i}"
+                    data-facet="${key}"
+                    value="${CC.escapeHtml(value)}"
+                  />
+                  <label class="form-check-label cc-facet-label" for="facet-${key}-${i}">
+                    <span>${CC.escapeHtml(value)}</span>
+                    <span class="badge rounded-pill text-bg-light cc-badge cc-facet-count"></span>
+                  </label>
+                </div>
+              `,
+            )
+            .join("")
+        : `<div class="text-muted small">Nothing to filter yet.</div>`;
+    }
+
+    facet.el.querySelectorAll("[data-facet]").forEach((input) => {
+      const count = counts.get(input.value) || 0;
+      input.checked = facetSelections[key].has(input.value);
+      // Zero-result options stay clickable only if already checked
+      input.disabled = !count && !input.checked;
+      const countEl = input.parentElement?.querySelector(".cc-facet-count");
+      if (countEl) countEl.textContent = String(count);
+    });
+  }
+
+  /** "$2.00 – $10.00", "From $2.00" or "Up to $10.00". */
+  function describePriceRange({ min_price, max_price }) {
+    if (min_price && max_price) {
+      return `${CC.formatMoney(min_price)} – ${CC.formatMoney(max_price)}`;
+    }
+    return min_price
+      ? `From ${CC.formatMoney(min_price)}`
+      : `Up to ${CC.formatMoney(max_price)}`;
+  }
+
+  /**
+   * Removable chips for the active filters. `data-reset` names what a chip
+   * clears; facet chips also carry the value (`data-value`).
+   */
+  function renderFilterChips(state) {
+    const chip = (type, label, value = "") => `
+      <button
+        type="button"
+        class="badge rounded-pill border-0 cc-filter-badge"
+        data-reset="${type}"
+        ${value ? `data-value="${CC.escapeHtml(value)}"` : ""}
+        aria-label="Remove filter: ${CC.escapeHtml(label)}"
+        title="Remove filter"
+      >
+        ${CC.escapeHtml(label)} <i class="bi bi-x" aria-hidden="true"></i>
+      </button>
+    `;
+
+    const chips = [];
+    if (state.sort === "favorites") {
+      chips.push(chip("favorites", "Favorite Farms"));
+    }
+    FACET_KEYS.forEach((key) => {
+      state[key].forEach((value) => chips.push(chip(key, value, value)));
+    });
+    if (state.min_price || state.max_price) {
+      chips.push(chip("price", describePriceRange(state)));
+    }
+    if (state.in_stock) chips.push(chip("in_stock", "In stock"));
+    if (state.within) {
+      chips.push(chip("within", `Within ${state.within} mi`));
+    }
+
+    return `
+      <div class="d-flex flex-wrap gap-1 justify-content-center my-1">
+        ${chips.join("")}
+      </div>
+    `;
+  }
+
+  /** True when any filter besides search/sort is active. */
+  function hasActiveFilters(state) {
+    return (
+      FACET_KEYS.some((key) => state[key].length) ||
+      Boolean(
+        state.min_price || state.max_price || state.in_stock || state.within,
+      )
+    );
+  }
+
   /* ==========================================================================
    * FAVORITES — NORMALIZATION HELPERS
    * ========================================================================== */
@@ -198,16 +682,12 @@
    * Normalize favorites list into an array of farm_id numbers.
    * Supports:
    *  - [1,2,3]
-   *  - [{farm_id:1}, {farm:{id:2}}, {id:3}]
+   *  - [{farm_id:1}] (CC.api.favorites.list already folds farm.id / id aliases)
    */
   function normalizeFavoriteFarmIds(list) {
     if (!Array.isArray(list)) return [];
     return list
-      .map((x) => {
-        if (typeof x === "number") return x;
-        const id = x?.farm_id ?? x?.farm?.id ?? x?.farm?.farm_id ?? x?.id;
-        return Number(id);
-      })
+      .map((x) => (typeof x === "number" ? x : Number(x?.farm_id)))
       .filter((n) => Number.isFinite(n));
   }
 
@@ -226,20 +706,16 @@
         continue;
       }
 
-      const apiName = String(
-        item?.farm_name ?? item?.farm?.farm_name ?? item?.farm?.name ?? "",
-      ).trim();
+      const apiName = String(item?.farm_name ?? "").trim();
       if (apiName) {
         names.push(apiName);
         continue;
       }
 
-      const id = Number(item?.farm_id ?? item?.farm?.id ?? item?.id);
+      const id = Number(item?.farm_id);
       if (Number.isFinite(id)) {
         const farmRow = farmByIdMap.get(id);
-        const fallbackName = String(
-          farmRow?.farm_name ?? farmRow?.name ?? "",
-        ).trim();
+        const fallbackName = String(farmRow?.name ?? "").trim();
         if (fallbackName) names.push(fallbackName);
       }
     }
@@ -257,7 +733,7 @@
   async function apiListFavorites() {
     if (!CC.auth.isLoggedIn()) return [];
 
-    const res = await CC.apiRequest("/favorites/", { method: "GET" });
+    const res = await CC.api.favorites.list();
 
     // Not logged in / expired session -> treat as none
     if (res.status === 401) return [];
@@ -274,26 +750,15 @@
    * POST /api/favorites/add/  [name='add_favorite']
    */
   async function apiAddFavorite(farmId) {
-    return CC.apiRequest("/favorites/add/", {
-      method: "POST",
-      json: { farm_id: Number(farmId) },
-    });
+    return CC.api.favorites.add(farmId);
   }
 
   /**
    * DELETE /api/favorites/<farm_id>/  [name='remove_favorite']
-   * (Fallback to POST if backend disallows DELETE)
+   * (CC.api falls back to POST if backend disallows DELETE)
    */
   async function apiRemoveFavorite(farmId) {
-    const id = Number(farmId);
-
-    let res = await CC.apiRequest(`/favorites/${id}/`, { method: "DELETE" });
-
-    if (res.status === 405) {
-      res = await CC.apiRequest(`/favorites/${id}/`, { method: "POST" });
-    }
-
-    return res;
+    return CC.api.favorites.remove(farmId);
   }
 
   /**
@@ -414,7 +879,7 @@
   function buildFarmByIdMap(farms) {
     const map = new Map();
     (farms || []).forEach((f) => {
-      const id = Number(f?.id ?? f?.farm_id);
+      const id = Number(f?.id);
       if (!Number.isFinite(id)) return;
       map.set(id, f);
     });
@@ -429,8 +894,8 @@
   function buildFarmIdByNameMap(farms) {
     const map = new Map();
     (farms || []).forEach((f) => {
-      const key = normalizeFarmKey(f?.farm_name ?? f?.name);
-      const id = Number(f?.id ?? f?.farm_id);
+      const key = normalizeFarmKey(f?.name);
+      const id = Number(f?.id);
       if (!key || !Number.isFinite(id)) return;
       map.set(key, id);
     });
@@ -460,36 +925,6 @@
     return picked;
   }
 
-  /**
-   * Build the Location <select> options based on loaded products.
-   * Keeps the first option as "All locations".
-   *
-   * @param {any[]} products
-   */
-  function populateLocationOptions(products) {
-    if (!locationEl) return;
-
-    const unique = new Set();
-    for (const p of products || []) {
-      const label = getProductLocationLabel(p);
-      if (label) unique.add(label);
-    }
-
-    const values = Array.from(unique).sort((a, b) => a.localeCompare(b));
-
-    // Preserve current selection if possible
-    const current = String(locationEl.value || "All");
-
-    locationEl.innerHTML = `
-      <option value="All">All locations</option>
-      ${values.map((v) => `<option value="${CC.escapeHtml(v)}">${CC.escapeHtml(v)}</option>`).join("")}
-    `;
-
-    // Restore selection if still valid
-    const stillExists = values.includes(current);
-    locationEl.value = stillExists ? current : "All";
-  }
-
   /**
    * Normalize a farm name so lookups are stable.
    *
@@ -510,14 +945,15 @@
    *
    * Expected route: GET /api/farms/
    *
+   * @param {AbortSignal} [signal] - cancels the request (rethrows AbortError)
    * @returns {Promise<Array<object>>} list of farm rows (or empty array)
    */
-  async function getFarms() {
+  async function getFarms(signal) {
     try {
-      const parsed = await CC.apiRequest("/farms/", { method: "GET" });
-      if (!parsed.ok) return [];
-      return Array.isArray(parsed.data) ? parsed.data : [];
+      const parsed = await CC.api.farms.list({ signal });
+      return parsed.ok ? parsed.data : [];
     } catch (err) {
+      if (CC.isAbortError(err)) throw err;
       console.warn("getFarms() failed:", err);
       return [];
     }
@@ -532,7 +968,7 @@
   function buildFarmByNameMap(farms) {
     const map = new Map();
     (farms || []).forEach((f) => {
-      const key = normalizeFarmKey(f?.farm_name ?? f?.name);
+      const key = normalizeFarmKey(f?.name);
       if (!key) return;
       map.set(key, f);
     });
@@ -572,60 +1008,15 @@
     });
   }
 
-  /**
-   * Normalize a farm name so comparisons are consistent.
-   * @param {string} s
-   * @returns {string}
-   */
-  function normalizeFarmName(s) {
-    return String(s || "").trim();
-  }
-
-  /**
-   * Extract unique farms from products and return them sorted A-Z.
-   * @param {Array<object>} products
-   * @returns {string[]}
-   */
-  function getUniqueFarmNames(products) {
-    const set = new Set();
-
-    (products || []).forEach((p) => {
-      const farm = normalizeFarmName(p?.farm_name);
-      if (farm) set.add(farm);
-    });
-
-    return Array.from(set).sort((a, b) => a.localeCompare(b));
-  }
-
-  /**
-   * Populate the farm filter dropdown without breaking the current selection.
-   * @param {Array<object>} products
-   */
-  function populateFarmFilter(products) {
-    if (!farmEl) return;
-
-    const prev = String(farmEl.value || "all");
-    const farms = getUniqueFarmNames(products);
-
-    farmEl.innerHTML = `
-      <option value="all">All Farms</option>
-      ${farms.map((f) => `<option value="${CC.escapeHtml(f)}">${CC.escapeHtml(f)}</option>`).join("")}
-    `;
-
-    // Restore selection if still present; otherwise default back to "all"
-    const stillExists = farms.some((f) => f === prev);
-    farmEl.value = stillExists ? prev : "all";
-  }
-
   /* ==========================================================================
    * RENDER HELPERS
    * ========================================================================== */
 
-  function renderEmptyState(query, category) {
+  function renderEmptyState(query, filtered) {
     const msg = query
       ? `No matches for “${CC.escapeHtml(query)}”.`
-      : category !== "All"
-        ? `No products in “${CC.escapeHtml(category)}”.`
+      : filtered
+        ? "No products match these filters."
         : "No products found.";
 
     return `
@@ -642,22 +1033,27 @@
    */
   function renderCard(product) {
     // Core fields
-    const id = product.id ?? product.product_id ?? "";
+    const id = product.id ?? "";
     const nameRaw = String(product.name ?? "—").trim();
     const name = CC.escapeHtml(nameRaw);
 
-    const category = CC.escapeHtml(
-      String(product.category_display ?? product.category ?? "Other").trim(),
+    // Words the search box matched, marked in name/category/farm
+    const searchWords = searchMatchById.get(product.id)?.words || null;
+    const nameHtml = highlightSearch(nameRaw, searchWords);
+
+    const category = highlightSearch(
+      String(product.category_display ?? "Other").trim(),
+      searchWords,
     );
 
     const farmRaw = String(product.farm_name ?? "Local Farm").trim();
-    const farm = CC.escapeHtml(farmRaw);
+    const farm = highlightSearch(farmRaw, searchWords);
 
     const farmLocationRaw = String(product.farm_location ?? "").trim();
     const farmLocation = CC.escapeHtml(farmLocationRaw);
 
     const price = CC.formatMoney(product.price);
-    const stock = product.stock ?? product.quantity ?? null;
+    const stock = product.stock;
 
     // Image handling
     // API field name assumed: photo_url (null/empty allowed)
@@ -669,6 +1065,33 @@
 
     // Favorites UI (farm_id required)
     const farmId = Number(product?.farm_id);
+
+    // How far the farm is from the shopper's address/location
+    const miles = productDistance(product);
+    const distanceHtml =
+      miles === null
+        ? ""
+        : `
+          <div class="small text-muted">
+            <i class="bi bi-geo-alt" aria-hidden="true"></i>
+            ${formatMiles(miles)} from ${CC.escapeHtml(deliveryPoint.label)}
+          </div>
+        `;
+
+    // Farm can't deliver to the shopper's address/location
+    const farmCoverage = farmCoverageById.get(farmId) || null;
+    const undeliverableHtml =
+      farmCoverage?.canServe === false
+        ? `
+          <div
+            class="small text-danger cc-undeliverable-note"
+            title="${CC.escapeHtml(CC.delivery.describeFarmCoverage(farmCoverage))}"
+          >
+            <i class="bi bi-truck" aria-hidden="true"></i>
+            Doesn't deliver to ${CC.escapeHtml(deliveryPoint.label)}
+          </div>
+        `
+        : "";
     const canFavorite = Number.isFinite(farmId);
     const isFavorited = canFavorite && favoriteFarmIdSet.has(farmId);
     const isActive = isFavorited ? "active" : "";
@@ -733,13 +1156,15 @@
           
           <div class="p-1 cover">
             <div class="d-flex align-items-start justify-content-center gap-2">
-              <div class="fw-bold position-relative align-top py-2">${name}</div>
+              <div class="fw-bold position-relative align-top py-2">${nameHtml}</div>
             </div>
 
             <div class="d-flex justify-content-between m-1">
               <div class=" m-2">
                 <div class="position-relative ">Provided by: ${farm}</div>
                 <div class="position-relative ">${farmLocationRaw ? `<p>Location: ${farmLocation}</p>` : ""}</div>
+                ${distanceHtml}
+                ${undeliverableHtml}
               </div>
 
               <div class="py-2">
@@ -782,86 +1207,184 @@
 
   function renderCards(list) {
     return `
-      <div class="row">
+      <div class="row" data-product-grid>
         ${list.map(renderCard).join("")}
       </div>
     `;
   }
 
+  /* ==========================================================================
+   * PAGING (cards render a page at a time)
+   * ========================================================================== */
+
+  const SCROLL_KEY = "cc_store_scroll_v1";
+
+  function pageSize() {
+    const size = Number(CC.getConfigValue("STORE_PAGE_SIZE", 24));
+    return Number.isFinite(size) && size > 0 ? Math.floor(size) : 24;
+  }
+
+  /** "Show more" footer under the grid (empty once everything is shown). */
+  function renderMoreFooter() {
+    const left = visibleProducts.length - shownCount;
+    if (left <= 0) return "";
+
+    return `
+      <div class="text-center my-3" data-products-more>
+        <div class="small text-muted mb-2">
+          Showing ${shownCount} of ${visibleProducts.length}
+        </div>
+        <button type="button" class="btn cc-btn-outline btn-sm" data-show-more>
+          Show ${Math.min(left, pageSize())} more
+        </button>
+      </div>
+    `;
+  }
+
+  /** Load the next page when the footer comes near the viewport. */
+  function observeMoreFooter() {
+    moreObserver?.disconnect();
+    const footerEl = productsHostEl.querySelector("[data-products-more]");
+    if (!footerEl || typeof IntersectionObserver !== "function") return;
+
+    moreObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) showMoreProducts();
+      },
+      { rootMargin: "600px 0px" },
+    );
+    moreObserver.observe(footerEl);
+  }
+
+  /** Append the next page of cards without touching the ones shown. */
+  function showMoreProducts() {
+    const gridEl = productsHostEl?.querySelector("[data-product-grid]");
+    if (!gridEl || shownCount >= visibleProducts.length) return;
+
+    const next = visibleProducts.slice(shownCount, shownCount + pageSize());
+    gridEl.insertAdjacentHTML("beforeend", next.map(renderCard).join(""));
+    shownCount += next.length;
+
+    productsHostEl.querySelector("[data-products-more]")?.remove();
+    gridEl.insertAdjacentHTML("afterend", renderMoreFooter());
+    observeMoreFooter();
+  }
+
+  /** Remember where the shopper was, for the back button / a reload. */
+  function saveScrollPosition() {
+    try {
+      sessionStorage.setItem(
+        SCROLL_KEY,
+        JSON.stringify({
+          search: window.location.search,
+          y: window.scrollY,
+          shown: shownCount,
+        }),
+      );
+    } catch {
+      // Storage disabled: the page just starts at the top.
+    }
+  }
+
+  /** Saved { y, shown } for the current filters (read once), else null. */
+  function takeSavedScroll() {
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(SCROLL_KEY) || "null");
+      sessionStorage.removeItem(SCROLL_KEY);
+    } catch {
+      return null;
+    }
+    return saved?.search === window.location.search ? saved : null;
+  }
+
+  /** Escaped text with search matches marked (plain escape without them). */
+  function highlightSearch(text, words) {
+    return CC.productSearch && words
+      ? CC.productSearch.highlight(text, words)
+      : CC.escapeHtml(text);
+  }
+
   /**
-   * Re-render the product list based on search/category/sort/farm/location.
+   * Substring search over name, description, farm and category; used when
+   * product-search.js isn't loaded.
    */
-  function render() {
+  function matchesSearch(p, q) {
+    if (!q) return true;
+
+    const name = String(p.name ?? "").toLowerCase();
+    const desc = String(p.description ?? "").toLowerCase();
+    const farm = String(p.farm_name ?? "").toLowerCase();
+    const cat = String(p.category_display ?? "").toLowerCase();
+
+    return (
+      name.includes(q) || desc.includes(q) || farm.includes(q) || cat.includes(q)
+    );
+  }
+
+  function matchesPriceAndStock(p, { min_price, max_price, in_stock }) {
+    const price = Number(p.price ?? 0);
+    if (min_price && price < Number(min_price)) return false;
+    if (max_price && price > Number(max_price)) return false;
+    return !in_stock || Number(p.stock) > 0;
+  }
+
+  /**
+   * "Within N miles": farms of unknown distance drop out. Without a
+   * delivery point there is nothing to measure from, so nothing is hidden.
+   */
+  function matchesDistance(p, { within }) {
+    if (!within || !deliveryPoint) return true;
+    const miles = productDistance(p);
+    return miles !== null && miles <= Number(within);
+  }
+
+  /**
+   * Re-render the product list and facet counts from the current filters.
+   *
+   * Keeps as many cards as were shown (favorites, delivery checks) unless
+   * `firstPage` is set, which a filter change does.
+   *
+   * @param {{ firstPage?: boolean }} [options]
+   */
+  function render({ firstPage = false } = {}) {
     if (!productsHostEl) return;
 
-    const q = String(searchEl?.value || "")
-      .trim()
-      .toLowerCase();
-    const category = String(categoryEl?.value || "All").trim();
+    const state = getFilterState();
+    const q = state.q.toLowerCase();
     const sortValue = getSortValue();
 
-    const farmSelectedRaw = String(farmEl?.value || "all").trim();
-    const farmSelected = farmSelectedRaw.toLowerCase();
-    const selectedLocation = String(locationEl?.value || "All").trim();
-
-    // Start with full list
-    let list = [...allProducts];
+    // Ranked search; null when the query has no searchable words
+    const search = searchIndex ? searchIndex.search(state.q) : null;
+    searchMatchById = new Map(
+      (search?.results || []).map((r) => [r.product.id, r]),
+    );
+    const matchesQuery = (p) =>
+      searchIndex ? !search || searchMatchById.has(p.id) : matchesSearch(p, q);
+
+    // Everything but the facets; facet counts are taken from this pool
+    let pool = allProducts.filter(
+      (p) =>
+        matchesQuery(p) &&
+        matchesPriceAndStock(p, state) &&
+        matchesDistance(p, state),
+    );
 
     // Favorite farms filter
     // The UI currently exposes this under the sort dropdown as value="favorites".
     // Treat it as a filter-first mode, then apply a stable secondary sort by farm/name.
     if (sortValue === "favorites") {
-      list = list.filter((p) => {
+      pool = pool.filter((p) => {
         const farmId = Number(p?.farm_id);
         return Number.isFinite(farmId) && favoriteFarmIdSet.has(farmId);
       });
     }
 
-    // Farm filter
-    if (farmSelected && farmSelected !== "all") {
-      list = list.filter(
-        (p) =>
-          String(p.farm_name ?? "")
-            .trim()
-            .toLowerCase() === farmSelected,
-      );
-    }
+    FACET_KEYS.forEach((key) => renderFacet(key, pool));
+    certFacetWrapEl?.classList.toggle("d-none", !facetValues("cert").length);
 
-    // Search filter
-    if (q) {
-      list = list.filter((p) => {
-        const name = String(p.name ?? "").toLowerCase();
-        const desc = String(p.description ?? "").toLowerCase();
-        const farm = String(p.farm_name ?? "").toLowerCase();
-        const cat = String(
-          p.category_display ?? p.category ?? "",
-        ).toLowerCase();
-
-        return (
-          name.includes(q) ||
-          desc.includes(q) ||
-          farm.includes(q) ||
-          cat.includes(q)
-        );
-      });
-    }
-
-    // Category filter
-    if (category && category !== "All") {
-      list = list.filter((p) => {
-        const apiCat = String(p.category_display ?? p.category ?? "").trim();
-        return apiCat.toLowerCase() === category.toLowerCase();
-      });
-    }
-
-    // Location filter
-    if (selectedLocation && selectedLocation !== "All") {
-      const want = selectedLocation.toLowerCase();
-      list = list.filter((p) => {
-        const loc = getProductLocationLabel(p).toLowerCase();
-        return loc === want;
-      });
-    }
+    const list = pool.filter((p) => matchesFacets(p));
+    visibleProducts = list;
 
     // Sort
     if (sortValue === "favorites") {
@@ -877,14 +1400,13 @@
       list.sort((a, b) => compareProducts(a, b, sortValue));
     }
 
-    const filtersBadgeHTML = `
-    <div class="d-flex flex-wrap gap-1 justify-content-center my-1">
-      ${sortValue === "favorites" ? `<span class="badge rounded-pill cc-filter-badge" data-reset="favorites">Favorite Farms</span>` : ""}
-      ${category !== "all" && category !== "All" ? `<span class="badge rounded-pill cc-filter-badge" data-reset="category">${category}</span>` : ""}
-      ${farmSelected !== "all" && farmSelected !== "All" ? `<span class="badge rounded-pill cc-filter-badge" data-reset="farm">${farmSelectedRaw}</span>` : ""}
-      ${selectedLocation !== "all" && selectedLocation !== "All" ? `<span class="badge rounded-pill cc-filter-badge" data-reset="location">${selectedLocation}</span>` : ""}
-    </div>
-  `;
+    const filtersBadgeHTML = renderFilterChips(state);
+    const needsLocation =
+      !deliveryPoint && (state.within || sortValue === "Nearest to me");
+    shownCount = Math.min(
+      list.length,
+      firstPage ? pageSize() : Math.max(shownCount, pageSize()),
+    );
 
     const emptyStateHtml =
       sortValue === "favorites"
@@ -900,16 +1422,20 @@
           </div>
         </div>
       `
-        : renderEmptyState(q, category);
+        : renderEmptyState(state.q, hasActiveFilters(state));
 
     productsHostEl.innerHTML = `
     <div class="cc-products-head">
       <small class="text-muted">Showing <b>${list.length}</b> of ${allProducts.length}</small>
+      ${search?.partial ? `<small class="text-muted">No exact matches for “${CC.escapeHtml(state.q)}”; showing the closest.</small>` : ""}
       ${filtersBadgeHTML}
+      ${needsLocation ? `<small class="text-warning">Distance needs your location: use “Do we deliver to you?” above${CC.auth.isLoggedIn() ? " or save an address on your account" : ""}.</small>` : ""}
       <small class="text-muted">Sorted by: ${CC.escapeHtml(sortValue)}</small>
     </div>
-    ${list.length ? renderCards(list) : emptyStateHtml}
+    ${list.length ? renderCards(list.slice(0, shownCount)) : emptyStateHtml}
+    ${renderMoreFooter()}
   `;
+    observeMoreFooter();
   }
 
   /* ==========================================================================
@@ -918,6 +1444,12 @@
 
   async function loadProducts() {
     if (!productsHostEl) return;
+
+    // Cancel a previous load that is still waiting on the API
+    productsRequest?.abort();
+    const controller = new AbortController();
+    productsRequest = controller;
+
     CC.setStatus(pageStatusEl, "Loading products…", "muted");
 
     productsHostEl.innerHTML = `
@@ -928,17 +1460,18 @@
     `;
 
     try {
-      const parsed = await CC.apiRequest("/products/", { method: "GET" });
+      // CC.api normalizes the list (id/stock/category_display/farm_id aliases)
+      const parsed = await CC.api.products.list(null, {
+        signal: controller.signal,
+      });
 
-      if (!parsed.ok) throw new Error(parsed.raw || `HTTP ${parsed.status}`);
-      if (!Array.isArray(parsed.data))
-        throw new Error("API did not return an array of products.");
+      if (!parsed.ok) throw CC.errorFromResponse(parsed);
 
       // 1) Load products
       const productsRaw = parsed.data;
 
       // 2) Load farms (needed for location) and build lookup map
-      const farms = await getFarms();
+      const farms = await getFarms(controller.signal);
       farmByNameMap = buildFarmByNameMap(farms);
 
       // 3) Favorite Mapping
@@ -947,15 +1480,23 @@
 
       // 4) Attach farm_location onto each product for display + sorting
       allProducts = attachFarmDataToProducts(productsRaw, farmByNameMap);
+      searchIndex = CC.productSearch?.buildIndex(allProducts) || null;
+      updateFarmCoverage();
+
+      applyInitialFiltersFromUrl();
 
-      populateFarmFilter(allProducts);
-      applyInitialFarmFilterFromUrl();
-      populateLocationOptions(allProducts);
+      // Back from another page: same cards, same spot
+      const savedScroll = takeSavedScroll();
+      if (savedScroll) shownCount = Number(savedScroll.shown) || 0;
 
       CC.setStatus(pageStatusEl, ``, "success");
       render();
+      if (savedScroll) window.scrollTo(0, Number(savedScroll.y) || 0);
       await loadFavorites();
     } catch (err) {
+      // A newer loadProducts() call replaced this one
+      if (CC.isAbortError(err)) return;
+
       CC.setStatus(pageStatusEl, "Failed to load products", "danger");
       productsHostEl.innerHTML = `
         <div class="alert alert-danger mb-0">
@@ -988,15 +1529,12 @@
 
     // Logged in -> server cart
     const productId = Number(product?.id);
-    const parsed = await CC.apiRequest("/cart/add/", {
-      method: "POST",
-      json: { product_id: productId, quantity: qty },
-    });
+    const parsed = await CC.api.cart.add(productId, qty);
 
     if (!parsed.ok) {
       CC.setStatus(
         pageStatusEl,
-        parsed.data?.error || `Add to cart failed (HTTP ${parsed.status}).`,
+        parsed.error.message,
         "danger",
       );
       return;
@@ -1005,17 +1543,206 @@
     CC.setStatus(pageStatusEl, `Added ${qty} to your cart.`, "success");
   }
 
+  /* ==========================================================================
+   * DELIVERY COVERAGE (per farm)
+   * ========================================================================== */
+
+  /** Farm { lat, lng }, or null when the farm has no coordinates. */
+  function farmCoordinates(farm) {
+    const blank = (v) => v === null || v === undefined || v === "";
+    if (blank(farm?.lat) || blank(farm?.lng)) return null;
+
+    const lat = Number(farm.lat);
+    const lng = Number(farm.lng);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  }
+
+  /**
+   * Recompute farmCoverageById and farmDistanceById for the current
+   * deliveryPoint.
+   */
+  function updateFarmCoverage() {
+    farmCoverageById = new Map();
+    farmDistanceById = new Map();
+    if (!deliveryPoint || !CC.delivery?.checkFarmCoverage) return;
+
+    farmByIdMap.forEach((farm, id) => {
+      const coords = farmCoordinates(farm);
+      if (coords) {
+        farmDistanceById.set(
+          id,
+          CC.delivery.milesBetween(
+            deliveryPoint.lat,
+            deliveryPoint.lng,
+            coords.lat,
+            coords.lng,
+          ),
+        );
+      }
+
+      farmCoverageById.set(
+        id,
+        CC.delivery.checkFarmCoverage(
+          farm,
+          deliveryPoint.lat,
+          deliveryPoint.lng,
+          deliveryPoint.coverage,
+        ),
+      );
+    });
+  }
+
+  /** Miles from deliveryPoint to the product's farm (null if unknown). */
+  function productDistance(p) {
+    return farmDistanceById.get(Number(p?.farm_id)) ?? null;
+  }
+
+  /** "0.8 mi", "4.2 mi", "17 mi" */
+  function formatMiles(miles) {
+    return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+  }
+
+  /** Loaded products whose farm can't deliver to deliveryPoint. */
+  function countUndeliverable() {
+    return allProducts.filter(
+      (p) => farmCoverageById.get(Number(p?.farm_id))?.canServe === false,
+    ).length;
+  }
+
+  /**
+   * Start from the signed-in customer's saved address (real coordinates
+   * only; placeholders would flag the wrong products).
+   */
+  async function loadSavedDeliveryPoint() {
+    const delivery = CC.delivery;
+    if (!delivery?.checkFarmCoverage || !CC.auth.isLoggedIn()) return;
+
+    const address = CC.api.normalize.address(CC.auth.getAuth?.()?.user);
+    const customerCheck = delivery.validateCustomer(address, { strict: true });
+    if (!customerCheck.ok) return;
+
+    await delivery.loadDeliverySettings();
+    const hubCheck = delivery.validateHubs();
+    const { lat, lng } = customerCheck.customer;
+
+    deliveryPoint = {
+      lat,
+      lng,
+      label: "your address",
+      coverage: hubCheck.ok
+        ? delivery.findServingHub(lat, lng, hubCheck.hubs)
+        : null,
+    };
+  }
+
+  /* ==========================================================================
+   * DELIVERY CHECK (header)
+   * ========================================================================== */
+
+  /**
+   * "Do we deliver to you?" button: locate the browser and show the distance
+   * to the serving hub, then flag products from farms that can't deliver
+   * there. Works without an account.
+   */
+  function bindLocationCheck() {
+    if (!locationCheckBtn) return;
+    if (!CC.delivery?.checkCurrentLocation) {
+      locationCheckBtn.classList.add("d-none");
+      return;
+    }
+
+    locationCheckBtn.addEventListener("click", async () => {
+      locationCheckBtn.disabled = true;
+      CC.setStatus(locationCheckStatusEl, "Finding your location…", "muted");
+
+      try {
+        const result = await CC.delivery.checkCurrentLocation();
+        const { text, kind } = CC.delivery.describeLocationCheck(result);
+
+        deliveryPoint = {
+          lat: result.position.lat,
+          lng: result.position.lng,
+          label: "your location",
+          coverage: result.coverage,
+        };
+        updateFarmCoverage();
+        render();
+
+        const flagged = countUndeliverable();
+        const note = flagged
+          ? ` ${flagged} product${flagged === 1 ? " comes" : "s come"} from farms that can't deliver there; ${flagged === 1 ? "it's" : "they're"} marked below.`
+          : "";
+        CC.setStatus(
+          locationCheckStatusEl,
+          text + note,
+          kind === "success" && flagged ? "warning" : kind,
+        );
+      } catch (err) {
+        CC.setStatus(
+          locationCheckStatusEl,
+          err?.message || String(err),
+          "danger",
+        );
+      } finally {
+        locationCheckBtn.disabled = false;
+      }
+    });
+  }
+
   /* ==========================================================================
    * BOOT + EVENT WIRING
    * ========================================================================== */
 
   CC.onReady(async () => {
+    bindLocationCheck();
+
     // Filter controls
-    if (searchEl) searchEl.addEventListener("input", render);
-    if (categoryEl) categoryEl.addEventListener("change", render);
-    if (sortEl) sortEl.addEventListener("change", render);
-    if (farmEl) farmEl.addEventListener("change", render);
-    if (locationEl) locationEl.addEventListener("change", render);
+    if (searchEl) {
+      // Filter once typing pauses, not on every keystroke
+      let searchTimer = null;
+      const debounceMs = Number(
+        CC.getConfigValue("STORE_SEARCH_DEBOUNCE_MS", 200),
+      );
+
+      searchEl.addEventListener("input", () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          // Searching ranks by relevance unless another sort was picked
+          if (searchIndex && searchEl.value.trim() && sortEl) {
+            if (sortEl.value === "Recommended") sortEl.value = "Best match";
+          }
+          applyFilters({ history: "replace" });
+        }, debounceMs);
+      });
+    }
+    [sortEl, priceMinEl, priceMaxEl, inStockEl, withinMilesEl].forEach(
+      (el) => {
+        if (el) el.addEventListener("change", () => applyFilters());
+      },
+    );
+
+    // Facet checkboxes (re-rendered with the counts, so delegate)
+    document.addEventListener("change", (e) => {
+      const input = e.target.closest?.("[data-facet]");
+      const selected = input && facetSelections[input.dataset.facet];
+      if (!selected) return;
+
+      if (input.checked) selected.add(input.value);
+      else selected.delete(input.value);
+      applyFilters();
+    });
+
+    // Back/forward between filter states
+    window.addEventListener("popstate", () => {
+      applyFilterState(readFiltersFromUrl());
+      render({ firstPage: true });
+    });
+
+    // Scroll position is restored by hand once products have loaded
+    if ("scrollRestoration" in window.history) {
+      window.history.scrollRestoration = "manual";
+    }
+    window.addEventListener("pagehide", saveScrollPosition);
     const clearFiltersBtn = document.getElementById("clearFiltersBtn");
     if (clearFiltersBtn)
       clearFiltersBtn.addEventListener("click", clearAllFilters);
@@ -1033,7 +1760,7 @@
       const pid = String(productIdRaw || "").trim();
       if (!pid) return null;
       return (
-        allProducts.find((p) => String(p.id ?? p.product_id ?? "") === pid) ||
+        allProducts.find((p) => String(p.id ?? "") === pid) ||
         null
       );
     }
@@ -1042,20 +1769,16 @@
       if (!productModalEl || !productModal || !product) return;
 
       // Store current product id on the modal element
-      productModalEl.dataset.productId = String(
-        product.id ?? product.product_id ?? "",
-      );
+      productModalEl.dataset.productId = String(product.id ?? "");
 
       // Pull fields defensively (API can vary)
       const nameRaw = String(product.name ?? "Product").trim();
       const farmRaw = String(product.farm_name ?? "Local Farm").trim();
       const locationRaw = String(product.farm_location ?? "").trim();
-      const categoryRaw = String(
-        product.category_display ?? product.category ?? "Other",
-      ).trim();
+      const categoryRaw = String(product.category_display ?? "Other").trim();
       const descRaw = String(product.description ?? "").trim();
-      const stockRaw = product.stock ?? product.quantity ?? null;
-      const farmIdRaw = Number(product.farm_id ?? product.farm?.id);
+      const stockRaw = product.stock;
+      const farmIdRaw = Number(product.farm_id);
       const farmLookup =
         (Number.isFinite(farmIdRaw) ? farmByIdMap.get(farmIdRaw) : null) ||
         farmByNameMap.get(normalizeFarmKey(farmRaw)) ||
@@ -1194,16 +1917,35 @@
 
     // click handler for dynamic content
     document.addEventListener("click", async (e) => {
-      // Header filter badge reset
+      // "Show more" under the grid
+      if (e.target.closest?.("[data-show-more]")) {
+        showMoreProducts();
+        return;
+      }
+
+      // Header filter chip -> remove that filter
       const badge = e.target.closest?.(".cc-filter-badge");
       if (badge) {
         const type = badge.dataset.reset;
 
-        if (type === "category" && categoryEl) categoryEl.value = "All";
-        if (type === "farm" && farmEl) farmEl.value = "all";
-        if (type === "location" && locationEl) locationEl.value = "All";
+        if (FACET_KEYS.includes(type)) {
+          if (badge.dataset.value) {
+            facetSelections[type].delete(badge.dataset.value);
+          } else {
+            facetSelections[type].clear();
+          }
+        }
+        if (type === "favorites" && sortEl) {
+          sortEl.value = defaultSort(String(searchEl?.value || "").trim());
+        }
+        if (type === "price") {
+          if (priceMinEl) priceMinEl.value = "";
+          if (priceMaxEl) priceMaxEl.value = "";
+        }
+        if (type === "in_stock" && inStockEl) inStockEl.checked = false;
+        if (type === "within" && withinMilesEl) withinMilesEl.value = "";
 
-        render();
+        applyFilters();
         return;
       }
 
@@ -1230,9 +1972,9 @@
         const farmName = String(
           farmPickBtn.getAttribute("data-farm-filter") || "",
         ).trim();
-        if (farmName && farmEl) {
-          farmEl.value = farmName;
-          render();
+        if (farmName) {
+          facetSelections.farm = new Set(matchFacetValues("farm", [farmName]));
+          applyFilters();
         }
         return;
       }
@@ -1283,12 +2025,7 @@
           }
 
           if (!res.ok) {
-            throw new Error(
-              res.data?.error ||
-                res.data?.detail ||
-                res.raw ||
-                `HTTP ${res.status}`,
-            );
+            throw CC.errorFromResponse(res);
           }
 
           // Commit local cache
@@ -1323,6 +2060,9 @@
       }
     });
 
+    await loadSavedDeliveryPoint().catch((err) =>
+      console.warn("store: saved address coverage unavailable.", err),
+    );
     await loadProducts();
   });
 })();
@@ -13,7 +13,8 @@
  * Usage order (in HTML):
  *   1) config.js
  *   2) utils.js
- *   3) auth.js / page.js / other page scripts
+ *   3) api.js (CC.api endpoint registry)
+ *   4) auth.js / page.js / other page scripts
  *
  * Global:
  * - Exposes window.CC (CropCart namespace)
@@ -50,6 +51,40 @@
     return val === undefined || val === null ? fallback : val;
   }
 
+  /**
+   * Resolves once config.js has applied config.json overrides (never rejects).
+   * @type {Promise<void>}
+   */
+  const configReady = Promise.resolve(window.__CROPCART_CONFIG_READY__)
+    .catch(() => {})
+    .then(() => undefined);
+
+  // Keys every page needs. API_URL is optional while MOCK_API is on.
+  const REQUIRED_CONFIG_KEYS = [
+    "API_URL",
+    "STRIPE_PUBLISHABLE_KEY",
+    "DELIVERY_RANGE",
+    "HQ_LAT",
+    "HQ_LONG",
+  ];
+  const NUMERIC_CONFIG_KEYS = ["DELIVERY_RANGE", "HQ_LAT", "HQ_LONG"];
+
+  /**
+   * List required config keys that are missing or invalid.
+   * @returns {string[]}
+   */
+  function getMissingConfigKeys() {
+    return REQUIRED_CONFIG_KEYS.filter((key) => {
+      if (key === "API_URL" && getConfigValue("MOCK_API", false)) return false;
+
+      const value = getConfigValue(key, "");
+      if (NUMERIC_CONFIG_KEYS.includes(key)) {
+        return value === "" || !Number.isFinite(Number(value));
+      }
+      return String(value).trim() === "";
+    });
+  }
+
   /**
    * Normalize a base URL (remove trailing slashes).
    * @param {string} url
@@ -63,35 +98,58 @@
 
   /**
    * Returns the API base URL (example: "http://3.142.227.162/api").
-   * Supports older keys and creates a consistent source of truth.
    * @returns {string}
    */
   function apiBaseUrl() {
-    // Preferred key in your config.js
-    const fromConfig = getConfigValue("API_URL", "");
-    if (fromConfig) return normalizeBaseUrl(fromConfig);
+    return normalizeBaseUrl(getConfigValue("API_URL", ""));
+  }
 
-    // Backwards compatibility if you ever set API_BASE_URL separately
-    const legacy = window.API_BASE_URL || window.API_URL || "";
-    return normalizeBaseUrl(legacy);
+  /**
+   * Returns the server root (API base without the trailing "/api"), where the
+   * farm and farmer-portal routes live (example: "http://3.142.227.162").
+   * @returns {string}
+   */
+  function rootBaseUrl() {
+    return apiBaseUrl().replace(/\/api$/i, "");
+  }
+
+  // Route families served from the server root instead of /api
+  // (override with ROOT_ROUTE_PREFIXES in config.js)
+  const DEFAULT_ROOT_ROUTE_PREFIXES = ["/farms/", "/farmer/"];
+
+  /**
+   * True if a path belongs to a root-relative route family.
+   * @param {string} path
+   * @returns {boolean}
+   */
+  function isRootRoute(path) {
+    const prefixes = getConfigValue(
+      "ROOT_ROUTE_PREFIXES",
+      DEFAULT_ROOT_ROUTE_PREFIXES,
+    );
+    const cleanPath = String(path || "").trim();
+    return (Array.isArray(prefixes) ? prefixes : []).some((prefix) =>
+      cleanPath.startsWith(prefix),
+    );
   }
 
   /**
    * Build a full API URL from a path.
    *
-   * NOTE: This preserves your existing special-case behavior for "/farms/".
+   * Paths in a root-relative family (see isRootRoute) resolve against the
+   * server root; everything else resolves against the API base. Pass
+   * `{ root: true|false }` to force either base.
    *
    * @example buildApiUrl("/products/") -> "http://.../api/products/"
+   * @example buildApiUrl("/farmer/inventory/") -> "http://.../farmer/inventory/"
    * @param {string} path
+   * @param {{ root?: boolean }} [options]
    * @returns {string}
    */
-  function buildApiUrl(path) {
-    let base = "";
-    if (path != "/farms/") {
-      base = apiBaseUrl();
-    } else {
-      base = String(getConfigValue("API_URL", "")).replace(/\/api$/i, "");
-    }
+  function buildApiUrl(path, options = {}) {
+    const useRoot =
+      typeof options.root === "boolean" ? options.root : isRootRoute(path);
+    const base = useRoot ? rootBaseUrl() : apiBaseUrl();
     const cleanPath = String(path || "").trim();
     if (!base) return cleanPath; // allows relative if base missing
 
@@ -107,10 +165,10 @@
    * ========================================================================== */
 
   /**
-   * Run a function once DOM is ready.
+   * Run a function once the DOM is ready (ignores config loading).
    * @param {Function} fn
    */
-  function onReady(fn) {
+  function onDomReady(fn) {
     if (document.readyState === "loading") {
       document.addEventListener("DOMContentLoaded", fn);
     } else {
@@ -118,6 +176,14 @@
     }
   }
 
+  /**
+   * Run a function once the DOM is ready and runtime config has loaded.
+   * @param {Function} fn
+   */
+  function onReady(fn) {
+    onDomReady(() => configReady.then(() => fn()));
+  }
+
   /**
    * Query selector helpers (kept because other project files may rely on them).
    * @param {string} sel
@@ -205,14 +271,258 @@
     return parts.join(" • ");
   }
 
+  /**
+   * Find the input for an API field inside a form.
+   * Lookup order: fieldMap[field] (element id) -> [name="field"] -> #field.
+   *
+   * @param {HTMLElement} formEl
+   * @param {string} field
+   * @param {Record<string,string>} fieldMap
+   * @returns {HTMLElement|null}
+   */
+  function findFieldInput(formEl, field, fieldMap) {
+    const mappedId = fieldMap[field];
+    if (mappedId) return document.getElementById(mappedId);
+
+    const escaped = window.CSS?.escape ? CSS.escape(field) : field;
+    return (
+      formEl.querySelector(`[name="${escaped}"]`) ||
+      formEl.querySelector(`#${escaped}`)
+    );
+  }
+
+  /**
+   * Remove one input's error styling + feedback element.
+   * @param {HTMLElement} input
+   */
+  function clearFieldError(input) {
+    input.classList.remove("is-invalid");
+    const next = input.nextElementSibling;
+    if (next?.hasAttribute("data-cc-field-error")) next.remove();
+  }
+
+  /**
+   * Remove all field errors previously rendered by showFieldErrors().
+   * @param {HTMLElement|null} formEl
+   */
+  function clearFieldErrors(formEl) {
+    if (!formEl) return;
+    qsa("[data-cc-field-error]", formEl).forEach((el) => el.remove());
+    qsa(".is-invalid", formEl).forEach((el) => el.classList.remove("is-invalid"));
+  }
+
+  /**
+   * Render API field errors next to the matching inputs (Bootstrap
+   * .is-invalid + .invalid-feedback). Errors clear as soon as the user edits
+   * the field.
+   *
+   * @param {HTMLElement|null} formEl
+   * @param {Record<string,string[]>} fieldErrors - usually res.error.fieldErrors
+   * @param {Record<string,string>} [fieldMap={}] - API field -> input id
+   * @returns {string[]} fields that had no matching input (show them elsewhere)
+   */
+  function showFieldErrors(formEl, fieldErrors, fieldMap = {}) {
+    const entries = Object.entries(fieldErrors || {});
+    if (!formEl) return entries.map(([field]) => field);
+
+    clearFieldErrors(formEl);
+
+    const unmatched = [];
+
+    for (const [field, messages] of entries) {
+      const input = findFieldInput(formEl, field, fieldMap);
+      if (!input) {
+        unmatched.push(field);
+        continue;
+      }
+
+      input.classList.add("is-invalid");
+
+      const feedback = document.createElement("div");
+      feedback.className = "invalid-feedback";
+      feedback.setAttribute("data-cc-field-error", field);
+      feedback.textContent = [].concat(messages).join(" ");
+      input.insertAdjacentElement("afterend", feedback);
+
+      input.addEventListener("input", () => clearFieldError(input), {
+        once: true,
+      });
+    }
+
+    return unmatched;
+  }
+
   /* ==========================================================================
    * NETWORK HELPERS
    * ========================================================================== */
 
+  /**
+   * @typedef {object} ApiError
+   * @property {"network"|"validation"|"auth"|"notFound"|"server"} kind
+   * @property {number} status - HTTP status (0 for network/timeout failures)
+   * @property {string} message - user-facing text (never raw HTML)
+   * @property {Record<string,string[]>} fieldErrors - DRF field -> messages
+   * @property {string} raw - raw response body, for console/debugging only
+   */
+
+  /**
+   * @typedef {object} ApiResult
+   * @property {boolean} ok
+   * @property {number} status
+   * @property {any} data - parsed JSON body (null if not JSON)
+   * @property {string} raw - response body text
+   * @property {ApiError|null} error - set whenever ok is false
+   */
+
+  // Response keys that carry a general message rather than a field error
+  const NON_FIELD_KEYS = new Set([
+    "detail",
+    "error",
+    "message",
+    "non_field_errors",
+    "code",
+    "status",
+  ]);
+
+  /**
+   * Classify an HTTP status into an ApiError kind.
+   * @param {number} status
+   * @returns {ApiError["kind"]}
+   */
+  function errorKindForStatus(status) {
+    if (!status) return "network";
+    if (status === 401 || status === 403) return "auth";
+    if (status === 404 || status === 410) return "notFound";
+    if (status === 429 || status >= 500) return "server";
+    return "validation";
+  }
+
+  /**
+   * Pull DRF-style field errors ({ field: ["msg", ...] }) out of a response body.
+   * Nested serializer errors are flattened with dotted keys ("address.city").
+   *
+   * @param {any} data
+   * @param {string} [prefix=""]
+   * @returns {Record<string,string[]>}
+   */
+  function extractFieldErrors(data, prefix = "") {
+    const out = {};
+    if (!data || typeof data !== "object" || Array.isArray(data)) return out;
+
+    for (const [key, value] of Object.entries(data)) {
+      if (!prefix && NON_FIELD_KEYS.has(key)) continue;
+      const field = prefix ? `${prefix}.${key}` : key;
+
+      if (typeof value === "string") {
+        out[field] = [value];
+      } else if (Array.isArray(value)) {
+        const messages = value.filter((v) => typeof v === "string");
+        if (messages.length) out[field] = messages;
+      } else if (value && typeof value === "object") {
+        Object.assign(out, extractFieldErrors(value, field));
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * True if a response body is short plain text worth showing to a user
+   * (rules out HTML error pages and stack traces).
+   * @param {string} raw
+   * @returns {boolean}
+   */
+  function isDisplayableText(raw) {
+    const text = String(raw || "").trim();
+    return !!text && text.length <= 200 && !/[<>]/.test(text);
+  }
+
+  /**
+   * Default user-facing message when the body carries nothing better.
+   * @param {ApiError["kind"]} kind
+   * @param {number} status
+   * @returns {string}
+   */
+  function defaultErrorMessage(kind, status) {
+    switch (kind) {
+      case "network":
+        return "Could not reach the server. Check your connection and try again.";
+      case "auth":
+        return status === 403
+          ? "You do not have permission to do that."
+          : "Your session has expired. Please log in again.";
+      case "notFound":
+        return "The requested item could not be found.";
+      case "server":
+        return `The server had a problem (HTTP ${status}). Please try again shortly.`;
+      default:
+        return `Request failed (HTTP ${status}).`;
+    }
+  }
+
+  /**
+   * Build the normalized error object for a failed response.
+   *
+   * @param {number} status
+   * @param {any} data - parsed JSON body (or null)
+   * @param {string} raw - response body text
+   * @returns {ApiError}
+   */
+  function buildApiError(status, data, raw) {
+    const kind = errorKindForStatus(status);
+    const fieldErrors = extractFieldErrors(data);
+
+    const nonField = Array.isArray(data?.non_field_errors)
+      ? data.non_field_errors.join(" ")
+      : "";
+
+    const bodyMessage = [data?.detail, data?.error, data?.message, nonField]
+      .map((v) => (typeof v === "string" ? v.trim() : ""))
+      .find(Boolean);
+
+    const message =
+      bodyMessage ||
+      formatFieldErrors(fieldErrors) ||
+      (typeof data === "string" && isDisplayableText(data) ? data : "") ||
+      (data === null && isDisplayableText(raw) ? String(raw).trim() : "") ||
+      defaultErrorMessage(kind, status);
+
+    return { kind, status, message, fieldErrors, raw: String(raw || "") };
+  }
+
+  /**
+   * ApiResult for a request that never got a response (offline, DNS, CORS,
+   * timeout). Mirrors readResponse() so callers only check `ok`.
+   *
+   * @param {Error} err
+   * @returns {ApiResult}
+   */
+  function networkFailureResult(err) {
+    const error = buildApiError(0, null, "");
+    if (err?.name === "TimeoutError") error.message = err.message;
+    return { ok: false, status: 0, data: null, raw: "", error };
+  }
+
+  /**
+   * Convert a failed ApiResult into an Error for throw/catch flows.
+   * The structured error stays available as `err.apiError`.
+   *
+   * @param {ApiResult} res
+   * @returns {Error}
+   */
+  function errorFromResponse(res) {
+    const apiError =
+      res?.error || buildApiError(res?.status || 0, res?.data, res?.raw);
+    const err = new Error(apiError.message);
+    err.apiError = apiError;
+    return err;
+  }
+
   /**
    * Read a fetch() response as text + attempt JSON parsing.
+   * Failed responses also carry a normalized `error` (see ApiError).
    * @param {Response} res
-   * @returns {Promise<{ok:boolean,status:number,data:any,raw:string}>}
+   * @returns {Promise<ApiResult>}
    */
   async function readResponse(res) {
     const raw = await res.text();
@@ -222,21 +532,18 @@
     } catch {
       data = null;
     }
-    return { ok: res.ok, status: res.status, data, raw };
+    const error = res.ok ? null : buildApiError(res.status, data, raw);
+    return { ok: res.ok, status: res.status, data, raw, error };
   }
 
   /**
-   * Fetch wrapper:
-   * - Builds full URL via buildApiUrl()
-   * - Adds Accept header + auth header
-   * - Allows `options.json` shorthand for JSON requests
-   *
-   * @param {string} urlOrPath
+   * Build the fetch() init for one attempt.
+   * Headers are rebuilt per call so a replay after token refresh picks up the
+   * new access token.
    * @param {object} options
-   * @returns {Promise<Response>}
+   * @returns {RequestInit}
    */
-  async function apiFetch(urlOrPath, options = {}) {
-    const url = buildApiUrl(urlOrPath);
+  function buildRequestInit(options) {
     const init = { ...options };
 
     if (Object.prototype.hasOwnProperty.call(init, "json")) {
@@ -244,6 +551,11 @@
       delete init.json;
     }
 
+    if (Object.prototype.hasOwnProperty.call(init, "form")) {
+      init.body = toFormData(init.form);
+      delete init.form;
+    }
+
     const headers = {
       Accept: "application/json",
       ...authHeader(),
@@ -259,18 +571,285 @@
     }
 
     init.headers = headers;
-    return fetch(url, init);
+    return init;
+  }
+
+  /**
+   * Build a multipart body for `options.form`.
+   * Accepts a FormData (used as-is) or a plain object; null/undefined values
+   * are skipped, booleans become "true"/"false", Files/Blobs are attached.
+   * The browser sets the multipart Content-Type (with boundary) itself.
+   * @param {FormData|object} form
+   * @returns {FormData}
+   */
+  function toFormData(form) {
+    if (form instanceof FormData) return form;
+
+    const fd = new FormData();
+    Object.entries(form || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      if (value instanceof Blob) {
+        fd.append(key, value);
+      } else if (typeof value === "boolean") {
+        fd.append(key, value ? "true" : "false");
+      } else {
+        fd.append(key, String(value));
+      }
+    });
+    return fd;
+  }
+
+  // Retry/timeout defaults (override with API_TIMEOUT_MS / API_MAX_RETRIES in config.js)
+  const DEFAULT_TIMEOUT_MS = 20000;
+  const DEFAULT_MAX_RETRIES = 2;
+  const RETRY_BASE_DELAY_MS = 500;
+  const RETRY_MAX_DELAY_MS = 30000;
+  // Only reads retry by default: a PUT/DELETE (logo upload, order confirm)
+  // that timed out may still have reached the server.
+  const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+  /**
+   * True if an error came from an aborted fetch (caller cancelled the request).
+   * Page scripts use this to ignore stale requests they cancelled themselves.
+   * @param {any} err
+   * @returns {boolean}
+   */
+  function isAbortError(err) {
+    return err?.name === "AbortError";
+  }
+
+  /**
+   * Build the error thrown when a caller-supplied AbortSignal fires.
+   * @returns {Error}
+   */
+  function createAbortError() {
+    const err = new Error("Request was cancelled.");
+    err.name = "AbortError";
+    return err;
+  }
+
+  /**
+   * Wait `ms` milliseconds, rejecting early if `signal` aborts.
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+
+      function onAbort() {
+        clearTimeout(timer);
+        reject(createAbortError());
+      }
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Exponential backoff with a little jitter: ~0.5s, 1s, 2s, ...
+   * @param {number} attempt - zero-based retry number
+   * @returns {number}
+   */
+  function backoffDelay(attempt) {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(RETRY_MAX_DELAY_MS, delay + Math.random() * 250);
+  }
+
+  /**
+   * Read a Retry-After header (seconds or HTTP date) as milliseconds.
+   * @param {Response} res
+   * @returns {number|null}
+   */
+  function retryAfterMs(res) {
+    const raw = res.headers?.get?.("Retry-After");
+    if (!raw) return null;
+
+    const seconds = Number(raw);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(raw) - Date.now();
+
+    if (!Number.isFinite(ms)) return null;
+    return Math.min(RETRY_MAX_DELAY_MS, Math.max(0, ms));
+  }
+
+  /**
+   * 5xx and 429 are worth another attempt; everything else is final.
+   * @param {number} status
+   * @returns {boolean}
+   */
+  function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  // Optional fetch() replacement for API requests (see mock-backend.js)
+  let apiTransport = null;
+
+  /**
+   * Route every CC.apiFetch request through `transport` instead of fetch().
+   * Pass null to restore the network.
+   * @param {((url: string, init: RequestInit) => Promise<Response>) | null} transport
+   */
+  function setApiTransport(transport) {
+    apiTransport = typeof transport === "function" ? transport : null;
+  }
+
+  /**
+   * Single fetch() attempt with a timeout, linked to the caller's AbortSignal.
+   *
+   * @param {string} url
+   * @param {RequestInit} init
+   * @param {number} timeoutMs - 0 disables the timeout
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   */
+  async function fetchOnce(url, init, timeoutMs, signal) {
+    if (signal?.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+          }, timeoutMs)
+        : null;
+
+    try {
+      const send = apiTransport || fetch;
+      return await send(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) {
+        const timeoutErr = new Error(
+          `Request timed out after ${Math.ceil(timeoutMs / 1000)}s.`,
+        );
+        timeoutErr.name = "TimeoutError";
+        throw timeoutErr;
+      }
+      if (signal?.aborted) throw createAbortError();
+      throw err;
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * fetch() with timeout + retry policy.
+   *
+   * Options (all optional, stripped before calling fetch):
+   * - timeout: per-attempt timeout in ms (0 disables)
+   * - retries: max retries; GET/HEAD/OPTIONS default to API_MAX_RETRIES,
+   *            other methods retry only when the caller passes this (opt-in)
+   * - signal:  AbortSignal to cancel the request (rejects with AbortError)
+   *
+   * Network errors, timeouts, 5xx and 429 are retried with exponential backoff,
+   * honoring Retry-After. Writes are sent once unless they opt in.
+   *
+   * @param {string} url
+   * @param {object} options
+   * @returns {Promise<Response>}
+   */
+  async function fetchWithRetry(url, options) {
+    const { timeout, retries, signal, ...requestOptions } = options;
+    const method = String(requestOptions.method || "GET").toUpperCase();
+
+    const timeoutMs = Number(
+      timeout ?? getConfigValue("API_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+    );
+    const defaultRetries = SAFE_METHODS.has(method)
+      ? getConfigValue("API_MAX_RETRIES", DEFAULT_MAX_RETRIES)
+      : 0;
+    const maxRetries = Math.max(0, Number(retries ?? defaultRetries) || 0);
+
+    for (let attempt = 0; ; attempt += 1) {
+      let res = null;
+
+      try {
+        res = await fetchOnce(
+          url,
+          buildRequestInit(requestOptions),
+          timeoutMs,
+          signal,
+        );
+      } catch (err) {
+        if (isAbortError(err) || attempt >= maxRetries) throw err;
+        await sleep(backoffDelay(attempt), signal);
+        continue;
+      }
+
+      if (!isRetryableStatus(res.status) || attempt >= maxRetries) return res;
+      await sleep(retryAfterMs(res) ?? backoffDelay(attempt), signal);
+    }
+  }
+
+  /**
+   * Fetch wrapper:
+   * - Builds full URL via buildApiUrl() (`options.root` forces the root base)
+   * - Adds Accept header + auth header
+   * - Allows `options.json` shorthand for JSON requests
+   * - Allows `options.form` (FormData or plain object) for multipart uploads
+   * - Timeout / retry / AbortSignal support (see fetchWithRetry())
+   * - On 401, exchanges the refresh token for a new access token and replays
+   *   the request once (pass `skipAuthRefresh: true` to opt out)
+   *
+   * @param {string} urlOrPath
+   * @param {object} options
+   * @returns {Promise<Response>}
+   */
+  async function apiFetch(urlOrPath, options = {}) {
+    const { skipAuthRefresh, root, ...requestOptions } = options;
+    await configReady;
+    const url = buildApiUrl(urlOrPath, { root });
+
+    const sentToken = getAuth()?.access || null;
+    const res = await fetchWithRetry(url, requestOptions);
+
+    if (res.status !== 401 || skipAuthRefresh || !sentToken) return res;
+
+    // Another request may already have refreshed while this one was in flight.
+    const currentToken = getAuth()?.access || null;
+    const canReplay =
+      currentToken && currentToken !== sentToken
+        ? true
+        : await refreshAccessToken();
+
+    if (!canReplay) return res;
+    return fetchWithRetry(url, requestOptions);
   }
 
   /**
    * Request wrapper:
    * - Calls apiFetch and returns parsed response object.
+   * - Network failures/timeouts resolve as { ok:false, status:0, error } instead
+   *   of throwing; only caller-initiated aborts reject (AbortError).
    * @param {string} urlOrPath
    * @param {object} options
-   * @returns {Promise<{ok:boolean,status:number,data:any,raw:string}>}
+   * @returns {Promise<ApiResult>}
    */
   async function apiRequest(urlOrPath, options = {}) {
-    const res = await apiFetch(urlOrPath, options);
+    let res = null;
+    try {
+      res = await apiFetch(urlOrPath, options);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      return networkFailureResult(err);
+    }
     return readResponse(res);
   }
 
@@ -282,6 +861,9 @@
   const FARMER_AUTH_KEY = "cc_farmer_auth";
   const RETURN_TO_KEY = "cc_returnTo";
 
+  // SimpleJWT refresh route (override with AUTH_REFRESH_PATH in config.js)
+  const DEFAULT_REFRESH_PATH = "/auth/token/refresh/";
+
   /**
    * Read auth object from sessionStorage (preferred) or localStorage.
    * @returns {object|null}
@@ -319,6 +901,96 @@
     store.setItem(AUTH_KEY, JSON.stringify(payload));
   }
 
+  /**
+   * Return whichever storage currently holds auth (session first, like getAuth()).
+   * @returns {Storage|null}
+   */
+  function getAuthStorage() {
+    if (sessionStorage.getItem(AUTH_KEY)) return sessionStorage;
+    if (localStorage.getItem(AUTH_KEY)) return localStorage;
+    return null;
+  }
+
+  /**
+   * Overwrite the stored auth object in the storage it already lives in.
+   * Used after a token refresh and by pages that patch cached user fields.
+   *
+   * @param {object} next - full auth object ({ access, refresh, user, ... })
+   */
+  function setAuth(next) {
+    const store = getAuthStorage();
+    if (!store || !next?.access) return;
+    store.setItem(AUTH_KEY, JSON.stringify(next));
+  }
+
+  // Shared promise so concurrent 401s trigger a single refresh request.
+  let refreshInFlight = null;
+
+  /**
+   * Exchange the stored refresh token for a new access token.
+   * Concurrent callers share the same in-flight request.
+   *
+   * @returns {Promise<boolean>} true if a new access token was stored
+   */
+  function refreshAccessToken() {
+    if (!refreshInFlight) {
+      refreshInFlight = requestNewAccessToken().finally(() => {
+        refreshInFlight = null;
+      });
+    }
+    return refreshInFlight;
+  }
+
+  /**
+   * POST the refresh token and store the new access (and rotated refresh) token.
+   * Skips apiFetch() (single attempt, no auth header) so a failing refresh can
+   * never recurse into another refresh.
+   * @returns {Promise<boolean>}
+   */
+  async function requestNewAccessToken() {
+    const refresh = getAuth()?.refresh;
+    if (!refresh) return false;
+
+    let parsed = null;
+    try {
+      const res = await fetchOnce(
+        buildApiUrl(getConfigValue("AUTH_REFRESH_PATH", DEFAULT_REFRESH_PATH)),
+        {
+          method: "POST",
+          headers: {
+            Accept: "application/json",
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ refresh }),
+        },
+        Number(getConfigValue("API_TIMEOUT_MS", DEFAULT_TIMEOUT_MS)),
+      );
+      parsed = await readResponse(res);
+    } catch {
+      // Network failure: keep tokens so a later request can try again.
+      return false;
+    }
+
+    const access = parsed.data?.access;
+    if (!parsed.ok || !access) {
+      // Refresh token expired or rejected — the session is over.
+      if (parsed.status === 400 || parsed.status === 401) clearAuth();
+      return false;
+    }
+
+    // Re-read in case another tab logged out while we were waiting.
+    const current = getAuth();
+    if (!current) return false;
+
+    setAuth({
+      ...current,
+      access,
+      refresh: parsed.data?.refresh || current.refresh,
+      savedAt: new Date().toISOString(),
+    });
+    return true;
+  }
+
   /**
    * Clear auth storage.
    */
@@ -581,6 +1253,43 @@
     return { synced, attempted: entries.length };
   }
 
+  /* ==========================================================================
+   * CONFIG CHECK (DEVELOPER BANNER)
+   * ========================================================================== */
+
+  /**
+   * Log missing required config keys and, unless SHOW_DEV_BANNER is off
+   * (production), pin a dismissible warning to the top of the page.
+   */
+  function reportConfigProblems() {
+    const missing = getMissingConfigKeys();
+    if (!missing.length) return;
+
+    const env = getConfigValue("ENV", "unknown");
+    console.error(
+      `CropCart config (${env}) is missing required keys: ${missing.join(", ")}`,
+    );
+
+    if (!getConfigValue("SHOW_DEV_BANNER", false) || !document.body) return;
+    if (document.getElementById("ccConfigBanner")) return;
+
+    const banner = document.createElement("div");
+    banner.id = "ccConfigBanner";
+    banner.className =
+      "alert alert-warning alert-dismissible rounded-0 small mb-0";
+    banner.setAttribute("role", "alert");
+    const keys = missing.map((k) => `<code>${escapeHtml(k)}</code>`);
+    banner.innerHTML = `
+      <strong>Config problem (${escapeHtml(env)} profile):</strong>
+      missing or invalid ${keys.join(", ")}.
+      Set them in <code>config.json</code> or <code>scripts/config.js</code>.
+      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+    `;
+    document.body.prepend(banner);
+  }
+
+  onReady(reportConfigProblems);
+
   /* ==========================================================================
    * PUBLIC NAMESPACE
    * ========================================================================== */
@@ -605,7 +1314,10 @@
     // Config
     getConfig,
     getConfigValue,
+    configReady,
+    getMissingConfigKeys,
     apiBaseUrl,
+    rootBaseUrl,
     buildApiUrl,
 
     // DOM
@@ -618,11 +1330,16 @@
     formatMoney,
     setStatus,
     formatFieldErrors,
+    showFieldErrors,
+    clearFieldErrors,
 
     // Network
+    isAbortError,
     readResponse,
+    errorFromResponse,
     apiFetch,
     apiRequest,
+    setApiTransport,
 
     // Auth
     auth: {
@@ -631,7 +1348,9 @@
       RETURN_TO_KEY,
       getAuth,
       saveAuth,
+      setAuth,
       clearAuth,
+      refreshAccessToken,
       isLoggedIn,
       authHeader,
       logout,